@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * First Admin Bootstrap Script for AarogyaTech
+ * Creates the first dashboard admin in MongoDB when none exists yet.
+ * Run with: npm run create-admin
+ * Non-interactive: npm run create-admin -- --username=... --email=... --password=... [--full-name=...]
+ */
+
+const mongoose = require('mongoose');
+const readline = require('readline');
+require('dotenv').config();
+
+const UserManagementService = require('./services/userManagementService');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([\w-]+)=(.*)$/);
+    if (match) {
+      args[match[1]] = match[2];
+    }
+  }
+  return args;
+}
+
+function askQuestion(rl, question) {
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => resolve(answer.trim()));
+  });
+}
+
+async function createAdmin() {
+  const args = parseArgs(process.argv.slice(2));
+  let rl;
+
+  try {
+    console.log('👤 AarogyaTech - Create First Admin');
+    console.log('='.repeat(40));
+
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/aarogyatech';
+    console.log('📡 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 10000 });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const userManagementService = new UserManagementService();
+    await userManagementService.waitForInitialization();
+
+    if (userManagementService.hasActiveAdmin()) {
+      console.log('ℹ️  An admin account already exists. Add further users from the admin dashboard.');
+      return;
+    }
+
+    rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+    const username = args.username || await askQuestion(rl, 'Admin username: ');
+    const email = args.email || await askQuestion(rl, 'Admin email: ');
+    const fullName = args['full-name'] || await askQuestion(rl, 'Full name: ') || 'System Administrator';
+    const password = args.password || await askQuestion(rl, 'Password (min 8 characters): ');
+
+    const admin = await userManagementService.createUser({
+      username,
+      email,
+      fullName,
+      password,
+      role: 'admin'
+    });
+
+    console.log(`\n🎉 Admin '${admin.username}' created. You can now log in to the admin dashboard.`);
+  } catch (error) {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (rl) {
+      rl.close();
+    }
+    await mongoose.disconnect();
+  }
+}
+
+createAdmin();
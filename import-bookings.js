@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Booking Import Script for AarogyaTech
+ * One-time copy of data/bookings.json into MongoDB. Safe to re-run: bookings
+ * that already exist are skipped.
+ * Run with: npm run import-bookings
+ * Options: --file=path/to/bookings.json --dry-run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { MongoBookingStore } = require('./services/bookingStore');
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) {
+      args[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  }
+  return args;
+}
+
+async function importBookings() {
+  const args = parseArgs(process.argv.slice(2));
+  const file = path.resolve(args.file || path.join(__dirname, 'data', 'bookings.json'));
+
+  try {
+    console.log('📅 AarogyaTech - Import Bookings');
+    console.log('='.repeat(40));
+
+    const bookings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(bookings)) {
+      throw new Error(`${file} does not contain a list of bookings`);
+    }
+    console.log(`📄 Found ${bookings.length} bookings in ${file}`);
+
+    if (args['dry-run']) {
+      console.log('ℹ️  Dry run: nothing was written');
+      return;
+    }
+
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/aarogyatech';
+    console.log('📡 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: 10000 });
+    console.log('✅ Connected to MongoDB successfully');
+
+    const store = new MongoBookingStore();
+    const counts = { imported: 0, skipped: 0, conflict: 0 };
+    const conflicts = [];
+
+    for (const booking of bookings) {
+      const outcome = await store.importBooking(booking);
+      counts[outcome]++;
+      if (outcome === 'conflict') {
+        conflicts.push(booking);
+      }
+    }
+
+    console.log(`\n✅ Imported: ${counts.imported}`);
+    console.log(`⏭️  Already present: ${counts.skipped}`);
+
+    if (conflicts.length > 0) {
+      console.log(`⚠️  Double-booked slots: ${conflicts.length} (imported without holding the slot)`);
+      conflicts.forEach(booking => {
+        console.log(`   - ${booking.id}: ${booking.assignedCounselor || booking.counselorId} on ${booking.preferredDate} at ${booking.preferredTime}`);
+      });
+    }
+  } catch (error) {
+    console.error('❌ Failed to import bookings:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+importBookings();
@@ -1,10 +1,15 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const TokenRevocationList = require('../services/tokenRevocationList');
+const RoleService = require('../services/roleService');
 
 class AuthMiddleware {
-  constructor() {
+  constructor(options = {}) {
     this.JWT_SECRET = process.env.JWT_SECRET || 'mindcare-default-secret-change-in-production';
-    this.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+    // Access tokens are short-lived; clients renew them with a refresh token
+    this.ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 900000; // 15 minutes
+    this.revocationList = options.revocationList || TokenRevocationList.getDefault();
+    this.roleService = options.roleService || RoleService.getDefault();
     this.ADMIN_SESSION_TIMEOUT = parseInt(process.env.ADMIN_SESSION_TIMEOUT) || 3600000; // 1 hour
   }
 
@@ -15,20 +20,32 @@ class AuthMiddleware {
         id: user.id, 
         username: user.username, 
         role: user.role,
+        email: user.email,
         sessionId: user.sessionId 
       },
       this.JWT_SECRET,
-      { expiresIn: this.JWT_EXPIRES_IN }
+      { expiresIn: Math.floor(this.ACCESS_TOKEN_TTL / 1000) }
     );
   }
 
-  // Verify JWT token
+  // Verify JWT token and refuse tokens whose session has been revoked
   verifyToken(token) {
+    let decoded;
     try {
-      return jwt.verify(token, this.JWT_SECRET);
+      decoded = jwt.verify(token, this.JWT_SECRET);
     } catch (error) {
       throw new Error('Invalid or expired token');
     }
+
+    if (this.revocationList.isRevoked(decoded)) {
+      throw new Error('Token has been revoked');
+    }
+    return decoded;
+  }
+
+  // Stop accepting access tokens issued for a session, e.g. after logout
+  revokeSession(sessionId, reason) {
+    this.revocationList.revokeSession(sessionId, this.ACCESS_TOKEN_TTL, reason);
   }
 
   // Hash password
@@ -67,8 +84,40 @@ class AuthMiddleware {
     }
   };
 
-  // Middleware to authorize based on roles
-  authorize = (allowedRoles = []) => {
+  // Middleware for routes open to everyone that do more for logged-in users: sets
+  // req.user when a valid token is sent and carries on anonymously otherwise
+  identify = (req, res, next) => {
+    const authHeader = req.headers.authorization;
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        req.user = this.verifyToken(authHeader.substring(7));
+      } catch (error) {
+        req.user = null;
+      }
+    }
+    next();
+  };
+
+  // Whether a user (e.g. a decoded access token) holds a permission through their role
+  can(user, permission) {
+    return !!user && this.roleService.hasPermission(user.role, permission);
+  }
+
+  getPermissions(role) {
+    return this.roleService.getPermissions(role);
+  }
+
+  // Whether a user may give an account this role, or manage an account that has it.
+  // Holders of roles:manage could grant themselves anything, so only others are limited
+  // to roles granting nothing they lack.
+  canAssignRole(user, role) {
+    return this.can(user, 'roles:manage') ||
+      this.getPermissions(role).every(permission => this.can(user, permission));
+  }
+
+  // Middleware to require a named permission, e.g. authorize('screening:read'); use after authenticate
+  authorize = (permission) => {
     return (req, res, next) => {
       if (!req.user) {
         return res.status(401).json({
@@ -77,10 +126,10 @@ class AuthMiddleware {
         });
       }
 
-      if (allowedRoles.length > 0 && !allowedRoles.includes(req.user.role)) {
+      if (!this.can(req.user, permission)) {
         return res.status(403).json({
           error: 'Access denied',
-          message: `Insufficient permissions. Required roles: ${allowedRoles.join(', ')}`
+          message: `Insufficient permissions. Required permission: ${permission}`
         });
       }
 
@@ -88,12 +137,6 @@ class AuthMiddleware {
     };
   };
 
-  // Middleware for admin-only access
-  adminOnly = this.authorize(['admin']);
-
-  // Middleware for admin and counselor access
-  adminOrCounselor = this.authorize(['admin', 'counselor']);
-
   // Validate user input for registration/login
   validateUserInput(userData, isRegistration = false) {
     const errors = [];
@@ -107,8 +150,8 @@ class AuthMiddleware {
     }
 
     if (isRegistration) {
-      if (!userData.role || !['admin', 'counselor'].includes(userData.role)) {
-        errors.push('Role must be either "admin" or "counselor"');
+      if (!userData.role || !['admin', 'counselor', 'student'].includes(userData.role)) {
+        errors.push('Role must be "admin", "counselor" or "student"');
       }
 
       if (!userData.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(userData.email)) {
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OpenID Connect Identity Provider for AarogyaTech
+ * Signs students in without a password so campus SSO can be exercised locally and in tests.
+ * Run with: npm run mock-idp
+ * Then set SSO_ISSUER=http://localhost:4000, SSO_CLIENT_ID=aarogyatech, SSO_CLIENT_SECRET=mock-secret
+ * and SSO_REDIRECT_URI=http://localhost:3000/api/auth/sso/callback
+ * Pick the student with /api/auth/sso/login?login_hint=<email>; otherwise the first mock user signs in.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_USERS = [
+  { sub: 'mock-student-1', email: 'student@college.edu', name: 'Mock Student', email_verified: true }
+];
+
+/**
+ * Build the mock provider app
+ * @param {Object} options - { issuer, clientId, clientSecret, users }
+ * @returns {express.Application}
+ */
+function createMockIdp(options = {}) {
+  const issuer = options.issuer || 'http://localhost:4000';
+  const clientId = options.clientId || 'aarogyatech';
+  const clientSecret = options.clientSecret || 'mock-secret';
+  const users = options.users || DEFAULT_USERS;
+  const kid = 'mock-key-1';
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map(); // code -> { user, nonce, redirectUri }
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: app.locals.issuer,
+      authorization_endpoint: `${app.locals.issuer}/authorize`,
+      token_endpoint: `${app.locals.issuer}/token`,
+      jwks_uri: `${app.locals.issuer}/jwks`,
+      response_types_supported: ['code'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  // Approves every request immediately, as if the student had signed in
+  app.get('/authorize', (req, res) => {
+    const { client_id: requestClientId, redirect_uri: redirectUri, state, nonce, login_hint: loginHint } = req.query;
+
+    if (requestClientId !== clientId || !redirectUri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const user = users.find(candidate => candidate.email === loginHint) || users[0];
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { user, nonce, redirectUri });
+
+    const params = new URLSearchParams({ code, state });
+    res.redirect(`${redirectUri}?${params}`);
+  });
+
+  app.post('/token', (req, res) => {
+    const { code, client_id: requestClientId, client_secret: requestSecret, redirect_uri: redirectUri } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (requestClientId !== clientId || requestSecret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (!grant || grant.redirectUri !== redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ ...grant.user, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer: app.locals.issuer,
+      audience: clientId,
+      expiresIn: '5m'
+    });
+
+    res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', id_token: idToken });
+  });
+
+  // Tests listening on a random port update this once the address is known
+  app.locals.issuer = issuer;
+  return app;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_IDP_PORT) || 4000;
+  const app = createMockIdp({ issuer: `http://localhost:${port}` });
+  app.listen(port, () => {
+    console.log(`Mock identity provider running at http://localhost:${port}`);
+    console.log(`Students: ${DEFAULT_USERS.map(user => user.email).join(', ')}`);
+  });
+}
+
+module.exports = { createMockIdp };
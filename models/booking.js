@@ -0,0 +1,111 @@
+/**
+ * Booking Model
+ * Counseling appointments. A counselor can hold a given date and time only
+ * once; cancelled bookings release the slot.
+ */
+
+const mongoose = require('mongoose');
+
+const BookingSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  studentId: {
+    type: String,
+    default: null
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  preferredDate: {
+    type: String, // YYYY-MM-DD
+    required: true,
+    index: true
+  },
+  preferredTime: {
+    type: String, // HH:MM
+    required: true
+  },
+  sessionType: {
+    type: String,
+    enum: ['individual', 'group', 'crisis'],
+    required: true
+  },
+  concerns: {
+    type: String,
+    default: null
+  },
+  contactMethod: String,
+  contactInfo: String,
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    default: 'pending',
+    index: true
+  },
+  counselorId: {
+    type: String,
+    default: null
+  },
+  assignedCounselor: {
+    type: String,
+    default: null
+  },
+  counselorSelection: {
+    type: String,
+    enum: ['student', 'auto', null],
+    default: null
+  },
+  language: {
+    type: String,
+    default: 'en'
+  },
+  notificationsOptOut: {
+    type: Boolean,
+    default: false
+  },
+  reminderSentAt: Date,
+  // True while the booking occupies its counselor's slot
+  holdsSlot: {
+    type: Boolean,
+    default: false
+  },
+  notes: String,
+  scheduledDateTime: Date,
+  reason: String,
+  cancelledAt: Date,
+  requestedAt: Date,
+  ipAddress: String,
+  userAgent: String,
+  // Incremented on every update; status changes must present the version they read
+  version: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'bookings',
+  versionKey: false
+});
+
+// One active booking per counselor per slot
+BookingSchema.index(
+  { counselorId: 1, preferredDate: 1, preferredTime: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { holdsSlot: true },
+    name: 'counselor_slot_unique'
+  }
+);
+
+module.exports = mongoose.model('Booking', BookingSchema);
@@ -0,0 +1,52 @@
+/**
+ * Continuity Profile Model
+ * What a student has agreed to let the assistant remember between sessions
+ * (goals, coping strategies that helped, recent screening results), kept
+ * encrypted, and the record of their consent
+ */
+
+const mongoose = require('mongoose');
+
+const ContinuityProfileSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  consent: {
+    given: {
+      type: Boolean,
+      default: false
+    },
+    version: String, // Consent statement the student agreed to
+    givenAt: Date,
+    withdrawnAt: Date
+  },
+  // Kept after the profile is deleted, as evidence of what was agreed and when
+  consentHistory: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['granted', 'withdrawn'],
+      required: true
+    },
+    version: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // PrivacyService.encryptData output for the JSON profile; null once deleted
+  profile: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'continuity_profiles'
+});
+
+module.exports = mongoose.model('ContinuityProfile', ContinuityProfileSchema);
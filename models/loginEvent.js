@@ -0,0 +1,45 @@
+/**
+ * Login Event Model
+ * One row per login attempt, for per-user login history and anomaly review
+ */
+
+const mongoose = require('mongoose');
+
+const LoginEventSchema = new mongoose.Schema({
+  // As typed, so attempts against unknown usernames are kept too
+  username: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  // HMAC of the client IP; the address itself is never stored
+  ipHash: {
+    type: String,
+    index: true
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  outcome: {
+    type: String,
+    required: true,
+    enum: ['success', 'mfa_challenge', 'invalid_password', 'invalid_mfa_code', 'unknown_user', 'disabled', 'unverified', 'locked']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'login_events'
+});
+
+LoginEventSchema.index({ username: 1, createdAt: -1 });
+// Keep a year of history
+LoginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', LoginEventSchema);
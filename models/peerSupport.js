@@ -5,6 +5,81 @@
 
 const mongoose = require('mongoose');
 
+// Moderation audit trail entry; 'flagged', 'reported', 'auto_hide' and
+// 'crisis_alert' entries are written by the system rather than a moderator
+const ModerationEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['flagged', 'reported', 'auto_hide', 'crisis_alert', 'approve', 'hide', 'pin', 'unpin', 'lock', 'unlock']
+  },
+  moderatorId: {
+    type: String,
+    required: true
+  },
+  moderatorName: {
+    type: String
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  previousStatus: {
+    type: String
+  },
+  status: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Community report on a post or reply, at most one per reporter
+const ReportSchema = new mongoose.Schema({
+  reporterId: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['self_harm', 'harassment', 'hate_speech', 'misinformation', 'personal_info', 'spam', 'other']
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Shared by posts and replies; a fresh object per schema since mongoose mutates definitions
+const moderationFields = () => ({
+  moderationStatus: {
+    type: String,
+    enum: ['clear', 'pending', 'approved', 'hidden'],
+    default: 'clear'
+  },
+  riskLevel: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'low'
+  },
+  flaggedKeywords: [{
+    type: String
+  }],
+  moderationHistory: [ModerationEventSchema],
+  reports: [ReportSchema],
+  crisisAlertId: {
+    type: String
+  }
+});
+
 const ReplySchema = new mongoose.Schema({
   id: {
     type: String,
@@ -59,6 +134,7 @@ const ReplySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  ...moderationFields(),
   createdAt: {
     type: Date,
     default: Date.now
@@ -163,6 +239,7 @@ const PostSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  ...moderationFields(),
   lastActivityAt: {
     type: Date,
     default: Date.now,
@@ -191,6 +268,8 @@ PostSchema.index({ category: 1, createdAt: -1 });
 PostSchema.index({ supportCount: -1, createdAt: -1 });
 PostSchema.index({ isHidden: 1, isPinned: -1, lastActivityAt: -1 });
 PostSchema.index({ authorId: 1, createdAt: -1 });
+PostSchema.index({ moderationStatus: 1 });
+PostSchema.index({ 'replies.moderationStatus': 1 });
 
 // Virtual for formatted creation date
 PostSchema.virtual('formattedCreatedAt').get(function() {
@@ -0,0 +1,55 @@
+/**
+ * Prompt Template Model
+ * One version of an assistant prompt template; at most one version per
+ * template is active
+ */
+
+const mongoose = require('mongoose');
+
+const PromptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    enum: ['chat', 'crisis', 'crisis_fallback', 'safety_resources', 'summary']
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  policy: {
+    maxTokens: Number,
+    temperature: Number,
+    topP: Number
+  },
+  notes: {
+    type: String
+  },
+  active: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  activatedBy: {
+    type: String
+  },
+  activatedAt: {
+    type: Date
+  }
+}, {
+  collection: 'prompt_templates'
+});
+
+PromptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromptTemplate', PromptTemplateSchema);
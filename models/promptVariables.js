@@ -0,0 +1,36 @@
+/**
+ * Prompt Variables Model
+ * Values substituted into prompt templates (helplines, counseling centre
+ * contacts) for one institution and language
+ */
+
+const mongoose = require('mongoose');
+
+const PromptVariablesSchema = new mongoose.Schema({
+  institution: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    required: true
+  },
+  values: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  updatedBy: {
+    type: String
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'prompt_variables'
+});
+
+PromptVariablesSchema.index({ institution: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromptVariables', PromptVariablesSchema);
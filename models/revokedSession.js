@@ -0,0 +1,32 @@
+/**
+ * Revoked Session Model
+ * Login sessions whose access tokens must be refused before they expire
+ */
+
+const mongoose = require('mongoose');
+
+const RevokedSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  reason: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Once every access token issued for the session has expired the entry is no longer needed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'revoked_sessions'
+});
+
+RevokedSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedSession', RevokedSessionSchema);
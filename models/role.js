@@ -0,0 +1,30 @@
+/**
+ * Role Model
+ * Permission set granted to each user role, as edited by admins
+ */
+
+const mongoose = require('mongoose');
+
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['admin', 'counselor', 'student']
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  updatedBy: {
+    type: String
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'roles'
+});
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,58 @@
+/**
+ * Safety Event Model
+ * An AI reply the safety gate blocked or rewrote, and what it did instead
+ */
+
+const mongoose = require('mongoose');
+
+const SafetyEventSchema = new mongoose.Schema({
+  sessionId: {
+    type: String // Truncated, as in other logs
+  },
+  channel: {
+    type: String,
+    enum: ['chat', 'voice'],
+    default: 'chat'
+  },
+  replyType: {
+    type: String,
+    enum: ['chat', 'crisis'],
+    default: 'chat'
+  },
+  violations: {
+    type: [String],
+    default: []
+  },
+  issues: {
+    type: [String],
+    default: []
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['regenerated', 'fallback', 'resources_appended']
+  },
+  regenerationFailed: {
+    type: Boolean,
+    default: false
+  },
+  prompt: {
+    name: String,
+    version: Number
+  },
+  language: {
+    type: String
+  },
+  originalExcerpt: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  collection: 'safety_events'
+});
+
+module.exports = mongoose.model('SafetyEvent', SafetyEventSchema);
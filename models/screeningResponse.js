@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { isToolName } = require('./screeningTools');
 
 const ScreeningResponseSchema = new mongoose.Schema({
   // User Information
@@ -26,9 +27,13 @@ const ScreeningResponseSchema = new mongoose.Schema({
   toolName: {
     type: String,
     required: true,
-    enum: ['PHQ-9', 'GAD-7', 'GHQ-12'],
+    validate: {
+      validator: isToolName,
+      message: props => `Unknown screening tool '${props.value}'`
+    },
     index: true
   },
+  // Instrument version the response was scored against
   toolVersion: {
     type: String,
     default: '1.0'
@@ -48,12 +53,13 @@ const ScreeningResponseSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 0,
-      max: 3
+      max: 4 // PSS-10 uses 0-4; the other tools 0-3 (PC-PTSD-5 0/1)
     },
     category: {
       type: String,
       required: true
-    }
+    },
+    subscale: String // DASS-21 only
   }],
   
   // User's Additional Description
@@ -83,7 +89,10 @@ const ScreeningResponseSchema = new mongoose.Schema({
     severityLevel: {
       type: String,
       required: true,
-      enum: ['minimal', 'mild', 'moderate', 'moderately_severe', 'severe', 'normal', 'distressed']
+      enum: [
+        'minimal', 'mild', 'moderate', 'moderately_severe', 'severe', 'normal', 'distressed',
+        'low', 'high', 'extremely_severe', 'negative', 'positive'
+      ]
     },
     description: {
       type: String,
@@ -96,7 +105,9 @@ const ScreeningResponseSchema = new mongoose.Schema({
     clinicalThreshold: {
       type: Number,
       required: true
-    }
+    },
+    // DASS-21: { depression: { score, level, ... }, anxiety: ..., stress: ... }
+    subscales: mongoose.Schema.Types.Mixed
   },
   
   // Crisis Detection
@@ -130,6 +141,27 @@ const ScreeningResponseSchema = new mongoose.Schema({
     type: String
   }],
   
+  // Scoring Audit: results/crisisIndicators above are always computed on the
+  // server; what the client claimed is kept here for comparison
+  scoringAudit: {
+    source: {
+      type: String,
+      default: 'server'
+    },
+    clientResults: mongoose.Schema.Types.Mixed,
+    clientCrisisIndicators: mongoose.Schema.Types.Mixed,
+    mismatch: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    mismatchFields: [String],
+    scoredAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  
   // Metadata
   completedAt: {
     type: Date,
@@ -209,7 +241,7 @@ ScreeningResponseSchema.virtual('riskLevel').get(function() {
   if (this.crisisIndicators.hasCrisisAlerts) {
     return 'high';
   }
-  if (['severe', 'moderately_severe'].includes(this.results.severityLevel)) {
+  if (['severe', 'moderately_severe', 'extremely_severe', 'high', 'positive'].includes(this.results.severityLevel)) {
     return 'elevated';
   }
   if (this.results.severityLevel === 'moderate') {
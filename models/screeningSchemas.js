@@ -4,6 +4,7 @@
  */
 
 const mongoose = require('mongoose');
+const { registry, isToolName } = require('./screeningTools');
 
 // Schema for individual screening responses
 const ScreeningResponseSchema = new mongoose.Schema({
@@ -42,7 +43,10 @@ const ScoreInterpretationSchema = new mongoose.Schema({
   level: {
     type: String,
     required: true,
-    enum: ['minimal', 'mild', 'moderate', 'moderately_severe', 'severe', 'normal', 'distressed'],
+    enum: [
+      'minimal', 'mild', 'moderate', 'moderately_severe', 'severe', 'normal', 'distressed',
+      'low', 'high', 'extremely_severe', 'negative', 'positive'
+    ],
     index: true
   },
   description: {
@@ -72,18 +76,58 @@ const ScoreInterpretationSchema = new mongoose.Schema({
   }
 });
 
+// Notes counselors leave on a crisis alert while handling it
+const AlertNoteSchema = new mongoose.Schema({
+  author: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Every lifecycle transition and escalation, in order
+const AlertHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  by: {
+    type: String,
+    required: true
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 // Schema for crisis alerts
+// Embedded in screening assessments and stored on its own for the
+// counselor-facing lifecycle run by the real-time monitoring service
 const CrisisAlertSchema = new mongoose.Schema({
+  alertId: {
+    type: String,
+    index: true
+  },
   type: {
     type: String,
     required: true,
-    enum: ['suicidalIdeation', 'severeDepression', 'severeAnxiety', 'severeDistress'],
+    enum: ['suicidalIdeation', 'severeDepression', 'severeAnxiety', 'severeDistress', 'conversation', 'peerSupport', 'manual'],
     index: true
   },
   severity: {
     type: String,
     required: true,
-    enum: ['high', 'medium', 'low'],
+    enum: ['critical', 'high', 'medium', 'low'],
     default: 'high'
   },
   action: {
@@ -102,6 +146,48 @@ const CrisisAlertSchema = new mongoose.Schema({
     crisisTextLine: String,
     emergencyRoom: String,
     note: String
+  },
+
+  // Origin of a monitoring alert
+  userId: String,
+  sessionId: String,
+  keywords: [String],
+  sentiment: Number,
+  source: String,
+  link: mongoose.Schema.Types.Mixed,
+
+  // Lifecycle: open -> acknowledged -> assigned -> in_progress -> resolved
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'assigned', 'in_progress', 'resolved'],
+    default: 'open',
+    index: true
+  },
+  acknowledgedBy: String,
+  acknowledgedAt: Date,
+  assignedTo: String,
+  assignedBy: String,
+  assignedAt: Date,
+  resolvedBy: String,
+  resolvedAt: Date,
+  resolution: String,
+  notes: [AlertNoteSchema],
+  history: [AlertHistorySchema],
+
+  // SLA deadlines are fixed at creation; missing one escalates the alert once
+  slaDeadlines: {
+    acknowledgement: Date,
+    resolution: Date
+  },
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  escalatedBy: String,
+  escalatedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
@@ -124,9 +210,15 @@ const ScreeningAssessmentSchema = new mongoose.Schema({
   toolName: {
     type: String,
     required: true,
-    enum: ['PHQ-9', 'GAD-7', 'GHQ-12'],
+    validate: {
+      validator: isToolName,
+      message: props => `Unknown screening tool '${props.value}'`
+    },
     index: true
   },
+  toolVersion: {
+    type: String
+  },
   fullName: {
     type: String,
     required: true
@@ -249,7 +341,10 @@ const ScreeningStatisticsSchema = new mongoose.Schema({
   toolName: {
     type: String,
     required: true,
-    enum: ['PHQ-9', 'GAD-7', 'GHQ-12'],
+    validate: {
+      validator: isToolName,
+      message: props => `Unknown screening tool '${props.value}'`
+    },
     index: true
   },
   
@@ -341,10 +436,10 @@ const UserScreeningHistorySchema = new mongoose.Schema({
     totalAssessments: { type: Number, default: 0 },
     toolsUsed: [String],
     lastAssessment: Date,
+    // Keyed by tool name
     averageScores: {
-      'PHQ-9': Number,
-      'GAD-7': Number,
-      'GHQ-12': Number
+      type: Map,
+      of: Number
     }
   }
 }, {
@@ -401,7 +496,7 @@ ScreeningAssessmentSchema.statics.getStatistics = function(toolName, startDate,
   const pipeline = [
     {
       $match: {
-        toolName: toolName || { $in: ['PHQ-9', 'GAD-7', 'GHQ-12'] },
+        toolName: toolName || { $in: registry.getToolNames() },
         createdAt: {
           $gte: startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
           $lte: endDate || new Date()
@@ -441,14 +536,17 @@ ScreeningAssessmentSchema.statics.getCrisisAlerts = function(hours = 24) {
 const ScreeningAssessment = mongoose.model('ScreeningAssessment', ScreeningAssessmentSchema);
 const ScreeningStatistics = mongoose.model('ScreeningStatistics', ScreeningStatisticsSchema);
 const UserScreeningHistory = mongoose.model('UserScreeningHistory', UserScreeningHistorySchema);
+const CrisisAlert = mongoose.model('CrisisAlert', CrisisAlertSchema, 'crisis_alerts');
 
 module.exports = {
   ScreeningAssessment,
   ScreeningStatistics,
   UserScreeningHistory,
+  CrisisAlert,
   
   // Schema exports for reference
   ScreeningAssessmentSchema,
   ScreeningStatisticsSchema,
-  UserScreeningHistorySchema
+  UserScreeningHistorySchema,
+  CrisisAlertSchema
 };
\ No newline at end of file
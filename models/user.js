@@ -0,0 +1,97 @@
+/**
+ * User Model
+ * Stores dashboard staff (admin, counselor) and student accounts
+ */
+
+const mongoose = require('mongoose');
+
+const UserSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  fullName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['admin', 'counselor', 'student']
+  },
+  // bcrypt hash, never the plain password; accounts created through SSO have none
+  password: {
+    type: String,
+    required: function() {
+      return !this.ssoSubject;
+    }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: true
+  },
+  // SHA-256 of the token mailed to a self-registered student
+  emailVerification: {
+    tokenHash: String,
+    expiresAt: Date
+  },
+  ssoProvider: {
+    type: String,
+    default: null
+  },
+  ssoSubject: {
+    type: String,
+    default: null
+  },
+  // Set by an admin; the user must enrol in TOTP before their next login completes
+  mfaRequired: {
+    type: Boolean,
+    default: false
+  },
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String, // Base32 TOTP secret, set once enrolment is confirmed
+    pendingSecret: String, // Awaiting the first code from the authenticator app
+    recoveryCodes: [String], // SHA-256 hashes; each is removed once used
+    lastUsedStep: Number, // Codes from this time step or earlier are refused
+    enabledAt: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'users'
+});
+
+UserSchema.index({ role: 1, isActive: 1 });
+UserSchema.index({ ssoProvider: 1, ssoSubject: 1 });
+UserSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,54 @@
+/**
+ * User Session Model
+ * Persists dashboard login sessions so they survive server restarts
+ */
+
+const mongoose = require('mongoose');
+
+const UserSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  username: {
+    type: String,
+    required: true,
+    index: true
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  loginTime: {
+    type: Date,
+    default: Date.now
+  },
+  lastActivity: {
+    type: Date,
+    default: Date.now
+  },
+  // Hash of the current refresh token secret; rotated on every refresh
+  refreshTokenHash: {
+    type: String
+  },
+  refreshExpiresAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  collection: 'user_sessions'
+});
+
+// Let MongoDB remove sessions that have been idle for a day
+UserSessionSchema.index({ lastActivity: 1 }, { expireAfterSeconds: 86400 });
+
+module.exports = mongoose.model('UserSession', UserSessionSchema);
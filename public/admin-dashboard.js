@@ -19,6 +19,8 @@ class AdminDashboard {
     constructor() {
         this.currentUser = null;
         this.authToken = null;
+        this.tokenRefreshTimer = null;
+        this.mfaToken = null; // Between the password and code steps of login
         this.currentSection = 'overview';
         this.autoRefreshInterval = null;
         this.charts = {};
@@ -61,7 +63,7 @@ class AdminDashboard {
         });
     }
 
-    async validateSession(token) {
+    async validateSession(token, canRefresh = true) {
         try {
             const response = await fetch('/api/auth/validate', {
                 method: 'GET',
@@ -76,20 +78,83 @@ class AdminDashboard {
                 if (data.valid) {
                     this.authToken = token;
                     this.currentUser = data.user;
+                    this.scheduleTokenRefresh();
                     this.showDashboard();
                     return;
                 }
             }
+
+            // The access token may just have expired; the refresh token can renew it
+            if (response.status === 401 && canRefresh && await this.refreshAuthToken()) {
+                return this.validateSession(this.authToken, false);
+            }
         } catch (error) {
             console.error('Session validation failed:', error);
         }
 
         // If validation fails, show login
         localStorage.removeItem('adminAuthToken');
+        localStorage.removeItem('adminRefreshToken');
         this.showLogin();
     }
 
+    storeTokens({ token, refreshToken }) {
+        this.authToken = token;
+        localStorage.setItem('adminAuthToken', token);
+        localStorage.setItem('adminRefreshToken', refreshToken);
+        this.scheduleTokenRefresh();
+    }
+
+    // Renew the access token a minute before it expires
+    scheduleTokenRefresh() {
+        clearTimeout(this.tokenRefreshTimer);
+
+        const payload = JSON.parse(atob(this.authToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        const delay = Math.max(payload.exp * 1000 - Date.now() - 60000, 5000);
+
+        this.tokenRefreshTimer = setTimeout(async () => {
+            if (!await this.refreshAuthToken()) {
+                this.showError('Your session has ended. Please log in again.');
+                this.adminLogout();
+            }
+        }, delay);
+    }
+
+    // Each refresh token works once; the server returns its replacement
+    async refreshAuthToken() {
+        const refreshToken = localStorage.getItem('adminRefreshToken');
+        if (!refreshToken) {
+            return false;
+        }
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ refreshToken })
+            });
+
+            if (!response.ok) {
+                return false;
+            }
+
+            this.storeTokens(await response.json());
+
+            // Keep the monitoring socket open with the new token
+            if (this.socket) {
+                this.socket.emit('reauthenticate', this.authToken);
+            }
+            return true;
+        } catch (error) {
+            console.error('Token refresh failed:', error);
+            return false;
+        }
+    }
+
     showLogin() {
+        this.resetLoginForms();
         document.getElementById('adminLoginOverlay').style.display = 'flex';
         document.getElementById('adminDashboard').style.display = 'none';
     }
@@ -103,10 +168,13 @@ class AdminDashboard {
         document.getElementById('adminUserRole').textContent = 
             this.currentUser.role === 'admin' ? 'Administrator' : 'Counselor';
 
-        // Hide user management for counselors
-        if (this.currentUser.role !== 'admin') {
+        // User management and prompt editing are only shown to roles allowed to use them
+        if (!this.hasPermission('users:read')) {
             document.getElementById('usersNavBtn').style.display = 'none';
         }
+        if (!this.hasPermission('prompts:manage')) {
+            document.getElementById('promptsNavBtn').style.display = 'none';
+        }
 
         // Initialize WebSocket connection
         this.initializeWebSocket();
@@ -135,16 +203,11 @@ class AdminDashboard {
             const data = await response.json();
 
             if (response.ok) {
-                this.authToken = data.token;
-                this.currentUser = data.user;
-                
-                // Check if user has admin or counselor role
-                if (!['admin', 'counselor'].includes(this.currentUser.role)) {
-                    throw new Error('Access denied. Admin or counselor role required.');
+                if (data.mfaRequired) {
+                    await this.showMfaStep(data);
+                } else {
+                    this.completeLogin(data);
                 }
-
-                localStorage.setItem('adminAuthToken', this.authToken);
-                this.showDashboard();
             } else {
                 throw new Error(data.message || 'Login failed');
             }
@@ -155,6 +218,92 @@ class AdminDashboard {
         }
     }
 
+    completeLogin(data) {
+        // Check if user has admin or counselor role
+        if (!['admin', 'counselor'].includes(data.user.role)) {
+            throw new Error('Access denied. Admin or counselor role required.');
+        }
+
+        this.currentUser = data.user;
+        this.storeTokens(data);
+        this.showDashboard();
+
+        if (data.recoveryCodes) {
+            this.showRecoveryCodes(data.recoveryCodes);
+        }
+    }
+
+    // Password accepted; ask for the authenticator code, enrolling first if an admin requires MFA
+    async showMfaStep({ mfaToken, enrollmentRequired }) {
+        this.mfaToken = mfaToken;
+
+        if (enrollmentRequired) {
+            const response = await fetch('/api/auth/login/mfa/setup', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ mfaToken })
+            });
+            const enrollment = await response.json();
+            if (!response.ok) {
+                throw new Error(enrollment.message);
+            }
+
+            document.getElementById('mfaEnrollmentUri').href = enrollment.otpauthUri;
+            document.getElementById('mfaEnrollmentSecret').textContent = enrollment.secret;
+        }
+
+        document.getElementById('mfaEnrollment').style.display = enrollmentRequired ? 'block' : 'none';
+        document.querySelector('#adminLoginOverlay .login-form').style.display = 'none';
+        document.getElementById('adminMfaForm').style.display = 'block';
+        document.getElementById('adminMfaCode').focus();
+    }
+
+    async handleAdminMfa(event) {
+        event.preventDefault();
+
+        // Recovery codes look like "4f9a-c21e"; authenticator codes are six digits
+        const value = document.getElementById('adminMfaCode').value.trim();
+        const factor = value.includes('-') ? { recoveryCode: value } : { code: value };
+
+        this.showLoading(true);
+
+        try {
+            const response = await fetch('/api/auth/login/mfa', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ mfaToken: this.mfaToken, ...factor })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || 'Verification failed');
+            }
+
+            this.mfaToken = null;
+            this.resetLoginForms();
+            this.completeLogin(data);
+        } catch (error) {
+            this.showError('Login failed: ' + error.message);
+        } finally {
+            document.getElementById('adminMfaCode').value = '';
+            this.showLoading(false);
+        }
+    }
+
+    resetLoginForms() {
+        document.querySelector('#adminLoginOverlay .login-form').style.display = 'block';
+        document.getElementById('adminMfaForm').style.display = 'none';
+        document.getElementById('mfaEnrollment').style.display = 'none';
+    }
+
+    showRecoveryCodes(recoveryCodes) {
+        alert(`Save these recovery codes somewhere safe. Each one can be used once if you lose your authenticator:\n\n${recoveryCodes.join('\n')}`);
+    }
+
     adminLogout() {
         if (this.authToken) {
             fetch('/api/auth/logout', {
@@ -173,7 +322,9 @@ class AdminDashboard {
             this.isConnected = false;
         }
 
+        clearTimeout(this.tokenRefreshTimer);
         localStorage.removeItem('adminAuthToken');
+        localStorage.removeItem('adminRefreshToken');
         this.authToken = null;
         this.currentUser = null;
         
@@ -227,13 +378,24 @@ class AdminDashboard {
                 await this.loadAnalyticsData();
                 break;
             case 'users':
-                if (this.currentUser.role === 'admin') {
+                if (this.hasPermission('users:read')) {
                     await this.loadUsersData();
                 }
+                if (this.hasPermission('roles:manage')) {
+                    await this.loadRoles();
+                }
                 break;
             case 'bookings':
                 await this.loadBookingsData();
                 break;
+            case 'peer-moderation':
+                await this.loadModerationQueue();
+                break;
+            case 'prompts':
+                if (this.hasPermission('prompts:manage')) {
+                    await this.loadPrompts();
+                }
+                break;
             case 'monitoring':
                 await this.loadMonitoringData();
                 break;
@@ -1051,8 +1213,13 @@ class AdminDashboard {
         });
     }
 
+    // Permissions of the logged-in user's role, as sent by the server at login
+    hasPermission(permission) {
+        return (this.currentUser?.permissions || []).includes(permission);
+    }
+
     async loadUsersData() {
-        if (this.currentUser.role !== 'admin') return;
+        if (!this.hasPermission('users:read')) return;
 
         try {
             const response = await fetch('/api/auth/users', {
@@ -1088,10 +1255,26 @@ class AdminDashboard {
                     <span class="status-badge ${user.isActive ? 'active' : 'inactive'}">
                         ${user.isActive ? 'Active' : 'Inactive'}
                     </span>
+                    ${user.mfaEnabled ? '🔐' : ''}
+                    ${user.locked ? '<span class="status-badge inactive">Locked</span>' : ''}
                 </td>
                 <td>${user.lastLogin ? new Date(user.lastLogin).toLocaleString() : 'Never'}</td>
                 <td>
                     <button class="action-btn" onclick="adminDashboard.editUser('${user.username}')">Edit</button>
+                    <button class="action-btn" onclick="adminDashboard.forceLogoutUser('${user.username}')">Log Out Everywhere</button>
+                    <button class="action-btn" onclick="adminDashboard.viewLoginHistory('${user.username}')">Login History</button>
+                    ${user.locked ?
+                        `<button class="action-btn" onclick="adminDashboard.unlockUser('${user.username}')">Unlock</button>`
+                        : ''
+                    }
+                    ${['admin', 'counselor'].includes(user.role) ?
+                        `<button class="action-btn" onclick="adminDashboard.setMfaRequired('${user.username}', ${!user.mfaRequired})">${user.mfaRequired ? "Don't Require MFA" : 'Require MFA'}</button>`
+                        : ''
+                    }
+                    ${user.mfaEnabled ?
+                        `<button class="action-btn" onclick="adminDashboard.resetUserMfa('${user.username}')">Reset MFA</button>`
+                        : ''
+                    }
                     ${user.username !== 'admin' ? 
                         `<button class="action-btn danger" onclick="adminDashboard.deleteUser('${user.username}')">Delete</button>` 
                         : ''
@@ -1185,40 +1368,19 @@ class AdminDashboard {
         if (!crisisAlertsList) return;
 
         try {
-            const response = await fetch('/api/analytics/crisis?days=1', {
+            const response = await fetch('/api/monitoring/alerts', {
                 headers: {
                     'Authorization': `Bearer ${this.authToken}`,
                     'Content-Type': 'application/json'
                 }
             });
 
-            let alerts = [];
-
-            if (response.ok) {
-                const data = await response.json();
-                const crisisStats = data.data;
-                
-                // Generate sample alerts based on pending crisis events
-                const pendingCount = crisisStats.pending || 0;
-                
-                if (pendingCount > 0) {
-                    alerts = Array.from({length: Math.min(pendingCount, 5)}, (_, i) => ({
-                        id: `alert${i + 1}`,
-                        user: `Student ${String.fromCharCode(88 + i)}`, // X, Y, Z, etc.
-                        severity: ['High', 'Medium', 'Critical'][i % 3],
-                        time: `${Math.floor(Math.random() * 60) + 1} min ago`,
-                        status: 'Pending'
-                    }));
-                }
+            if (!response.ok) {
+                throw new Error('Failed to load crisis alerts');
             }
 
-            crisisAlertsList.innerHTML = alerts.length > 0 ? alerts.map(alert => `
-                <div class="crisis-alert-item">
-                    <div><strong>Crisis Alert - ${alert.user}</strong></div>
-                    <div>Severity: ${alert.severity} | ${alert.time}</div>
-                    <div>Status: ${alert.status}</div>
-                </div>
-            `).join('') : '<div style="color: #9ca3af; text-align: center; padding: 20px;">No active crisis alerts</div>';
+            const data = await response.json();
+            this.updateCrisisAlertsList(data.data.alerts);
         } catch (error) {
             console.error('Failed to load crisis alerts:', error);
             crisisAlertsList.innerHTML = '<div style="color: #9ca3af; text-align: center; padding: 20px;">No active crisis alerts</div>';
@@ -1267,6 +1429,93 @@ class AdminDashboard {
         document.getElementById('refreshInterval').value = settings.refreshInterval;
         document.getElementById('chartAnimation').checked = settings.chartAnimation;
         document.getElementById('analyticsRetention').value = settings.analyticsRetention;
+
+        this.loadMfaStatus();
+    }
+
+    async mfaRequest(path, body) {
+        const response = await fetch(`/api/auth/mfa${path}`, {
+            method: body ? 'POST' : 'GET',
+            headers: {
+                'Authorization': `Bearer ${this.authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Request failed');
+        }
+        return data;
+    }
+
+    async loadMfaStatus() {
+        try {
+            const status = await this.mfaRequest('');
+
+            document.getElementById('mfaStatus').textContent = status.enabled
+                ? `Enabled (${status.recoveryCodesRemaining} recovery codes left)`
+                : 'Not enabled';
+            document.getElementById('mfaEnableBtn').style.display = status.enabled ? 'none' : 'inline-block';
+            document.getElementById('mfaRecoveryBtn').style.display = status.enabled ? 'inline-block' : 'none';
+            // Accounts an admin requires to use MFA cannot turn it off
+            document.getElementById('mfaDisableBtn').style.display = status.enabled && !status.required ? 'inline-block' : 'none';
+        } catch (error) {
+            console.error('Failed to load MFA status:', error);
+        }
+    }
+
+    async setupMfa() {
+        try {
+            const enrollment = await this.mfaRequest('/setup', {});
+
+            document.getElementById('mfaSetupUri').href = enrollment.otpauthUri;
+            document.getElementById('mfaSetupSecret').textContent = enrollment.secret;
+            document.getElementById('mfaSetupDetails').style.display = 'block';
+
+            const code = prompt('Add the account to your authenticator app, then enter the 6-digit code it shows:');
+            if (!code) return;
+
+            const { recoveryCodes } = await this.mfaRequest('/enable', { code });
+            document.getElementById('mfaSetupDetails').style.display = 'none';
+            this.showRecoveryCodes(recoveryCodes);
+            this.showSuccess('Two-factor authentication enabled');
+        } catch (error) {
+            this.showError('Failed to enable two-factor authentication: ' + error.message);
+        }
+
+        this.loadMfaStatus();
+    }
+
+    async regenerateRecoveryCodes() {
+        const code = prompt('Enter a code from your authenticator app to replace your recovery codes:');
+        if (!code) return;
+
+        try {
+            const { recoveryCodes } = await this.mfaRequest('/recovery-codes', { code });
+            this.showRecoveryCodes(recoveryCodes);
+        } catch (error) {
+            this.showError('Failed to create recovery codes: ' + error.message);
+        }
+
+        this.loadMfaStatus();
+    }
+
+    async disableMfa() {
+        const password = prompt('Enter your password to disable two-factor authentication:');
+        if (!password) return;
+        const code = prompt('Enter a code from your authenticator app:');
+        if (!code) return;
+
+        try {
+            await this.mfaRequest('/disable', { password, code });
+            this.showSuccess('Two-factor authentication disabled');
+        } catch (error) {
+            this.showError('Failed to disable two-factor authentication: ' + error.message);
+        }
+
+        this.loadMfaStatus();
     }
 
     // User Management Functions
@@ -1339,6 +1588,243 @@ class AdminDashboard {
         }
     }
 
+    async setMfaRequired(username, mfaRequired) {
+        try {
+            const response = await fetch(`/api/auth/users/${username}`, {
+                method: 'PUT',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ mfaRequired })
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || 'Failed to update user');
+            }
+            this.loadUsersData();
+            this.showSuccess(mfaRequired
+                ? `${username} must set up two-factor authentication at their next login`
+                : `Two-factor authentication is now optional for ${username}`);
+        } catch (error) {
+            this.showError('Failed to update user: ' + error.message);
+        }
+    }
+
+    async resetUserMfa(username) {
+        if (!confirm(`Remove the authenticator for "${username}"? Use this when they have lost their device.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/auth/users/${username}/mfa/reset`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || 'Failed to reset MFA');
+            }
+            this.loadUsersData();
+            this.showSuccess(`Two-factor authentication reset for ${username}`);
+        } catch (error) {
+            this.showError('Failed to reset MFA: ' + error.message);
+        }
+    }
+
+    async unlockUser(username) {
+        try {
+            const response = await fetch(`/api/auth/users/${username}/unlock`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || 'Failed to unlock user');
+            }
+            this.loadUsersData();
+            this.showSuccess(`${username} can log in again`);
+        } catch (error) {
+            this.showError('Failed to unlock user: ' + error.message);
+        }
+    }
+
+    async viewLoginHistory(username) {
+        try {
+            const response = await fetch(`/api/auth/users/${username}/login-history`, {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || 'Failed to load login history');
+            }
+
+            const rows = result.history.map(event => `
+                <tr>
+                    <td>${new Date(event.createdAt).toLocaleString()}</td>
+                    <td>${event.outcome.replace(/_/g, ' ')}</td>
+                    <td title="${event.ipHash || ''}">${event.ipHash ? event.ipHash.slice(0, 12) : '-'}</td>
+                    <td>${this.escapeHtml(event.userAgent || '-')}</td>
+                </tr>
+            `).join('');
+
+            document.getElementById('loginHistoryContent').innerHTML = result.history.length === 0
+                ? '<p>No login attempts recorded</p>'
+                : `
+                    <table class="users-table">
+                        <thead>
+                            <tr><th>Time</th><th>Outcome</th><th>Address (hashed)</th><th>Browser</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                `;
+            document.getElementById('loginHistoryModal').style.display = 'flex';
+        } catch (error) {
+            this.showError('Failed to load login history: ' + error.message);
+        }
+    }
+
+    closeLoginHistoryModal() {
+        document.getElementById('loginHistoryModal').style.display = 'none';
+    }
+
+    async forceLogoutUser(username) {
+        if (!confirm(`Log "${username}" out of every session?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/auth/users/${username}/logout`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || 'Failed to log out user');
+            }
+            this.showSuccess(`Ended ${result.endedSessions} session(s) for ${username}`);
+        } catch (error) {
+            this.showError('Failed to log out user: ' + error.message);
+        }
+    }
+
+    async loadRoles() {
+        try {
+            const response = await fetch('/api/auth/roles', {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || 'Failed to load roles');
+            }
+            this.displayRoles(result.roles, result.permissions);
+        } catch (error) {
+            this.showError('Failed to load roles: ' + error.message);
+        }
+    }
+
+    // One row per permission, one checkbox column per role
+    displayRoles(roles, permissions) {
+        const panel = document.getElementById('rolesPanel');
+        if (!panel) return;
+
+        document.getElementById('rolesTableHead').innerHTML = `
+            <tr>
+                <th>Permission</th>
+                ${roles.map(role => `<th>${role.name}</th>`).join('')}
+            </tr>
+        `;
+        document.getElementById('rolesTableBody').innerHTML = permissions.map(permission => `
+            <tr>
+                <td title="${this.escapeHtml(permission.description)}">
+                    <code>${permission.name}</code><br><small>${this.escapeHtml(permission.description)}</small>
+                </td>
+                ${roles.map(role => `
+                    <td>
+                        <input type="checkbox" data-role="${role.name}" data-permission="${permission.name}"
+                            ${role.permissions.includes(permission.name) ? 'checked' : ''}>
+                    </td>
+                `).join('')}
+            </tr>
+        `).join('') + `
+            <tr>
+                <td></td>
+                ${roles.map(role => `
+                    <td>
+                        <button class="action-btn" onclick="adminDashboard.saveRolePermissions('${role.name}')">Save</button>
+                        <button class="action-btn" onclick="adminDashboard.resetRolePermissions('${role.name}')">Reset</button>
+                    </td>
+                `).join('')}
+            </tr>
+        `;
+        panel.style.display = 'block';
+    }
+
+    async saveRolePermissions(roleName) {
+        const permissions = Array.from(document.querySelectorAll(`#rolesTableBody input[data-role="${roleName}"]:checked`))
+            .map(checkbox => checkbox.dataset.permission);
+
+        await this.updateRole(`/api/auth/roles/${roleName}`, 'PUT', { permissions },
+            `Permissions for the ${roleName} role saved`);
+    }
+
+    async resetRolePermissions(roleName) {
+        if (!confirm(`Restore the default permissions of the ${roleName} role?`)) {
+            return;
+        }
+
+        await this.updateRole(`/api/auth/roles/${roleName}/reset`, 'POST', undefined,
+            `The ${roleName} role has its default permissions again`);
+    }
+
+    async updateRole(url, method, body, successMessage) {
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || 'Failed to update role');
+            }
+
+            // Changes apply immediately, including to this session
+            if (result.role.name === this.currentUser.role) {
+                this.currentUser.permissions = result.role.permissions;
+            }
+            this.loadRoles();
+            this.showSuccess(successMessage);
+        } catch (error) {
+            this.showError('Failed to update role: ' + error.message);
+        }
+    }
+
     // Utility Functions
     showLoading(show) {
         const overlay = document.getElementById('loadingOverlay');
@@ -1589,6 +2075,8 @@ class AdminDashboard {
             content += this.formatMentalHealthReport(report);
         } else if (report.type === 'Crisis Interventions Report') {
             content += this.formatCrisisReport(report);
+        } else if (report.type === 'AI Safety Interventions Report') {
+            content += this.formatSafetyReport(report);
         }
 
         return content;
@@ -1728,6 +2216,54 @@ class AdminDashboard {
         `;
     }
 
+    formatSafetyReport(report) {
+        const safety = report.safety;
+        const counts = (totals) => Object.entries(totals).map(([name, count]) => `
+            <div class="crisis-stat"><strong>${this.escapeHtml(name)}:</strong> ${count}</div>
+        `).join('') || '<div class="crisis-stat">None</div>';
+
+        return `
+            <div class="report-section">
+                <h5>Interventions</h5>
+                <div class="crisis-overview">
+                    <div class="crisis-stat"><strong>Total:</strong> ${safety.totalInterventions}</div>
+                    <div class="crisis-stat"><strong>Failed regenerations:</strong> ${safety.regenerationFailures}</div>
+                </div>
+            </div>
+            <div class="report-section">
+                <h5>By Action</h5>
+                <div class="crisis-overview">${counts(safety.byAction)}</div>
+            </div>
+            <div class="report-section">
+                <h5>By Violation</h5>
+                <div class="crisis-overview">${counts(safety.byViolation)}</div>
+            </div>
+            <div class="report-section">
+                <h5>By Channel</h5>
+                <div class="crisis-overview">${counts(safety.byChannel)}</div>
+            </div>
+            <div class="report-section">
+                <h5>Recent Interventions</h5>
+                <table class="users-table">
+                    <thead>
+                        <tr><th>Time</th><th>Channel</th><th>Action</th><th>Violations</th><th>Original reply</th></tr>
+                    </thead>
+                    <tbody>
+                        ${safety.recentEvents.map(event => `
+                            <tr>
+                                <td>${new Date(event.createdAt).toLocaleString()}</td>
+                                <td>${this.escapeHtml(event.channel)} / ${this.escapeHtml(event.replyType)}</td>
+                                <td>${this.escapeHtml(event.action)}</td>
+                                <td>${this.escapeHtml(event.violations.join(', '))}</td>
+                                <td><small>${this.escapeHtml(event.originalExcerpt || '-')}</small></td>
+                            </tr>
+                        `).join('') || '<tr><td colspan="5">No interventions in this period</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
     async downloadReport(reportType, format) {
         try {
             // This would generate and download a formatted report
@@ -1788,15 +2324,25 @@ class AdminDashboard {
     // WebSocket functionality
     initializeWebSocket() {
         try {
+            // The server verifies the token and session during the handshake
             this.socket = io({
                 path: '/socket.io/',
-                transports: ['websocket', 'polling']
+                transports: ['websocket', 'polling'],
+                auth: { token: this.authToken }
             });
 
             this.socket.on('connect', () => {
                 console.log('Connected to real-time monitoring');
                 this.isConnected = true;
-                this.authenticateSocket();
+            });
+
+            this.socket.on('connect_error', (error) => {
+                console.error('Real-time monitoring connection refused:', error.message);
+            });
+
+            this.socket.on('session-ended', () => {
+                this.showError('Your session has ended. Please log in again.');
+                this.adminLogout();
             });
 
             this.socket.on('disconnect', () => {
@@ -1841,6 +2387,14 @@ class AdminDashboard {
                 this.handleAlertResolution(data);
             });
 
+            this.socket.on('alert-escalated', (data) => {
+                this.handleAlertEscalation(data);
+            });
+
+            this.socket.on('alert-auto-escalated', (data) => {
+                this.handleAlertEscalation(data);
+            });
+
             this.socket.on('notification', (notification) => {
                 this.handleNotification(notification);
             });
@@ -1858,16 +2412,6 @@ class AdminDashboard {
         }
     }
 
-    authenticateSocket() {
-        if (this.socket && this.authToken && this.currentUser) {
-            this.socket.emit('authenticate', {
-                token: this.authToken,
-                userRole: this.currentUser.role,
-                userId: this.currentUser.username
-            });
-        }
-    }
-
     subscribeToMonitoring() {
         if (this.socket) {
             this.socket.emit('subscribe-monitoring');
@@ -1912,16 +2456,22 @@ class AdminDashboard {
         const crisisAlertsList = document.getElementById('crisisAlertsList');
         if (!crisisAlertsList) return;
 
-        if (alerts.length === 0) {
+        const openAlerts = alerts.filter(alert => alert.status !== 'resolved');
+
+        if (openAlerts.length === 0) {
             crisisAlertsList.innerHTML = '<div style="color: #9ca3af; text-align: center; padding: 20px;">No active crisis alerts</div>';
         } else {
-            crisisAlertsList.innerHTML = alerts.map(alert => `
+            crisisAlertsList.innerHTML = openAlerts.map(alert => `
                 <div class="crisis-alert-item" data-alert-id="${alert.id}">
-                    <div><strong>Crisis Alert - ${alert.userId}</strong></div>
-                    <div>Severity: ${alert.severity} | ${this.formatTimeAgo(alert.createdAt)}</div>
-                    <div>Status: ${alert.status}</div>
+                    <div><strong>Crisis Alert - ${this.escapeHtml(alert.userId)}</strong></div>
+                    <div>Severity: ${alert.severity} | ${this.formatTimeAgo(alert.createdAt)}${alert.escalationLevel ? ` | Escalated x${alert.escalationLevel}` : ''}</div>
+                    <div class="alert-status">Status: ${alert.status.replace('_', ' ')}${alert.assignedTo ? ` | Assigned to ${this.escapeHtml(alert.assignedTo)}` : ''}</div>
+                    <div>Notes: ${alert.notes?.length || 0}</div>
                     <div class="alert-actions">
-                        <button class="action-btn" onclick="adminDashboard.acknowledgeAlert('${alert.id}')">Acknowledge</button>
+                        ${alert.status === 'open' ? `<button class="action-btn" onclick="adminDashboard.acknowledgeAlert('${alert.id}')">Acknowledge</button>` : ''}
+                        <button class="action-btn" onclick="adminDashboard.assignAlert('${alert.id}')">${alert.assignedTo ? 'Reassign' : 'Assign'}</button>
+                        ${['acknowledged', 'assigned'].includes(alert.status) ? `<button class="action-btn" onclick="adminDashboard.startAlert('${alert.id}')">Start</button>` : ''}
+                        <button class="action-btn" onclick="adminDashboard.addAlertNote('${alert.id}')">Add Note</button>
                         <button class="action-btn" onclick="adminDashboard.escalateAlert('${alert.id}')">Escalate</button>
                         <button class="action-btn" onclick="adminDashboard.resolveAlert('${alert.id}')">Resolve</button>
                     </div>
@@ -1951,7 +2501,11 @@ class AdminDashboard {
 
     handleNewCrisisAlert(alert) {
         // Show notification
-        this.showNotification(`New crisis alert: ${alert.severity} severity`, 'warning');
+        if (alert.source === 'peer-support') {
+            this.showNotification(`New crisis alert from a peer support ${alert.link.replyId ? 'reply' : 'post'}: ${alert.severity} severity`, 'warning');
+        } else {
+            this.showNotification(`New crisis alert: ${alert.severity} severity`, 'warning');
+        }
         
         // Play notification sound (if enabled)
         this.playNotificationSound();
@@ -1960,6 +2514,11 @@ class AdminDashboard {
         if (this.currentSection === 'monitoring') {
             this.loadCrisisAlerts();
         }
+
+        // Peer support alerts also land in the moderation queue
+        if (alert.source === 'peer-support' && this.currentSection === 'peer-moderation') {
+            this.loadModerationQueue();
+        }
     }
 
     handleCriticalAlert(alert) {
@@ -1974,16 +2533,25 @@ class AdminDashboard {
     }
 
     handleAlertUpdate(data) {
-        this.showNotification(`Alert ${data.alertId} acknowledged by ${data.acknowledgedBy}`, 'info');
+        const { alert } = data;
+        const assignee = alert.assignedTo ? ` (assigned to ${alert.assignedTo})` : '';
+        this.showNotification(`Alert ${data.alertId} is now ${alert.status.replace('_', ' ')}${assignee}`, 'info');
         
-        // Update the specific alert in the UI
-        const alertElement = document.querySelector(`[data-alert-id="${data.alertId}"]`);
-        if (alertElement) {
-            // Update alert status display
-            const statusElement = alertElement.querySelector('.alert-status');
-            if (statusElement) {
-                statusElement.textContent = `Status: ${data.alert.status}`;
-            }
+        if (this.currentSection === 'monitoring') {
+            this.loadCrisisAlerts();
+        }
+    }
+
+    handleAlertEscalation(data) {
+        const reasons = {
+            acknowledgement_sla: 'not acknowledged in time',
+            resolution_sla: 'not resolved in time'
+        };
+        const reason = reasons[data.reason] || `escalated by ${data.escalatedBy}`;
+        this.showNotification(`Alert ${data.alertId} escalated: ${reason}`, 'error');
+
+        if (this.currentSection === 'monitoring') {
+            this.loadCrisisAlerts();
         }
     }
 
@@ -2003,42 +2571,83 @@ class AdminDashboard {
 
     handleSystemAlert(alert) {
         this.showNotification(`System Alert: ${alert.message}`, 'warning');
+
+        // Lockouts change what the Users table shows
+        if (alert.category === 'security' && this.currentSection === 'users') {
+            this.loadUsersData();
+        }
+    }
+
+    // Alert management functions
+    acknowledgeAlert(alertId) {
+        if (this.socket) {
+            this.socket.emit('acknowledge-alert', alertId);
+        }
+    }
+
+    escalateAlert(alertId) {
+        if (confirm('Are you sure you want to escalate this alert?')) {
+            if (this.socket) {
+                this.socket.emit('escalate-alert', alertId);
+            }
+        }
+    }
+
+    // Post a lifecycle action for a crisis alert and refresh the list
+    async updateAlert(alertId, action, body = {}) {
+        try {
+            const response = await fetch(`/api/monitoring/alert/${alertId}/${action}`, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || `Failed to ${action} alert`);
+            }
+
+            this.loadCrisisAlerts();
+            return data.alert;
+        } catch (error) {
+            this.showError(`Failed to ${action} alert: ${error.message}`);
+            return null;
+        }
+    }
+
+    async assignAlert(alertId) {
+        const assignee = prompt('Assign to counselor (username):');
+        if (!assignee) return;
+
+        if (await this.updateAlert(alertId, 'assign', { assignee: assignee.trim() })) {
+            this.showSuccess(`Alert assigned to ${assignee.trim()}`);
+        }
     }
 
-    // Alert management functions
-    acknowledgeAlert(alertId) {
-        if (this.socket) {
-            this.socket.emit('acknowledge-alert', alertId);
+    async startAlert(alertId) {
+        if (await this.updateAlert(alertId, 'start')) {
+            this.showSuccess('Alert marked as in progress');
         }
     }
 
-    escalateAlert(alertId) {
-        if (confirm('Are you sure you want to escalate this alert?')) {
-            if (this.socket) {
-                this.socket.emit('escalate-alert', alertId);
-            }
+    async addAlertNote(alertId) {
+        const text = prompt('Note for this alert:');
+        if (!text) return;
+
+        if (await this.updateAlert(alertId, 'notes', { text })) {
+            this.showSuccess('Note added');
         }
     }
 
     async resolveAlert(alertId) {
-        if (confirm('Are you sure you want to resolve this alert?')) {
-            try {
-                const response = await fetch(`/api/monitoring/alert/${alertId}/resolve`, {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${this.authToken}`,
-                        'Content-Type': 'application/json'
-                    }
-                });
+        const resolution = prompt('How was this alert resolved?');
+        if (resolution === null) return;
 
-                if (response.ok) {
-                    this.showSuccess('Alert resolved successfully');
-                } else {
-                    throw new Error('Failed to resolve alert');
-                }
-            } catch (error) {
-                this.showError('Failed to resolve alert: ' + error.message);
-            }
+        if (await this.updateAlert(alertId, 'resolve', { resolution })) {
+            this.showSuccess('Alert resolved successfully');
         }
     }
 
@@ -2318,14 +2927,45 @@ class AdminDashboard {
                         <p>${booking.notes}</p>
                     </div>
                 ` : ''}
+                <div class="detail-item full-width">
+                    <button class="action-btn" onclick="adminDashboard.downloadBookingCalendar('${booking.id}')">📅 Add to calendar (.ics)</button>
+                </div>
             </div>
         `;
         
-        // Store current booking ID for actions
+        // Store current booking ID and version for actions
         modal.dataset.bookingId = booking.id;
+        modal.dataset.bookingVersion = booking.version ?? '';
         modal.style.display = 'flex';
     }
 
+    // The calendar route needs the bearer token, so it is fetched rather than linked
+    async downloadBookingCalendar(bookingId) {
+        try {
+            const response = await fetch(`/api/booking/appointments/${bookingId}/calendar.ics`, {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to download calendar file');
+            }
+
+            const downloadUrl = window.URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = downloadUrl;
+            link.download = `booking-${bookingId}.ics`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(downloadUrl);
+        } catch (error) {
+            console.error('Calendar download failed:', error);
+            this.showError('Failed to download calendar file');
+        }
+    }
+
     closeBookingDetailsModal() {
         document.getElementById('bookingDetailsModal').style.display = 'none';
     }
@@ -2333,6 +2973,7 @@ class AdminDashboard {
     async updateBookingStatus(newStatus) {
         const modal = document.getElementById('bookingDetailsModal');
         const bookingId = modal.dataset.bookingId;
+        const bookingVersion = modal.dataset.bookingVersion;
         
         if (!bookingId) return;
         
@@ -2346,10 +2987,19 @@ class AdminDashboard {
                 body: JSON.stringify({ 
                     status: newStatus,
                     notes: `Status updated to ${newStatus} by ${this.currentUser.username}`,
-                    assignedCounselor: this.currentUser.role === 'counselor' ? this.currentUser.username : null
+                    // Leave the booked counselor in place when an admin changes the status
+                    assignedCounselor: this.currentUser.role === 'counselor' ? this.currentUser.username : undefined,
+                    version: bookingVersion === '' ? undefined : Number(bookingVersion)
                 })
             });
 
+            if (response.status === 409) {
+                const result = await response.json();
+                this.showError(`${result.message}. Reload the booking and try again.`);
+                this.refreshBookings();
+                return;
+            }
+
             if (!response.ok) {
                 throw new Error('Failed to update booking status');
             }
@@ -2463,6 +3113,395 @@ class AdminDashboard {
             this.showError('Failed to filter bookings');
         }
     }
+
+    // Peer Support Moderation Methods
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    async loadModerationQueue() {
+        try {
+            const response = await fetch('/api/peer-support/moderation/queue', {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to fetch moderation queue');
+            }
+
+            const data = await response.json();
+            this.updateModerationQueueDisplay(data.items);
+
+            document.getElementById('highRiskModerationCount').textContent = data.items.filter(item => item.riskLevel === 'high').length;
+            document.getElementById('mediumRiskModerationCount').textContent = data.items.filter(item => item.riskLevel === 'medium').length;
+            document.getElementById('totalModerationCount').textContent = data.total;
+        } catch (error) {
+            console.error('Error loading moderation queue:', error);
+            this.showError('Failed to load moderation queue');
+        }
+    }
+
+    updateModerationQueueDisplay(items) {
+        const tbody = document.getElementById('moderationQueueTableBody');
+        tbody.innerHTML = '';
+
+        if (items.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6">No posts or replies awaiting review</td></tr>';
+            return;
+        }
+
+        items.forEach(item => {
+            const replyArg = item.replyId ? `'${item.replyId}'` : 'null';
+            const content = item.content.length > 120 ? item.content.substring(0, 120) + '...' : item.content;
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><span class="risk-badge ${item.riskLevel}">${item.riskLevel}</span></td>
+                <td>${item.type === 'reply' ? `Reply on "${this.escapeHtml(item.postTitle)}"` : 'Post'}</td>
+                <td>
+                    ${item.type === 'post' ? `<strong>${this.escapeHtml(item.postTitle)}</strong><br>` : ''}
+                    ${this.escapeHtml(content)}
+                    ${item.isHidden ? '<br><em>Hidden pending review</em>' : ''}
+                </td>
+                <td>
+                    ${item.flaggedKeywords.length > 0 ? this.escapeHtml(item.flaggedKeywords.join(', ')) : ''}
+                    ${item.reportCount > 0 ? `<br>🚩 ${item.reportCount} report${item.reportCount !== 1 ? 's' : ''}: ${item.reportReasons.join(', ')}` : ''}
+                </td>
+                <td>${item.timeAgo}</td>
+                <td>
+                    <button class="confirm-booking-btn" onclick="moderatePeerContent('${item.postId}', ${replyArg}, 'approve')">
+                        ✓ Approve
+                    </button>
+                    <button class="cancel-booking-btn" onclick="moderatePeerContent('${item.postId}', ${replyArg}, 'hide')">
+                        ✖ Hide
+                    </button>
+                    <button class="view-booking-btn" onclick="viewModerationDetails('${item.postId}')">
+                        👁️ History
+                    </button>
+                </td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    async moderatePeerContent(postId, replyId, action) {
+        const notes = prompt(`Notes for ${action} (optional):`) || '';
+        const url = replyId
+            ? `/api/peer-support/moderation/posts/${postId}/replies/${replyId}`
+            : `/api/peer-support/moderation/posts/${postId}`;
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ action, notes })
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to moderate content');
+            }
+
+            this.showSuccess(`${replyId ? 'Reply' : 'Post'} ${action === 'hide' ? 'hidden' : 'approved'}`);
+            await this.loadModerationQueue();
+
+            const modal = document.getElementById('moderationDetailsModal');
+            if (modal.style.display !== 'none' && modal.dataset.postId === postId) {
+                await this.viewModerationDetails(postId);
+            }
+        } catch (error) {
+            console.error('Error moderating peer content:', error);
+            this.showError('Failed to moderate content');
+        }
+    }
+
+    async viewModerationDetails(postId) {
+        try {
+            const response = await fetch(`/api/peer-support/moderation/posts/${postId}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.authToken}`,
+                    'Content-Type': 'application/json'
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to fetch moderation details');
+            }
+
+            const data = await response.json();
+            this.showModerationDetailsModal(data.post);
+        } catch (error) {
+            console.error('Error fetching moderation details:', error);
+            this.showError('Failed to load moderation details');
+        }
+    }
+
+    renderModerationHistory(history) {
+        if (!history || history.length === 0) {
+            return '<p>No moderation activity</p>';
+        }
+
+        return `
+            <ul class="moderation-history">
+                ${history.map(entry => `
+                    <li>
+                        <strong>${entry.action}</strong>
+                        by ${this.escapeHtml(entry.moderatorName || entry.moderatorId)}
+                        on ${new Date(entry.at).toLocaleString()}
+                        ${entry.previousStatus ? `(${entry.previousStatus} → ${entry.status})` : ''}
+                        ${entry.notes ? `<br><em>${this.escapeHtml(entry.notes)}</em>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    showModerationDetailsModal(post) {
+        const modal = document.getElementById('moderationDetailsModal');
+        const content = document.getElementById('moderationDetailsContent');
+
+        content.innerHTML = `
+            <div class="booking-detail-grid">
+                <div class="detail-item full-width">
+                    <strong>${this.escapeHtml(post.title)}</strong>
+                    <p>${this.escapeHtml(post.content)}</p>
+                </div>
+                <div class="detail-item">
+                    <strong>Status:</strong>
+                    <span class="booking-status-badge ${post.moderationStatus}">${post.moderationStatus}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>Risk Level:</strong>
+                    <span class="risk-badge ${post.riskLevel}">${post.riskLevel}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>Pinned / Locked:</strong>
+                    <span>${post.isPinned ? 'Yes' : 'No'} / ${post.isLocked ? 'Yes' : 'No'}</span>
+                </div>
+                <div class="detail-item">
+                    <strong>Reports:</strong>
+                    <span>${post.reports.length}</span>
+                </div>
+                <div class="detail-item full-width">
+                    <strong>Post History:</strong>
+                    ${this.renderModerationHistory(post.moderationHistory)}
+                </div>
+                ${post.replies.filter(reply => reply.moderationHistory.length > 0).map(reply => `
+                    <div class="detail-item full-width">
+                        <strong>Reply by ${this.escapeHtml(reply.authorName)} (${reply.moderationStatus}${reply.isHidden ? ', hidden' : ''}${reply.reports.length > 0 ? `, ${reply.reports.length} reports` : ''}):</strong>
+                        <p>${this.escapeHtml(reply.content)}</p>
+                        ${this.renderModerationHistory(reply.moderationHistory)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        modal.dataset.postId = post.id;
+        modal.style.display = 'flex';
+    }
+
+    closeModerationDetailsModal() {
+        document.getElementById('moderationDetailsModal').style.display = 'none';
+    }
+
+    async refreshModerationQueue() {
+        await this.loadModerationQueue();
+    }
+
+    // AI Prompt Methods
+    async promptRequest(path, method = 'GET', body) {
+        const response = await fetch(`/api/conversational-ai/prompts${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${this.authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Request failed');
+        }
+        return data;
+    }
+
+    async loadPrompts() {
+        try {
+            this.promptData = await this.promptRequest('');
+            this.updatePromptTemplatesDisplay(this.promptData.templates);
+
+            const languageOptions = this.promptData.languages
+                .map(language => `<option value="${language}">${language}</option>`)
+                .join('');
+            ['promptPreviewLanguage', 'promptVariablesLanguage'].forEach(id => {
+                const select = document.getElementById(id);
+                const selected = select.value;
+                select.innerHTML = languageOptions;
+                select.value = selected || this.promptData.languages[0];
+            });
+
+            const templateSelect = document.getElementById('promptTemplateSelect');
+            const selectedTemplate = templateSelect.value;
+            templateSelect.innerHTML = this.promptData.templates
+                .map(template => `<option value="${template.name}">${template.name}</option>`)
+                .join('');
+
+            if (!selectedTemplate) {
+                await this.editPromptVersion(this.promptData.templates[0].name);
+            } else {
+                templateSelect.value = selectedTemplate;
+            }
+            this.showPromptVariables();
+        } catch (error) {
+            console.error('Error loading prompts:', error);
+            this.showError('Failed to load prompt templates');
+        }
+    }
+
+    updatePromptTemplatesDisplay(templates) {
+        document.getElementById('promptTemplatesTableBody').innerHTML = templates.map(template => `
+            <tr>
+                <td>
+                    <strong>${template.name}</strong><br>
+                    ${this.escapeHtml(template.description)}
+                </td>
+                <td>v${template.activeVersion}</td>
+                <td>
+                    ${template.versions.map(version => `
+                        <div>
+                            v${version.version} by ${this.escapeHtml(version.createdBy)}
+                            ${version.notes ? `<em>${this.escapeHtml(version.notes)}</em>` : ''}
+                            ${version.active ? '(active)' : `
+                                <button class="confirm-booking-btn" onclick="activatePromptVersion('${template.name}', ${version.version})">
+                                    ✓ Activate
+                                </button>
+                            `}
+                            <button class="view-booking-btn" onclick="editPromptVersion('${template.name}', ${version.version})">
+                                ✏️ Edit
+                            </button>
+                        </div>
+                    `).join('')}
+                </td>
+                <td>
+                    <button class="view-booking-btn" onclick="editPromptVersion('${template.name}')">
+                        ✏️ Edit Active
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async editPromptVersion(name, version) {
+        try {
+            const selected = version || this.promptData.templates.find(template => template.name === name).activeVersion;
+            const { template } = await this.promptRequest(`/${name}/versions/${selected}`);
+
+            document.getElementById('promptTemplateSelect').value = name;
+            document.getElementById('promptContent').value = template.content;
+            document.getElementById('promptNotes').value = '';
+            document.getElementById('promptPreview').innerHTML = '';
+            document.getElementById('promptEditorStatus').textContent =
+                `Editing a copy of v${template.version}${template.active ? ' (active)' : ''}. Saving creates a new version.`;
+        } catch (error) {
+            console.error('Error loading prompt version:', error);
+            this.showError('Failed to load prompt version');
+        }
+    }
+
+    async previewPrompt() {
+        const name = document.getElementById('promptTemplateSelect').value;
+
+        try {
+            const { prompt, test } = await this.promptRequest(`/${name}/preview`, 'POST', {
+                content: document.getElementById('promptContent').value,
+                language: document.getElementById('promptPreviewLanguage').value,
+                institution: document.getElementById('promptPreviewInstitution').value.trim() || undefined,
+                message: document.getElementById('promptTestMessage').value.trim() || undefined
+            });
+
+            document.getElementById('promptPreview').innerHTML = `
+                <pre class="prompt-preview">${this.escapeHtml(prompt.content)}</pre>
+                ${prompt.missingVariables.length > 0
+                    ? `<p>⚠️ Unknown variables: ${this.escapeHtml(prompt.missingVariables.join(', '))}</p>`
+                    : ''}
+                ${test ? `<p><strong>Model reply:</strong> ${this.escapeHtml(test.reply || test.error)}</p>` : ''}
+            `;
+        } catch (error) {
+            console.error('Error previewing prompt:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async savePromptVersion() {
+        const name = document.getElementById('promptTemplateSelect').value;
+
+        try {
+            const { template } = await this.promptRequest(`/${name}/versions`, 'POST', {
+                content: document.getElementById('promptContent').value,
+                notes: document.getElementById('promptNotes').value.trim() || undefined
+            });
+
+            this.showSuccess(`Saved ${name} v${template.version}. Activate it to use it in chats.`);
+            await this.loadPrompts();
+            await this.editPromptVersion(name, template.version);
+        } catch (error) {
+            console.error('Error saving prompt version:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async activatePromptVersion(name, version) {
+        if (!confirm(`Use ${name} v${version} for new chat replies?`)) {
+            return;
+        }
+
+        try {
+            await this.promptRequest(`/${name}/versions/${version}/activate`, 'POST');
+            this.showSuccess(`${name} v${version} is now active`);
+            await this.loadPrompts();
+        } catch (error) {
+            console.error('Error activating prompt version:', error);
+            this.showError(error.message);
+        }
+    }
+
+    showPromptVariables() {
+        const institution = document.getElementById('promptVariablesInstitution').value.trim();
+        const language = document.getElementById('promptVariablesLanguage').value;
+        const entry = (this.promptData?.variables || [])
+            .find(variables => variables.institution === institution && variables.language === language);
+
+        document.getElementById('promptVariablesValues').value = JSON.stringify(entry ? entry.values : {}, null, 2);
+    }
+
+    async savePromptVariables() {
+        const institution = document.getElementById('promptVariablesInstitution').value.trim();
+        const language = document.getElementById('promptVariablesLanguage').value;
+
+        let values;
+        try {
+            values = JSON.parse(document.getElementById('promptVariablesValues').value);
+        } catch (error) {
+            this.showError('Values must be valid JSON');
+            return;
+        }
+
+        try {
+            await this.promptRequest(`/variables/${encodeURIComponent(institution)}/${language}`, 'PUT', { values });
+            this.showSuccess(`Variables saved for ${institution} (${language})`);
+            await this.loadPrompts();
+        } catch (error) {
+            console.error('Error saving prompt variables:', error);
+            this.showError(error.message);
+        }
+    }
 }
 
 // Global functions for HTML event handlers
@@ -2472,6 +3511,10 @@ function handleAdminLogin(event) {
     adminDashboard.handleAdminLogin(event);
 }
 
+function handleAdminMfa(event) {
+    adminDashboard.handleAdminMfa(event);
+}
+
 function adminLogout() {
     adminDashboard.adminLogout();
 }
@@ -2558,6 +3601,56 @@ function updateBookingStatus(status) {
     adminDashboard.updateBookingStatus(status);
 }
 
+// Peer Moderation Global Functions
+function refreshModerationQueue() {
+    adminDashboard.refreshModerationQueue();
+}
+
+function moderatePeerContent(postId, replyId, action) {
+    adminDashboard.moderatePeerContent(postId, replyId, action);
+}
+
+function viewModerationDetails(postId) {
+    adminDashboard.viewModerationDetails(postId);
+}
+
+// AI Prompt Global Functions
+function refreshPrompts() {
+    adminDashboard.loadPrompts();
+}
+
+function editPromptVersion(name, version) {
+    adminDashboard.editPromptVersion(name, version);
+}
+
+function previewPrompt() {
+    adminDashboard.previewPrompt();
+}
+
+function savePromptVersion() {
+    adminDashboard.savePromptVersion();
+}
+
+function activatePromptVersion(name, version) {
+    adminDashboard.activatePromptVersion(name, version);
+}
+
+function showPromptVariables() {
+    adminDashboard.showPromptVariables();
+}
+
+function savePromptVariables() {
+    adminDashboard.savePromptVariables();
+}
+
+function closeLoginHistoryModal() {
+    adminDashboard.closeLoginHistoryModal();
+}
+
+function closeModerationDetailsModal() {
+    adminDashboard.closeModerationDetailsModal();
+}
+
 // Initialize dashboard when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     adminDashboard = new AdminDashboard();
@@ -2576,6 +3669,14 @@ class ScreeningResponsesManager {
         this.lastUpdateTime = null;
     }
 
+    // The dashboard owns the login session and keeps its access token refreshed
+    authHeaders(headers = {}) {
+        return {
+            'Authorization': `Bearer ${adminDashboard.authToken}`,
+            ...headers
+        };
+    }
+
     async loadScreeningResponses(page = 1) {
         try {
             console.log('Loading screening responses, page:', page);
@@ -2587,7 +3688,9 @@ class ScreeningResponsesManager {
                 ...this.currentFilters
             });
 
-            const response = await fetch(`/api/screening-responses/admin/responses?${params}`);
+            const response = await fetch(`/api/screening-responses/admin/responses?${params}`, {
+                headers: this.authHeaders()
+            });
             const data = await response.json();
             console.log('Screening responses data:', data);
 
@@ -2608,7 +3711,9 @@ class ScreeningResponsesManager {
     async loadScreeningOverview() {
         try {
             console.log('Loading screening overview...');
-            const response = await fetch('/api/screening-responses/admin/overview');
+            const response = await fetch('/api/screening-responses/admin/overview', {
+                headers: this.authHeaders()
+            });
             const data = await response.json();
             console.log('Screening overview response:', data);
 
@@ -2859,7 +3964,9 @@ class ScreeningResponsesManager {
 
     async viewResponseDetail(responseId) {
         try {
-            const response = await fetch(`/api/screening-responses/admin/response/${responseId}`);
+            const response = await fetch(`/api/screening-responses/admin/response/${responseId}`, {
+                headers: this.authHeaders()
+            });
             const data = await response.json();
 
             if (data.success) {
@@ -2895,7 +4002,7 @@ class ScreeningResponsesManager {
                         </div>
                         <div class="detail-item">
                             <label><span data-en="Tool Used:" data-mr="वापरलेले साधन:">Tool Used:</span></label>
-                            <span>${response.toolName}</span>
+                            <span>${response.toolName}${response.toolVersion ? ` (v${response.toolVersion})` : ''}</span>
                         </div>
                         <div class="detail-item">
                             <label><span data-en="Language:" data-mr="भाषा:">Language:</span></label>
@@ -2924,6 +4031,15 @@ class ScreeningResponsesManager {
                                 ${response.results.isAboveThreshold ? 'Yes' : 'No'}
                             </span>
                         </div>
+                        ${response.results.subscales ? Object.entries(response.results.subscales).map(([name, subscale]) => `
+                            <div class="result-item">
+                                <label>${name.charAt(0).toUpperCase() + name.slice(1)}:</label>
+                                <span>${subscale.score}/${subscale.maxScore}</span>
+                                <span class="severity-badge severity-${subscale.level}">
+                                    ${this.formatSeverityLevel(subscale.level)}
+                                </span>
+                            </div>
+                        `).join('') : ''}
                     </div>
                 </div>
 
@@ -2972,7 +4088,7 @@ class ScreeningResponsesManager {
                                 ${response.responses.map(resp => `
                                     <tr>
                                         <td>${resp.questionText}</td>
-                                        <td>${this.getResponseText(resp.response)}</td>
+                                        <td>${this.getResponseText(resp.response, response.toolName)}</td>
                                         <td>${resp.response}</td>
                                     </tr>
                                 `).join('')}
@@ -3036,13 +4152,12 @@ class ScreeningResponsesManager {
         try {
             const response = await fetch(`/api/screening-responses/admin/response/${this.selectedResponseId}`, {
                 method: 'PUT',
-                headers: {
+                headers: this.authHeaders({
                     'Content-Type': 'application/json'
-                },
+                }),
                 body: JSON.stringify({
                     status,
                     adminNote: adminNote || undefined,
-                    adminUser: this.getCurrentAdminUser(),
                     counselorAssigned: counselorAssigned || undefined
                 })
             });
@@ -3067,13 +4182,12 @@ class ScreeningResponsesManager {
             try {
                 const response = await fetch(`/api/screening-responses/admin/response/${responseId}`, {
                     method: 'PUT',
-                    headers: {
+                    headers: this.authHeaders({
                         'Content-Type': 'application/json'
-                    },
+                    }),
                     body: JSON.stringify({
                         status: 'reviewed',
-                        adminNote: 'Crisis response initiated',
-                        adminUser: this.getCurrentAdminUser()
+                        adminNote: 'Crisis response initiated'
                     })
                 });
 
@@ -3153,7 +4267,7 @@ class ScreeningResponsesManager {
     getRiskLevel(response) {
         if (response.crisisIndicators.requiresImmediateAttention) return 'critical';
         if (response.crisisIndicators.hasCrisisAlerts) return 'high';
-        if (['severe', 'moderately_severe'].includes(response.results.severityLevel)) return 'elevated';
+        if (['severe', 'moderately_severe', 'extremely_severe', 'high', 'positive'].includes(response.results.severityLevel)) return 'elevated';
         if (response.results.severityLevel === 'moderate') return 'moderate';
         return 'low';
     }
@@ -3185,7 +4299,12 @@ class ScreeningResponsesManager {
             moderately_severe: 'Moderately Severe',
             severe: 'Severe',
             normal: 'Normal',
-            distressed: 'Distressed'
+            distressed: 'Distressed',
+            extremely_severe: 'Extremely Severe',
+            low: 'Low',
+            high: 'High',
+            negative: 'Negative',
+            positive: 'Positive'
         };
         return levels[level] || level;
     }
@@ -3200,20 +4319,18 @@ class ScreeningResponsesManager {
         return statuses[status] || status;
     }
 
-    getResponseText(value) {
-        const responses = {
-            0: 'Not at all',
-            1: 'Several days',
-            2: 'More than half the days',
-            3: 'Nearly every day'
+    getResponseText(value, toolName) {
+        const responsesByTool = {
+            'GHQ-12': ['Better than usual', 'Same as usual', 'Less than usual', 'Much less than usual'],
+            'PSS-10': ['Never', 'Almost never', 'Sometimes', 'Fairly often', 'Very often'],
+            'DASS-21': ['Did not apply', 'Applied some of the time', 'Applied a good part of time', 'Applied most of the time'],
+            'PC-PTSD-5': ['No', 'Yes']
         };
+        const responses = responsesByTool[toolName] ||
+            ['Not at all', 'Several days', 'More than half the days', 'Nearly every day'];
         return responses[value] || value;
     }
 
-    getCurrentAdminUser() {
-        return localStorage.getItem('adminUsername') || 'admin';
-    }
-
     showSuccess(message) {
         // Implement success notification
         console.log('Success:', message);
@@ -3345,11 +4462,15 @@ window.testScreeningData = async function() {
     
     try {
         // Test API endpoints
-        const overviewResponse = await fetch('/api/screening-responses/admin/overview');
+        const overviewResponse = await fetch('/api/screening-responses/admin/overview', {
+            headers: screeningManager.authHeaders()
+        });
         const overviewData = await overviewResponse.json();
         console.log('✅ Overview API:', overviewData);
         
-        const responsesResponse = await fetch('/api/screening-responses/admin/responses?page=1&limit=20&sortBy=completedAt&sortOrder=desc');
+        const responsesResponse = await fetch('/api/screening-responses/admin/responses?page=1&limit=20&sortBy=completedAt&sortOrder=desc', {
+            headers: screeningManager.authHeaders()
+        });
         const responsesData = await responsesResponse.json();
         console.log('✅ Responses API:', responsesData);
         
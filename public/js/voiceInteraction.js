@@ -11,7 +11,11 @@ class VoiceInteractionManager {
       visualizerEnabled: options.visualizerEnabled !== false,
       animationsEnabled: options.animationsEnabled !== false,
       autoPlayResponse: options.autoPlayResponse !== false,
-      voiceProfile: options.voiceProfile || 'supportive'
+      voiceProfile: options.voiceProfile || 'supportive',
+      authToken: options.authToken || null, // Student access token, sent in the voice socket handshake
+      // Stream over socket.io when the client library is loaded, else upload via HTTP
+      streaming: options.streaming !== false && typeof window !== 'undefined' && typeof window.io === 'function',
+      chunkInterval: options.chunkInterval || 250 // ms of audio per streamed chunk
     };
 
     this.state = {
@@ -22,7 +26,11 @@ class VoiceInteractionManager {
       mediaRecorder: null,
       audioContext: null,
       analyser: null,
-      animationFrame: null
+      animationFrame: null,
+      socket: null,
+      chunkQueue: Promise.resolve(),
+      currentAudio: null,
+      stopPlayback: null
     };
 
     this.elements = {};
@@ -35,6 +43,7 @@ class VoiceInteractionManager {
       onPlaybackEnd: options.onPlaybackEnd || (() => {}),
       onError: options.onError || console.error,
       onTranscription: options.onTranscription || (() => {}),
+      onPartialTranscription: options.onPartialTranscription || (() => {}),
       onResponse: options.onResponse || (() => {})
     };
   }
@@ -63,7 +72,11 @@ class VoiceInteractionManager {
       this.bindEvents();
 
       // Start a conversation session
-      await this.startSession();
+      if (this.config.streaming) {
+        this.connectStream();
+      } else {
+        await this.startSession();
+      }
 
       console.log('Voice interaction system initialized successfully');
     } catch (error) {
@@ -520,12 +533,113 @@ class VoiceInteractionManager {
     }
   }
 
+  /**
+   * Open the real-time voice channel and start a streamed session
+   * @private
+   */
+  connectStream() {
+    const socket = window.io('/voice', {
+      path: '/socket.io/',
+      auth: this.config.authToken ? { token: this.config.authToken } : {}
+    });
+    this.state.socket = socket;
+
+    socket.on('connect', () => {
+      socket.emit('start-stream', {
+        language: 'en',
+        voiceProfile: this.config.voiceProfile,
+        contentType: 'audio/webm'
+      });
+    });
+
+    socket.on('connect_error', (error) => {
+      // Fall back to HTTP uploads when the socket cannot connect
+      this.callbacks.onError('Voice streaming unavailable, using uploads:', error);
+      socket.close();
+      this.state.socket = null;
+      this.config.streaming = false;
+      this.startSession();
+    });
+
+    socket.on('stream-started', (data) => {
+      this.state.currentSession = data.sessionId;
+      this.updateStatus('Ready to listen');
+    });
+
+    socket.on('partial-transcript', (data) => {
+      this.elements.currentTranscription.textContent = data.text;
+      this.callbacks.onPartialTranscription(data.text);
+    });
+
+    socket.on('final-transcript', (data) => {
+      this.elements.currentTranscription.textContent = '';
+      this.addMessageToHistory('user', data.text);
+      this.callbacks.onTranscription(data.text);
+    });
+
+    socket.on('ai-response', (data) => {
+      this.addMessageToHistory('assistant', data.text);
+      this.callbacks.onResponse(data.text);
+    });
+
+    socket.on('tts-audio', async (data) => {
+      this.finishStreamedTurn();
+      if (this.config.autoPlayResponse) {
+        await this.playAudioBuffer(data.audio, data.contentType);
+      }
+      this.showSuccessAnimation();
+    });
+
+    socket.on('response-cancelled', () => {
+      this.finishStreamedTurn();
+    });
+
+    socket.on('stream-error', (data) => {
+      this.finishStreamedTurn();
+      this.callbacks.onError('Voice stream error:', new Error(data.message));
+      this.showError(data.message || 'Failed to process your message');
+    });
+  }
+
+  /**
+   * Interrupt the reply that is being prepared or played
+   * @private
+   */
+  bargeIn() {
+    this.stopAudioPlayback();
+    if (this.state.socket) {
+      this.state.socket.emit('barge-in');
+    }
+  }
+
+  /**
+   * Reset processing state once a streamed turn has an outcome
+   * @private
+   */
+  finishStreamedTurn() {
+    if (!this.state.isProcessing) return;
+
+    this.state.isProcessing = false;
+    this.resetUI();
+    this.callbacks.onProcessingComplete();
+  }
+
   /**
    * Start recording audio
    * @private
    */
   async startRecording() {
-    if (this.state.isRecording || this.state.isProcessing) return;
+    if (this.state.isRecording) return;
+
+    const streaming = this.config.streaming && this.state.socket;
+
+    if (streaming && (this.state.isProcessing || this.state.isPlaying)) {
+      // Speaking over the assistant cancels its reply
+      this.bargeIn();
+      this.finishStreamedTurn();
+    } else if (this.state.isProcessing) {
+      return;
+    }
 
     try {
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -535,14 +649,33 @@ class VoiceInteractionManager {
       this.state.isRecording = true;
 
       this.state.mediaRecorder.ondataavailable = (event) => {
-        this.state.audioChunks.push(event.data);
+        if (streaming) {
+          // Keep chunks in order even though Blob reads are asynchronous
+          this.state.chunkQueue = this.state.chunkQueue
+            .then(() => event.data.arrayBuffer())
+            .then((buffer) => this.state.socket.emit('audio-chunk', buffer));
+        } else {
+          this.state.audioChunks.push(event.data);
+        }
       };
 
       this.state.mediaRecorder.onstop = () => {
-        this.processRecording();
+        if (streaming) {
+          this.state.isProcessing = true;
+          this.callbacks.onProcessingStart();
+          this.state.chunkQueue = this.state.chunkQueue
+            .then(() => this.state.socket.emit('end-utterance'))
+            .catch((error) => this.callbacks.onError('Failed to stream recording:', error));
+        } else {
+          this.processRecording();
+        }
       };
 
-      this.state.mediaRecorder.start();
+      if (streaming) {
+        this.state.mediaRecorder.start(this.config.chunkInterval);
+      } else {
+        this.state.mediaRecorder.start();
+      }
 
       // Update UI
       this.elements.recordButton.classList.add('recording');
@@ -661,27 +794,47 @@ class VoiceInteractionManager {
    * @private
    */
   async playAudioResponse(audioData) {
+    // Convert base64 audio to array buffer
+    const audioBuffer = this.base64ToArrayBuffer(audioData.buffer);
+    return this.playAudioBuffer(audioBuffer, audioData.contentType);
+  }
+
+  /**
+   * Play raw audio; resolves when playback ends or is interrupted
+   * @private
+   */
+  async playAudioBuffer(audioBuffer, contentType) {
     try {
+      this.stopAudioPlayback();
+
       this.state.isPlaying = true;
       this.updateStatus('AI is responding...');
       this.callbacks.onPlaybackStart();
 
-      // Convert base64 audio to blob
-      const audioBuffer = this.base64ToArrayBuffer(audioData.buffer);
-      const audioBlob = new Blob([audioBuffer], { type: audioData.contentType });
+      const audioBlob = new Blob([audioBuffer], { type: contentType });
       const audioUrl = URL.createObjectURL(audioBlob);
 
       // Create audio element and play
       const audio = new Audio(audioUrl);
+      this.state.currentAudio = audio;
       
       return new Promise((resolve) => {
-        audio.onended = () => {
+        const finish = () => {
+          if (this.state.currentAudio !== audio) return;
+          this.state.currentAudio = null;
+          this.state.stopPlayback = null;
           this.state.isPlaying = false;
           this.callbacks.onPlaybackEnd();
           URL.revokeObjectURL(audioUrl);
           resolve();
         };
 
+        audio.onended = finish;
+        this.state.stopPlayback = () => {
+          audio.pause();
+          finish();
+        };
+
         audio.play();
       });
 
@@ -691,6 +844,16 @@ class VoiceInteractionManager {
     }
   }
 
+  /**
+   * Stop the reply that is currently playing, if any
+   * @private
+   */
+  stopAudioPlayback() {
+    if (this.state.stopPlayback) {
+      this.state.stopPlayback();
+    }
+  }
+
   /**
    * Start audio visualizer
    * @private
@@ -877,6 +1040,16 @@ class VoiceInteractionManager {
   async endSession() {
     if (!this.state.currentSession) return;
 
+    if (this.state.socket) {
+      this.stopAudioPlayback();
+      this.state.socket.emit('end-stream');
+      this.state.socket.close();
+      this.state.socket = null;
+      this.state.currentSession = null;
+      this.updateStatus('Session ended');
+      return;
+    }
+
     try {
       await fetch(`${this.config.apiBaseUrl}/voice-conversation/${this.state.currentSession}`, {
         method: 'DELETE'
@@ -166,6 +166,134 @@ class ProgressiveLoadingManager {
         });
     }
 
+    /**
+     * Render a server-sent event chat stream as tokens arrive
+     * Tokens are raw model output; the final `done` payload has been through
+     * crisis detection and enhancement on the server and replaces them.
+     * @param {string} url - Streaming endpoint, e.g. /api/conversational-ai/chat/stream
+     * @param {Object} body - JSON request body
+     * @param {HTMLElement} messageElement - Element the reply is written into
+     * @param {Object} options - Streaming options (headers, onToken, onComplete, signal)
+     * @returns {Promise<Object>} Final chat payload from the `done` event
+     */
+    async streamAIResponse(url, body, messageElement, options = {}) {
+        const startTime = performance.now();
+
+        messageElement.classList.add('loading');
+        messageElement.innerHTML = '';
+
+        const typingIndicator = this.createTypingIndicator();
+        messageElement.appendChild(typingIndicator);
+
+        let streamedContent = '';
+        let finalPayload = null;
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    ...options.headers,
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify(body),
+                signal: options.signal
+            });
+
+            if (!response.ok || !response.body) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (!finalPayload) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const parsed = this.parseSSEEvents(buffer);
+                buffer = parsed.remainder;
+
+                for (const sseEvent of parsed.events) {
+                    if (sseEvent.event === 'token') {
+                        if (typingIndicator.parentNode) {
+                            typingIndicator.remove();
+                        }
+                        streamedContent += sseEvent.data.content;
+                        messageElement.innerHTML = this.formatContent(streamedContent);
+                        this.metrics.chunksProcessed++;
+
+                        if (options.onToken) {
+                            options.onToken(sseEvent.data.content, streamedContent);
+                        }
+                    } else if (sseEvent.event === 'done') {
+                        finalPayload = sseEvent.data;
+                    } else if (sseEvent.event === 'error') {
+                        throw new Error(sseEvent.data.message || 'Streaming failed');
+                    }
+                }
+            }
+
+            if (!finalPayload) {
+                throw new Error('Stream ended before the response was complete');
+            }
+
+            // The server-checked message is authoritative
+            messageElement.innerHTML = this.formatContent(finalPayload.message);
+            messageElement.classList.remove('loading');
+            messageElement.classList.add('loaded');
+
+            if (options.onComplete) {
+                options.onComplete(finalPayload);
+            }
+
+            return finalPayload;
+
+        } finally {
+            if (typingIndicator.parentNode) {
+                typingIndicator.remove();
+            }
+            this.updateMetrics(performance.now() - startTime);
+        }
+    }
+
+    /**
+     * Parse complete server-sent events out of a text buffer
+     * @param {string} buffer - Buffered stream text
+     * @returns {Object} Parsed events and the unconsumed remainder
+     */
+    parseSSEEvents(buffer) {
+        const events = [];
+        const frames = buffer.split('\n\n');
+        const remainder = frames.pop();
+
+        for (const frame of frames) {
+            let event = 'message';
+            let data = '';
+
+            for (const line of frame.split('\n')) {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            }
+
+            if (data) {
+                try {
+                    events.push({ event, data: JSON.parse(data) });
+                } catch (error) {
+                    console.warn('Ignoring malformed stream event:', error);
+                }
+            }
+        }
+
+        return { events, remainder };
+    }
+
     /**
      * Preload content for faster access
      * @param {Function|string} preloadTarget - Function to call or content to preload
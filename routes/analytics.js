@@ -1,19 +1,15 @@
 const express = require('express');
 const AuthMiddleware = require('../middleware/authMiddleware');
 const AnalyticsService = require('../services/analyticsService');
+const SafetyGateService = require('../services/safetyGateService');
 
 const router = express.Router();
 const authMiddleware = new AuthMiddleware();
 const analyticsService = new AnalyticsService();
-
-// Middleware to ensure only admin and counselor access
-const requireAdminOrCounselor = [
-  authMiddleware.authenticate,
-  authMiddleware.adminOrCounselor
-];
+const safetyGate = SafetyGateService.getDefault();
 
 // Get usage statistics (overview data)
-router.get('/usage', requireAdminOrCounselor, (req, res) => {
+router.get('/usage', authMiddleware.authenticate, authMiddleware.authorize('analytics:read'), (req, res) => {
   try {
     const stats = analyticsService.getUsageStatistics();
     res.status(200).json({
@@ -29,7 +25,7 @@ router.get('/usage', requireAdminOrCounselor, (req, res) => {
 });
 
 // Get analytics by date range
-router.get('/range', requireAdminOrCounselor, (req, res) => {
+router.get('/range', authMiddleware.authenticate, authMiddleware.authorize('analytics:read'), (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     
@@ -56,7 +52,7 @@ router.get('/range', requireAdminOrCounselor, (req, res) => {
 });
 
 // Get daily analytics
-router.get('/daily/:date?', requireAdminOrCounselor, (req, res) => {
+router.get('/daily/:date?', authMiddleware.authenticate, authMiddleware.authorize('analytics:read'), (req, res) => {
   try {
     const { date } = req.params;
     const analytics = analyticsService.getDailyAnalytics(date);
@@ -81,7 +77,7 @@ router.get('/daily/:date?', requireAdminOrCounselor, (req, res) => {
 });
 
 // Get weekly analytics
-router.get('/weekly', requireAdminOrCounselor, (req, res) => {
+router.get('/weekly', authMiddleware.authenticate, authMiddleware.authorize('analytics:read'), (req, res) => {
   try {
     const analytics = analyticsService.getWeeklyAnalytics();
     
@@ -99,7 +95,7 @@ router.get('/weekly', requireAdminOrCounselor, (req, res) => {
 });
 
 // Get monthly analytics
-router.get('/monthly', requireAdminOrCounselor, (req, res) => {
+router.get('/monthly', authMiddleware.authenticate, authMiddleware.authorize('analytics:read'), (req, res) => {
   try {
     const analytics = analyticsService.getMonthlyAnalytics();
     
@@ -117,7 +113,7 @@ router.get('/monthly', requireAdminOrCounselor, (req, res) => {
 });
 
 // Get topic trends
-router.get('/topics', requireAdminOrCounselor, (req, res) => {
+router.get('/topics', authMiddleware.authenticate, authMiddleware.authorize('analytics:read'), (req, res) => {
   try {
     const { days = 7 } = req.query;
     const topics = analyticsService.getTopicTrends(parseInt(days));
@@ -136,7 +132,7 @@ router.get('/topics', requireAdminOrCounselor, (req, res) => {
 });
 
 // Get sentiment trends
-router.get('/sentiment', requireAdminOrCounselor, (req, res) => {
+router.get('/sentiment', authMiddleware.authenticate, authMiddleware.authorize('analytics:read'), (req, res) => {
   try {
     const { days = 7 } = req.query;
     const sentiment = analyticsService.getSentimentTrends(parseInt(days));
@@ -155,7 +151,7 @@ router.get('/sentiment', requireAdminOrCounselor, (req, res) => {
 });
 
 // Get crisis statistics
-router.get('/crisis', requireAdminOrCounselor, (req, res) => {
+router.get('/crisis', authMiddleware.authenticate, authMiddleware.authorize('analytics:read'), (req, res) => {
   try {
     const { days = 7 } = req.query;
     const crisisStats = analyticsService.getCrisisStatistics(parseInt(days));
@@ -200,7 +196,7 @@ router.post('/interaction', authMiddleware.authenticate, (req, res) => {
 });
 
 // Export analytics data
-router.get('/export', requireAdminOrCounselor, (req, res) => {
+router.get('/export', authMiddleware.authenticate, authMiddleware.authorize('analytics:export'), (req, res) => {
   try {
     const { format = 'json', startDate, endDate } = req.query;
     
@@ -229,8 +225,8 @@ router.get('/export', requireAdminOrCounselor, (req, res) => {
   }
 });
 
-// Get system health metrics (admin only)
-router.get('/health', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+// Get system health metrics (requires analytics:manage)
+router.get('/health', authMiddleware.authenticate, authMiddleware.authorize('analytics:manage'), (req, res) => {
   try {
     const health = analyticsService.getSystemHealth();
     
@@ -246,8 +242,8 @@ router.get('/health', authMiddleware.authenticate, authMiddleware.adminOnly, (re
   }
 });
 
-// Cleanup old data (admin only)
-router.post('/cleanup', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+// Cleanup old data (requires analytics:manage)
+router.post('/cleanup', authMiddleware.authenticate, authMiddleware.authorize('analytics:manage'), (req, res) => {
   try {
     const { retentionDays = 90 } = req.body;
     
@@ -266,7 +262,7 @@ router.post('/cleanup', authMiddleware.authenticate, authMiddleware.adminOnly, (
 });
 
 // Get peak hours analysis
-router.get('/peak-hours', requireAdminOrCounselor, (req, res) => {
+router.get('/peak-hours', authMiddleware.authenticate, authMiddleware.authorize('analytics:read'), (req, res) => {
   try {
     const peakHours = analyticsService.getPeakHours();
     
@@ -283,7 +279,7 @@ router.get('/peak-hours', requireAdminOrCounselor, (req, res) => {
 });
 
 // Get active sessions count
-router.get('/active-sessions', requireAdminOrCounselor, (req, res) => {
+router.get('/active-sessions', authMiddleware.authenticate, authMiddleware.authorize('analytics:read'), (req, res) => {
   try {
     const activeCount = analyticsService.getActiveSessionsCount();
     
@@ -303,7 +299,7 @@ router.get('/active-sessions', requireAdminOrCounselor, (req, res) => {
 });
 
 // Generate analytics report
-router.post('/report', requireAdminOrCounselor, (req, res) => {
+router.post('/report', authMiddleware.authenticate, authMiddleware.authorize('analytics:export'), async (req, res) => {
   try {
     const { reportType, dateRange, includeDetails = false } = req.body;
     
@@ -343,11 +339,24 @@ router.post('/report', requireAdminOrCounselor, (req, res) => {
           peakHours: analyticsService.getPeakHours()
         };
         break;
+
+      // AI replies the safety gate blocked or rewrote (regenerated, fallback or resources appended)
+      case 'safety':
+        reportData = {
+          type: 'AI Safety Interventions Report',
+          period: dateRange,
+          safety: await safetyGate.getReport({
+            start: dateRange && dateRange.start,
+            end: dateRange && dateRange.end,
+            limit: includeDetails ? 50 : 0
+          })
+        };
+        break;
         
       default:
         return res.status(400).json({
           error: 'Invalid report type',
-          message: 'Supported types: usage, mental-health, crisis'
+          message: 'Supported types: usage, mental-health, crisis, safety'
         });
     }
     
@@ -1,10 +1,26 @@
 const express = require('express');
 const AuthMiddleware = require('../middleware/authMiddleware');
 const UserManagementService = require('../services/userManagementService');
+const { SsoService } = require('../services/ssoService');
 
 const router = express.Router();
 const authMiddleware = new AuthMiddleware();
-const userManagementService = new UserManagementService();
+const userManagementService = UserManagementService.getDefault();
+const ssoService = new SsoService();
+
+const sendRoleDenied = (res, role) => res.status(403).json({
+  error: 'Access denied',
+  message: `You cannot manage users with the ${role} role`
+});
+
+// Account changes are limited to users whose role grants nothing the caller lacks
+const requireManageableUser = (req, res, next) => {
+  const target = userManagementService.getUserByUsername(req.params.username);
+  if (target && !authMiddleware.canAssignRole(req.user, target.role)) {
+    return sendRoleDenied(res, target.role);
+  }
+  next();
+};
 
 // Login endpoint
 router.post('/login', async (req, res) => {
@@ -21,12 +37,75 @@ router.post('/login', async (req, res) => {
     // Wait for service initialization
     await userManagementService.waitForInitialization();
 
-    const authResult = await userManagementService.authenticateUser(username, password);
+    const authResult = await userManagementService.authenticateUser(username, password, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    // Accounts with MFA get an mfaToken for POST /login/mfa instead of a session
+    res.status(200).json({
+      message: authResult.mfaRequired ? 'Verification code required' : 'Login successful',
+      ...authResult
+    });
+  } catch (error) {
+    // Locked out by repeated failures, for the account or the client address
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        error: 'Too many failed attempts',
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+
+    res.status(401).json({
+      error: 'Authentication failed',
+      message: error.message
+    });
+  }
+});
+
+// Second login step: { mfaToken, code } or { mfaToken, recoveryCode }.
+// Users who must enrol first call /login/mfa/setup and send their first code here.
+router.post('/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    await userManagementService.waitForInitialization();
+    const authResult = await userManagementService.completeMfaLogin(mfaToken, { code, recoveryCode }, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
 
     res.status(200).json({
       message: 'Login successful',
       ...authResult
     });
+  } catch (error) {
+    // Wrong codes count towards the account lockout like wrong passwords
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        error: 'Too many failed attempts',
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+
+    res.status(401).json({
+      error: 'Authentication failed',
+      message: error.message
+    });
+  }
+});
+
+// Enrolment during login for accounts an admin requires to use MFA
+router.post('/login/mfa/setup', async (req, res) => {
+  try {
+    await userManagementService.waitForInitialization();
+    const enrollment = await userManagementService.startMfaEnrollmentForChallenge(req.body.mfaToken);
+
+    res.status(200).json(enrollment);
   } catch (error) {
     res.status(401).json({
       error: 'Authentication failed',
@@ -35,6 +114,98 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for new tokens; each refresh token works once
+router.post('/refresh', async (req, res) => {
+  try {
+    await userManagementService.waitForInitialization();
+    const tokens = await userManagementService.refreshSession(req.body.refreshToken);
+
+    res.status(200).json({
+      message: 'Token refreshed',
+      ...tokens
+    });
+  } catch (error) {
+    res.status(401).json({
+      error: 'Refresh failed',
+      message: error.message
+    });
+  }
+});
+
+// Student self-registration with a campus email; the account stays locked until verified
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, fullName } = req.body;
+
+    await userManagementService.waitForInitialization();
+    const user = await userManagementService.registerStudent({ email, password, fullName });
+
+    res.status(201).json({
+      message: 'Registration successful. Check your email for a verification link.',
+      user
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Registration failed',
+      message: error.message
+    });
+  }
+});
+
+// Confirm a student's email with the token from the verification link
+router.post('/verify-email', async (req, res) => {
+  try {
+    await userManagementService.waitForInitialization();
+    const user = await userManagementService.verifyEmail(req.body.token);
+
+    res.status(200).json({
+      message: 'Email verified. You can now log in.',
+      user
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Verification failed',
+      message: error.message
+    });
+  }
+});
+
+// Campus SSO: send the student to the identity provider
+router.get('/sso/login', async (req, res) => {
+  if (!ssoService.isConfigured()) {
+    return res.status(503).json({
+      error: 'SSO unavailable',
+      message: 'Campus single sign-on is not configured'
+    });
+  }
+
+  try {
+    const url = await ssoService.startLogin({ loginHint: req.query.login_hint });
+    res.redirect(url);
+  } catch (error) {
+    res.status(502).json({
+      error: 'SSO unavailable',
+      message: error.message
+    });
+  }
+});
+
+// Campus SSO: the identity provider returns here; the app picks the token up from the URL fragment
+router.get('/sso/callback', async (req, res) => {
+  try {
+    const profile = await ssoService.completeLogin({ code: req.query.code, state: req.query.state });
+
+    await userManagementService.waitForInitialization();
+    const { token, refreshToken } = await userManagementService.loginWithSso(profile);
+
+    const fragment = new URLSearchParams({ sso_token: token, refresh_token: refreshToken });
+    res.redirect(`/#${fragment}`);
+  } catch (error) {
+    console.warn(`SSO login failed: ${error.message}`);
+    res.redirect(`/#sso_error=${encodeURIComponent(error.message)}`);
+  }
+});
+
 // Logout endpoint
 router.post('/logout', authMiddleware.authenticate, (req, res) => {
   try {
@@ -109,6 +280,80 @@ router.post('/change-password', authMiddleware.authenticate, async (req, res) =>
   }
 });
 
+// MFA status for the logged-in user
+router.get('/mfa', authMiddleware.authenticate, (req, res) => {
+  try {
+    res.status(200).json(userManagementService.getMfaStatus(req.user.username));
+  } catch (error) {
+    res.status(404).json({
+      error: 'User not found',
+      message: error.message
+    });
+  }
+});
+
+// Start TOTP enrolment; returns the secret and the otpauth:// URI for the QR code
+router.post('/mfa/setup', authMiddleware.authenticate, async (req, res) => {
+  try {
+    const enrollment = await userManagementService.startMfaEnrollment(req.user.username);
+    res.status(200).json(enrollment);
+  } catch (error) {
+    res.status(400).json({
+      error: 'MFA setup failed',
+      message: error.message
+    });
+  }
+});
+
+// Confirm enrolment with a code from the app; recovery codes are only shown in this response
+router.post('/mfa/enable', authMiddleware.authenticate, async (req, res) => {
+  try {
+    const { recoveryCodes } = await userManagementService.confirmMfaEnrollment(req.user.username, req.body.code);
+
+    res.status(200).json({
+      message: 'MFA enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'MFA setup failed',
+      message: error.message
+    });
+  }
+});
+
+router.post('/mfa/recovery-codes', authMiddleware.authenticate, async (req, res) => {
+  try {
+    const { recoveryCodes } = await userManagementService.regenerateRecoveryCodes(req.user.username, req.body.code);
+
+    res.status(200).json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'Recovery code generation failed',
+      message: error.message
+    });
+  }
+});
+
+router.post('/mfa/disable', authMiddleware.authenticate, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    await userManagementService.disableMfa(req.user.username, password, code);
+
+    res.status(200).json({
+      message: 'MFA disabled'
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: 'MFA disable failed',
+      message: error.message
+    });
+  }
+});
+
 // Validate session endpoint
 router.get('/validate', authMiddleware.authenticate, (req, res) => {
   try {
@@ -120,7 +365,8 @@ router.get('/validate', authMiddleware.authenticate, (req, res) => {
         user: {
           id: req.user.id,
           username: req.user.username,
-          role: req.user.role
+          role: req.user.role,
+          permissions: authMiddleware.getPermissions(req.user.role)
         }
       });
     } else {
@@ -137,11 +383,15 @@ router.get('/validate', authMiddleware.authenticate, (req, res) => {
   }
 });
 
-// Admin-only routes
-// Create new user (admin only)
-router.post('/users', authMiddleware.authenticate, authMiddleware.adminOnly, async (req, res) => {
+// User administration
+// Create new user (requires users:manage)
+router.post('/users', authMiddleware.authenticate, authMiddleware.authorize('users:manage'), async (req, res) => {
   try {
     const userData = req.body;
+    if (userData.role && !authMiddleware.canAssignRole(req.user, userData.role)) {
+      return sendRoleDenied(res, userData.role);
+    }
+
     const newUser = await userManagementService.createUser(userData);
 
     res.status(201).json({
@@ -156,8 +406,8 @@ router.post('/users', authMiddleware.authenticate, authMiddleware.adminOnly, asy
   }
 });
 
-// Get all users (admin only)
-router.get('/users', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+// Get all users (requires users:read)
+router.get('/users', authMiddleware.authenticate, authMiddleware.authorize('users:read'), (req, res) => {
   try {
     const users = userManagementService.getAllUsers();
     
@@ -173,8 +423,8 @@ router.get('/users', authMiddleware.authenticate, authMiddleware.adminOnly, (req
   }
 });
 
-// Get specific user (admin only)
-router.get('/users/:username', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+// Get specific user (requires users:read)
+router.get('/users/:username', authMiddleware.authenticate, authMiddleware.authorize('users:read'), (req, res) => {
   try {
     const { username } = req.params;
     const user = userManagementService.getUserByUsername(username);
@@ -197,11 +447,14 @@ router.get('/users/:username', authMiddleware.authenticate, authMiddleware.admin
   }
 });
 
-// Update user (admin only)
-router.put('/users/:username', authMiddleware.authenticate, authMiddleware.adminOnly, async (req, res) => {
+// Update user (requires users:manage)
+router.put('/users/:username', authMiddleware.authenticate, authMiddleware.authorize('users:manage'), requireManageableUser, async (req, res) => {
   try {
     const { username } = req.params;
     const updateData = req.body;
+    if (updateData.role && !authMiddleware.canAssignRole(req.user, updateData.role)) {
+      return sendRoleDenied(res, updateData.role);
+    }
 
     const updatedUser = await userManagementService.updateUser(username, updateData);
 
@@ -217,8 +470,8 @@ router.put('/users/:username', authMiddleware.authenticate, authMiddleware.admin
   }
 });
 
-// Delete user (admin only)
-router.delete('/users/:username', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+// Delete user (requires users:manage)
+router.delete('/users/:username', authMiddleware.authenticate, authMiddleware.authorize('users:manage'), requireManageableUser, (req, res) => {
   try {
     const { username } = req.params;
     userManagementService.deleteUser(username);
@@ -234,8 +487,77 @@ router.delete('/users/:username', authMiddleware.authenticate, authMiddleware.ad
   }
 });
 
-// Get active sessions (admin only)
-router.get('/sessions', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+// Log a user out of every session, including open monitoring sockets (requires users:manage)
+router.post('/users/:username/logout', authMiddleware.authenticate, authMiddleware.authorize('users:manage'), requireManageableUser, (req, res) => {
+  try {
+    const endedSessions = userManagementService.forceLogout(req.params.username);
+
+    res.status(200).json({
+      message: 'User logged out everywhere',
+      endedSessions
+    });
+  } catch (error) {
+    res.status(404).json({
+      error: 'User not found',
+      message: error.message
+    });
+  }
+});
+
+// Lift a lockout caused by failed logins (requires users:manage)
+router.post('/users/:username/unlock', authMiddleware.authenticate, authMiddleware.authorize('users:manage'), requireManageableUser, (req, res) => {
+  try {
+    const status = userManagementService.unlockAccount(req.params.username);
+
+    res.status(200).json({
+      message: 'Account unlocked',
+      status
+    });
+  } catch (error) {
+    res.status(404).json({
+      error: 'User not found',
+      message: error.message
+    });
+  }
+});
+
+// Recent login attempts with outcome, hashed IP and user agent (requires users:read)
+router.get('/users/:username/login-history', authMiddleware.authenticate, authMiddleware.authorize('users:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const history = await userManagementService.getLoginHistory(req.params.username, { limit });
+
+    res.status(200).json({
+      history,
+      total: history.length
+    });
+  } catch (error) {
+    res.status(404).json({
+      error: 'User not found',
+      message: error.message
+    });
+  }
+});
+
+// Clear a user's MFA enrolment, e.g. after a lost phone (requires users:manage)
+router.post('/users/:username/mfa/reset', authMiddleware.authenticate, authMiddleware.authorize('users:manage'), requireManageableUser, async (req, res) => {
+  try {
+    const user = await userManagementService.resetMfa(req.params.username);
+
+    res.status(200).json({
+      message: 'MFA reset',
+      user
+    });
+  } catch (error) {
+    res.status(404).json({
+      error: 'User not found',
+      message: error.message
+    });
+  }
+});
+
+// Get active sessions (requires users:read)
+router.get('/sessions', authMiddleware.authenticate, authMiddleware.authorize('users:read'), (req, res) => {
   try {
     const sessions = userManagementService.getActiveSessions();
     
@@ -251,8 +573,8 @@ router.get('/sessions', authMiddleware.authenticate, authMiddleware.adminOnly, (
   }
 });
 
-// Get user statistics (admin only)
-router.get('/stats/users', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+// Get user statistics (requires users:read)
+router.get('/stats/users', authMiddleware.authenticate, authMiddleware.authorize('users:read'), (req, res) => {
   try {
     const stats = userManagementService.getUserStatistics();
     
@@ -267,8 +589,8 @@ router.get('/stats/users', authMiddleware.authenticate, authMiddleware.adminOnly
   }
 });
 
-// Cleanup expired sessions (admin only)
-router.post('/sessions/cleanup', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+// Cleanup expired sessions (requires users:manage)
+router.post('/sessions/cleanup', authMiddleware.authenticate, authMiddleware.authorize('users:manage'), (req, res) => {
   try {
     userManagementService.cleanupExpiredSessions();
     
@@ -283,4 +605,51 @@ router.post('/sessions/cleanup', authMiddleware.authenticate, authMiddleware.adm
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Permission sets per role, with the catalog of permissions they can contain (requires roles:manage)
+router.get('/roles', authMiddleware.authenticate, authMiddleware.authorize('roles:manage'), (req, res) => {
+  res.status(200).json({
+    roles: authMiddleware.roleService.getRoles(),
+    permissions: authMiddleware.roleService.getPermissionCatalog()
+  });
+});
+
+const sendRoleUpdateError = (res, error) => {
+  res.status(error.message === 'Role not found' ? 404 : 400).json({
+    error: 'Role update failed',
+    message: error.message
+  });
+};
+
+// Replace the permissions granted to a role; applies to existing sessions immediately (requires roles:manage)
+router.put('/roles/:role', authMiddleware.authenticate, authMiddleware.authorize('roles:manage'), async (req, res) => {
+  try {
+    const role = await authMiddleware.roleService.updateRolePermissions(
+      req.params.role,
+      req.body.permissions,
+      req.user.username
+    );
+
+    res.status(200).json({
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    sendRoleUpdateError(res, error);
+  }
+});
+
+// Restore a role's built-in permissions (requires roles:manage)
+router.post('/roles/:role/reset', authMiddleware.authenticate, authMiddleware.authorize('roles:manage'), async (req, res) => {
+  try {
+    const role = await authMiddleware.roleService.resetRolePermissions(req.params.role, req.user.username);
+
+    res.status(200).json({
+      message: 'Role reset to default permissions',
+      role
+    });
+  } catch (error) {
+    sendRoleUpdateError(res, error);
+  }
+});
+
+module.exports = router;
@@ -16,17 +16,95 @@
 const express = require('express');
 const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
 const BookingService = require('../services/bookingService');
+const CalendarService = require('../services/calendarService');
+const NotificationService = require('../services/notificationService');
+const LanguageService = require('../services/languageService');
+const { SLOT_TAKEN_MESSAGE, VERSION_CONFLICT_MESSAGE } = require('../services/bookingStore');
+const AuthMiddleware = require('../middleware/authMiddleware');
 
 const router = express.Router();
 const bookingService = new BookingService();
+const counselorService = bookingService.counselorService;
+const calendarService = new CalendarService();
+const languageService = new LanguageService();
+const notificationService = new NotificationService({ calendarService, languageService });
+notificationService.attach(bookingService);
+
+if (process.env.NODE_ENV !== 'test') {
+  notificationService.startReminderScheduler();
+}
+const authMiddleware = new AuthMiddleware();
+
+// How far back a counselor's calendar feed reaches
+const CALENDAR_FEED_HISTORY_DAYS = 90;
+
 const errorMiddleware = new ErrorHandlingMiddleware();
 const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
 
+function sendCalendar(res, calendar, filename, asAttachment) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `${asAttachment ? 'attachment' : 'inline'}; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.status(200).send(calendar);
+}
+
+// Load the booking in req.params.id for the student who made it, or for staff
+// holding staffPermission; answers 404/403 itself otherwise
+async function findAccessibleBooking(req, res, staffPermission) {
+  const booking = await bookingService.getBookingById(req.params.id);
+
+  if (!booking) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  if (!authMiddleware.can(req.user, staffPermission) && booking.userId !== req.user.id) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only access your own bookings'
+    });
+    return null;
+  }
+
+  return booking;
+}
+
+// Without counselors:manage, users can only manage their own counselor record
+function canManageCounselor(user, counselor) {
+  return authMiddleware.can(user, 'counselors:manage') || counselor.username === user.username;
+}
+
+// Load the counselor in req.params.id, answering 404/403 itself when the user may not manage them
+async function findManagedCounselor(req, res, deniedMessage) {
+  const counselor = await counselorService.getCounselorById(req.params.id);
+
+  if (!counselor) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Counselor not found'
+    });
+    return null;
+  }
+
+  if (!canManageCounselor(req.user, counselor)) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: deniedMessage
+    });
+    return null;
+  }
+
+  return counselor;
+}
+
 /**
  * POST /api/booking/appointments
- * Create a new counseling appointment booking
+ * Create a new counseling appointment booking for the logged-in student
  */
-router.post('/appointments', wrapAsyncRoute(async (req, res) => {
+router.post('/appointments', authMiddleware.authenticate, authMiddleware.authorize('booking:create'), wrapAsyncRoute(async (req, res) => {
   try {
     const {
       studentId,
@@ -36,7 +114,9 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
       concerns,
       contactMethod,
       contactInfo,
-      userId = null
+      counselorId = null,
+      language = 'en',
+      notifications = true
     } = req.body;
 
     // Validate required fields
@@ -76,28 +156,41 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
 
     // Create booking request
     const bookingRequest = {
+      counselorId: counselorId || null,
       studentId: studentId || null,
-      userId: userId || req.user?.id || null,
+      userId: req.user.id,
       preferredDate,
       preferredTime,
       sessionType,
       concerns: concerns || null,
       contactMethod,
       contactInfo,
+      // Language and opt-out for confirmation and reminder messages
+      language: languageService.isLanguageSupported(language) ? language : languageService.defaultLanguage,
+      notificationsOptOut: notifications === false,
       status: 'pending',
       requestedAt: new Date(),
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent')
     };
 
-    // Save booking
-    const booking = await bookingService.createBooking(bookingRequest);
+    // Save booking (assigns a free counselor, or checks the chosen one)
+    let booking;
+    try {
+      booking = await bookingService.createBooking(bookingRequest);
+    } catch (error) {
+      if (error.message.includes('not available')) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: error.message
+        });
+      }
+      throw error;
+    }
 
     // Record analytics for booking submission
     if (req.app.locals.analyticsService) {
-      const userId = bookingRequest.userId || `anonymous_${Buffer.from(bookingRequest.ipAddress).toString('base64').substring(0, 12)}`;
-      
-      req.app.locals.analyticsService.recordUserInteraction(userId, {
+      req.app.locals.analyticsService.recordUserInteraction(bookingRequest.userId, {
         sessionId: booking.id,
         type: 'booking',
         messageLength: (concerns || '').length,
@@ -123,6 +216,10 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
         preferredTime: booking.preferredTime,
         sessionType: booking.sessionType,
         status: booking.status,
+        counselor: booking.counselorId ? {
+          id: booking.counselorId,
+          name: booking.assignedCounselor
+        } : null,
         requestedAt: booking.requestedAt
       },
       nextSteps: [
@@ -142,7 +239,7 @@ router.post('/appointments', wrapAsyncRoute(async (req, res) => {
  * GET /api/booking/appointments/:id
  * Get booking details by ID
  */
-router.get('/appointments/:id', wrapAsyncRoute(async (req, res) => {
+router.get('/appointments/:id', authMiddleware.authenticate, authMiddleware.authorize('booking:read'), wrapAsyncRoute(async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -165,14 +262,69 @@ router.get('/appointments/:id', wrapAsyncRoute(async (req, res) => {
   }
 }));
 
+/**
+ * GET /api/booking/appointments/:id/calendar.ics
+ * Download a single booking as an iCalendar attachment, for the student who
+ * made it or staff with booking:read
+ */
+router.get('/appointments/:id/calendar.ics', authMiddleware.authenticate, wrapAsyncRoute(async (req, res) => {
+  const booking = await findAccessibleBooking(req, res, 'booking:read');
+  if (!booking) {
+    return;
+  }
+
+  const counselor = booking.counselorId ? await counselorService.getCounselorById(booking.counselorId) : null;
+  const calendar = calendarService.buildCalendar([booking], {
+    durationMinutes: counselor ? counselor.slotMinutes : undefined,
+    method: 'PUBLISH'
+  });
+
+  sendCalendar(res, calendar, `booking-${booking.id}.ics`, true);
+}));
+
+/**
+ * PUT /api/booking/appointments/:id/notifications
+ * Turn confirmation, cancellation and reminder messages for a booking on or
+ * off, for the student who made it or staff with booking:manage
+ */
+router.put('/appointments/:id/notifications', authMiddleware.authenticate, wrapAsyncRoute(async (req, res) => {
+  const { enabled } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'enabled must be true or false'
+    });
+  }
+
+  if (!(await findAccessibleBooking(req, res, 'booking:manage'))) {
+    return;
+  }
+
+  const booking = await bookingService.setNotificationPreference(req.params.id, enabled);
+
+  if (!booking) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Booking not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: enabled ? 'Notifications enabled for this booking' : 'Notifications disabled for this booking',
+    notificationsEnabled: !booking.notificationsOptOut
+  });
+}));
+
 /**
  * PUT /api/booking/appointments/:id/status
- * Update booking status (for admin/counselor use)
+ * Update booking status (requires booking:manage)
  */
-router.put('/appointments/:id/status', wrapAsyncRoute(async (req, res) => {
+router.put('/appointments/:id/status', authMiddleware.authenticate, authMiddleware.authorize('booking:manage'), wrapAsyncRoute(async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, notes, assignedCounselor, scheduledDateTime } = req.body;
+    const { status, notes, assignedCounselor, scheduledDateTime, version } = req.body;
 
     // Validate status
     const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
@@ -183,13 +335,33 @@ router.put('/appointments/:id/status', wrapAsyncRoute(async (req, res) => {
       });
     }
 
-    const booking = await bookingService.updateBookingStatus(id, {
-      status,
-      notes: notes || null,
-      assignedCounselor: assignedCounselor || null,
-      scheduledDateTime: scheduledDateTime || null,
-      updatedAt: new Date()
-    });
+    // Only overwrite the optional fields that were sent, so a status change
+    // keeps the counselor assigned at booking time
+    const updateData = { status, updatedAt: new Date() };
+    if (notes !== undefined) updateData.notes = notes;
+    if (assignedCounselor !== undefined) updateData.assignedCounselor = assignedCounselor;
+    if (scheduledDateTime !== undefined) updateData.scheduledDateTime = scheduledDateTime;
+
+    if (version !== undefined && !Number.isInteger(version)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'version must be the integer version of the booking that was read'
+      });
+    }
+
+    let booking;
+    try {
+      booking = await bookingService.updateBookingStatus(id, updateData, version !== undefined ? version : null);
+    } catch (error) {
+      // Stale version, or re-activating a booking whose slot was taken
+      if (error.message === VERSION_CONFLICT_MESSAGE || error.message === SLOT_TAKEN_MESSAGE) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: error.message
+        });
+      }
+      throw error;
+    }
 
     if (!booking) {
       return res.status(404).json({
@@ -213,7 +385,7 @@ router.put('/appointments/:id/status', wrapAsyncRoute(async (req, res) => {
  * GET /api/booking/appointments
  * Get bookings (with filtering options)
  */
-router.get('/appointments', wrapAsyncRoute(async (req, res) => {
+router.get('/appointments', authMiddleware.authenticate, authMiddleware.authorize('booking:read'), wrapAsyncRoute(async (req, res) => {
   try {
     const {
       status,
@@ -258,7 +430,7 @@ router.get('/appointments', wrapAsyncRoute(async (req, res) => {
  */
 router.get('/availability', wrapAsyncRoute(async (req, res) => {
   try {
-    const { date, sessionType } = req.query;
+    const { date, sessionType, counselorId } = req.query;
 
     if (!date) {
       return res.status(400).json({
@@ -267,7 +439,7 @@ router.get('/availability', wrapAsyncRoute(async (req, res) => {
       });
     }
 
-    const availability = await bookingService.getAvailability(date, sessionType);
+    const availability = await bookingService.getAvailability(date, sessionType, counselorId);
 
     res.status(200).json({
       success: true,
@@ -276,7 +448,8 @@ router.get('/availability', wrapAsyncRoute(async (req, res) => {
       availableSlots: availability.slots,
       unavailableSlots: availability.unavailableSlots,
       totalSlots: availability.totalSlots,
-      availableCount: availability.availableCount
+      availableCount: availability.availableCount,
+      counselors: availability.counselors
     });
 
   } catch (error) {
@@ -286,13 +459,17 @@ router.get('/availability', wrapAsyncRoute(async (req, res) => {
 
 /**
  * DELETE /api/booking/appointments/:id
- * Cancel a booking
+ * Cancel a booking, for the student who made it or staff with booking:manage
  */
-router.delete('/appointments/:id', wrapAsyncRoute(async (req, res) => {
+router.delete('/appointments/:id', authMiddleware.authenticate, wrapAsyncRoute(async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
 
+    if (!(await findAccessibleBooking(req, res, 'booking:manage'))) {
+      return;
+    }
+
     const booking = await bookingService.cancelBooking(id, {
       reason: reason || 'Cancelled by user',
       cancelledAt: new Date()
@@ -320,11 +497,254 @@ router.delete('/appointments/:id', wrapAsyncRoute(async (req, res) => {
   }
 }));
 
+/**
+ * GET /api/booking/counselors
+ * List active counselors students can choose from
+ */
+router.get('/counselors', wrapAsyncRoute(async (req, res) => {
+  const { sessionType } = req.query;
+
+  const counselors = await counselorService.getCounselors({ sessionType: sessionType || null });
+
+  res.status(200).json({
+    success: true,
+    counselors: counselors.map(counselor => ({
+      id: counselor.id,
+      name: counselor.name,
+      sessionTypes: counselor.sessionTypes,
+      languages: counselor.languages
+    }))
+  });
+}));
+
+/**
+ * GET /api/booking/counselors/manage
+ * Full roster including calendars (requires booking:read)
+ */
+router.get('/counselors/manage', authMiddleware.authenticate, authMiddleware.authorize('booking:read'), wrapAsyncRoute(async (req, res) => {
+  const counselors = await counselorService.getCounselors({ includeInactive: true });
+
+  res.status(200).json({
+    success: true,
+    counselors
+  });
+}));
+
+/**
+ * POST /api/booking/counselors
+ * Add a counselor with weekly hours and holidays (requires counselors:manage)
+ */
+router.post('/counselors', authMiddleware.authenticate, authMiddleware.authorize('counselors:manage'), wrapAsyncRoute(async (req, res) => {
+  try {
+    const counselor = await counselorService.createCounselor(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Counselor created successfully',
+      counselor
+    });
+  } catch (error) {
+    if (error.message.startsWith('Validation failed')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * PUT /api/booking/counselors/:id
+ * Update a counselor's details, weekly hours or holidays (requires counselors:manage)
+ */
+router.put('/counselors/:id', authMiddleware.authenticate, authMiddleware.authorize('counselors:manage'), wrapAsyncRoute(async (req, res) => {
+  try {
+    const counselor = await counselorService.updateCounselor(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Counselor updated successfully',
+      counselor
+    });
+  } catch (error) {
+    if (error.message === 'Counselor not found') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+    if (error.message.startsWith('Validation failed')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * DELETE /api/booking/counselors/:id
+ * Deactivate a counselor; existing bookings keep their assignment (requires counselors:manage)
+ */
+router.delete('/counselors/:id', authMiddleware.authenticate, authMiddleware.authorize('counselors:manage'), wrapAsyncRoute(async (req, res) => {
+  try {
+    const counselor = await counselorService.deactivateCounselor(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Counselor deactivated successfully',
+      counselor
+    });
+  } catch (error) {
+    if (error.message === 'Counselor not found') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * POST /api/booking/counselors/:id/blocked-time
+ * Block part of a counselor's day (requires booking:schedule).
+ * Without counselors:manage, users can only block their own time.
+ */
+router.post('/counselors/:id/blocked-time', authMiddleware.authenticate, authMiddleware.authorize('booking:schedule'), wrapAsyncRoute(async (req, res) => {
+  try {
+    if (!(await findManagedCounselor(req, res, 'You can only block your own time'))) {
+      return;
+    }
+
+    const { date, start, end, reason } = req.body;
+    const block = await counselorService.addBlockedTime(req.params.id, {
+      date,
+      start,
+      end,
+      reason,
+      createdBy: req.user.username
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Time blocked successfully',
+      block
+    });
+  } catch (error) {
+    if (error.message === 'Counselor not found') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+    if (error.message.startsWith('Validation failed')) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * DELETE /api/booking/counselors/:id/blocked-time/:blockId
+ * Remove a blocked period (requires booking:schedule).
+ * Without counselors:manage, users can only unblock their own time.
+ */
+router.delete('/counselors/:id/blocked-time/:blockId', authMiddleware.authenticate, authMiddleware.authorize('booking:schedule'), wrapAsyncRoute(async (req, res) => {
+  try {
+    if (!(await findManagedCounselor(req, res, 'You can only unblock your own time'))) {
+      return;
+    }
+
+    await counselorService.removeBlockedTime(req.params.id, req.params.blockId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Blocked time removed successfully'
+    });
+  } catch (error) {
+    if (error.message === 'Counselor not found' || error.message === 'Blocked time not found') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}));
+
+/**
+ * POST /api/booking/counselors/:id/calendar-token
+ * Issue (or rotate) the secret URL of a counselor's calendar feed.
+ * Without counselors:manage, users can only manage their own feed.
+ */
+router.post('/counselors/:id/calendar-token', authMiddleware.authenticate, authMiddleware.authorize('booking:schedule'), wrapAsyncRoute(async (req, res) => {
+  const counselor = await findManagedCounselor(req, res, 'You can only manage your own calendar feed');
+  if (!counselor) {
+    return;
+  }
+
+  const token = await counselorService.generateCalendarToken(counselor.id);
+  const feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}/counselors/${counselor.id}/calendar.ics?token=${token}`;
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed URL created. Any previous feed URL no longer works.',
+    feedUrl
+  });
+}));
+
+/**
+ * GET /api/booking/counselors/:id/calendar.ics?token=...
+ * Subscribable feed of a counselor's appointments. Calendar apps cannot send
+ * bearer tokens, so the feed is authenticated by the secret in its URL.
+ */
+router.get('/counselors/:id/calendar.ics', wrapAsyncRoute(async (req, res) => {
+  const { id } = req.params;
+
+  if (!(await counselorService.verifyCalendarToken(id, req.query.token))) {
+    return res.status(401).json({
+      error: 'Authentication failed',
+      message: 'Invalid calendar feed token'
+    });
+  }
+
+  const counselor = await counselorService.getCounselorById(id);
+  const since = new Date(Date.now() - CALENDAR_FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+  const bookings = await bookingService.getCounselorBookings(id, since);
+
+  const calendar = calendarService.buildCalendar(bookings, {
+    name: `${counselor.name} - AarogyaTech appointments`,
+    durationMinutes: counselor.slotMinutes
+  });
+
+  sendCalendar(res, calendar, `counselor-${id}.ics`, false);
+}));
+
 /**
  * GET /api/booking/stats
  * Get booking statistics for analytics
  */
-router.get('/stats', wrapAsyncRoute(async (req, res) => {
+router.get('/stats', authMiddleware.authenticate, authMiddleware.authorize('booking:read'), wrapAsyncRoute(async (req, res) => {
   try {
     const { dateFrom, dateTo } = req.query;
     
@@ -1,17 +1,114 @@
 const express = require('express');
 const ConversationalAIService = require('../services/conversationalAIService');
 const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
+const AuthMiddleware = require('../middleware/authMiddleware');
 
 const router = express.Router();
 const conversationalAIService = new ConversationalAIService();
+const promptService = conversationalAIService.promptService;
+const continuityService = conversationalAIService.continuityService;
+const authMiddleware = new AuthMiddleware();
 const errorMiddleware = new ErrorHandlingMiddleware();
 const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
 
+/**
+ * Build the chat response body shared by the JSON and streaming chat routes
+ * @param {Object} result - Result from ConversationalAIService.processMessage
+ * @param {string} message - Original user message
+ * @param {string} language - Requested language
+ * @returns {Object} Chat response payload
+ */
+function buildChatPayload(result, message, language) {
+  // Handle the new response format (object with message and crisis data)
+  const responseMessage = result.message || result; // Backward compatibility
+  
+  // Validate response appropriateness
+  if (!conversationalAIService.validateResponseAppropriate(responseMessage)) {
+    console.warn('Generated inappropriate response, using fallback');
+    const fallbackResponse = "I want to help you, but I'm having trouble generating an appropriate response right now. Can you rephrase your question or tell me more about what you're experiencing?";
+    
+    return {
+      success: true,
+      message: fallbackResponse,
+      response: fallbackResponse, // For backward compatibility
+      isCrisis: conversationalAIService.detectCrisisKeywords(message),
+      crisisData: null,
+      metadata: {
+        sessionId: result.sessionId,
+        timestamp: new Date().toISOString(),
+        fallback: true,
+        privacy: result.privacyInfo,
+        language: result.languageInfo || { userLanguage: language }
+      }
+    };
+  }
+
+  // Return the response with enhanced metadata
+  return {
+    success: true,
+    message: responseMessage,
+    response: responseMessage, // For backward compatibility
+    isCrisis: result.isCrisis || false,
+    crisisData: result.crisisData || null,
+    metadata: {
+      sessionId: result.sessionId,
+      timestamp: new Date().toISOString(),
+      fallback: false,
+      privacy: result.privacyInfo,
+      language: result.languageInfo,
+      enhancement: result.mentalHealthEnhancement ? 'applied' : 'none',
+      prompt: result.prompt || null,
+      safety: result.safety || null,
+      continuity: !!result.continuity
+    }
+  };
+}
+
+/**
+ * Validate the chat request body
+ * @param {Object} body - Request body
+ * @returns {string|null} Validation error message, or null when valid
+ */
+function validateChatRequest(body) {
+  const { message } = body;
+
+  if (!message || typeof message !== 'string') {
+    return 'Message is required and must be a string';
+  }
+
+  // Validate message length
+  if (message.length > 1000) {
+    return 'Message is too long. Maximum length is 1000 characters.';
+  }
+
+  if (message.trim().length === 0) {
+    return 'Message cannot be empty';
+  }
+
+  return null;
+}
+
+// Logged-in students' chats may draw on their continuity profile; anonymous chats never do
+function continuityUserId(req) {
+  return req.user && authMiddleware.can(req.user, 'continuity:manage') ? req.user.id : undefined;
+}
+
+/**
+ * Write a single server-sent event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function writeSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 /**
  * POST /api/conversational-ai/chat
- * Process a chat message and return AI response with enhanced security and privacy
+ * Process a chat message and return AI response with enhanced security and privacy.
+ * A logged-in student who opted in to continuity gets replies that draw on their profile
  */
-router.post('/chat', wrapAsyncRoute(async (req, res) => {
+router.post('/chat', authMiddleware.identify, wrapAsyncRoute(async (req, res) => {
   try {
     // Check if service is available
     if (!conversationalAIService.isServiceAvailable()) {
@@ -22,27 +119,13 @@ router.post('/chat', wrapAsyncRoute(async (req, res) => {
     }
 
     // Validate request body
-    const { message, sessionId, history, language = 'en' } = req.body;
+    const { message, sessionId, language = 'en' } = req.body;
+    const validationError = validateChatRequest(req.body);
     
-    if (!message || typeof message !== 'string') {
+    if (validationError) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'Message is required and must be a string'
-      });
-    }
-
-    // Validate message length
-    if (message.length > 1000) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Message is too long. Maximum length is 1000 characters.'
-      });
-    }
-
-    if (message.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Message cannot be empty'
+        message: validationError
       });
     }
 
@@ -58,70 +141,113 @@ router.post('/chat', wrapAsyncRoute(async (req, res) => {
     const providedSessionId = sessionId || null;
 
     // Process the message with enhanced security and privacy
-    const result = await conversationalAIService.processMessage(message, providedSessionId, requestInfo, language);
+    const result = await conversationalAIService.processMessage(message, providedSessionId, requestInfo, language, {
+      institution: promptService.institutionFor(req.user),
+      userId: continuityUserId(req),
+      ownerId: req.user ? req.user.id : undefined
+    });
 
-    // Handle the new response format (object with message and crisis data)
-    const responseMessage = result.message || result; // Backward compatibility
-    
-    // Validate response appropriateness
-    if (!conversationalAIService.validateResponseAppropriate(responseMessage)) {
-      console.warn('Generated inappropriate response, using fallback');
-      const fallbackResponse = "I want to help you, but I'm having trouble generating an appropriate response right now. Can you rephrase your question or tell me more about what you're experiencing?";
-      
-      return res.status(200).json({
-        success: true,
-        message: fallbackResponse,
-        response: fallbackResponse, // For backward compatibility
-        isCrisis: conversationalAIService.detectCrisisKeywords(message),
-        crisisData: null,
-        metadata: {
-          sessionId: result.sessionId,
-          timestamp: new Date().toISOString(),
-          fallback: true,
-          privacy: result.privacyInfo,
-          language: result.languageInfo || { userLanguage: language }
-        }
-      });
+    res.status(200).json(buildChatPayload(result, message, language));
+
+  } catch (error) {
+    // Let the error handling middleware handle this
+    throw error;
+  }
+}));
+
+/**
+ * POST /api/conversational-ai/chat/stream
+ * Same contract as /chat, but responds with server-sent events. `token` events
+ * carry raw model output a sentence at a time, as each passes the safety gate;
+ * nothing more is streamed after a sentence that fails. The final `done` event
+ * carries the crisis-checked, enhanced and validated message, which replaces
+ * the streamed text on the client. Failures after the stream has started arrive as `error`.
+ */
+router.post('/chat/stream', authMiddleware.identify, wrapAsyncRoute(async (req, res) => {
+  if (!conversationalAIService.isServiceAvailable()) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Conversational AI service is not properly configured'
+    });
+  }
+
+  const { message, sessionId, language = 'en' } = req.body;
+  const validationError = validateChatRequest(req.body);
+
+  if (validationError) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: validationError
+    });
+  }
+
+  const requestInfo = {
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('User-Agent'),
+    origin: req.get('Origin'),
+    timestamp: new Date().toISOString()
+  };
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop generating when the student navigates away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
     }
+  });
 
-    // Return the response with enhanced metadata
-    res.status(200).json({
-      success: true,
-      message: responseMessage,
-      response: responseMessage, // For backward compatibility
-      isCrisis: result.isCrisis || false,
-      crisisData: result.crisisData || null,
-      metadata: {
-        sessionId: result.sessionId,
-        timestamp: new Date().toISOString(),
-        fallback: false,
-        privacy: result.privacyInfo,
-        language: result.languageInfo,
-        enhancement: result.mentalHealthEnhancement ? 'applied' : 'none'
+  try {
+    const result = await conversationalAIService.processMessage(
+      message,
+      sessionId || null,
+      requestInfo,
+      language,
+      {
+        onToken: (token) => writeSSE(res, 'token', { content: token }),
+        signal: abortController.signal,
+        institution: promptService.institutionFor(req.user),
+        userId: continuityUserId(req),
+        ownerId: req.user ? req.user.id : undefined
       }
-    });
+    );
 
+    writeSSE(res, 'done', buildChatPayload(result, message, language));
   } catch (error) {
-    // Let the error handling middleware handle this
-    throw error;
+    console.error('Streaming chat failed:', error.message);
+    writeSSE(res, 'error', {
+      error: 'Internal Server Error',
+      message: 'Unable to generate a response right now. Please try again.'
+    });
   }
+
+  res.end();
 }));
 
 /**
  * GET /api/conversational-ai/status
- * Check service status
+ * Check service status. `llm.providers` lists every configured LLM provider
+ * in failover order with its model and request counters.
  */
 router.get('/status', (req, res) => {
   const isAvailable = conversationalAIService.isServiceAvailable();
   const languageStatus = conversationalAIService.languageService.getServiceStatus();
   
-  const groqStatus = conversationalAIService.groqService.getServiceStatus();
+  const llmStatus = conversationalAIService.llmService.getServiceStatus();
   
   res.status(200).json({
     service: 'conversational-ai',
     status: isAvailable ? 'available' : 'unavailable',
-    provider: 'Groq',
-    model: groqStatus.model,
+    provider: llmStatus.provider,
+    model: llmStatus.model,
     features: [
       'crisis-detection',
       'mental-health-enhancement',
@@ -130,7 +256,7 @@ router.get('/status', (req, res) => {
       'multi-language-support',
       'safety-prioritized'
     ],
-    groq: groqStatus,
+    llm: llmStatus,
     language: languageStatus,
     timestamp: new Date().toISOString()
   });
@@ -279,9 +405,11 @@ router.post('/detect-crisis', wrapAsyncRoute(async (req, res) => {
 
 /**
  * GET /api/conversational-ai/session-report/:sessionId
- * Get privacy and security report for a specific session
+ * Get privacy and security report for a specific session. The running
+ * summary's text is only included for the account that started the session
+ * and for staff with conversations:read.
  */
-router.get('/session-report/:sessionId', wrapAsyncRoute(async (req, res) => {
+router.get('/session-report/:sessionId', authMiddleware.identify, wrapAsyncRoute(async (req, res) => {
   try {
     const { sessionId } = req.params;
     
@@ -292,7 +420,12 @@ router.get('/session-report/:sessionId', wrapAsyncRoute(async (req, res) => {
       });
     }
 
-    const report = conversationalAIService.getSessionReport(sessionId);
+    const session = conversationalAIService.sessionManager.getSession(sessionId);
+    const includeSummaryText = !!req.user && (
+      authMiddleware.can(req.user, 'conversations:read') ||
+      (!!session && session.ownerId === req.user.id)
+    );
+    const report = conversationalAIService.getSessionReport(sessionId, { includeSummaryText });
     
     if (!report) {
       return res.status(404).json({
@@ -359,4 +492,231 @@ router.post('/validate-compliance', wrapAsyncRoute(async (req, res) => {
   }
 }));
 
+const sendPromptError = (res, error) => {
+  const notFound = ['Prompt template not found', 'Prompt version not found'].includes(error.message);
+  res.status(notFound ? 404 : 400).json({
+    error: notFound ? 'Not Found' : 'Prompt update failed',
+    message: error.message
+  });
+};
+
+/**
+ * GET /api/conversational-ai/prompts
+ * Prompt templates with their version history, and the variable values set
+ * per institution and language (requires prompts:manage)
+ */
+router.get('/prompts', authMiddleware.authenticate, authMiddleware.authorize('prompts:manage'), (req, res) => {
+  res.status(200).json({
+    templates: promptService.listTemplates(),
+    variables: promptService.listVariables(),
+    languages: promptService.languages
+  });
+});
+
+/**
+ * GET /api/conversational-ai/prompts/:name/versions/:version
+ * One template version including its content (requires prompts:manage)
+ */
+router.get('/prompts/:name/versions/:version', authMiddleware.authenticate, authMiddleware.authorize('prompts:manage'), (req, res) => {
+  try {
+    res.status(200).json({ template: promptService.getTemplate(req.params.name, req.params.version) });
+  } catch (error) {
+    sendPromptError(res, error);
+  }
+});
+
+/**
+ * POST /api/conversational-ai/prompts/:name/versions
+ * Save a new version ({ content, policy, notes }); chat keeps using the
+ * active version until the new one is activated (requires prompts:manage)
+ */
+router.post('/prompts/:name/versions', authMiddleware.authenticate, authMiddleware.authorize('prompts:manage'), async (req, res) => {
+  try {
+    const template = await promptService.createVersion(req.params.name, req.body, req.user.username);
+
+    res.status(201).json({
+      message: 'Prompt version saved',
+      template
+    });
+  } catch (error) {
+    sendPromptError(res, error);
+  }
+});
+
+/**
+ * POST /api/conversational-ai/prompts/:name/versions/:version/activate
+ * Use a version for new chat turns (requires prompts:manage)
+ */
+router.post('/prompts/:name/versions/:version/activate', authMiddleware.authenticate, authMiddleware.authorize('prompts:manage'), async (req, res) => {
+  try {
+    const template = await promptService.activateVersion(req.params.name, req.params.version, req.user.username);
+
+    res.status(200).json({
+      message: 'Prompt version activated',
+      template
+    });
+  } catch (error) {
+    sendPromptError(res, error);
+  }
+});
+
+/**
+ * PUT /api/conversational-ai/prompts/variables/:institution/:language
+ * Replace the variable values (helplines, counseling centre contacts) for an
+ * institution and language; "default" applies to every institution (requires prompts:manage)
+ */
+router.put('/prompts/variables/:institution/:language', authMiddleware.authenticate, authMiddleware.authorize('prompts:manage'), async (req, res) => {
+  try {
+    const variables = await promptService.updateVariables(
+      req.params.institution,
+      req.params.language,
+      req.body.values,
+      req.user.username
+    );
+
+    res.status(200).json({
+      message: 'Prompt variables updated',
+      variables
+    });
+  } catch (error) {
+    sendPromptError(res, error);
+  }
+});
+
+/**
+ * POST /api/conversational-ai/prompts/:name/preview
+ * Render a saved version ({ version }) or unsaved text ({ content }) for a
+ * language and institution. With a test `message`, model templates are also
+ * sent to the LLM and the reply is returned (requires prompts:manage)
+ */
+router.post('/prompts/:name/preview', authMiddleware.authenticate, authMiddleware.authorize('prompts:manage'), async (req, res) => {
+  const { version, content, language = 'en', institution, variables, message } = req.body;
+
+  let prompt;
+  try {
+    prompt = promptService.render(req.params.name, {
+      version,
+      content: typeof content === 'string' ? content : undefined,
+      language,
+      institution,
+      variables
+    });
+  } catch (error) {
+    return sendPromptError(res, error);
+  }
+
+  // Fixed replies have no response policy and never reach a model
+  if (!message || !prompt.policy) {
+    return res.status(200).json({ prompt });
+  }
+
+  if (typeof message !== 'string' || message.length > 1000) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Test message must be a string of at most 1000 characters'
+    });
+  }
+
+  try {
+    const reply = await conversationalAIService.llmService.generateResponse(message, [], { prompt });
+    res.status(200).json({ prompt, test: { message, reply } });
+  } catch (error) {
+    res.status(200).json({ prompt, test: { message, reply: null, error: error.message } });
+  }
+});
+
+const sendContinuityError = (res, error) => {
+  if (error.message === 'Continuity consent required') {
+    return res.status(403).json({
+      error: 'Consent Required',
+      message: 'Opt in to continuity before saving a profile'
+    });
+  }
+
+  if (error.message === 'Continuity profile could not be decrypted') {
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Your saved profile could not be read. You can delete it and start again.'
+    });
+  }
+
+  res.status(400).json({
+    error: 'Continuity update failed',
+    message: error.message
+  });
+};
+
+const requireContinuity = [authMiddleware.authenticate, authMiddleware.authorize('continuity:manage')];
+
+/**
+ * GET /api/conversational-ai/continuity
+ * The logged-in student's consent, the statement they are asked to agree to,
+ * and their profile once they have opted in (requires continuity:manage)
+ */
+router.get('/continuity', requireContinuity, wrapAsyncRoute(async (req, res) => {
+  res.status(200).json(await continuityService.getProfile(req.user.id));
+}));
+
+/**
+ * POST /api/conversational-ai/continuity/consent
+ * Opt in to continuity: { agree: true, version } where version is the
+ * consent statement shown to the student (requires continuity:manage)
+ */
+router.post('/continuity/consent', requireContinuity, async (req, res) => {
+  if (req.body.agree !== true) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Send agree: true to opt in'
+    });
+  }
+
+  try {
+    const continuity = await continuityService.giveConsent(req.user.id, req.body.version);
+    res.status(200).json({ message: 'Continuity enabled', ...continuity });
+  } catch (error) {
+    sendContinuityError(res, error);
+  }
+});
+
+/**
+ * PUT /api/conversational-ai/continuity
+ * Replace the goals and/or coping strategies that helped:
+ * { goals: [text], copingStrategies: [text] } (requires continuity:manage and consent)
+ */
+router.put('/continuity', requireContinuity, async (req, res) => {
+  try {
+    const continuity = await continuityService.updateProfile(req.user.id, {
+      goals: req.body.goals,
+      copingStrategies: req.body.copingStrategies
+    });
+    res.status(200).json({ message: 'Continuity profile updated', ...continuity });
+  } catch (error) {
+    sendContinuityError(res, error);
+  }
+});
+
+/**
+ * GET /api/conversational-ai/continuity/export
+ * Download everything kept for continuity, including the consent history (requires continuity:manage)
+ */
+router.get('/continuity/export', requireContinuity, wrapAsyncRoute(async (req, res) => {
+  const data = await continuityService.exportProfile(req.user.id);
+
+  res.set('Content-Disposition', 'attachment; filename="aarogyatech-continuity.json"');
+  res.status(200).json(data);
+}));
+
+/**
+ * DELETE /api/conversational-ai/continuity
+ * Delete the profile and withdraw consent; later chats no longer use it (requires continuity:manage)
+ */
+router.delete('/continuity', requireContinuity, wrapAsyncRoute(async (req, res) => {
+  const deleted = await continuityService.deleteProfile(req.user.id);
+
+  res.status(200).json({
+    message: deleted ? 'Continuity profile deleted and consent withdrawn' : 'No continuity profile to delete',
+    deleted
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
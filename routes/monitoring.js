@@ -4,14 +4,63 @@ const AuthMiddleware = require('../middleware/authMiddleware');
 const router = express.Router();
 const authMiddleware = new AuthMiddleware();
 
-// Middleware to ensure only admin and counselor access
-const requireAdminOrCounselor = [
-  authMiddleware.authenticate,
-  authMiddleware.adminOrCounselor
-];
+const ALERT_STATUSES = ['open', 'acknowledged', 'assigned', 'in_progress', 'resolved'];
+
+// Map crisis alert lifecycle errors to HTTP responses; returns false for unexpected errors
+const sendAlertError = (res, error) => {
+  if (error.message === 'Alert not found') {
+    res.status(404).json({
+      error: 'Not Found',
+      message: error.message
+    });
+    return true;
+  }
+  if (error.message.startsWith('Cannot move alert')) {
+    res.status(409).json({
+      error: 'Conflict',
+      message: error.message
+    });
+    return true;
+  }
+  if (error.message === 'Note text is required' || error.message === 'Assignee must be an active user who can respond to crisis alerts') {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: error.message
+    });
+    return true;
+  }
+  return false;
+};
+
+// Run a lifecycle action against the monitoring service and return the updated alert
+const alertAction = (description, action) => (req, res) => {
+  try {
+    const realTimeMonitoring = req.app.locals.realTimeMonitoring;
+
+    if (!realTimeMonitoring) {
+      return res.status(503).json({
+        error: 'Monitoring service unavailable',
+        message: 'Real-time monitoring service is not initialized'
+      });
+    }
+
+    const alert = action(realTimeMonitoring, req);
+
+    res.status(200).json({
+      success: true,
+      alert
+    });
+  } catch (error) {
+    if (sendAlertError(res, error)) return;
+    res.status(500).json({
+      error: `Failed to ${description}`,
+      message: error.message
+    });
+  }
+};
 
 // Get real-time monitoring data
-router.get('/status', requireAdminOrCounselor, (req, res) => {
+router.get('/status', authMiddleware.authenticate, authMiddleware.authorize('monitoring:read'), (req, res) => {
   try {
     const realTimeMonitoring = req.app.locals.realTimeMonitoring;
     
@@ -37,7 +86,7 @@ router.get('/status', requireAdminOrCounselor, (req, res) => {
 });
 
 // Get system health metrics
-router.get('/health', requireAdminOrCounselor, (req, res) => {
+router.get('/health', authMiddleware.authenticate, authMiddleware.authorize('monitoring:read'), (req, res) => {
   try {
     const realTimeMonitoring = req.app.locals.realTimeMonitoring;
     
@@ -63,7 +112,7 @@ router.get('/health', requireAdminOrCounselor, (req, res) => {
 });
 
 // Get connected clients information
-router.get('/clients', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+router.get('/clients', authMiddleware.authenticate, authMiddleware.authorize('monitoring:manage'), (req, res) => {
   try {
     const realTimeMonitoring = req.app.locals.realTimeMonitoring;
     
@@ -92,7 +141,7 @@ router.get('/clients', authMiddleware.authenticate, authMiddleware.adminOnly, (r
 });
 
 // Create a crisis alert (for testing or manual creation)
-router.post('/alert', requireAdminOrCounselor, (req, res) => {
+router.post('/alert', authMiddleware.authenticate, authMiddleware.authorize('crisis:respond'), (req, res) => {
   try {
     const realTimeMonitoring = req.app.locals.realTimeMonitoring;
     
@@ -118,7 +167,8 @@ router.post('/alert', requireAdminOrCounselor, (req, res) => {
       severity: severity || 'medium',
       message: message || 'Manual crisis alert',
       keywords: keywords || [],
-      sentiment: sentiment || null
+      sentiment: sentiment || null,
+      type: 'manual'
     };
 
     const alertId = realTimeMonitoring.createCrisisAlert(alertData);
@@ -136,37 +186,33 @@ router.post('/alert', requireAdminOrCounselor, (req, res) => {
   }
 });
 
-// Resolve a crisis alert
-router.post('/alert/:alertId/resolve', requireAdminOrCounselor, (req, res) => {
-  try {
-    const realTimeMonitoring = req.app.locals.realTimeMonitoring;
-    
-    if (!realTimeMonitoring) {
-      return res.status(503).json({
-        error: 'Monitoring service unavailable',
-        message: 'Real-time monitoring service is not initialized'
-      });
-    }
+// Acknowledge a crisis alert
+router.post('/alert/:alertId/acknowledge', authMiddleware.authenticate, authMiddleware.authorize('crisis:respond'), alertAction('acknowledge crisis alert',
+  (monitoring, req) => monitoring.acknowledgeAlert(req.params.alertId, req.user.username)
+));
 
-    const { alertId } = req.params;
-    const resolvedBy = req.user.username;
+// Assign a crisis alert to a counselor (reassigns if already assigned)
+router.post('/alert/:alertId/assign', authMiddleware.authenticate, authMiddleware.authorize('crisis:respond'), alertAction('assign crisis alert',
+  (monitoring, req) => monitoring.assignAlert(req.params.alertId, req.body.assignee, req.user.username)
+));
 
-    realTimeMonitoring.resolveAlert(alertId, resolvedBy);
-    
-    res.status(200).json({
-      success: true,
-      message: 'Crisis alert resolved successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'Failed to resolve crisis alert',
-      message: error.message
-    });
-  }
-});
+// Start working on a crisis alert
+router.post('/alert/:alertId/start', authMiddleware.authenticate, authMiddleware.authorize('crisis:respond'), alertAction('start crisis alert',
+  (monitoring, req) => monitoring.startAlert(req.params.alertId, req.user.username)
+));
+
+// Add a timestamped note to a crisis alert
+router.post('/alert/:alertId/notes', authMiddleware.authenticate, authMiddleware.authorize('crisis:respond'), alertAction('add crisis alert note',
+  (monitoring, req) => monitoring.addAlertNote(req.params.alertId, req.user.username, req.body.text)
+));
+
+// Resolve a crisis alert
+router.post('/alert/:alertId/resolve', authMiddleware.authenticate, authMiddleware.authorize('crisis:resolve'), alertAction('resolve crisis alert',
+  (monitoring, req) => monitoring.resolveAlert(req.params.alertId, req.user.username, req.body.resolution || null)
+));
 
 // Record API metric (for internal use)
-router.post('/metric', authMiddleware.authenticate, (req, res) => {
+router.post('/metric', authMiddleware.authenticate, authMiddleware.authorize('monitoring:manage'), (req, res) => {
   try {
     const realTimeMonitoring = req.app.locals.realTimeMonitoring;
     
@@ -201,7 +247,7 @@ router.post('/metric', authMiddleware.authenticate, (req, res) => {
 });
 
 // Send notification to connected clients
-router.post('/notify', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+router.post('/notify', authMiddleware.authenticate, authMiddleware.authorize('monitoring:manage'), (req, res) => {
   try {
     const realTimeMonitoring = req.app.locals.realTimeMonitoring;
     
@@ -236,7 +282,7 @@ router.post('/notify', authMiddleware.authenticate, authMiddleware.adminOnly, (r
 });
 
 // Broadcast system alert
-router.post('/system-alert', authMiddleware.authenticate, authMiddleware.adminOnly, (req, res) => {
+router.post('/system-alert', authMiddleware.authenticate, authMiddleware.authorize('monitoring:manage'), (req, res) => {
   try {
     const realTimeMonitoring = req.app.locals.realTimeMonitoring;
     
@@ -270,8 +316,8 @@ router.post('/system-alert', authMiddleware.authenticate, authMiddleware.adminOn
   }
 });
 
-// Get active alerts
-router.get('/alerts', requireAdminOrCounselor, (req, res) => {
+// List crisis alerts, including resolved ones when the database is connected
+router.get('/alerts', authMiddleware.authenticate, authMiddleware.authorize('crisis:read'), async (req, res) => {
   try {
     const realTimeMonitoring = req.app.locals.realTimeMonitoring;
     
@@ -282,13 +328,21 @@ router.get('/alerts', requireAdminOrCounselor, (req, res) => {
       });
     }
 
-    const monitoringData = realTimeMonitoring.getMonitoringData();
+    const { status } = req.query;
+    if (status && !ALERT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `status must be one of: ${ALERT_STATUSES.join(', ')}`
+      });
+    }
+
+    const alerts = await realTimeMonitoring.listAlerts({ status });
     
     res.status(200).json({
       success: true,
       data: {
-        alerts: monitoringData.activeAlerts,
-        count: monitoringData.activeAlerts.length
+        alerts,
+        count: alerts.length
       }
     });
   } catch (error) {
@@ -299,4 +353,36 @@ router.get('/alerts', requireAdminOrCounselor, (req, res) => {
   }
 });
 
+// Get one crisis alert with its notes and history
+router.get('/alert/:alertId', authMiddleware.authenticate, authMiddleware.authorize('crisis:read'), async (req, res) => {
+  try {
+    const realTimeMonitoring = req.app.locals.realTimeMonitoring;
+
+    if (!realTimeMonitoring) {
+      return res.status(503).json({
+        error: 'Monitoring service unavailable',
+        message: 'Real-time monitoring service is not initialized'
+      });
+    }
+
+    const alert = await realTimeMonitoring.getAlert(req.params.alertId);
+    if (!alert) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Alert not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      alert
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve crisis alert',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
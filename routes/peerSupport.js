@@ -16,23 +16,54 @@
 const express = require('express');
 const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
 const PeerSupportService = require('../services/peerSupportService');
+const AuthMiddleware = require('../middleware/authMiddleware');
 
 const router = express.Router();
 const peerSupportService = new PeerSupportService();
 const errorMiddleware = new ErrorHandlingMiddleware();
 const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
+const authMiddleware = new AuthMiddleware();
+
+// Helplines and message shown to the author of high-risk content; alert details stay server-side
+const buildCrisisSupport = (crisisSupport) => crisisSupport ? {
+  message: crisisSupport.message,
+  resources: crisisSupport.resources
+} : undefined;
+
+// Access for the moderation endpoints below
+const requireModerator = [authMiddleware.authenticate, authMiddleware.authorize('peer:moderate')];
+
+// Posting, replying, support and reports are recorded against the logged-in student
+const requireStudent = [authMiddleware.authenticate, authMiddleware.authorize('peer:post')];
+
+// Map moderation service errors onto HTTP responses; returns false if unhandled
+const sendModerationError = (res, error) => {
+  if (error.message === 'Invalid moderation action') {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: error.message
+    });
+    return true;
+  }
+  if (error.message === 'Post not found' || error.message === 'Reply not found') {
+    res.status(404).json({
+      error: 'Not Found',
+      message: error.message
+    });
+    return true;
+  }
+  return false;
+};
 
 /**
  * POST /api/peer-support/posts
  * Create a new peer support post
  */
-router.post('/posts', wrapAsyncRoute(async (req, res) => {
+router.post('/posts', requireStudent, wrapAsyncRoute(async (req, res) => {
   try {
     const {
       title,
       content,
-      authorId,
-      authorEmail,
       authorName,
       language = 'en'
     } = req.body;
@@ -64,8 +95,8 @@ router.post('/posts', wrapAsyncRoute(async (req, res) => {
     const postData = {
       title: title.trim(),
       content: content.trim(),
-      authorId: authorId || `anonymous_${Date.now()}`,
-      authorEmail: authorEmail || 'anonymous@student.edu',
+      authorId: req.user.id,
+      authorEmail: req.user.email,
       authorName: authorName || 'Anonymous Student',
       ipAddress: req.ip || req.connection.remoteAddress,
       userAgent: req.get('User-Agent'),
@@ -73,7 +104,9 @@ router.post('/posts', wrapAsyncRoute(async (req, res) => {
     };
 
     // Create the post
-    const result = await peerSupportService.createPost(postData);
+    const result = await peerSupportService.createPost(postData, {
+      monitoring: req.app.locals.realTimeMonitoring
+    });
 
     // Record analytics
     if (req.app.locals.analyticsService) {
@@ -126,7 +159,8 @@ router.post('/posts', wrapAsyncRoute(async (req, res) => {
       moderation: {
         needsReview: result.moderationInfo.needsModeration,
         riskLevel: result.moderationInfo.riskLevel
-      }
+      },
+      crisisSupport: buildCrisisSupport(result.crisisSupport)
     });
 
   } catch (error) {
@@ -230,14 +264,13 @@ router.get('/posts/:id', wrapAsyncRoute(async (req, res) => {
  * POST /api/peer-support/posts/:id/replies
  * Add a reply to a post
  */
-router.post('/posts/:id/replies', wrapAsyncRoute(async (req, res) => {
+router.post('/posts/:id/replies', requireStudent, wrapAsyncRoute(async (req, res) => {
   try {
     const { id } = req.params;
     const {
       content,
-      authorId,
-      authorEmail,
-      authorName
+      authorName,
+      language
     } = req.body;
 
     // Validate required fields
@@ -258,12 +291,15 @@ router.post('/posts/:id/replies', wrapAsyncRoute(async (req, res) => {
 
     const replyData = {
       content: content.trim(),
-      authorId: authorId || `anonymous_${Date.now()}`,
-      authorEmail: authorEmail || 'anonymous@student.edu',
-      authorName: authorName || 'Anonymous Student'
+      authorId: req.user.id,
+      authorEmail: req.user.email,
+      authorName: authorName || 'Anonymous Student',
+      language
     };
 
-    const result = await peerSupportService.addReply(id, replyData);
+    const result = await peerSupportService.addReply(id, replyData, {
+      monitoring: req.app.locals.realTimeMonitoring
+    });
 
     // Record analytics
     if (req.app.locals.analyticsService) {
@@ -277,7 +313,7 @@ router.post('/posts/:id/replies', wrapAsyncRoute(async (req, res) => {
         sentiment: null,
         topics: ['peer-support', 'community', 'reply'],
         crisisDetected: result.moderationInfo.riskLevel === 'high',
-        language: 'en',
+        language: language || 'en',
         success: true,
         statusCode: 201,
         endpoint: `/api/peer-support/posts/${id}/replies`,
@@ -305,7 +341,8 @@ router.post('/posts/:id/replies', wrapAsyncRoute(async (req, res) => {
       moderation: {
         needsReview: result.moderationInfo.needsModeration,
         riskLevel: result.moderationInfo.riskLevel
-      }
+      },
+      crisisSupport: buildCrisisSupport(result.crisisSupport)
     });
 
   } catch (error) {
@@ -329,17 +366,10 @@ router.post('/posts/:id/replies', wrapAsyncRoute(async (req, res) => {
  * POST /api/peer-support/posts/:id/support
  * Toggle support for a post
  */
-router.post('/posts/:id/support', wrapAsyncRoute(async (req, res) => {
+router.post('/posts/:id/support', requireStudent, wrapAsyncRoute(async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'User ID is required'
-      });
-    }
+    const userId = req.user.id;
 
     const result = await peerSupportService.togglePostSupport(id, userId);
 
@@ -365,17 +395,10 @@ router.post('/posts/:id/support', wrapAsyncRoute(async (req, res) => {
  * POST /api/peer-support/posts/:postId/replies/:replyId/support
  * Toggle support for a reply
  */
-router.post('/posts/:postId/replies/:replyId/support', wrapAsyncRoute(async (req, res) => {
+router.post('/posts/:postId/replies/:replyId/support', requireStudent, wrapAsyncRoute(async (req, res) => {
   try {
     const { postId, replyId } = req.params;
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'User ID is required'
-      });
-    }
+    const userId = req.user.id;
 
     const result = await peerSupportService.toggleReplySupport(postId, replyId, userId);
 
@@ -397,6 +420,102 @@ router.post('/posts/:postId/replies/:replyId/support', wrapAsyncRoute(async (req
   }
 }));
 
+// Validate a community report body; returns an error message or null
+const validateReport = ({ reason, note }) => {
+  if (!reason) {
+    return 'Reason is required';
+  }
+  if (note && note.length > 500) {
+    return 'Note must be 500 characters or less';
+  }
+  return null;
+};
+
+// Map report service errors onto HTTP responses; returns false if unhandled
+const sendReportError = (res, error) => {
+  if (error.message === 'Invalid report reason') {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: error.message
+    });
+    return true;
+  }
+  if (error.message === 'Content already reported') {
+    res.status(409).json({
+      error: 'Conflict',
+      message: 'You have already reported this'
+    });
+    return true;
+  }
+  if (error.message === 'Post not found' || error.message === 'Reply not found') {
+    res.status(404).json({
+      error: 'Not Found',
+      message: error.message
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * POST /api/peer-support/posts/:id/report
+ * Report a post for moderator review
+ */
+router.post('/posts/:id/report', requireStudent, wrapAsyncRoute(async (req, res) => {
+  const validationError = validateReport(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: validationError
+    });
+  }
+
+  const { reason, note } = req.body;
+
+  try {
+    const result = await peerSupportService.reportPost(req.params.id, { reporterId: req.user.id, reason, note });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you. A counselor will review this post.',
+      hidden: result.hidden
+    });
+  } catch (error) {
+    if (sendReportError(res, error)) return;
+    throw error;
+  }
+}));
+
+/**
+ * POST /api/peer-support/posts/:postId/replies/:replyId/report
+ * Report a reply for moderator review
+ */
+router.post('/posts/:postId/replies/:replyId/report', requireStudent, wrapAsyncRoute(async (req, res) => {
+  const validationError = validateReport(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: validationError
+    });
+  }
+
+  const { postId, replyId } = req.params;
+  const { reason, note } = req.body;
+
+  try {
+    const result = await peerSupportService.reportReply(postId, replyId, { reporterId: req.user.id, reason, note });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you. A counselor will review this reply.',
+      hidden: result.hidden
+    });
+  } catch (error) {
+    if (sendReportError(res, error)) return;
+    throw error;
+  }
+}));
+
 /**
  * GET /api/peer-support/stats
  * Get community statistics
@@ -470,4 +589,93 @@ router.get('/categories', wrapAsyncRoute(async (req, res) => {
   }
 }));
 
+/**
+ * GET /api/peer-support/moderation/queue
+ * Flagged posts and replies awaiting review, highest risk first
+ */
+router.get('/moderation/queue', requireModerator, wrapAsyncRoute(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  const queue = await peerSupportService.getModerationQueue({ limit });
+
+  res.status(200).json({
+    success: true,
+    items: queue.items,
+    total: queue.total
+  });
+}));
+
+/**
+ * GET /api/peer-support/moderation/posts/:id
+ * Post with all replies (including hidden ones) and the moderation audit trail
+ */
+router.get('/moderation/posts/:id', requireModerator, wrapAsyncRoute(async (req, res) => {
+  const post = await peerSupportService.getModerationDetails(req.params.id);
+
+  if (!post) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Post not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    post
+  });
+}));
+
+/**
+ * POST /api/peer-support/moderation/posts/:id
+ * Moderate a post: approve, hide, pin, unpin, lock or unlock
+ */
+router.post('/moderation/posts/:id', requireModerator, wrapAsyncRoute(async (req, res) => {
+  const { action, notes = '' } = req.body;
+
+  try {
+    const post = await peerSupportService.moderatePost(req.params.id, req.user, action, notes);
+
+    res.status(200).json({
+      success: true,
+      message: `Post ${action} applied`,
+      moderation: {
+        moderationStatus: post.moderationStatus,
+        isHidden: post.isHidden,
+        isPinned: post.isPinned,
+        isLocked: post.isLocked,
+        moderationHistory: post.moderationHistory
+      }
+    });
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    throw error;
+  }
+}));
+
+/**
+ * POST /api/peer-support/moderation/posts/:postId/replies/:replyId
+ * Moderate a reply: approve or hide
+ */
+router.post('/moderation/posts/:postId/replies/:replyId', requireModerator, wrapAsyncRoute(async (req, res) => {
+  const { postId, replyId } = req.params;
+  const { action, notes = '' } = req.body;
+
+  try {
+    const reply = await peerSupportService.moderateReply(postId, replyId, req.user, action, notes);
+
+    res.status(200).json({
+      success: true,
+      message: `Reply ${action} applied`,
+      moderation: {
+        moderationStatus: reply.moderationStatus,
+        isHidden: reply.isHidden,
+        moderationHistory: reply.moderationHistory
+      }
+    });
+  } catch (error) {
+    if (sendModerationError(res, error)) return;
+    throw error;
+  }
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -6,10 +6,12 @@
 const express = require('express');
 const ScreeningService = require('../services/screeningService');
 const ErrorHandlingMiddleware = require('../middleware/errorHandlingMiddleware');
+const AuthMiddleware = require('../middleware/authMiddleware');
 
 const router = express.Router();
 const screeningService = new ScreeningService();
 const errorMiddleware = new ErrorHandlingMiddleware();
+const authMiddleware = new AuthMiddleware();
 const { wrapAsyncRoute } = errorMiddleware.getMiddleware();
 
 /**
@@ -32,12 +34,13 @@ router.get('/tools', (req, res) => {
 });
 
 /**
- * GET /api/screening/tools/:toolName
+ * GET /api/screening/tools/:toolName?language=mr&version=1.0
  * Get specific screening tool details and questions
  */
 router.get('/tools/:toolName', (req, res) => {
   try {
     const { toolName } = req.params;
+    const { language = 'en', version = null } = req.query;
     
     // Validate tool name
     if (!toolName) {
@@ -47,7 +50,7 @@ router.get('/tools/:toolName', (req, res) => {
       });
     }
 
-    const toolDetails = screeningService.getToolQuestions(toolName);
+    const toolDetails = screeningService.getToolQuestions(toolName, language, version);
     
     res.status(200).json({
       success: true,
@@ -191,7 +194,7 @@ router.post('/recommend', (req, res) => {
  */
 router.post('/interpret', (req, res) => {
   try {
-    const { toolName, score, scoringMethod = 'standard' } = req.body;
+    const { toolName, score, scoringMethod = 'standard', subscaleScores, version = null } = req.body;
     
     // Validation
     if (!toolName || typeof toolName !== 'string') {
@@ -208,20 +211,22 @@ router.post('/interpret', (req, res) => {
       });
     }
 
-    const interpretation = screeningService.interpretScore(toolName, score, scoringMethod);
+    const interpretation = screeningService.interpretScore(toolName, score, scoringMethod, subscaleScores, version);
     
     res.status(200).json({
       success: true,
       interpretation,
       metadata: {
         toolName,
+        toolVersion: screeningService.getTool(toolName, version).version,
         score,
         scoringMethod,
         timestamp: new Date().toISOString()
       }
     });
   } catch (error) {
-    if (error.message.includes('not found') || error.message.includes('outside valid range')) {
+    if (error.message.includes('not found') || error.message.includes('outside valid range') ||
+        error.message.includes('requires subscale scores')) {
       return res.status(400).json({
         error: 'Bad Request',
         message: error.message
@@ -266,6 +271,9 @@ router.get('/status', (req, res) => {
         'PHQ-9 Depression Screening',
         'GAD-7 Anxiety Screening', 
         'GHQ-12 General Distress Screening',
+        'PSS-10 Perceived Stress Scale',
+        'DASS-21 Depression, Anxiety and Stress Subscales',
+        'PC-PTSD-5 PTSD Screening',
         'Crisis Detection',
         'Score Interpretation',
         'Treatment Recommendations',
@@ -362,7 +370,7 @@ router.get('/help', (req, res) => {
     res.status(200).json({
       success: true,
       help: {
-        overview: 'Mental health screening tools to assess depression, anxiety, and general psychological distress',
+        overview: 'Mental health screening tools to assess depression, anxiety, stress, trauma and general psychological distress',
         tools: {
           'PHQ-9': {
             purpose: 'Depression screening and severity assessment',
@@ -400,6 +408,38 @@ router.get('/help', (req, res) => {
               '16-20': 'Moderate psychological distress',
               '21-36': 'Severe psychological distress'
             }
+          },
+          'PSS-10': {
+            purpose: 'Perceived stress over the last month',
+            duration: '2-3 minutes',
+            scoring: 'Items 4, 5, 7 and 8 are reverse scored; higher scores indicate more stress',
+            clinicalCutoff: 14,
+            interpretation: {
+              '0-13': 'Low perceived stress',
+              '14-26': 'Moderate perceived stress',
+              '27-40': 'High perceived stress'
+            }
+          },
+          'DASS-21': {
+            purpose: 'Depression, anxiety and stress in one assessment',
+            duration: '5-7 minutes',
+            scoring: 'Each 7-item subscale is summed and multiplied by 2; the most severe subscale sets the overall level. /interpret needs subscaleScores',
+            clinicalCutoff: { depression: 10, anxiety: 8, stress: 15 },
+            interpretation: {
+              depression: { '0-9': 'Normal', '10-13': 'Mild', '14-20': 'Moderate', '21-27': 'Severe', '28+': 'Extremely severe' },
+              anxiety: { '0-7': 'Normal', '8-9': 'Mild', '10-14': 'Moderate', '15-19': 'Severe', '20+': 'Extremely severe' },
+              stress: { '0-14': 'Normal', '15-18': 'Mild', '19-25': 'Moderate', '26-33': 'Severe', '34+': 'Extremely severe' }
+            }
+          },
+          'PC-PTSD-5': {
+            purpose: 'Probable PTSD screening',
+            duration: '1-2 minutes',
+            scoring: 'Trauma exposure question first; if yes, five yes/no items count 1 point each',
+            clinicalCutoff: 3,
+            interpretation: {
+              '0-2': 'Negative screen',
+              '3-5': 'Positive screen for probable PTSD'
+            }
           }
         },
         usage: {
@@ -418,4 +458,45 @@ router.get('/help', (req, res) => {
   }
 });
 
+/**
+ * GET /api/screening/admin/instruments
+ * List every loaded instrument version (requires screening:read)
+ */
+router.get('/admin/instruments', authMiddleware.authenticate, authMiddleware.authorize('screening:read'), (req, res) => {
+  const instruments = screeningService.registry.listInstruments();
+
+  res.status(200).json({
+    success: true,
+    instruments,
+    totalCount: instruments.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/screening/admin/instruments/:toolName?version=1.0&language=mr
+ * Preview a loaded instrument definition as students would see it (requires screening:read)
+ */
+router.get('/admin/instruments/:toolName', authMiddleware.authenticate, authMiddleware.authorize('screening:read'), (req, res) => {
+  const { toolName } = req.params;
+  const { version = null, language = 'en' } = req.query;
+  const definition = screeningService.registry.getInstrument(toolName, version);
+
+  if (!definition) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: version
+        ? `Screening tool '${toolName}' version '${version}' not found`
+        : `Screening tool '${toolName}' not found`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    definition,
+    preview: screeningService.getToolQuestions(toolName, language, definition.version),
+    timestamp: new Date().toISOString()
+  });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -6,7 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const ScreeningResponse = require('../models/screeningResponse');
-const { PHQ9, GAD7, GHQ12 } = require('../models/screeningTools');
+const { registry, isToolName } = require('../models/screeningTools');
+const ScreeningService = require('../services/screeningService');
+const ContinuityService = require('../services/continuityService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+
+const screeningService = new ScreeningService();
+const continuityService = ContinuityService.getDefault();
+const authMiddleware = new AuthMiddleware();
 
 // Middleware to log API usage
 router.use((req, res, next) => {
@@ -16,36 +23,64 @@ router.use((req, res, next) => {
 
 /**
  * POST /api/screening-responses/submit
- * Submit a completed screening response
+ * Submit a completed screening response. Scores, severity and crisis
+ * indicators are recomputed from the raw responses; results sent by the
+ * client are only recorded for audit, and a mismatch is rejected with 422
+ * after the response has been stored with the server's scoring (so a
+ * crisis indicator is never lost). The response is stored against the
+ * logged-in student, never an id sent in the body.
  */
-router.post('/submit', async (req, res) => {
+router.post('/submit', authMiddleware.authenticate, authMiddleware.authorize('screening:submit'), async (req, res) => {
+  let scored = null;
+
   try {
+    const { id: userId, email: userEmail } = req.user;
     const {
-      userId,
-      userEmail,
       sessionId,
       toolName,
+      toolVersion,
       responses,
       userDescription,
       results,
       crisisIndicators,
-      recommendations,
       language = 'en'
     } = req.body;
 
     // Validate required fields
-    if (!userId || !userEmail || !toolName || !responses || !results) {
+    if (!toolName || !responses) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: userId, userEmail, toolName, responses, results'
+        error: 'Missing required fields: toolName, responses'
       });
     }
 
     // Validate tool name
-    if (!['PHQ-9', 'GAD-7', 'GHQ-12'].includes(toolName)) {
+    if (!isToolName(toolName)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid tool name. Must be one of: ${registry.getToolNames().join(', ')}`
+      });
+    }
+
+    // Score from the raw answers
+    try {
+      scored = screeningService.scoreSubmission(toolName, responses, toolVersion);
+    } catch (error) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid tool name. Must be PHQ-9, GAD-7, or GHQ-12'
+        error: error.message
+      });
+    }
+
+    const mismatchFields = screeningService.compareWithClientResults(scored, results, crisisIndicators);
+    const requiresFollowUp = screeningService.requiresFollowUp(scored);
+
+    if (mismatchFields.length > 0) {
+      console.warn(`⚠️  Screening results from client do not match server scoring for ${toolName}`, {
+        userId,
+        mismatchFields,
+        clientSeverity: results?.severityLevel,
+        serverSeverity: scored.results.severityLevel
       });
     }
 
@@ -54,17 +89,23 @@ router.post('/submit', async (req, res) => {
       console.warn('⚠️  Database not connected - screening response not saved:', {
         userId,
         toolName,
-        severity: results.severityLevel,
-        hasCrisis: crisisIndicators?.hasCrisisAlerts || false
+        severity: scored.results.severityLevel,
+        hasCrisis: scored.crisisIndicators.hasCrisisAlerts
       });
+      logCrisisAlert(userId, userEmail, toolName, null, scored);
+
+      if (mismatchFields.length > 0) {
+        return res.status(422).json(buildMismatchResponse(null, scored, mismatchFields, requiresFollowUp));
+      }
       
       return res.status(201).json({
         success: true,
         message: 'Screening completed (database unavailable)',
         responseId: null,
         riskLevel: 'unknown',
-        requiresFollowUp: crisisIndicators?.hasCrisisAlerts || 
-                         ['severe', 'moderately_severe'].includes(results.severityLevel)
+        results: scored.results,
+        toolVersion: scored.toolVersion,
+        requiresFollowUp
       });
     }
 
@@ -72,21 +113,37 @@ router.post('/submit', async (req, res) => {
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('User-Agent');
 
+    // Question text and category come from the tool definition, not the client
+    const tool = screeningService.getTool(toolName, scored.toolVersion);
+    const responseMap = screeningService.toResponseMap(responses);
+
     // Create screening response document
     const screeningResponse = new ScreeningResponse({
       userId,
       userEmail,
       sessionId: sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       toolName,
-      responses,
+      toolVersion: scored.toolVersion,
+      responses: tool.questions
+        .filter(question => !screeningService.isSkipped(question, responseMap))
+        .map(question => ({
+          questionId: question.id,
+          questionText: question.text,
+          response: responseMap[question.id],
+          category: question.category || 'general',
+          subscale: question.subscale
+        })),
       userDescription: userDescription ? userDescription.trim() : '',
-      results,
-      crisisIndicators: crisisIndicators || {
-        hasCrisisAlerts: false,
-        crisisAlerts: [],
-        requiresImmediateAttention: false
+      results: scored.results,
+      crisisIndicators: scored.crisisIndicators,
+      recommendations: scored.recommendations,
+      scoringAudit: {
+        source: 'server',
+        clientResults: results || null,
+        clientCrisisIndicators: crisisIndicators || null,
+        mismatch: mismatchFields.length > 0,
+        mismatchFields
       },
-      recommendations: recommendations || [],
       ipAddress,
       userAgent,
       language
@@ -96,30 +153,30 @@ router.post('/submit', async (req, res) => {
     const savedResponse = await screeningResponse.save();
 
     // Log crisis alerts for immediate attention
-    if (savedResponse.crisisIndicators.hasCrisisAlerts) {
-      console.warn(`🚨 CRISIS ALERT: User ${userId} (${userEmail}) completed ${toolName} with crisis indicators`, {
-        responseId: savedResponse._id,
-        severity: savedResponse.results.severityLevel,
-        crisisAlerts: savedResponse.crisisIndicators.crisisAlerts,
-        timestamp: new Date().toISOString()
-      });
+    logCrisisAlert(userId, userEmail, toolName, savedResponse._id, scored);
+
+    if (mismatchFields.length > 0) {
+      return res.status(422).json(buildMismatchResponse(savedResponse._id, scored, mismatchFields, requiresFollowUp));
     }
 
+    // Students who opted in to continuity let the assistant follow up on results that are on record
+    await continuityService.recordScreening(userId, toolName, scored);
+
     res.status(201).json({
       success: true,
       message: 'Screening response saved successfully',
       responseId: savedResponse._id,
       riskLevel: savedResponse.riskLevel,
-      requiresFollowUp: savedResponse.crisisIndicators.hasCrisisAlerts || 
-                       ['severe', 'moderately_severe'].includes(savedResponse.results.severityLevel)
+      results: scored.results,
+      toolVersion: scored.toolVersion,
+      requiresFollowUp
     });
 
   } catch (error) {
     console.error('Error saving screening response:', error);
     
     // Still return success to user but log the error
-    const hasFollowUp = (crisisIndicators && crisisIndicators.hasCrisisAlerts) || 
-                       (results && ['severe', 'moderately_severe'].includes(results.severityLevel));
+    const hasFollowUp = !!scored && screeningService.requiresFollowUp(scored);
     
     res.status(201).json({
       success: true,
@@ -132,11 +189,35 @@ router.post('/submit', async (req, res) => {
   }
 });
 
+function logCrisisAlert(userId, userEmail, toolName, responseId, scored) {
+  if (!scored.crisisIndicators.hasCrisisAlerts) return;
+
+  console.warn(`🚨 CRISIS ALERT: User ${userId} (${userEmail}) completed ${toolName} with crisis indicators`, {
+    responseId,
+    severity: scored.results.severityLevel,
+    crisisAlerts: scored.crisisIndicators.crisisAlerts,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function buildMismatchResponse(responseId, scored, mismatchFields, requiresFollowUp) {
+  return {
+    success: false,
+    error: 'Submitted results do not match the responses',
+    mismatchFields,
+    responseId,
+    results: scored.results,
+    toolVersion: scored.toolVersion,
+    crisisIndicators: scored.crisisIndicators,
+    requiresFollowUp
+  };
+}
+
 /**
  * GET /api/screening-responses/admin/overview
  * Get overview statistics for admin dashboard
  */
-router.get('/admin/overview', async (req, res) => {
+router.get('/admin/overview', authMiddleware.authenticate, authMiddleware.authorize('screening:read'), async (req, res) => {
   try {
     // Check if database is connected
     if (!ScreeningResponse.db || ScreeningResponse.db.readyState !== 1) {
@@ -223,7 +304,7 @@ router.get('/admin/overview', async (req, res) => {
  * GET /api/screening-responses/admin/responses
  * Get paginated list of screening responses for admin
  */
-router.get('/admin/responses', async (req, res) => {
+router.get('/admin/responses', authMiddleware.authenticate, authMiddleware.authorize('screening:read'), async (req, res) => {
   try {
     // Check if database is connected
     if (!ScreeningResponse.db || ScreeningResponse.db.readyState !== 1) {
@@ -325,7 +406,7 @@ router.get('/admin/responses', async (req, res) => {
  * GET /api/screening-responses/admin/response/:id
  * Get detailed screening response by ID
  */
-router.get('/admin/response/:id', async (req, res) => {
+router.get('/admin/response/:id', authMiddleware.authenticate, authMiddleware.authorize('screening:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -356,23 +437,24 @@ router.get('/admin/response/:id', async (req, res) => {
  * PUT /api/screening-responses/admin/response/:id
  * Update screening response (admin notes, status, etc.)
  */
-router.put('/admin/response/:id', async (req, res) => {
+router.put('/admin/response/:id', authMiddleware.authenticate, authMiddleware.authorize('screening:review'), async (req, res) => {
   try {
     const { id } = req.params;
     const {
       status,
       adminNote,
-      adminUser,
       followUpScheduled,
       followUpDate,
       counselorAssigned
     } = req.body;
 
     const updateData = {};
+    // Recorded against the logged-in reviewer, never a name sent in the body
+    const reviewer = req.user.username;
     
     if (status) {
       updateData.status = status;
-      updateData.reviewedBy = adminUser;
+      updateData.reviewedBy = reviewer;
       updateData.reviewedAt = new Date();
     }
     
@@ -393,7 +475,7 @@ router.put('/admin/response/:id', async (req, res) => {
     if (adminNote) {
       response.adminNotes.push({
         note: adminNote,
-        addedBy: adminUser || 'admin',
+        addedBy: reviewer,
         addedAt: new Date()
       });
     }
@@ -422,7 +504,7 @@ router.put('/admin/response/:id', async (req, res) => {
  * GET /api/screening-responses/admin/crisis-alerts
  * Get current crisis alerts requiring immediate attention
  */
-router.get('/admin/crisis-alerts', async (req, res) => {
+router.get('/admin/crisis-alerts', authMiddleware.authenticate, authMiddleware.authorize('screening:read'), async (req, res) => {
   try {
     const { limit = 50 } = req.query;
     
@@ -455,7 +537,7 @@ router.get('/admin/crisis-alerts', async (req, res) => {
  * GET /api/screening-responses/admin/analytics
  * Get detailed analytics for reporting
  */
-router.get('/admin/analytics', async (req, res) => {
+router.get('/admin/analytics', authMiddleware.authenticate, authMiddleware.authorize('screening:read'), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     
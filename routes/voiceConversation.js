@@ -345,23 +345,45 @@ router.post('/test-synthesis', wrapAsyncRoute(async (req, res) => {
 }));
 
 /**
- * WebSocket endpoint setup would go here for real-time streaming
- * This is a placeholder for future WebSocket implementation
+ * GET /api/voice-conversation/websocket-info
+ * Describe the real-time voice streaming channel (see VoiceStreamingService)
  */
 router.get('/websocket-info', (req, res) => {
   res.status(200).json({
     success: true,
-    message: 'WebSocket support for real-time voice streaming is planned for future implementation',
+    message: 'Real-time voice streaming is available over socket.io',
     currentSupport: {
-      realTime: false,
-      streaming: false,
-      method: 'HTTP POST with file upload'
+      realTime: true,
+      streaming: true,
+      method: 'socket.io namespace',
+      fallback: 'HTTP POST with file upload'
     },
-    plannedFeatures: {
-      webSocketStreaming: 'Real-time audio streaming',
-      partialTranscription: 'Live transcription updates',
-      interruptibleSpeech: 'Ability to interrupt AI responses',
-      voiceActivityDetection: 'Automatic recording start/stop'
+    connection: {
+      path: '/socket.io/',
+      namespace: '/voice'
+    },
+    clientEvents: {
+      'start-stream': 'Start a conversation ({ language, voiceProfile, contentType })',
+      'audio-chunk': 'Binary microphone chunk for the current utterance',
+      'end-utterance': 'Finish the utterance and request a reply',
+      'barge-in': 'Cancel the reply that is being prepared or played',
+      'end-stream': 'End the conversation'
+    },
+    serverEvents: {
+      'stream-started': 'Conversation session created ({ sessionId })',
+      'partial-transcript': 'Live transcription of the utterance so far',
+      'final-transcript': 'Transcription of the completed utterance',
+      'ai-response': 'Reply text with crisis and screening information',
+      'tts-audio': 'Synthesized reply audio',
+      'response-cancelled': 'Reply cancelled after barge-in',
+      'stream-error': 'Processing error',
+      'stream-ended': 'Conversation summary'
+    },
+    features: {
+      webSocketStreaming: true,
+      partialTranscription: true,
+      interruptibleSpeech: true,
+      voiceActivityDetection: false
     },
     timestamp: new Date().toISOString()
   });
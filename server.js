@@ -6,6 +6,7 @@ const morgan = require('morgan');
 const ErrorHandlingMiddleware = require('./middleware/errorHandlingMiddleware');
 const AnalyticsMiddleware = require('./middleware/analyticsMiddleware');
 const RealTimeMonitoringService = require('./services/realTimeMonitoringService');
+const VoiceStreamingService = require('./services/voiceStreamingService');
 const PerformanceOptimizationService = require('./services/performanceOptimizationService');
 const CachingService = require('./services/cachingService');
 const ApiBatchingService = require('./services/apiBatchingService');
@@ -254,6 +255,10 @@ process.on('SIGTERM', () => {
   cachingService.destroy();
   batchingService.destroy();
   
+  if (voiceStreaming) {
+    voiceStreaming.destroy();
+  }
+  
   if (realTimeMonitoring) {
     realTimeMonitoring.destroy();
   }
@@ -274,6 +279,10 @@ process.on('SIGINT', () => {
   cachingService.destroy();
   batchingService.destroy();
   
+  if (voiceStreaming) {
+    voiceStreaming.destroy();
+  }
+  
   if (realTimeMonitoring) {
     realTimeMonitoring.destroy();
   }
@@ -284,6 +293,7 @@ process.on('SIGINT', () => {
 // Start server only if not in test mode
 let server;
 let realTimeMonitoring;
+let voiceStreaming;
 
 // MongoDB Connection
 async function connectToMongoDB() {
@@ -343,6 +353,12 @@ if (process.env.NODE_ENV !== 'test') {
       app.locals.realTimeMonitoring = realTimeMonitoring;
       
       console.log('Real-time monitoring service initialized');
+      
+      // Voice streaming shares the monitoring socket.io server on its own namespace
+      voiceStreaming = new VoiceStreamingService(realTimeMonitoring.io);
+      app.locals.voiceStreaming = voiceStreaming;
+      
+      console.log('Voice streaming service initialized');
     });
   });
 }
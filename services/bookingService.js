@@ -13,112 +13,156 @@
  * Date: 2025
  */
 
-const fs = require('fs').promises;
+const EventEmitter = require('events');
 const path = require('path');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const CounselorService = require('./counselorService');
+const { createBookingStore, SLOT_TAKEN_MESSAGE } = require('./bookingStore');
 
-class BookingService {
-  constructor() {
+/**
+ * Emits 'bookingCreated' (booking) and 'bookingUpdated' ({ booking, previous })
+ */
+class BookingService extends EventEmitter {
+  /**
+   * @param {Object} store - Booking storage adapter (see bookingStore.js)
+   * @param {CounselorService} counselorService - Counselor roster
+   */
+  constructor(store = createBookingStore(), counselorService = null) {
+    super();
     this.dataDir = path.join(__dirname, '..', 'data');
-    this.bookingsFile = path.join(this.dataDir, 'bookings.json');
-    this.initializeDataDirectory();
+    this.store = store;
+    this.counselorService = counselorService || new CounselorService(this.dataDir);
+    this.bookingLock = Promise.resolve();
+    this.maxAssignmentAttempts = 3;
+    this.store.initialize();
   }
 
-  async initializeDataDirectory() {
+  async loadBookings(filters = {}) {
     try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-      
-      // Initialize bookings file if it doesn't exist
+      return await this.store.find(filters);
+    } catch (error) {
+      console.error('Error loading bookings:', error);
+      return [];
+    }
+  }
+
+  // Serialize read-check-write sequences so two requests cannot take the same slot
+  withBookingLock(operation) {
+    const result = this.bookingLock.then(operation);
+    this.bookingLock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Create a booking, assigning a counselor who is free at the requested time.
+   * `bookingData.counselorId` requests a specific counselor.
+   */
+  async createBooking(bookingData) {
+    return this.withBookingLock(async () => {
       try {
-        await fs.access(this.bookingsFile);
+        const { counselorId = null, ...data } = bookingData;
+
+        // The store's slot constraint is the final arbiter: another server
+        // instance may take the chosen slot between our read and the insert,
+        // in which case an automatic assignment is retried
+        for (let attempt = 1; ; attempt++) {
+          const assignment = await this.assignCounselor(data, counselorId);
+
+          const newBooking = {
+            id: crypto.randomUUID(),
+            ...data,
+            ...assignment,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+          };
+
+          try {
+            const saved = await this.store.insert(newBooking);
+            console.log('Booking created:', saved.id);
+            this.emit('bookingCreated', saved);
+            return saved;
+          } catch (error) {
+            if (error.message !== SLOT_TAKEN_MESSAGE) {
+              throw error;
+            }
+            if (counselorId) {
+              throw new Error('Selected counselor is not available at this time');
+            }
+            if (attempt >= this.maxAssignmentAttempts) {
+              throw new Error('No counselor is available at this time');
+            }
+          }
+        }
       } catch (error) {
-        await fs.writeFile(this.bookingsFile, JSON.stringify([], null, 2));
+        console.error('Error creating booking:', error);
+        throw error;
       }
-    } catch (error) {
-      console.error('Error initializing data directory:', error);
-    }
+    });
   }
 
-  async loadBookings() {
-    try {
-      const data = await fs.readFile(this.bookingsFile, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('Error loading bookings:', error);
-      return [];
+  /**
+   * Choose the counselor for a new booking
+   * @returns {Promise<Object>} Assignment fields, empty when there is no roster
+   */
+  async assignCounselor(data, counselorId) {
+    const roster = await this.counselorService.getCounselors();
+
+    // Without a roster every booking shares the single campus calendar
+    if (roster.length === 0) {
+      return {};
     }
-  }
 
-  async saveBookings(bookings) {
-    try {
-      await fs.writeFile(this.bookingsFile, JSON.stringify(bookings, null, 2));
-    } catch (error) {
-      console.error('Error saving bookings:', error);
-      throw error;
+    const bookings = await this.loadBookings({ preferredDate: data.preferredDate });
+    const counselor = await this.counselorService.findAvailableCounselor(
+      data.preferredDate,
+      data.preferredTime,
+      data.sessionType,
+      bookings,
+      counselorId
+    );
+
+    if (!counselor) {
+      throw new Error(counselorId
+        ? 'Selected counselor is not available at this time'
+        : 'No counselor is available at this time');
     }
+
+    return {
+      counselorId: counselor.id,
+      assignedCounselor: counselor.name,
+      counselorSelection: counselorId ? 'student' : 'auto'
+    };
   }
 
-  async createBooking(bookingData) {
+  async getBookingById(id) {
     try {
-      const bookings = await this.loadBookings();
-      
-      const newBooking = {
-        id: uuidv4(),
-        ...bookingData,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
-
-      bookings.push(newBooking);
-      await this.saveBookings(bookings);
-      
-      console.log('Booking created:', newBooking.id);
-      return newBooking;
+      return await this.store.findById(id);
     } catch (error) {
-      console.error('Error creating booking:', error);
+      console.error('Error getting booking by ID:', error);
       throw error;
     }
   }
 
-  async getBookingById(id) {
+  /**
+   * Bookings assigned to a counselor, including cancelled ones so calendar
+   * feeds can withdraw them
+   * @param {string} counselorId - Counselor ID
+   * @param {string|null} dateFrom - Earliest appointment date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Bookings
+   */
+  async getCounselorBookings(counselorId, dateFrom = null) {
     try {
-      const bookings = await this.loadBookings();
-      return bookings.find(booking => booking.id === id);
+      return await this.store.find({ counselorId, dateFrom });
     } catch (error) {
-      console.error('Error getting booking by ID:', error);
+      console.error('Error getting counselor bookings:', error);
       throw error;
     }
   }
 
   async getBookings(filters = {}, pagination = { limit: 50, offset: 0 }) {
     try {
-      let bookings = await this.loadBookings();
-      
-      // Apply filters
-      if (filters.status) {
-        bookings = bookings.filter(booking => booking.status === filters.status);
-      }
-      
-      if (filters.sessionType) {
-        bookings = bookings.filter(booking => booking.sessionType === filters.sessionType);
-      }
-      
-      if (filters.dateFrom) {
-        const fromDate = new Date(filters.dateFrom);
-        bookings = bookings.filter(booking => 
-          new Date(booking.preferredDate) >= fromDate
-        );
-      }
-      
-      if (filters.dateTo) {
-        const toDate = new Date(filters.dateTo);
-        bookings = bookings.filter(booking => 
-          new Date(booking.preferredDate) <= toDate
-        );
-      }
-
-      // Sort by creation date (newest first)
-      bookings.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      // Filtered and sorted newest first by the store
+      const bookings = await this.store.find(filters);
       
       // Apply pagination
       const total = bookings.length;
@@ -137,30 +181,53 @@ class BookingService {
     }
   }
 
-  async updateBookingStatus(id, updateData) {
+  /**
+   * Update a booking
+   * @param {string} id - Booking ID
+   * @param {Object} updateData - Fields to change
+   * @param {number|null} expectedVersion - Version the caller last read; the
+   *   update fails if someone else changed the booking since
+   * @returns {Promise<Object|null>} Updated booking, or null if not found
+   */
+  async updateBookingStatus(id, updateData, expectedVersion = null) {
     try {
-      const bookings = await this.loadBookings();
-      const bookingIndex = bookings.findIndex(booking => booking.id === id);
-      
-      if (bookingIndex === -1) {
+      const previous = await this.store.findById(id);
+      if (!previous) {
         return null;
       }
-      
-      bookings[bookingIndex] = {
-        ...bookings[bookingIndex],
-        ...updateData,
-        updatedAt: new Date().toISOString()
-      };
-      
-      await this.saveBookings(bookings);
-      console.log('Booking status updated:', id);
-      return bookings[bookingIndex];
+
+      const booking = await this.store.update(id, updateData, expectedVersion);
+      if (booking) {
+        console.log('Booking status updated:', id);
+        this.emit('bookingUpdated', { booking, previous });
+      }
+      return booking;
     } catch (error) {
       console.error('Error updating booking status:', error);
       throw error;
     }
   }
 
+  /**
+   * Turn the student's notifications for a booking on or off
+   * @param {string} id - Booking ID
+   * @param {boolean} enabled - Whether to send notifications
+   * @returns {Promise<Object|null>} Updated booking
+   */
+  async setNotificationPreference(id, enabled) {
+    try {
+      return await this.store.update(id, { notificationsOptOut: !enabled });
+    } catch (error) {
+      console.error('Error updating notification preference:', error);
+      throw error;
+    }
+  }
+
+  // Recorded without a 'bookingUpdated' event, which would notify again
+  async markReminderSent(id) {
+    return this.store.update(id, { reminderSentAt: new Date().toISOString() });
+  }
+
   async cancelBooking(id, cancelData) {
     try {
       const updateData = {
@@ -176,9 +243,14 @@ class BookingService {
     }
   }
 
-  async getAvailability(date, sessionType = null) {
+  async getAvailability(date, sessionType = null, counselorId = null) {
     try {
-      const bookings = await this.loadBookings();
+      const bookings = await this.loadBookings({ preferredDate: date });
+      const roster = await this.counselorService.getCounselors();
+
+      if (roster.length > 0) {
+        return await this.getCounselorAvailability(date, sessionType, counselorId, bookings);
+      }
       
       // Define available time slots
       const allSlots = [
@@ -204,7 +276,8 @@ class BookingService {
         slots: availableSlots,
         unavailableSlots: unavailableSlots,
         totalSlots: allSlots.length,
-        availableCount: availableSlots.length
+        availableCount: availableSlots.length,
+        counselors: []
       };
     } catch (error) {
       console.error('Error getting availability:', error);
@@ -212,6 +285,41 @@ class BookingService {
     }
   }
 
+  /**
+   * Availability across the counselor roster: a time is available when at
+   * least one counselor offering the session type is free
+   */
+  async getCounselorAvailability(date, sessionType, counselorId, bookings) {
+    let entries = await this.counselorService.getAvailabilityByCounselor(date, sessionType, bookings);
+    if (counselorId) {
+      entries = entries.filter(entry => entry.counselor.id === counselorId);
+    }
+
+    const workingSlots = new Set();
+    const availableSlots = new Set();
+    entries.forEach(entry => {
+      entry.workingSlots.forEach(slot => workingSlots.add(slot));
+      entry.availableSlots.forEach(slot => availableSlots.add(slot));
+    });
+
+    const slots = Array.from(availableSlots).sort();
+    const unavailableSlots = Array.from(workingSlots).filter(slot => !availableSlots.has(slot)).sort();
+
+    return {
+      slots,
+      unavailableSlots,
+      totalSlots: workingSlots.size,
+      availableCount: slots.length,
+      counselors: entries.map(entry => ({
+        id: entry.counselor.id,
+        name: entry.counselor.name,
+        sessionTypes: entry.counselor.sessionTypes,
+        languages: entry.counselor.languages,
+        availableSlots: entry.availableSlots
+      }))
+    };
+  }
+
   async getBookingStats(filters = {}) {
     try {
       let bookings = await this.loadBookings();
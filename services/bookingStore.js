@@ -0,0 +1,359 @@
+/*
+ * AarogyaTech - AI-powered Mental Health Assistant
+ * Booking Store - Storage adapters for counseling appointments
+ *
+ * Copyright (c) 2025 Rajiv Magadum
+ * All rights reserved.
+ *
+ * This software is proprietary and confidential.
+ * Unauthorized copying or distribution is strictly prohibited.
+ *
+ * Author: Rajiv Magadum
+ * Email: rajiv.magadum@gmail.com
+ * Date: 2025
+ */
+
+/*
+ * Every adapter implements:
+ *   initialize()                           -> Promise<void>
+ *   insert(booking)                        -> Promise<Object>
+ *   findById(id)                           -> Promise<Object|null>
+ *   find(filters)                          -> Promise<Array> newest first
+ *   update(id, changes, expectedVersion)   -> Promise<Object|null>
+ *
+ * insert/update reject with SLOT_TAKEN_MESSAGE when the counselor already
+ * holds the slot, and update rejects with VERSION_CONFLICT_MESSAGE when
+ * expectedVersion no longer matches the stored booking.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Booking = require('../models/booking');
+
+const SLOT_TAKEN_MESSAGE = 'Time slot is already booked for this counselor';
+const VERSION_CONFLICT_MESSAGE = 'Booking was modified by another request';
+const RELEASED_STATUSES = ['cancelled'];
+
+/**
+ * Whether a booking occupies its counselor's slot
+ * @param {Object} booking - Booking record
+ * @returns {boolean}
+ */
+function holdsSlot(booking) {
+  return !!booking.counselorId && !RELEASED_STATUSES.includes(booking.status);
+}
+
+function matchesFilters(booking, filters) {
+  if (filters.status && booking.status !== filters.status) return false;
+  if (filters.sessionType && booking.sessionType !== filters.sessionType) return false;
+  if (filters.counselorId && booking.counselorId !== filters.counselorId) return false;
+  if (filters.preferredDate && booking.preferredDate !== filters.preferredDate) return false;
+  if (filters.dateFrom && new Date(booking.preferredDate) < new Date(filters.dateFrom)) return false;
+  if (filters.dateTo && new Date(booking.preferredDate) > new Date(filters.dateTo)) return false;
+  return true;
+}
+
+/**
+ * JSON file adapter. Mutations are serialized within this process only, so
+ * it is meant for local development and tests.
+ */
+class JsonBookingStore {
+  constructor(dataDir = path.join(__dirname, '..', 'data')) {
+    this.dataDir = dataDir;
+    this.bookingsFile = path.join(this.dataDir, 'bookings.json');
+    this.writeQueue = Promise.resolve();
+    this.ready = null;
+  }
+
+  initialize() {
+    if (!this.ready) {
+      this.ready = this.initializeDataDirectory();
+    }
+    return this.ready;
+  }
+
+  async initializeDataDirectory() {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      // Initialize bookings file if it doesn't exist
+      try {
+        await fs.access(this.bookingsFile);
+      } catch (error) {
+        await fs.writeFile(this.bookingsFile, JSON.stringify([], null, 2));
+      }
+    } catch (error) {
+      console.error('Error initializing data directory:', error);
+    }
+  }
+
+  async loadBookings() {
+    await this.initialize();
+    try {
+      const data = await fs.readFile(this.bookingsFile, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('Error loading bookings:', error);
+      return [];
+    }
+  }
+
+  async saveBookings(bookings) {
+    await fs.writeFile(this.bookingsFile, JSON.stringify(bookings, null, 2));
+  }
+
+  // Run a read-modify-write against the file without interleaving
+  mutate(operation) {
+    const result = this.writeQueue.then(async () => {
+      const bookings = await this.loadBookings();
+      const { value, changed } = await operation(bookings);
+      if (changed) {
+        await this.saveBookings(bookings);
+      }
+      return value;
+    });
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  assertSlotFree(bookings, booking) {
+    if (!holdsSlot(booking)) return;
+
+    const taken = bookings.some(other =>
+      other.id !== booking.id &&
+      holdsSlot(other) &&
+      other.counselorId === booking.counselorId &&
+      other.preferredDate === booking.preferredDate &&
+      other.preferredTime === booking.preferredTime
+    );
+
+    if (taken) {
+      throw new Error(SLOT_TAKEN_MESSAGE);
+    }
+  }
+
+  insert(booking) {
+    return this.mutate((bookings) => {
+      const record = { ...booking, version: 0 };
+      this.assertSlotFree(bookings, record);
+      bookings.push(record);
+      return { value: record, changed: true };
+    });
+  }
+
+  async findById(id) {
+    const bookings = await this.loadBookings();
+    return bookings.find(booking => booking.id === id) || null;
+  }
+
+  async find(filters = {}) {
+    const bookings = await this.loadBookings();
+    return bookings
+      .filter(booking => matchesFilters(booking, filters))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  update(id, changes, expectedVersion = null) {
+    return this.mutate((bookings) => {
+      const index = bookings.findIndex(booking => booking.id === id);
+      if (index === -1) {
+        return { value: null, changed: false };
+      }
+
+      const current = bookings[index];
+      const currentVersion = current.version || 0;
+      if (expectedVersion !== null && expectedVersion !== currentVersion) {
+        throw new Error(VERSION_CONFLICT_MESSAGE);
+      }
+
+      const updated = {
+        ...current,
+        ...changes,
+        version: currentVersion + 1,
+        updatedAt: new Date().toISOString()
+      };
+      this.assertSlotFree(bookings, updated);
+
+      bookings[index] = updated;
+      return { value: updated, changed: true };
+    });
+  }
+}
+
+/**
+ * MongoDB adapter. The partial unique index on counselor+date+time rejects
+ * double bookings across server instances; updates are conditional on the
+ * version the caller read.
+ */
+class MongoBookingStore {
+  constructor(model = Booking) {
+    this.model = model;
+    this.ready = null;
+  }
+
+  initialize() {
+    if (!this.ready) {
+      // Build the slot index before the first write relies on it
+      this.ready = this.model.init().catch(error => {
+        console.error('Error initializing booking indexes:', error);
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Convert a stored document to the plain shape the API has always returned
+   */
+  toRecord(doc) {
+    if (!doc) return null;
+
+    const { _id, holdsSlot: _holdsSlot, ...record } = doc;
+    for (const key of ['createdAt', 'updatedAt', 'requestedAt', 'cancelledAt', 'scheduledDateTime', 'reminderSentAt']) {
+      if (record[key] instanceof Date) {
+        record[key] = record[key].toISOString();
+      }
+    }
+    return record;
+  }
+
+  translateError(error) {
+    if (error && error.code === 11000) {
+      return new Error(SLOT_TAKEN_MESSAGE);
+    }
+    return error;
+  }
+
+  async insert(booking) {
+    await this.initialize();
+    try {
+      const doc = await this.model.create({
+        ...booking,
+        holdsSlot: holdsSlot(booking),
+        version: 0
+      });
+      return this.toRecord(doc.toObject());
+    } catch (error) {
+      throw this.translateError(error);
+    }
+  }
+
+  async findById(id) {
+    const doc = await this.model.findOne({ id }).lean();
+    return this.toRecord(doc);
+  }
+
+  async find(filters = {}) {
+    const query = {};
+    for (const key of ['status', 'sessionType', 'counselorId', 'preferredDate']) {
+      if (filters[key]) {
+        query[key] = filters[key];
+      }
+    }
+    // Dates are stored as YYYY-MM-DD, which sorts lexically
+    if (!filters.preferredDate && (filters.dateFrom || filters.dateTo)) {
+      query.preferredDate = {};
+      if (filters.dateFrom) query.preferredDate.$gte = filters.dateFrom;
+      if (filters.dateTo) query.preferredDate.$lte = filters.dateTo;
+    }
+
+    const docs = await this.model.find(query).sort({ createdAt: -1 }).lean();
+    return docs.map(doc => this.toRecord(doc));
+  }
+
+  async update(id, changes, expectedVersion = null) {
+    await this.initialize();
+
+    const current = await this.model.findOne({ id }).lean();
+    if (!current) {
+      return null;
+    }
+
+    const version = expectedVersion !== null ? expectedVersion : (current.version || 0);
+    const fields = { ...changes };
+    delete fields._id;
+    delete fields.id;
+    delete fields.version;
+    delete fields.createdAt;
+
+    try {
+      const doc = await this.model.findOneAndUpdate(
+        { id, version },
+        {
+          $set: { ...fields, holdsSlot: holdsSlot({ ...current, ...fields }), updatedAt: new Date() },
+          $inc: { version: 1 }
+        },
+        { new: true, lean: true }
+      );
+
+      if (!doc) {
+        throw new Error(VERSION_CONFLICT_MESSAGE);
+      }
+      return this.toRecord(doc);
+    } catch (error) {
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Copy one booking from another store, keeping its ID and timestamps.
+   * A booking whose slot is already held elsewhere is still imported, but
+   * without holding the slot, so it can be resolved by hand.
+   * @param {Object} booking - Booking record
+   * @returns {Promise<string>} 'imported' | 'skipped' | 'conflict'
+   */
+  async importBooking(booking) {
+    await this.initialize();
+
+    // The filter supplies `id` on insert
+    const { _id, id, ...record } = booking;
+    const upsert = (slotHeld) => this.model.updateOne(
+      { id },
+      { $setOnInsert: { ...record, holdsSlot: slotHeld, version: record.version || 0 } },
+      { upsert: true }
+    );
+
+    try {
+      const result = await upsert(holdsSlot(record));
+      return result.upsertedCount > 0 ? 'imported' : 'skipped';
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      await upsert(false);
+      return 'conflict';
+    }
+  }
+}
+
+/**
+ * Pick the adapter from BOOKING_STORE (mongo|json). Production always uses
+ * MongoDB; the JSON file is only for local development.
+ * @param {Object} options - { type, dataDir }
+ * @returns {JsonBookingStore|MongoBookingStore}
+ */
+function createBookingStore(options = {}) {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const type = options.type || process.env.BOOKING_STORE || (isProduction ? 'mongo' : 'json');
+
+  if (type === 'json') {
+    if (isProduction) {
+      throw new Error('The JSON booking store is for development only; set BOOKING_STORE=mongo');
+    }
+    return new JsonBookingStore(options.dataDir);
+  }
+
+  if (type === 'mongo') {
+    return new MongoBookingStore();
+  }
+
+  throw new Error(`Unknown booking store: ${type}`);
+}
+
+module.exports = {
+  JsonBookingStore,
+  MongoBookingStore,
+  createBookingStore,
+  holdsSlot,
+  SLOT_TAKEN_MESSAGE,
+  VERSION_CONFLICT_MESSAGE
+};
@@ -62,17 +62,19 @@ class CachingService {
    * @param {string} response - AI response
    * @param {Object} metadata - Additional metadata
    * @param {string} language - Response language
+   * @param {string} scope - Audience the response was written for, e.g. an institution; only served within it
    * @returns {boolean} Success status
    */
-  cacheResponse(query, response, metadata = {}, language = 'en') {
+  cacheResponse(query, response, metadata = {}, language = 'en', scope = 'default') {
     if (!this.config.response.enabled) return false;
 
-    const cacheKey = this._generateResponseKey(query, metadata, language);
+    const cacheKey = this._generateResponseKey(query, metadata, language, scope);
     const cacheEntry = {
       query: query.toLowerCase().trim(),
       response,
       metadata,
       language,
+      scope,
       timestamp: Date.now(),
       hitCount: 0,
       pattern: this._detectPattern(query)
@@ -92,17 +94,18 @@ class CachingService {
    * @param {string} query - User query
    * @param {Object} metadata - Query metadata
    * @param {string} language - Desired language
+   * @param {string} scope - Audience of the response, e.g. an institution
    * @returns {Object|null} Cached response or null
    */
-  getCachedResponse(query, metadata = {}, language = 'en') {
+  getCachedResponse(query, metadata = {}, language = 'en', scope = 'default') {
     if (!this.config.response.enabled) return null;
 
-    const cacheKey = this._generateResponseKey(query, metadata, language);
+    const cacheKey = this._generateResponseKey(query, metadata, language, scope);
     const cacheEntry = this.responseCache.get(cacheKey);
 
     if (!cacheEntry) {
       // Try pattern-based matching for similar queries
-      const patternMatch = this._findPatternMatch(query, language);
+      const patternMatch = this._findPatternMatch(query, language, scope);
       if (patternMatch) {
         this.stats.response.hits++;
         return patternMatch;
@@ -430,13 +433,14 @@ class CachingService {
    * @param {string} query - User query
    * @param {Object} metadata - Query metadata
    * @param {string} language - Language
+   * @param {string} scope - Audience of the response
    * @returns {string} Cache key
    * @private
    */
-  _generateResponseKey(query, metadata, language) {
+  _generateResponseKey(query, metadata, language, scope) {
     const normalizedQuery = query.toLowerCase().trim();
     const metadataString = JSON.stringify(metadata);
-    const keyString = `${normalizedQuery}|${metadataString}|${language}`;
+    const keyString = `${normalizedQuery}|${metadataString}|${language}|${scope}`;
     return crypto.createHash('md5').update(keyString).digest('hex');
   }
 
@@ -491,16 +495,17 @@ class CachingService {
    * Find pattern-based match for similar queries
    * @param {string} query - User query
    * @param {string} language - Desired language
+   * @param {string} scope - Audience of the response
    * @returns {Object|null} Pattern match or null
    * @private
    */
-  _findPatternMatch(query, language) {
+  _findPatternMatch(query, language, scope) {
     const pattern = this._detectPattern(query);
     if (!pattern) return null;
 
     // Look for cached responses with the same pattern
     for (const [key, entry] of this.responseCache) {
-      if (entry.pattern === pattern && entry.language === language) {
+      if (entry.pattern === pattern && entry.language === language && entry.scope === scope) {
         // Check if not expired
         if (Date.now() - entry.timestamp <= this.config.response.ttl) {
           entry.hitCount++;
@@ -0,0 +1,188 @@
+/*
+ * AarogyaTech - AI-powered Mental Health Assistant
+ * Calendar Service - iCalendar (RFC 5545) export of counseling appointments
+ *
+ * Copyright (c) 2025 Rajiv Magadum
+ * All rights reserved.
+ *
+ * This software is proprietary and confidential.
+ * Unauthorized copying or distribution is strictly prohibited.
+ *
+ * Author: Rajiv Magadum
+ * Email: rajiv.magadum@gmail.com
+ * Date: 2025
+ */
+
+const STATUS_MAP = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+const SESSION_LABELS = {
+  individual: 'Individual counseling',
+  group: 'Group session',
+  crisis: 'Crisis intervention'
+};
+
+class CalendarService {
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || process.env.CAMPUS_TIMEZONE || 'Asia/Kolkata';
+    this.uidDomain = options.uidDomain || 'aarogyatech';
+    this.defaultDurationMinutes = 60;
+  }
+
+  /**
+   * Build a calendar containing the given bookings
+   * @param {Array} bookings - Booking records
+   * @param {Object} options - { name, durationMinutes, method }
+   * @returns {string} iCalendar text
+   */
+  buildCalendar(bookings, options = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//AarogyaTech//Counseling Appointments//EN',
+      'CALSCALE:GREGORIAN',
+      `METHOD:${options.method || 'PUBLISH'}`
+    ];
+
+    if (options.name) {
+      lines.push(`X-WR-CALNAME:${this.escapeText(options.name)}`);
+    }
+
+    const now = new Date();
+    bookings.forEach(booking => {
+      lines.push(...this.buildEvent(booking, options.durationMinutes, now));
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build the VEVENT lines for one booking. The UID never changes and
+   * SEQUENCE follows the booking version, so calendar apps replace the
+   * earlier copy when a booking is updated or cancelled.
+   */
+  buildEvent(booking, durationMinutes = this.defaultDurationMinutes, now = new Date()) {
+    const start = this.getStartTime(booking);
+    const end = new Date(start.getTime() + (durationMinutes || this.defaultDurationMinutes) * 60000);
+    const label = SESSION_LABELS[booking.sessionType] || 'Counseling session';
+
+    // Calendar apps sync to third parties, so only what a counselor needs to
+    // recognise the appointment is included; details stay in the dashboard
+    const description = [
+      `Booking ID: ${booking.id}`,
+      `Status: ${booking.status}`,
+      booking.studentId ? `Student ID: ${booking.studentId}` : 'Student: anonymous',
+      'Full details are available in the AarogyaTech dashboard.'
+    ].join('\n');
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:booking-${booking.id}@${this.uidDomain}`,
+      `SEQUENCE:${booking.version || 0}`,
+      `DTSTAMP:${this.formatDate(now)}`,
+      `DTSTART:${this.formatDate(start)}`,
+      `DTEND:${this.formatDate(end)}`,
+      `SUMMARY:${this.escapeText(booking.status === 'cancelled' ? `Cancelled: ${label}` : label)}`,
+      `DESCRIPTION:${this.escapeText(description)}`,
+      `STATUS:${STATUS_MAP[booking.status] || 'TENTATIVE'}`
+    ];
+
+    if (booking.createdAt) {
+      lines.push(`CREATED:${this.formatDate(new Date(booking.createdAt))}`);
+    }
+    if (booking.updatedAt) {
+      lines.push(`LAST-MODIFIED:${this.formatDate(new Date(booking.updatedAt))}`);
+    }
+    if (booking.status === 'cancelled') {
+      lines.push('TRANSP:TRANSPARENT');
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Start of the appointment: the scheduled time once set, otherwise the
+   * requested date and time interpreted in the campus time zone
+   */
+  getStartTime(booking) {
+    if (booking.scheduledDateTime) {
+      return new Date(booking.scheduledDateTime);
+    }
+    return this.zonedTimeToUtc(booking.preferredDate, booking.preferredTime || '00:00');
+  }
+
+  zonedTimeToUtc(date, time) {
+    const asUtc = new Date(`${date}T${time}:00Z`);
+    const offset = this.getTimeZoneOffset(asUtc);
+    // Re-check after shifting in case the guess crossed a DST change
+    const shifted = new Date(asUtc.getTime() - offset);
+    return new Date(asUtc.getTime() - this.getTimeZoneOffset(shifted));
+  }
+
+  /**
+   * Offset of the campus time zone from UTC at an instant, in milliseconds
+   */
+  getTimeZoneOffset(instant) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(instant).reduce((acc, part) => {
+      acc[part.type] = part.value;
+      return acc;
+    }, {});
+
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(instant.getTime() / 1000) * 1000;
+  }
+
+  formatDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Content lines longer than 75 octets continue on lines starting with a space
+  foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    const limit = () => (parts.length === 0 ? 75 : 74);
+
+    for (const char of line) {
+      const charBytes = Buffer.byteLength(char, 'utf8');
+      if (currentBytes + charBytes > limit()) {
+        parts.push(current);
+        current = '';
+        currentBytes = 0;
+      }
+      current += char;
+      currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = CalendarService;
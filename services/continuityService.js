@@ -0,0 +1,335 @@
+const mongoose = require('mongoose');
+const ContinuityProfile = require('../models/continuityProfile');
+const ScreeningResponse = require('../models/screeningResponse');
+const PrivacyService = require('./privacyService');
+
+// Shown to the student before they opt in; a new version needs fresh consent
+const CONSENT_VERSION = '2026-10';
+const CONSENT_STATEMENT = 'AarogyaTech may keep the goals and coping strategies you save here, and a summary of your recent screening results (questionnaire name, score and severity), so the assistant can follow up on them in later conversations. They are stored encrypted, are only used to personalise your own conversations, and are not shown to counselors. You can view, export or delete them at any time; deleting also withdraws this consent.';
+
+const LIMITS = {
+  goals: 10,
+  copingStrategies: 20,
+  screenings: 5,
+  textLength: 200
+};
+
+let defaultService = null;
+
+/**
+ * Opt-in continuity profiles for returning students: goals, coping strategies
+ * that helped and recent screening results, encrypted with
+ * PrivacyService.encryptData and only kept while the student's consent stands.
+ * Stored in MongoDB once connected, in memory otherwise.
+ */
+class ContinuityService {
+  // Shared instance, so chat and screening submissions see the same profiles
+  static getDefault() {
+    if (!defaultService) {
+      defaultService = new ContinuityService();
+    }
+    return defaultService;
+  }
+
+  /**
+   * @param {Object} options - { privacyService } used to encrypt profiles
+   */
+  constructor(options = {}) {
+    this.privacyService = options.privacyService || new PrivacyService();
+    this.records = new Map(); // userId -> record, used while MongoDB is unavailable
+
+    if (!options.privacyService && !process.env.PRIVACY_ENCRYPTION_KEY && process.env.NODE_ENV !== 'test') {
+      console.warn('⚠️  PRIVACY_ENCRYPTION_KEY is not set - continuity profiles saved now cannot be read after a restart');
+    }
+  }
+
+  isDatabaseConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  getConsentStatement() {
+    return { version: CONSENT_VERSION, text: CONSENT_STATEMENT };
+  }
+
+  /**
+   * A student's consent and decrypted profile
+   * @param {string} userId - Student account id
+   * @returns {Promise<Object>} { consent, consentStatement, profile, updatedAt } where profile is null without consent
+   */
+  async getProfile(userId) {
+    const record = await this._load(userId);
+    return this._view(record);
+  }
+
+  /**
+   * Record the student's opt-in and start an empty profile. Recent screening
+   * results already on file are added straight away.
+   * @param {string} userId - Student account id
+   * @param {string} version - Version of the consent statement the student agreed to
+   * @returns {Promise<Object>} The profile view
+   */
+  async giveConsent(userId, version) {
+    if (version !== CONSENT_VERSION) {
+      throw new Error('Consent must be given to the current statement');
+    }
+
+    const record = await this._load(userId) || this._newRecord(userId);
+    if (!this._hasConsent(record)) {
+      const now = new Date();
+      record.consent = { given: true, version, givenAt: now, withdrawnAt: null };
+      record.consentHistory.push({ action: 'granted', version, at: now });
+      // A profile kept under an earlier statement carries over once the student agrees to this one
+      record.profile = record.profile || this._encrypt(userId, {
+        goals: [],
+        copingStrategies: [],
+        screenings: await this._findRecentScreenings(userId)
+      });
+      await this._save(record);
+    }
+
+    return this._view(record);
+  }
+
+  /**
+   * Replace the goals and/or coping strategies the student keeps
+   * @param {string} userId - Student account id
+   * @param {Object} changes - { goals, copingStrategies } as arrays of short texts
+   * @returns {Promise<Object>} The profile view
+   */
+  async updateProfile(userId, changes = {}) {
+    const record = await this._requireConsent(userId);
+    const profile = this._decrypt(userId, record.profile);
+
+    for (const field of ['goals', 'copingStrategies']) {
+      if (changes[field] !== undefined) {
+        profile[field] = this._validateList(field, changes[field]);
+      }
+    }
+
+    record.profile = this._encrypt(userId, profile);
+    await this._save(record);
+    return this._view(record);
+  }
+
+  /**
+   * Add a screening result to the profile of a student who opted in; does
+   * nothing otherwise, and never fails the submission it is called from
+   * @param {string} userId - Student account id
+   * @param {string} toolName - Instrument, e.g. 'PHQ-9'
+   * @param {Object} scored - Result of ScreeningService.scoreSubmission
+   */
+  async recordScreening(userId, toolName, scored) {
+    try {
+      const record = await this._load(userId);
+      if (!this._hasConsent(record)) {
+        return;
+      }
+
+      const profile = this._decrypt(userId, record.profile);
+      profile.screenings = [
+        this._screeningSummary(toolName, scored.toolVersion, scored.results, new Date()),
+        ...profile.screenings
+      ].slice(0, LIMITS.screenings);
+
+      record.profile = this._encrypt(userId, profile);
+      await this._save(record);
+    } catch (error) {
+      console.error('Failed to add screening result to continuity profile:', error.message);
+    }
+  }
+
+  /**
+   * Everything kept about the student, for download
+   * @param {string} userId - Student account id
+   * @returns {Promise<Object>} Consent, consent history and decrypted profile
+   */
+  async exportProfile(userId) {
+    const record = await this._load(userId);
+    const view = this._view(record);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      userId,
+      consent: view.consent,
+      consentHistory: record ? record.consentHistory : [],
+      profile: view.profile
+    };
+  }
+
+  /**
+   * Delete the profile and withdraw consent. The consent history stays, so
+   * there is a record of what was agreed and when it ended.
+   * @param {string} userId - Student account id
+   * @returns {Promise<boolean>} False if the student never opted in
+   */
+  async deleteProfile(userId) {
+    const record = await this._load(userId);
+    if (!record) {
+      return false;
+    }
+
+    if (record.consent.given) {
+      const now = new Date();
+      record.consent = { ...record.consent, given: false, withdrawnAt: now };
+      record.consentHistory.push({ action: 'withdrawn', version: record.consent.version, at: now });
+    }
+    record.profile = null;
+    await this._save(record);
+
+    return true;
+  }
+
+  /**
+   * System prompt note with what the student chose to share, for their chat replies
+   * @param {string} userId - Student account id
+   * @returns {Promise<string|null>} Null without consent or when there is nothing to share
+   */
+  async getPromptContext(userId) {
+    const record = await this._load(userId);
+    if (!this._hasConsent(record)) {
+      return null;
+    }
+
+    const { goals, copingStrategies, screenings } = this._decrypt(userId, record.profile);
+    const sections = [];
+
+    if (goals.length > 0) {
+      sections.push(`Goals they are working on:\n${goals.map(goal => `- ${goal}`).join('\n')}`);
+    }
+    if (copingStrategies.length > 0) {
+      sections.push(`Coping strategies that helped them before:\n${copingStrategies.map(strategy => `- ${strategy}`).join('\n')}`);
+    }
+    if (screenings.length > 0) {
+      sections.push(`Recent screening results:\n${screenings.map(screening =>
+        `- ${screening.toolName} on ${screening.completedAt.slice(0, 10)}: ${screening.severityLevel.replace(/_/g, ' ')} (${screening.totalScore}/${screening.maxScore})`
+      ).join('\n')}`);
+    }
+
+    if (sections.length === 0) {
+      return null;
+    }
+
+    return `This student is returning and chose to let you remember the following from earlier sessions. Follow up on it naturally when it is relevant; do not list it back to them or treat a screening result as a diagnosis.\n\n${sections.join('\n\n')}`;
+  }
+
+  async _requireConsent(userId) {
+    const record = await this._load(userId);
+    if (!this._hasConsent(record)) {
+      throw new Error('Continuity consent required');
+    }
+    return record;
+  }
+
+  // Consent to an earlier statement does not cover the current one
+  _hasConsent(record) {
+    return !!record && record.consent.given && record.consent.version === CONSENT_VERSION;
+  }
+
+  _validateList(field, value) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      throw new Error(`${field} must be a list of texts`);
+    }
+
+    const items = value.map(item => item.trim()).filter(Boolean);
+    if (items.length > LIMITS[field]) {
+      throw new Error(`At most ${LIMITS[field]} ${field} can be kept`);
+    }
+    if (items.some(item => item.length > LIMITS.textLength)) {
+      throw new Error(`Each entry in ${field} must be at most ${LIMITS.textLength} characters`);
+    }
+
+    return items;
+  }
+
+  _screeningSummary(toolName, toolVersion, results, completedAt) {
+    return {
+      toolName,
+      toolVersion,
+      severityLevel: results.severityLevel,
+      totalScore: results.totalScore,
+      maxScore: results.maxScore,
+      completedAt: new Date(completedAt).toISOString()
+    };
+  }
+
+  async _findRecentScreenings(userId) {
+    if (!this.isDatabaseConnected()) {
+      return [];
+    }
+
+    const responses = await ScreeningResponse.find({ userId })
+      .sort({ completedAt: -1 })
+      .limit(LIMITS.screenings)
+      .select('toolName toolVersion results completedAt')
+      .lean();
+
+    return responses.map(response =>
+      this._screeningSummary(response.toolName, response.toolVersion, response.results, response.completedAt)
+    );
+  }
+
+  // Keys are derived per student, so one student's profile cannot be decrypted as another's
+  _encrypt(userId, profile) {
+    const encrypted = this.privacyService.encryptData(JSON.stringify(profile), `continuity:${userId}`);
+    if (encrypted.encryptionFailed) {
+      throw new Error('Continuity profile could not be encrypted');
+    }
+    return encrypted;
+  }
+
+  // Fails rather than starting an empty profile, so an update cannot overwrite one that is unreadable
+  _decrypt(userId, encrypted) {
+    try {
+      return JSON.parse(this.privacyService.decryptData(encrypted, `continuity:${userId}`));
+    } catch (error) {
+      // Usually a profile saved under a different PRIVACY_ENCRYPTION_KEY
+      throw new Error('Continuity profile could not be decrypted');
+    }
+  }
+
+  _view(record) {
+    const given = this._hasConsent(record);
+
+    return {
+      consent: record ? {
+        given,
+        version: record.consent.version || null,
+        givenAt: record.consent.givenAt || null,
+        withdrawnAt: record.consent.withdrawnAt || null
+      } : { given: false, version: null, givenAt: null, withdrawnAt: null },
+      consentStatement: this.getConsentStatement(),
+      profile: given ? this._decrypt(record.userId, record.profile) : null,
+      updatedAt: record ? record.updatedAt : null
+    };
+  }
+
+  _newRecord(userId) {
+    return {
+      userId,
+      consent: { given: false },
+      consentHistory: [],
+      profile: null,
+      updatedAt: new Date()
+    };
+  }
+
+  async _load(userId) {
+    if (this.isDatabaseConnected()) {
+      return ContinuityProfile.findOne({ userId }).lean();
+    }
+    return this.records.get(userId) || null;
+  }
+
+  async _save(record) {
+    record.updatedAt = new Date();
+
+    if (this.isDatabaseConnected()) {
+      const { _id, __v, ...fields } = record;
+      await ContinuityProfile.updateOne({ userId: record.userId }, { $set: fields }, { upsert: true });
+    } else {
+      this.records.set(record.userId, record);
+    }
+  }
+}
+
+module.exports = ContinuityService;
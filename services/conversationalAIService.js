@@ -1,5 +1,7 @@
-const axios = require('axios');
-const GroqService = require('./groqService');
+const LlmService = require('./llmService');
+const PromptService = require('./promptService');
+const SafetyGateService = require('./safetyGateService');
+const ContinuityService = require('./continuityService');
 const CrisisDetectionService = require('./crisisDetectionService');
 const MentalHealthContextService = require('./mentalHealthContextService');
 const SessionManagementService = require('./sessionManagementService');
@@ -12,16 +14,29 @@ const PerformanceOptimizationService = require('./performanceOptimizationService
 const CachingService = require('./cachingService');
 
 class ConversationalAIService {
-  constructor() {
-    // Initialize Groq service for AI generation
-    this.groqService = new GroqService();
+  /**
+   * @param {Object} options - { llmService }, e.g. one backed by a ScriptedProvider in tests; { promptService, safetyGate, continuityService }
+   */
+  constructor(options = {}) {
+    // LLM providers (Groq, OpenAI-compatible, scripted) with ordered failover
+    this.llmService = options.llmService || new LlmService();
+
+    // Versioned system prompts with per-language and per-institution variables
+    this.promptService = options.promptService || PromptService.getDefault();
+
+    // Checks every AI reply before it is sent, and blocks or rewrites unsafe ones
+    this.safetyGate = options.safetyGate || SafetyGateService.getDefault();
+
+    // What returning students opted to let the assistant remember between sessions
+    this.continuityService = options.continuityService || ContinuityService.getDefault();
     
-    // Legacy Hugging Face configuration (deprecated)
-    this.apiKey = process.env.HUGGINGFACE_API_KEY;
-    this.modelUrl = 'https://api-inference.huggingface.co/models/microsoft/DialoGPT-small';
-    this.maxRetries = 3;
-    this.retryDelay = 1000; // 1 second
     this.maxContextLength = 1000; // Maximum characters to keep in context
+
+    // Conversation memory: the latest messages are sent verbatim, older ones are
+    // folded into a running summary once enough of them have left that window
+    this.historyWindow = 10;
+    this.summaryBatchSize = 6;
+    this.pendingSummaries = new Map(); // sessionId -> Promise of the summary being written
     
     // Initialize new security and privacy services
     this.sessionManager = new SessionManagementService();
@@ -74,10 +89,10 @@ class ConversationalAIService {
 
   /**
    * Check if the service is properly configured
-   * @returns {boolean} True if Groq service is available
+   * @returns {boolean} True if an LLM provider is configured
    */
   isServiceAvailable() {
-    return this.groqService.isServiceAvailable();
+    return this.llmService.isServiceAvailable();
   }
 
   /**
@@ -86,9 +101,16 @@ class ConversationalAIService {
    * @param {string} sessionId - Session identifier
    * @param {Object} requestInfo - Additional request information for security
    * @param {string} userLanguage - User's preferred language (default: 'en')
-   * @returns {Promise<Object>} Response object with message and crisis info
+   * @param {Object} options - Streaming options
+   * @param {Function} options.onToken - Receives the raw model reply a sentence at a time, as each passes the safety gate
+   * @param {AbortSignal} options.signal - Aborts the upstream generation
+   * @param {string} options.institution - Institution whose prompt variables (helplines, counseling centre) apply; defaults to PromptService's
+   * @param {string} options.channel - 'chat' (default) or 'voice', recorded with safety interventions
+   * @param {string} options.userId - Logged-in student; their continuity profile is used if they opted in
+   * @param {string} options.ownerId - Logged-in account starting a new session, who may read its summary
+   * @returns {Promise<Object>} Response object with message, crisis info, the prompt version used and any safety intervention
    */
-  async processMessage(message, sessionId, requestInfo = {}, userLanguage = 'en') {
+  async processMessage(message, sessionId, requestInfo = {}, userLanguage = 'en', options = {}) {
     if (!this.isServiceAvailable()) {
       throw new Error('Conversational AI service not configured');
     }
@@ -103,6 +125,7 @@ class ConversationalAIService {
       const sessionInfo = this.sessionManager.createSession({
         ipAddress: requestInfo.ipAddress,
         userAgent: requestInfo.userAgent,
+        ownerId: options.ownerId,
         encryptionEnabled: true,
         anonymized: true
       });
@@ -119,8 +142,20 @@ class ConversationalAIService {
     // Detect and process language
     const detectedLanguage = await this.languageService.detectLanguage(message);
     
+    // Replies can name the institution's helplines, so cached replies are kept per institution
+    const institution = options.institution || this.promptService.institution;
+
+    // Replies written with the session summary or the student's continuity profile
+    // are personal, so they are neither served from nor added to the shared cache
+    const summary = this.sessionManager.getSessionSummary(sessionId);
+    const summaryText = summary ? summary.text : null;
+    const continuity = await this._loadContinuity(options.userId);
+    const personalised = summaryText !== null || continuity !== null;
+
     // Check cache first for quick responses
-    const cachedResponse = this.cachingService.getCachedResponse(message, requestInfo, userLanguage);
+    const cachedResponse = personalised
+      ? null
+      : this.cachingService.getCachedResponse(message, requestInfo, userLanguage, institution);
     if (cachedResponse) {
       // Update session context with cached interaction
       this.sessionManager.updateSessionContext(sessionId, {
@@ -137,15 +172,18 @@ class ConversationalAIService {
           role: 'assistant',
           content: cachedResponse.response,
           language: userLanguage,
-          cached: true
+          cached: true,
+          prompt: cachedResponse.metadata?.prompt || null
         }
       });
+      this.summarizeSession(sessionId);
 
       return {
         message: cachedResponse.response,
         isCrisis: false,
         crisisData: null,
         cached: true,
+        prompt: cachedResponse.metadata?.prompt || null,
         sessionId: sessionId,
         languageInfo: {
           userLanguage: userLanguage,
@@ -174,12 +212,49 @@ class ConversationalAIService {
     // If crisis detected, return crisis response immediately
     if (crisisAnalysis.isCrisis) {
       let crisisResponse;
+      let crisisPromptUsed = null;
+      let safetyIntervention = null;
       
       try {
-        // Generate crisis-specific response using Groq
-        crisisResponse = await this.groqService.generateCrisisResponse(processedMessage, crisisAnalysis.severity);
+        // Generate crisis-specific response
+        const promptOptions = { language: userLanguage, institution };
+        const crisisPrompt = this.promptService.render('crisis', {
+          ...promptOptions,
+          variables: { severity: crisisAnalysis.severity }
+        });
+        const crisisFallback = this.promptService.render('crisis_fallback', promptOptions);
+
+        crisisResponse = await this.llmService.generateCrisisResponse(processedMessage, crisisAnalysis.severity, {
+          prompt: crisisPrompt,
+          fallback: crisisFallback
+        });
+        // generateCrisisResponse answers with the fallback text when no provider responds
+        crisisPromptUsed = this._promptReference(crisisResponse === crisisFallback.content ? crisisFallback : crisisPrompt);
+
+        if (crisisPromptUsed.name === 'crisis') {
+          const review = await this.safetyGate.review(crisisResponse, {
+            validate: (text) => this.llmService.validateResponse(text),
+            regenerate: (instruction) => this.llmService.generateCrisisResponse(processedMessage, crisisAnalysis.severity, {
+              prompt: this._withSafetyInstruction(crisisPrompt, instruction),
+              fallback: crisisFallback
+            }),
+            fallback: () => crisisFallback.content,
+            sessionId,
+            channel: options.channel,
+            replyType: 'crisis',
+            language: userLanguage,
+            institution,
+            prompt: crisisPromptUsed
+          });
+
+          crisisResponse = review.reply;
+          safetyIntervention = review.intervention;
+          if (safetyIntervention && safetyIntervention.action === 'fallback') {
+            crisisPromptUsed = this._promptReference(crisisFallback);
+          }
+        }
       } catch (error) {
-        console.warn('Groq crisis response generation failed, using fallback:', error.message);
+        console.warn('Crisis response generation failed, using fallback:', error.message);
         crisisResponse = crisisAnalysis.response; // Use crisis detection service fallback
       }
       
@@ -209,9 +284,12 @@ class ConversationalAIService {
           role: 'assistant',
           content: languageProcessedCrisis.response,
           language: userLanguage,
-          crisis: true
+          crisis: true,
+          prompt: crisisPromptUsed,
+          safetyAction: safetyIntervention ? safetyIntervention.action : null
         }
       });
+      this.summarizeSession(sessionId);
       
       // Create escalation workflow if needed
       const workflow = this.crisisDetection.createEscalationWorkflow(
@@ -229,6 +307,8 @@ class ConversationalAIService {
           resources: [...crisisAnalysis.resources, ...languageResources],
           workflow: workflow
         },
+        prompt: crisisPromptUsed,
+        safety: safetyIntervention,
         sessionId: sessionId,
         languageInfo: {
           userLanguage: userLanguage,
@@ -248,6 +328,9 @@ class ConversationalAIService {
     let response;
     let enhancementData = null;
     let languageProcessedResponse = null;
+    let streamed = false;
+    let promptUsed = null; // Stays null when the reply does not come from a model
+    let safetyIntervention = null;
     
     try {
       // Translate user message to English for AI processing if needed
@@ -260,22 +343,62 @@ class ConversationalAIService {
         }
       }
       
-      // Generate AI response using Groq service
+      // Generate AI response
       let rawResponse;
       try {
-        // Prepare conversation history for Groq
+        // Prepare conversation history in chat message format
         const conversationHistory = this._prepareConversationHistory(sessionContext);
-        rawResponse = await this.groqService.generateResponse(messageForAI, conversationHistory);
+        const chatPrompt = this.promptService.render('chat', {
+          language: userLanguage,
+          institution
+        });
         
-        // Validate the Groq response
-        const validation = this.groqService.validateResponse(rawResponse);
-        if (!validation.isValid) {
-          console.warn('Groq response validation failed:', validation.issues);
-          throw new Error('Generated response failed validation: ' + validation.issues.join(', '));
+        // Raw tokens are English, so only stream them when no translation follows.
+        // They reach the student a sentence at a time, once the safety gate has checked it.
+        if (typeof options.onToken === 'function' && userLanguage === 'en') {
+          const streamFilter = this.safetyGate.createStreamFilter(
+            (text) => this.llmService.validateResponse(text),
+            options.onToken
+          );
+          rawResponse = await this.llmService.generateResponseStream(
+            messageForAI,
+            conversationHistory,
+            (token) => streamFilter.push(token),
+            { signal: options.signal, prompt: chatPrompt, summary: summaryText, continuity }
+          );
+          streamFilter.flush();
+          streamed = streamFilter.released.length > 0;
+        } else {
+          rawResponse = await this.llmService.generateResponse(messageForAI, conversationHistory, { prompt: chatPrompt, summary: summaryText, continuity });
+        }
+        
+        promptUsed = this._promptReference(chatPrompt);
+
+        // Block or rewrite unsafe replies; streamed text is replaced by the final message
+        const review = await this.safetyGate.review(rawResponse, {
+          validate: (text) => this.llmService.validateResponse(text),
+          regenerate: (instruction) => this.llmService.generateResponse(messageForAI, conversationHistory, {
+            prompt: this._withSafetyInstruction(chatPrompt, instruction),
+            summary: summaryText,
+            continuity
+          }),
+          fallback: () => this.fallbackService.generateFallbackResponse(messageForAI, { sessionContext }).message,
+          sessionId,
+          channel: options.channel,
+          replyType: 'chat',
+          language: userLanguage,
+          institution,
+          prompt: promptUsed
+        });
+
+        rawResponse = review.reply;
+        safetyIntervention = review.intervention;
+        if (safetyIntervention && safetyIntervention.action === 'fallback') {
+          promptUsed = null;
         }
         
       } catch (error) {
-        console.warn('Groq AI generation failed, using enhanced fallback:', error.message);
+        console.warn('AI generation failed, using enhanced fallback:', error.message);
         // Use enhanced mental health responses instead of generic fallback
         rawResponse = this._getEnhancedMentalHealthResponse(messageForAI, sessionContext);
       }
@@ -322,15 +445,19 @@ class ConversationalAIService {
       response = languageProcessedResponse.response;
       
       // Cache the successful response for future use
-      this.cachingService.cacheResponse(
-        processedMessage, 
-        response, 
-        { 
-          enhancementType: enhancementData?.type,
-          sessionContext: sessionContext.messages.length 
-        }, 
-        userLanguage
-      );
+      if (!personalised) {
+        this.cachingService.cacheResponse(
+          processedMessage, 
+          response, 
+          { 
+            enhancementType: enhancementData?.type,
+            sessionContext: sessionContext.messages.length,
+            prompt: promptUsed
+          }, 
+          userLanguage,
+          institution
+        );
+      }
       
     } catch (error) {
       console.error('AI generation failed, using enhanced error handling:', error);
@@ -380,15 +507,22 @@ class ConversationalAIService {
       message: {
         role: 'assistant',
         content: response,
-        language: userLanguage
+        language: userLanguage,
+        prompt: promptUsed,
+        safetyAction: safetyIntervention ? safetyIntervention.action : null
       }
     });
+    this.summarizeSession(sessionId);
 
     return {
       message: response,
       isCrisis: false,
       crisisData: null,
       mentalHealthEnhancement: enhancementData,
+      streamed: streamed,
+      prompt: promptUsed,
+      safety: safetyIntervention,
+      continuity: continuity !== null,
       sessionId: sessionId,
       languageInfo: {
         userLanguage: userLanguage,
@@ -404,6 +538,96 @@ class ConversationalAIService {
     };
   }
 
+  /**
+   * Name and version of a rendered prompt, as recorded with each chat turn
+   * @param {Object} rendered - Result of PromptService.render
+   * @returns {Object} { name, version }
+   * @private
+   */
+  _promptReference(rendered) {
+    return { name: rendered.name, version: rendered.version };
+  }
+
+  /**
+   * Copy of a rendered prompt with the safety gate's stricter instruction added
+   * @param {Object} rendered - Result of PromptService.render
+   * @param {string} instruction - Instruction from the safety gate
+   * @returns {Object} Rendered prompt for the regeneration
+   * @private
+   */
+  _withSafetyInstruction(rendered, instruction) {
+    return { ...rendered, content: `${rendered.content}\n\n${instruction}` };
+  }
+
+  /**
+   * Continuity notes for a logged-in student who opted in
+   * @param {string} userId - Student account id, if the request was authenticated
+   * @returns {Promise<string|null>} Null for anonymous chats, without consent, or if the profile cannot be read
+   * @private
+   */
+  async _loadContinuity(userId) {
+    if (!userId) {
+      return null;
+    }
+
+    try {
+      return await this.continuityService.getPromptContext(userId);
+    } catch (error) {
+      console.warn('Continuity profile unavailable, replying without it:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fold messages that have left the history window into the session's running summary
+   * Called after every turn without waiting; runs once enough messages have
+   * built up, and only one update per session runs at a time.
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Object|null>} The updated summary, or null when nothing was summarized
+   */
+  summarizeSession(sessionId) {
+    if (this.pendingSummaries.has(sessionId)) {
+      return this.pendingSummaries.get(sessionId);
+    }
+
+    const pending = this._updateSummary(sessionId)
+      .catch(error => {
+        // The messages stay unsummarized and are tried again after the next turn
+        console.warn('Conversation summary update failed:', error.message);
+        return null;
+      })
+      .finally(() => {
+        this.pendingSummaries.delete(sessionId);
+      });
+
+    this.pendingSummaries.set(sessionId, pending);
+    return pending;
+  }
+
+  async _updateSummary(sessionId) {
+    const overflow = this.sessionManager.getUnsummarizedMessages(sessionId, this.historyWindow);
+    if (overflow.length < this.summaryBatchSize) {
+      return null;
+    }
+
+    const previous = this.sessionManager.getSessionSummary(sessionId);
+    const prompt = this.promptService.render('summary');
+    const text = await this.llmService.summarizeConversation(
+      previous ? previous.text : null,
+      overflow.map(message => ({ role: message.role, content: message.content })),
+      { prompt }
+    );
+
+    const stored = this.sessionManager.setSessionSummary(sessionId, {
+      text,
+      throughSeq: overflow[overflow.length - 1].seq,
+      summarizedMessages: (previous ? previous.summarizedMessages : 0) + overflow.length,
+      prompt: this._promptReference(prompt)
+    });
+
+    return stored ? this.sessionManager.getSessionSummary(sessionId) : null;
+  }
+
   /**
    * Detect crisis keywords in user message (legacy method - now uses CrisisDetectionService)
    * @param {string} message - User's message
@@ -472,7 +696,7 @@ class ConversationalAIService {
   }
 
   /**
-   * Prepare conversation history for Groq API format
+   * Prepare conversation history in chat message format
    * @param {Object} sessionContext - Session context with messages
    * @returns {Array} Formatted conversation history
    * @private
@@ -482,9 +706,9 @@ class ConversationalAIService {
       return [];
     }
 
-    // Convert session messages to Groq format
+    // Convert session messages to chat message format
     const history = [];
-    const recentMessages = sessionContext.messages.slice(-10); // Last 10 messages
+    const recentMessages = sessionContext.messages.slice(-this.historyWindow); // Older ones are in the summary
 
     for (const msg of recentMessages) {
       if (msg.role === 'user') {
@@ -503,191 +727,6 @@ class ConversationalAIService {
     return history;
   }
 
-  /**
-   * Generate AI response using secure API service (legacy Hugging Face method)
-   * @param {string} message - User's message
-   * @param {Object} context - Conversation context
-   * @param {string} sessionId - Session identifier
-   * @returns {Promise<string>} AI response
-   * @private
-   */
-  async _generateSecureAIResponse(message, context, sessionId) {
-    // Prepare conversation history for the model
-    let conversationText = '';
-    
-    // Add recent context (last few messages)
-    const recentMessages = context.messages.slice(-6); // Last 3 exchanges
-    for (const msg of recentMessages) {
-      if (msg.role === 'user') {
-        conversationText += `Human: ${msg.content}\n`;
-      } else {
-        conversationText += `Assistant: ${msg.content}\n`;
-      }
-    }
-    
-    conversationText += `Human: ${message}\nAssistant:`;
-
-    // Prepare secure request payload
-    const requestPayload = {
-      inputs: conversationText,
-      parameters: {
-        max_length: 150,
-        temperature: 0.7,
-        do_sample: true,
-        pad_token_id: 50256
-      }
-    };
-
-    // Encrypt payload if encryption is enabled
-    const encryptedPayload = this.secureApiService.encryptRequestPayload(requestPayload, sessionId);
-
-    try {
-      // Make secure API request
-      const response = await this.secureApiService.makeSecureRequest({
-        url: this.modelUrl,
-        method: 'POST',
-        data: encryptedPayload,
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000,
-        retries: this.maxRetries
-      });
-
-      if (response.success && response.data && Array.isArray(response.data) && response.data[0]?.generated_text) {
-        // Extract only the new response part
-        const fullText = response.data[0].generated_text;
-        const assistantResponse = fullText.split('Assistant:').pop().trim();
-        return assistantResponse || this._getFallbackResponse(message);
-      } else {
-        throw new Error('Unexpected response format from Hugging Face API');
-      }
-
-    } catch (error) {
-      console.error('Secure AI generation failed:', error);
-      // Fall back to original method if secure method fails
-      return await this._generateAIResponse(message, context);
-    }
-  }
-
-  /**
-   * Generate AI response using Hugging Face model (legacy method)
-   * @param {string} message - User's message
-   * @param {Object} context - Conversation context
-   * @returns {Promise<string>} AI response
-   * @private
-   */
-  async _generateAIResponse(message, context) {
-    // Prepare conversation history for the model
-    let conversationText = '';
-    
-    // Add recent context (last few messages)
-    const recentMessages = context.messages.slice(-6); // Last 3 exchanges
-    for (const msg of recentMessages) {
-      if (msg.role === 'user') {
-        conversationText += `Human: ${msg.content}\n`;
-      } else {
-        conversationText += `Assistant: ${msg.content}\n`;
-      }
-    }
-    
-    conversationText += `Human: ${message}\nAssistant:`;
-
-    let lastError;
-    
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-      try {
-        const response = await this._makeApiRequest(conversationText);
-        
-        if (response.data && Array.isArray(response.data) && response.data[0]?.generated_text) {
-          // Extract only the new response part
-          const fullText = response.data[0].generated_text;
-          const assistantResponse = fullText.split('Assistant:').pop().trim();
-          return assistantResponse || this._getFallbackResponse(message);
-        } else {
-          throw new Error('Unexpected response format from Hugging Face API');
-        }
-        
-      } catch (error) {
-        lastError = error;
-        
-        // Handle specific error cases
-        if (error.response?.status === 429) {
-          // Rate limit exceeded
-          const retryAfter = error.response.headers['retry-after'] || this.retryDelay * attempt;
-          console.warn(`Rate limit exceeded, retrying after ${retryAfter}ms (attempt ${attempt}/${this.maxRetries})`);
-          
-          if (attempt < this.maxRetries) {
-            await this._sleep(retryAfter);
-            continue;
-          }
-          throw new Error('Rate limit exceeded. Please try again later.');
-        }
-        
-        if (error.response?.status === 503) {
-          // Model loading
-          console.warn(`Model is loading, retrying in ${this.retryDelay * attempt}ms (attempt ${attempt}/${this.maxRetries})`);
-          
-          if (attempt < this.maxRetries) {
-            await this._sleep(this.retryDelay * attempt);
-            continue;
-          }
-          throw new Error('Conversational AI service is temporarily unavailable. Please try again in a few moments.');
-        }
-        
-        if (error.response?.status === 400) {
-          // Bad request - don't retry
-          throw new Error('Invalid request format');
-        }
-        
-        if (error.response?.status === 401) {
-          // Unauthorized - don't retry
-          throw new Error('Invalid Hugging Face API key');
-        }
-        
-        // For other errors, retry with exponential backoff
-        if (attempt < this.maxRetries) {
-          console.warn(`API request failed, retrying in ${this.retryDelay * attempt}ms (attempt ${attempt}/${this.maxRetries}):`, error.message);
-          await this._sleep(this.retryDelay * attempt);
-        }
-      }
-    }
-    
-    // All retries failed
-    throw new Error(`Conversational AI service failed after ${this.maxRetries} attempts: ${lastError.message}`);
-  }
-
-  /**
-   * Make the actual API request to Hugging Face
-   * @param {string} conversationText - Formatted conversation text
-   * @returns {Promise<Object>} API response
-   * @private
-   */
-  async _makeApiRequest(conversationText) {
-    const headers = {
-      'Authorization': `Bearer ${this.apiKey}`,
-      'Content-Type': 'application/json'
-    };
-
-    const payload = {
-      inputs: conversationText,
-      parameters: {
-        max_length: 150,
-        temperature: 0.7,
-        do_sample: true,
-        pad_token_id: 50256
-      }
-    };
-
-    const response = await axios.post(this.modelUrl, payload, {
-      headers,
-      timeout: 30000, // 30 second timeout
-    });
-
-    return response;
-  }
-
   /**
    * Enhance AI response with mental health context (legacy method - now uses MentalHealthContextService)
    * @param {string} response - Original AI response
@@ -842,35 +881,26 @@ class ConversationalAIService {
     return context;
   }
 
-  /**
-   * Sleep for specified milliseconds
-   * @param {number} ms - Milliseconds to sleep
-   * @returns {Promise<void>}
-   * @private
-   */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Validate response appropriateness for mental health context
    * @param {string} response - AI response to validate
    * @returns {boolean} True if response is appropriate
    */
   validateResponseAppropriate(response) {
-    // Use both Groq validation and mental health context validation
-    const groqValidation = this.groqService.validateResponse(response);
+    // Use both LLM output validation and mental health context validation
+    const llmValidation = this.llmService.validateResponse(response);
     const mentalHealthValidation = this.mentalHealthContext.validateMentalHealthResponse(response);
     
-    return groqValidation.isValid && mentalHealthValidation.isAppropriate;
+    return llmValidation.isValid && mentalHealthValidation.isAppropriate;
   }
 
   /**
    * Get session statistics and privacy report
    * @param {string} sessionId - Session identifier
+   * @param {Object} options - { includeSummaryText } to add the decrypted running summary
    * @returns {Object} Session report
    */
-  getSessionReport(sessionId) {
+  getSessionReport(sessionId, options = {}) {
     const session = this.sessionManager.getSession(sessionId);
     if (!session) {
       return null;
@@ -882,6 +912,8 @@ class ConversationalAIService {
     // Get session stats
     const sessionStats = this.sessionManager.getSessionStats();
 
+    const summary = this.sessionManager.getSessionSummary(sessionId);
+
     return {
       sessionInfo: {
         id: sessionId.substring(0, 8) + '...',
@@ -895,6 +927,16 @@ class ConversationalAIService {
         lastRequestTime: session.security.lastRequestTime,
         ipHash: session.security.ipHash ? 'present' : 'none'
       },
+      memory: {
+        historyWindow: this.historyWindow,
+        unsummarizedMessages: this.sessionManager.getUnsummarizedMessages(sessionId, this.historyWindow).length,
+        summary: summary ? {
+          ...(options.includeSummaryText ? { text: summary.text } : {}),
+          summarizedMessages: summary.summarizedMessages,
+          prompt: summary.prompt,
+          updatedAt: summary.updatedAt
+        } : null
+      },
       systemStats: sessionStats
     };
   }
@@ -0,0 +1,417 @@
+/*
+ * AarogyaTech - AI-powered Mental Health Assistant
+ * Counselor Service - Counselor roster and working calendars
+ *
+ * Copyright (c) 2025 Rajiv Magadum
+ * All rights reserved.
+ *
+ * This software is proprietary and confidential.
+ * Unauthorized copying or distribution is strictly prohibited.
+ *
+ * Author: Rajiv Magadum
+ * Email: rajiv.magadum@gmail.com
+ * Date: 2025
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SESSION_TYPES = ['individual', 'group', 'crisis'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class CounselorService {
+  constructor(dataDir = path.join(__dirname, '..', 'data')) {
+    this.dataDir = dataDir;
+    this.counselorsFile = path.join(this.dataDir, 'counselors.json');
+    this.defaultSlotMinutes = 60;
+  }
+
+  // The roster file is created by the first save, so an empty roster leaves no file behind
+  async loadCounselors() {
+    try {
+      const data = await fs.readFile(this.counselorsFile, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading counselors:', error);
+      }
+      return [];
+    }
+  }
+
+  async saveCounselors(counselors) {
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.writeFile(this.counselorsFile, JSON.stringify(counselors, null, 2));
+    } catch (error) {
+      console.error('Error saving counselors:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List counselors
+   * @param {Object} filters - { sessionType, includeInactive }
+   * @returns {Promise<Array>} Counselors
+   */
+  async getCounselors(filters = {}) {
+    let counselors = await this.loadCounselors();
+
+    if (!filters.includeInactive) {
+      counselors = counselors.filter(counselor => counselor.isActive);
+    }
+
+    if (filters.sessionType) {
+      counselors = counselors.filter(counselor => counselor.sessionTypes.includes(filters.sessionType));
+    }
+
+    return counselors;
+  }
+
+  async getCounselorById(id) {
+    const counselors = await this.loadCounselors();
+    return counselors.find(counselor => counselor.id === id) || null;
+  }
+
+  /**
+   * Add a counselor to the roster
+   * @param {Object} counselorData - name, email, sessionTypes, weeklyHours, holidays, slotMinutes
+   * @returns {Promise<Object>} Created counselor
+   */
+  async createCounselor(counselorData) {
+    const validationErrors = this.validateCounselorData(counselorData, true);
+    if (validationErrors.length > 0) {
+      throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+    }
+
+    const counselors = await this.loadCounselors();
+    if (counselors.some(counselor => counselor.email === counselorData.email)) {
+      throw new Error('Counselor email already exists');
+    }
+
+    const newCounselor = {
+      id: crypto.randomUUID(),
+      name: counselorData.name,
+      email: counselorData.email,
+      username: counselorData.username || null, // Dashboard account, if any
+      sessionTypes: counselorData.sessionTypes || [...SESSION_TYPES],
+      languages: counselorData.languages || ['en'],
+      slotMinutes: counselorData.slotMinutes || this.defaultSlotMinutes,
+      weeklyHours: counselorData.weeklyHours || {},
+      holidays: counselorData.holidays || [],
+      blockedTime: [],
+      isActive: true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    counselors.push(newCounselor);
+    await this.saveCounselors(counselors);
+
+    console.log('Counselor created:', newCounselor.id);
+    return newCounselor;
+  }
+
+  async updateCounselor(id, updateData) {
+    const validationErrors = this.validateCounselorData(updateData, false);
+    if (validationErrors.length > 0) {
+      throw new Error(`Validation failed: ${validationErrors.join(', ')}`);
+    }
+
+    const counselors = await this.loadCounselors();
+    const index = counselors.findIndex(counselor => counselor.id === id);
+    if (index === -1) {
+      throw new Error('Counselor not found');
+    }
+
+    if (updateData.email && counselors.some(c => c.id !== id && c.email === updateData.email)) {
+      throw new Error('Counselor email already exists');
+    }
+
+    const allowedFields = [
+      'name', 'email', 'username', 'sessionTypes', 'languages',
+      'slotMinutes', 'weeklyHours', 'holidays', 'isActive'
+    ];
+    const updates = {};
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key)) {
+        updates[key] = value;
+      }
+    }
+
+    counselors[index] = {
+      ...counselors[index],
+      ...updates,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.saveCounselors(counselors);
+    return counselors[index];
+  }
+
+  // Counselors are deactivated rather than removed so past bookings keep their reference
+  async deactivateCounselor(id) {
+    return this.updateCounselor(id, { isActive: false });
+  }
+
+  /**
+   * Block part of a counselor's day (training, meetings, leave)
+   * @param {string} id - Counselor ID
+   * @param {Object} block - { date, start, end, reason }
+   * @returns {Promise<Object>} Created block
+   */
+  async addBlockedTime(id, block) {
+    const errors = [];
+    if (!block.date || !DATE_PATTERN.test(block.date)) errors.push('date must be YYYY-MM-DD');
+    if (!block.start || !TIME_PATTERN.test(block.start)) errors.push('start must be HH:MM');
+    if (!block.end || !TIME_PATTERN.test(block.end)) errors.push('end must be HH:MM');
+    if (errors.length === 0 && this.toMinutes(block.start) >= this.toMinutes(block.end)) {
+      errors.push('start must be before end');
+    }
+    if (errors.length > 0) {
+      throw new Error(`Validation failed: ${errors.join(', ')}`);
+    }
+
+    const counselors = await this.loadCounselors();
+    const counselor = counselors.find(c => c.id === id);
+    if (!counselor) {
+      throw new Error('Counselor not found');
+    }
+
+    const newBlock = {
+      id: crypto.randomUUID(),
+      date: block.date,
+      start: block.start,
+      end: block.end,
+      reason: block.reason || null,
+      createdBy: block.createdBy || null,
+      createdAt: new Date().toISOString()
+    };
+
+    counselor.blockedTime.push(newBlock);
+    counselor.updatedAt = new Date().toISOString();
+    await this.saveCounselors(counselors);
+
+    return newBlock;
+  }
+
+  async removeBlockedTime(id, blockId) {
+    const counselors = await this.loadCounselors();
+    const counselor = counselors.find(c => c.id === id);
+    if (!counselor) {
+      throw new Error('Counselor not found');
+    }
+
+    const remaining = counselor.blockedTime.filter(block => block.id !== blockId);
+    if (remaining.length === counselor.blockedTime.length) {
+      throw new Error('Blocked time not found');
+    }
+
+    counselor.blockedTime = remaining;
+    counselor.updatedAt = new Date().toISOString();
+    await this.saveCounselors(counselors);
+    return true;
+  }
+
+  /**
+   * Issue a new secret for the counselor's calendar feed, replacing any
+   * previous one. Only a hash is stored, so the token is shown once.
+   * @param {string} id - Counselor ID
+   * @returns {Promise<string>} Feed token
+   */
+  async generateCalendarToken(id) {
+    const counselors = await this.loadCounselors();
+    const counselor = counselors.find(c => c.id === id);
+    if (!counselor) {
+      throw new Error('Counselor not found');
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    counselor.calendarTokenHash = this.hashToken(token);
+    counselor.updatedAt = new Date().toISOString();
+    await this.saveCounselors(counselors);
+
+    return token;
+  }
+
+  async verifyCalendarToken(id, token) {
+    const counselor = await this.getCounselorById(id);
+    if (!counselor || !counselor.calendarTokenHash || typeof token !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(counselor.calendarTokenHash, 'hex');
+    const actual = Buffer.from(this.hashToken(token), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Compute the free slots of one counselor on a date
+   * @param {Object} counselor - Counselor record
+   * @param {string} date - YYYY-MM-DD
+   * @param {Array} bookings - Existing bookings (any counselor)
+   * @returns {Object} { workingSlots, availableSlots }
+   */
+  getCounselorSlots(counselor, date, bookings = []) {
+    if (!counselor.isActive || counselor.holidays.includes(date)) {
+      return { workingSlots: [], availableSlots: [] };
+    }
+
+    const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    const ranges = counselor.weeklyHours[weekday] || [];
+    const slotMinutes = counselor.slotMinutes || this.defaultSlotMinutes;
+
+    const workingSlots = [];
+    for (const range of ranges) {
+      const end = this.toMinutes(range.end);
+      for (let start = this.toMinutes(range.start); start + slotMinutes <= end; start += slotMinutes) {
+        workingSlots.push(start);
+      }
+    }
+
+    const blocks = counselor.blockedTime
+      .filter(block => block.date === date)
+      .map(block => ({ start: this.toMinutes(block.start), end: this.toMinutes(block.end) }));
+
+    const bookedTimes = bookings
+      .filter(booking =>
+        booking.counselorId === counselor.id &&
+        booking.preferredDate === date &&
+        booking.status !== 'cancelled'
+      )
+      .map(booking => this.toMinutes(booking.preferredTime));
+
+    const availableSlots = workingSlots.filter(start => {
+      const end = start + slotMinutes;
+      const blocked = blocks.some(block => start < block.end && end > block.start);
+      return !blocked && !bookedTimes.includes(start);
+    });
+
+    return {
+      workingSlots: workingSlots.map(minutes => this.toTime(minutes)),
+      availableSlots: availableSlots.map(minutes => this.toTime(minutes))
+    };
+  }
+
+  /**
+   * Compute availability for every counselor offering a session type
+   * @param {string} date - YYYY-MM-DD
+   * @param {string|null} sessionType - Session type filter
+   * @param {Array} bookings - Existing bookings
+   * @returns {Promise<Array>} [{ counselor, workingSlots, availableSlots }]
+   */
+  async getAvailabilityByCounselor(date, sessionType = null, bookings = []) {
+    const counselors = await this.getCounselors({ sessionType });
+
+    return counselors.map(counselor => ({
+      counselor,
+      ...this.getCounselorSlots(counselor, date, bookings)
+    }));
+  }
+
+  /**
+   * Pick the counselor for a requested slot: the requested one if free,
+   * otherwise the free counselor with the fewest bookings that day
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:MM
+   * @param {string} sessionType - Session type
+   * @param {Array} bookings - Existing bookings
+   * @param {string|null} counselorId - Student's choice, if any
+   * @returns {Promise<Object|null>} Counselor, or null when nobody is free
+   */
+  async findAvailableCounselor(date, time, sessionType, bookings = [], counselorId = null) {
+    const availability = await this.getAvailabilityByCounselor(date, sessionType, bookings);
+    const free = availability.filter(entry => entry.availableSlots.includes(time));
+
+    if (counselorId) {
+      const chosen = free.find(entry => entry.counselor.id === counselorId);
+      return chosen ? chosen.counselor : null;
+    }
+
+    if (free.length === 0) {
+      return null;
+    }
+
+    const dayLoad = (id) => bookings.filter(booking =>
+      booking.counselorId === id &&
+      booking.preferredDate === date &&
+      booking.status !== 'cancelled'
+    ).length;
+
+    free.sort((a, b) => dayLoad(a.counselor.id) - dayLoad(b.counselor.id));
+    return free[0].counselor;
+  }
+
+  validateCounselorData(data, isCreate) {
+    const errors = [];
+
+    if (isCreate || data.name !== undefined) {
+      if (!data.name || data.name.trim().length < 2) {
+        errors.push('name must be at least 2 characters');
+      }
+    }
+
+    if (isCreate || data.email !== undefined) {
+      if (!data.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+        errors.push('valid email is required');
+      }
+    }
+
+    if (data.sessionTypes !== undefined) {
+      if (!Array.isArray(data.sessionTypes) || data.sessionTypes.length === 0 ||
+          data.sessionTypes.some(type => !SESSION_TYPES.includes(type))) {
+        errors.push(`sessionTypes must contain: ${SESSION_TYPES.join(', ')}`);
+      }
+    }
+
+    if (data.slotMinutes !== undefined) {
+      if (!Number.isInteger(data.slotMinutes) || data.slotMinutes < 15 || data.slotMinutes > 240) {
+        errors.push('slotMinutes must be between 15 and 240');
+      }
+    }
+
+    if (data.weeklyHours !== undefined) {
+      if (typeof data.weeklyHours !== 'object' || data.weeklyHours === null) {
+        errors.push('weeklyHours must be an object keyed by weekday');
+      } else {
+        for (const [day, ranges] of Object.entries(data.weeklyHours)) {
+          if (!WEEKDAYS.includes(day)) {
+            errors.push(`unknown weekday '${day}'`);
+          } else if (!Array.isArray(ranges) || ranges.some(range =>
+            !TIME_PATTERN.test(range.start) || !TIME_PATTERN.test(range.end) ||
+            this.toMinutes(range.start) >= this.toMinutes(range.end))) {
+            errors.push(`weeklyHours.${day} must be a list of { start, end } HH:MM ranges`);
+          }
+        }
+      }
+    }
+
+    if (data.holidays !== undefined) {
+      if (!Array.isArray(data.holidays) || data.holidays.some(date => !DATE_PATTERN.test(date))) {
+        errors.push('holidays must be a list of YYYY-MM-DD dates');
+      }
+    }
+
+    return errors;
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  toTime(minutes) {
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    const mins = String(minutes % 60).padStart(2, '0');
+    return `${hours}:${mins}`;
+  }
+}
+
+module.exports = CounselorService;
@@ -0,0 +1,398 @@
+/*
+ * AarogyaTech - AI-powered Mental Health Assistant
+ * Instrument Registry - Versioned screening questionnaire definitions
+ *
+ * Copyright (c) 2025 Rajiv Magadum
+ * All rights reserved.
+ *
+ * This software is proprietary and confidential.
+ * Unauthorized copying or distribution is strictly prohibited.
+ *
+ * Author: Rajiv Magadum
+ * Email: rajiv.magadum@gmail.com
+ * Date: 2025
+ */
+
+/*
+ * Each *.json file in the instruments directory defines one version of one
+ * instrument: questions, response options, scoring bands (or subscales),
+ * reverse-scored items, crisis indicators and translations. Several versions
+ * of the same instrument may be loaded; the highest version is used unless
+ * a caller asks for a specific one. Definitions are validated when loaded
+ * and an invalid file stops the registry from loading.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VERSION_PATTERN = /^\d+(\.\d+)*$/;
+const CRISIS_ACTIONS = ['immediate_intervention', 'urgent_referral'];
+
+let defaultRegistry = null;
+
+class InstrumentRegistry {
+  constructor(instrumentsDir = path.join(__dirname, '..', 'data', 'instruments')) {
+    this.instrumentsDir = instrumentsDir;
+    this.instruments = new Map(); // name -> Map(version -> definition)
+  }
+
+  /**
+   * Shared registry loaded from data/instruments
+   */
+  static getDefault() {
+    if (!defaultRegistry) {
+      defaultRegistry = new InstrumentRegistry().load();
+    }
+    return defaultRegistry;
+  }
+
+  /**
+   * Read and validate every definition in the instruments directory.
+   * Loading is synchronous so schemas can use the tool names at require time.
+   * @returns {InstrumentRegistry} this
+   */
+  load() {
+    const instruments = new Map();
+    const errors = [];
+
+    const files = fs.readdirSync(this.instrumentsDir)
+      .filter(file => file.endsWith('.json'))
+      .sort();
+
+    files.forEach(file => {
+      let definition;
+      try {
+        definition = JSON.parse(fs.readFileSync(path.join(this.instrumentsDir, file), 'utf8'));
+      } catch (error) {
+        errors.push(`${file}: ${error.message}`);
+        return;
+      }
+
+      const problems = this.validateDefinition(definition);
+      if (problems.length > 0) {
+        errors.push(`${file}: ${problems.join(', ')}`);
+        return;
+      }
+
+      const versions = instruments.get(definition.name) || new Map();
+      if (versions.has(definition.version)) {
+        errors.push(`${file}: duplicate ${definition.name} version ${definition.version}`);
+        return;
+      }
+
+      versions.set(definition.version, Object.freeze({ ...definition, source: file }));
+      instruments.set(definition.name, versions);
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid instrument definitions: ${errors.join('; ')}`);
+    }
+
+    this.instruments = instruments;
+    console.log(`📋 Loaded ${files.length} screening instrument definitions (${[...instruments.keys()].join(', ')})`);
+    return this;
+  }
+
+  has(name) {
+    return this.instruments.has(name);
+  }
+
+  /**
+   * Names of all loaded instruments
+   * @returns {Array<string>}
+   */
+  getToolNames() {
+    return [...this.instruments.keys()];
+  }
+
+  /**
+   * Get an instrument definition
+   * @param {string} name - Instrument name, e.g. 'PHQ-9'
+   * @param {string} version - Specific version; defaults to the latest
+   * @returns {Object|null} Definition, or null if not loaded
+   */
+  getInstrument(name, version = null) {
+    const versions = this.instruments.get(name);
+    if (!versions) {
+      return null;
+    }
+    if (version) {
+      return versions.get(String(version)) || null;
+    }
+    return versions.get(this.latestVersion(versions));
+  }
+
+  /**
+   * Latest version of every instrument
+   * @returns {Array<Object>}
+   */
+  getLatestInstruments() {
+    return this.getToolNames().map(name => this.getInstrument(name));
+  }
+
+  /**
+   * Summary of every loaded version, for the admin listing
+   * @returns {Array<Object>}
+   */
+  listInstruments() {
+    const list = [];
+
+    this.instruments.forEach((versions, name) => {
+      const latest = this.latestVersion(versions);
+      versions.forEach(definition => {
+        list.push({
+          name,
+          version: definition.version,
+          latest: definition.version === latest,
+          fullName: definition.fullName,
+          type: definition.type,
+          questionCount: definition.questions.length,
+          subscales: definition.scoring.subscales ? Object.keys(definition.scoring.subscales) : [],
+          languages: ['en', ...Object.keys(definition.translations || {})],
+          source: definition.source
+        });
+      });
+    });
+
+    return list;
+  }
+
+  /**
+   * Copy of a definition with question, option and band text in the given
+   * language. Untranslated strings stay in English.
+   * @param {Object} definition - Instrument definition
+   * @param {string} language - Language code, e.g. 'mr'
+   * @returns {Object}
+   */
+  translate(definition, language = 'en') {
+    const translation = definition.translations && definition.translations[language];
+    if (!translation) {
+      return definition;
+    }
+
+    const translateOptions = (options, texts = {}) => options && options.map(option => ({
+      ...option,
+      text: texts[option.value] || option.text
+    }));
+    const translateRanges = (ranges, texts = {}) => ranges.map(range => ({
+      ...range,
+      description: texts[range.level] || range.description
+    }));
+
+    const scoring = { ...definition.scoring };
+    if (scoring.ranges) {
+      scoring.ranges = translateRanges(scoring.ranges, translation.ranges);
+    }
+
+    return {
+      ...definition,
+      language,
+      fullName: translation.fullName || definition.fullName,
+      instructions: translation.instructions || definition.instructions,
+      questions: definition.questions.map(question => ({
+        ...question,
+        text: (translation.questions && translation.questions[question.id]) || question.text
+      })),
+      responseOptions: translateOptions(definition.responseOptions, translation.responseOptions),
+      alternativeResponseOptions: translateOptions(
+        definition.alternativeResponseOptions,
+        translation.alternativeResponseOptions
+      ),
+      scoring
+    };
+  }
+
+  /**
+   * Validate an instrument definition
+   * @param {Object} definition - Parsed JSON definition
+   * @returns {Array<string>} Problems found (empty when valid)
+   */
+  validateDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return ['definition must be an object'];
+    }
+
+    ['name', 'fullName', 'type'].forEach(field => {
+      if (typeof definition[field] !== 'string' || !definition[field].trim()) {
+        errors.push(`${field} is required`);
+      }
+    });
+
+    if (typeof definition.version !== 'string' || !VERSION_PATTERN.test(definition.version)) {
+      errors.push('version must be a string like "1.0"');
+    }
+
+    // Response options
+    const optionValues = this.validateOptions(definition.responseOptions, 'responseOptions', errors);
+    if (definition.alternativeResponseOptions) {
+      this.validateOptions(definition.alternativeResponseOptions, 'alternativeResponseOptions', errors);
+    }
+
+    // Scoring
+    const scoring = definition.scoring || {};
+    const subscales = scoring.subscales ? Object.keys(scoring.subscales) : [];
+
+    if (!Number.isInteger(scoring.maxScore) || scoring.maxScore <= 0) {
+      errors.push('scoring.maxScore must be a positive integer');
+    }
+    if (scoring.multiplier !== undefined && (!Number.isInteger(scoring.multiplier) || scoring.multiplier < 1)) {
+      errors.push('scoring.multiplier must be a positive integer');
+    }
+
+    if (scoring.subscales) {
+      subscales.forEach(name => {
+        this.validateBands(scoring.subscales[name], `scoring.subscales.${name}`, errors);
+      });
+    } else {
+      this.validateBands(scoring, 'scoring', errors);
+    }
+    if (scoring.binaryScoring) {
+      this.validateBands(scoring.binaryScoring, 'scoring.binaryScoring', errors);
+    }
+
+    // Questions
+    const questionIds = new Set();
+    if (!Array.isArray(definition.questions) || definition.questions.length === 0) {
+      errors.push('questions must be a non-empty array');
+    } else {
+      definition.questions.forEach((question, index) => {
+        const label = `questions[${index}]`;
+
+        if (typeof question.id !== 'string' || !question.id) {
+          errors.push(`${label}.id is required`);
+        } else if (questionIds.has(question.id)) {
+          errors.push(`duplicate question id '${question.id}'`);
+        }
+        if (typeof question.text !== 'string' || !question.text.trim()) {
+          errors.push(`${label}.text is required`);
+        }
+        if (question.reversed !== undefined && typeof question.reversed !== 'boolean') {
+          errors.push(`${label}.reversed must be a boolean`);
+        }
+        if (question.subscale !== undefined && !subscales.includes(question.subscale)) {
+          errors.push(`${label}.subscale '${question.subscale}' is not defined in scoring.subscales`);
+        }
+        if (question.dependsOn !== undefined && !questionIds.has(question.dependsOn)) {
+          errors.push(`${label}.dependsOn must reference an earlier question`);
+        }
+
+        questionIds.add(question.id);
+      });
+
+      if (subscales.length > 0 && definition.questions.some(q => q.scored !== false && !q.subscale)) {
+        errors.push('every scored question needs a subscale');
+      }
+    }
+
+    // The highest possible total has to match the declared maximum
+    if (errors.length === 0) {
+      const maxOption = Math.max(...optionValues);
+      const scoredCount = definition.questions.filter(q => q.scored !== false).length;
+      const possible = scoredCount * maxOption * (scoring.multiplier || 1);
+      if (possible !== scoring.maxScore) {
+        errors.push(`scoring.maxScore is ${scoring.maxScore} but the questions allow ${possible}`);
+      }
+    }
+
+    // Crisis indicators
+    (definition.crisisIndicators || []).forEach((indicator, index) => {
+      const label = `crisisIndicators[${index}]`;
+
+      if (typeof indicator.type !== 'string' || !indicator.type) {
+        errors.push(`${label}.type is required`);
+      }
+      if (!CRISIS_ACTIONS.includes(indicator.action)) {
+        errors.push(`${label}.action must be one of ${CRISIS_ACTIONS.join(', ')}`);
+      }
+      if (typeof indicator.threshold !== 'number') {
+        errors.push(`${label}.threshold must be a number`);
+      }
+      (indicator.questions || []).forEach(questionId => {
+        if (!questionIds.has(questionId)) {
+          errors.push(`${label} references unknown question '${questionId}'`);
+        }
+      });
+      if (indicator.subscale !== undefined && !subscales.includes(indicator.subscale)) {
+        errors.push(`${label} references unknown subscale '${indicator.subscale}'`);
+      }
+    });
+
+    // Translations
+    Object.entries(definition.translations || {}).forEach(([language, translation]) => {
+      Object.keys((translation && translation.questions) || {}).forEach(questionId => {
+        if (!questionIds.has(questionId)) {
+          errors.push(`translations.${language} references unknown question '${questionId}'`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  validateOptions(options, label, errors) {
+    if (!Array.isArray(options) || options.length === 0) {
+      errors.push(`${label} must be a non-empty array`);
+      return [];
+    }
+
+    const values = options.map(option => option.value);
+    if (values.some(value => !Number.isInteger(value) || value < 0)) {
+      errors.push(`${label} values must be non-negative integers`);
+    }
+    if (new Set(values).size !== values.length) {
+      errors.push(`${label} values must be unique`);
+    }
+    if (options.some(option => typeof option.text !== 'string' || !option.text)) {
+      errors.push(`${label} need text`);
+    }
+    return values;
+  }
+
+  /**
+   * Bands must run from 0 to maxScore without gaps or overlaps
+   */
+  validateBands(scoring, label, errors) {
+    const ranges = scoring && scoring.ranges;
+
+    if (!Array.isArray(ranges) || ranges.length === 0) {
+      errors.push(`${label}.ranges must be a non-empty array`);
+      return;
+    }
+    if (typeof scoring.clinicalCutoff !== 'number') {
+      errors.push(`${label}.clinicalCutoff must be a number`);
+    }
+
+    let expectedMin = 0;
+    ranges.forEach((range, index) => {
+      if (range.min !== expectedMin || !(range.max >= range.min)) {
+        errors.push(`${label}.ranges[${index}] must start at ${expectedMin} and end at or after it`);
+      }
+      if (typeof range.level !== 'string' || typeof range.description !== 'string') {
+        errors.push(`${label}.ranges[${index}] needs a level and description`);
+      }
+      expectedMin = range.max + 1;
+    });
+
+    if (scoring.maxScore !== undefined && ranges[ranges.length - 1].max !== scoring.maxScore) {
+      errors.push(`${label}.ranges must end at maxScore ${scoring.maxScore}`);
+    }
+  }
+
+  latestVersion(versions) {
+    return [...versions.keys()].sort((a, b) => this.compareVersions(b, a))[0];
+  }
+
+  compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+}
+
+module.exports = InstrumentRegistry;
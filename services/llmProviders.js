@@ -0,0 +1,345 @@
+/*
+ * Every LLM provider implements:
+ *   name                                     -> string, unique within LLM_PROVIDERS
+ *   model                                    -> string, the model requests go to
+ *   isConfigured()                           -> boolean
+ *   complete(messages, options)              -> Promise<string>
+ *   stream(messages, onToken, options)       -> Promise<string>, calling onToken(delta) as text arrives
+ *   getStatus()                              -> { name, type, configured, model, models, ... }
+ *
+ * messages are OpenAI-style chat messages ({ role, content }); options are
+ * { maxTokens, temperature, topP, signal }. complete() and stream() reject on
+ * failure with `retryable` set when the same request may succeed later (rate
+ * limits, server errors, timeouts); LlmService retries and fails over.
+ */
+
+const axios = require('axios');
+const Groq = require('groq-sdk');
+
+const DEFAULT_GROQ_MODELS = ['llama-3.1-8b-instant', 'gemma2-9b-it'];
+
+/**
+ * Read a setting, preferring its per-environment variant,
+ * e.g. GROQ_MODELS_PRODUCTION over GROQ_MODELS when NODE_ENV=production
+ */
+function envSetting(name) {
+  const environment = (process.env.NODE_ENV || 'development').toUpperCase();
+  return process.env[`${name}_${environment}`] || process.env[name];
+}
+
+function parseList(value) {
+  const items = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+/**
+ * Wrap an SDK or HTTP error with a readable message, its status and whether
+ * retrying can help
+ */
+function providerError(label, error) {
+  const status = error.status || error.response?.status;
+  const messages = {
+    400: 'Invalid request format',
+    401: `Invalid ${label} API key`,
+    403: `${label} API key is not allowed to use this model`,
+    404: `${label} model not found`,
+    429: 'Rate limit exceeded. Please try again later.'
+  };
+
+  const wrapped = new Error(messages[status] || `${label} request failed: ${error.message}`);
+  wrapped.status = status;
+  // No status means the request never got an answer (timeout, refused connection)
+  wrapped.retryable = !status || status === 408 || status === 429 || status >= 500;
+  wrapped.cause = error;
+  return wrapped;
+}
+
+/**
+ * Groq chat completions through groq-sdk
+ */
+class GroqProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'groq';
+    this.type = 'groq';
+    this.apiKey = options.apiKey || process.env.GROQ_API_KEY;
+    this.models = options.models || parseList(envSetting('GROQ_MODELS')) || DEFAULT_GROQ_MODELS;
+    this.model = this.models[0];
+
+    if (this.apiKey) {
+      this.client = options.client || new Groq({ apiKey: this.apiKey });
+    }
+  }
+
+  isConfigured() {
+    return !!this.apiKey && !!this.client;
+  }
+
+  async complete(messages, options = {}) {
+    const completion = await this.request(messages, options, false);
+    const content = completion.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw Object.assign(new Error('Unexpected response format from Groq API'), { retryable: true });
+    }
+    return content;
+  }
+
+  async stream(messages, onToken, options = {}) {
+    const stream = await this.request(messages, options, true);
+    let response = '';
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        response += delta;
+        onToken(delta);
+      }
+    }
+    return response;
+  }
+
+  // A model Groq no longer serves (404) moves the provider on to the next one in its list
+  async request(messages, options, stream) {
+    try {
+      return await this.client.chat.completions.create({
+        messages,
+        model: this.model,
+        max_tokens: options.maxTokens,
+        temperature: options.temperature,
+        top_p: options.topP,
+        stream
+      }, options.signal ? { signal: options.signal } : undefined);
+    } catch (error) {
+      const next = this.models[this.models.indexOf(this.model) + 1];
+      if (error.status === 404 && next) {
+        console.warn(`Groq model ${this.model} not available, switching to ${next}`);
+        this.model = next;
+        return this.request(messages, options, stream);
+      }
+      throw providerError('Groq', error);
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: this.isConfigured(),
+      model: this.model,
+      models: this.models
+    };
+  }
+}
+
+/**
+ * Any server exposing the OpenAI chat completions API: OpenAI itself, hosted
+ * gateways, or a local llama.cpp (http://localhost:8080/v1) or Ollama
+ * (http://localhost:11434/v1) server. Local servers usually need no API key.
+ */
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.type = 'openai-compatible';
+    this.baseUrl = (options.baseUrl || envSetting('LLM_BASE_URL') || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || envSetting('LLM_API_KEY');
+    this.models = options.models || parseList(envSetting('LLM_MODELS')) || [];
+    this.model = this.models[0];
+    // Local models on CPU can take a while to answer
+    this.timeout = options.timeout || parseInt(envSetting('LLM_TIMEOUT')) || 60000;
+  }
+
+  isConfigured() {
+    return !!(this.baseUrl && this.model);
+  }
+
+  requestConfig(options, extra = {}) {
+    return {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      timeout: this.timeout,
+      signal: options.signal,
+      ...extra
+    };
+  }
+
+  requestBody(messages, options, stream) {
+    return {
+      model: this.model,
+      messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      top_p: options.topP,
+      stream
+    };
+  }
+
+  async complete(messages, options = {}) {
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        this.requestBody(messages, options, false),
+        this.requestConfig(options)
+      );
+    } catch (error) {
+      throw providerError(this.name, error);
+    }
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw Object.assign(new Error(`Unexpected response format from ${this.name}`), { retryable: true });
+    }
+    return content;
+  }
+
+  // Server-sent events: "data: {json}" lines, ending with "data: [DONE]". Data
+  // that is not JSON (keep-alives, a cut-off last line) is skipped; an error
+  // event from the server fails the request so LlmService can retry or fail over.
+  async stream(messages, onToken, options = {}) {
+    let response;
+    try {
+      response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        this.requestBody(messages, options, true),
+        this.requestConfig(options, { responseType: 'stream' })
+      );
+    } catch (error) {
+      throw providerError(this.name, error);
+    }
+
+    let text = '';
+    let buffer = '';
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (error) {
+        return;
+      }
+
+      if (event.error) {
+        throw Object.assign(new Error(`${this.name} stream error: ${event.error.message || event.error}`), { retryable: true });
+      }
+
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    };
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return text;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: this.isConfigured(),
+      model: this.model || null,
+      models: this.models,
+      endpoint: this.baseUrl || null
+    };
+  }
+}
+
+/**
+ * Deterministic provider for tests and offline demos. Replies come from a
+ * script instead of a model: each entry is a string, an Error to throw, or a
+ * function (messages) -> string, and the last entry repeats once the script
+ * runs out. Streams emit the reply word by word.
+ */
+class ScriptedProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'scripted';
+    this.type = 'scripted';
+    this.model = 'scripted';
+    this.script = options.script || [
+      "I hear you, and it makes sense to feel that way. What's weighing on you most right now?"
+    ];
+    this.calls = []; // Messages of every request, for assertions
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete(messages) {
+    return this.next(messages);
+  }
+
+  async stream(messages, onToken) {
+    const text = this.next(messages);
+    for (const token of text.match(/\S+\s*/g) || []) {
+      onToken(token);
+    }
+    return text;
+  }
+
+  next(messages) {
+    this.calls.push(messages);
+    const entry = this.script[Math.min(this.calls.length, this.script.length) - 1];
+
+    if (entry instanceof Error) {
+      throw entry;
+    }
+    return typeof entry === 'function' ? entry(messages) : entry;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      type: this.type,
+      configured: true,
+      model: this.model,
+      models: [this.model]
+    };
+  }
+}
+
+const PROVIDERS = {
+  groq: GroqProvider,
+  openai: OpenAICompatibleProvider,
+  scripted: ScriptedProvider
+};
+
+/**
+ * Providers in failover order. LLM_PROVIDERS lists them by name, e.g.
+ * "openai,groq" to prefer a local server and fall back to Groq; providers
+ * that are not configured are skipped at request time.
+ * @returns {Array} Provider instances
+ */
+function createProviders() {
+  const names = parseList(envSetting('LLM_PROVIDERS')) || ['groq', 'openai'];
+
+  return names.map(name => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return new Provider();
+  });
+}
+
+module.exports = {
+  GroqProvider,
+  OpenAICompatibleProvider,
+  ScriptedProvider,
+  createProviders
+};
@@ -0,0 +1,455 @@
+const { createProviders } = require('./llmProviders');
+const PromptService = require('./promptService');
+
+/**
+ * Chat generation for the mental health assistant on top of interchangeable
+ * LLM providers (see llmProviders.js). Providers are tried in order: each one
+ * gets up to maxRetries attempts for errors that may clear up (rate limits,
+ * server errors, timeouts) before the next provider takes over.
+ */
+class LlmService {
+  /**
+   * @param {Object} options - { providers } in failover order, defaulting to LLM_PROVIDERS;
+   *   { promptService } supplying the system prompts
+   */
+  constructor(options = {}) {
+    this.providers = options.providers || createProviders();
+    this.maxTokens = 300; // Reduced to keep responses concise
+    this.temperature = 0.7;
+    this.maxRetries = 3;
+    this.retryDelay = 1000;
+    this.stats = new Map(); // provider name -> request counters for the status report
+
+    this.promptService = options.promptService || PromptService.getDefault();
+  }
+
+  /**
+   * Providers that can take requests, in failover order
+   * @returns {Array} Configured providers
+   */
+  getAvailableProviders() {
+    return this.providers.filter(provider => provider.isConfigured());
+  }
+
+  /**
+   * Check if at least one provider is configured
+   * @returns {boolean} True if a request can be sent
+   */
+  isServiceAvailable() {
+    return this.getAvailableProviders().length > 0;
+  }
+
+  /**
+   * Generate AI response
+   * @param {string} message - User's message
+   * @param {Array} conversationHistory - Previous messages in the conversation
+   * @param {Object} options - Additional options (maxTokens, temperature, prompt, summary, continuity)
+   *   prompt is a rendered template from PromptService; defaults to the active chat prompt.
+   *   summary is the running summary of messages older than the history; continuity is
+   *   what a returning student chose to share from earlier sessions
+   * @returns {Promise<string>} AI response
+   */
+  async generateResponse(message, conversationHistory = [], options = {}) {
+    this._assertRequest(message);
+
+    const prompt = options.prompt || this.promptService.render('chat');
+    const messages = this._buildMessages(message, conversationHistory, prompt.content, options);
+    const requestOptions = this._requestOptions(options, prompt.policy);
+
+    return this._withFailover(provider => provider.complete(messages, requestOptions));
+  }
+
+  /**
+   * Generate AI response, emitting tokens as they arrive
+   * Retries and failover are only attempted before the first token has been
+   * emitted, so a caller never receives duplicated text.
+   * @param {string} message - User's message
+   * @param {Array} conversationHistory - Previous messages in the conversation
+   * @param {Function} onToken - Called with each content delta
+   * @param {Object} options - Additional options (maxTokens, temperature, signal, prompt, summary, continuity)
+   * @returns {Promise<string>} The complete AI response
+   */
+  async generateResponseStream(message, conversationHistory = [], onToken = () => {}, options = {}) {
+    this._assertRequest(message);
+
+    const prompt = options.prompt || this.promptService.render('chat');
+    const messages = this._buildMessages(message, conversationHistory, prompt.content, options);
+    const requestOptions = this._requestOptions(options, prompt.policy);
+
+    return this._withFailover((provider, attempt) => provider.stream(messages, (token) => {
+      attempt.emitted = true;
+      onToken(token);
+    }, requestOptions), options.signal);
+  }
+
+  /**
+   * Run a request against each configured provider in turn
+   * @param {Function} request - (provider, attempt) => Promise<string>; sets attempt.emitted once output reached the caller
+   * @param {AbortSignal} signal - Stops retries once the caller has gone
+   * @returns {Promise<string>} Trimmed response text
+   * @private
+   */
+  async _withFailover(request, signal) {
+    const providers = this.getAvailableProviders();
+    if (providers.length === 0) {
+      throw new Error('No LLM provider configured');
+    }
+
+    const failures = [];
+
+    for (const provider of providers) {
+      for (let attemptNumber = 1; attemptNumber <= this.maxRetries; attemptNumber++) {
+        const attempt = { emitted: false };
+        const startedAt = Date.now();
+
+        try {
+          const response = (await request(provider, attempt)).trim();
+          if (response.length === 0) {
+            throw Object.assign(new Error(`Empty response from ${provider.name}`), { retryable: true });
+          }
+
+          this._recordOutcome(provider, startedAt);
+          return response;
+        } catch (error) {
+          this._recordOutcome(provider, startedAt, error);
+
+          // Once tokens have reached the caller neither a retry nor another provider can continue them
+          if (attempt.emitted || (signal && signal.aborted)) {
+            throw error;
+          }
+
+          if (!error.retryable || attemptNumber === this.maxRetries) {
+            failures.push(`${provider.name}: ${error.message}`);
+            break;
+          }
+
+          console.warn(`${provider.name} request failed, retrying in ${this.retryDelay * attemptNumber}ms (attempt ${attemptNumber}/${this.maxRetries}):`, error.message);
+          await this._sleep(this.retryDelay * attemptNumber);
+        }
+      }
+
+      if (provider !== providers[providers.length - 1]) {
+        console.warn(`LLM provider ${provider.name} failed, trying the next provider`);
+      }
+    }
+
+    throw new Error(`All LLM providers failed - ${failures.join('; ')}`);
+  }
+
+  _assertRequest(message) {
+    if (!this.isServiceAvailable()) {
+      throw new Error('LLM service not configured - no provider available');
+    }
+
+    if (!message || typeof message !== 'string') {
+      throw new Error('Invalid message provided');
+    }
+  }
+
+  // Explicit options win over the prompt's response policy, which wins over the service defaults
+  _requestOptions(options, policy = null) {
+    return {
+      maxTokens: options.maxTokens || policy?.maxTokens || this.maxTokens,
+      temperature: options.temperature ?? policy?.temperature ?? this.temperature,
+      topP: options.topP ?? policy?.topP ?? 0.9,
+      signal: options.signal
+    };
+  }
+
+  _recordOutcome(provider, startedAt, error = null) {
+    const stats = this.stats.get(provider.name) || {
+      requests: 0,
+      failures: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null,
+      lastLatencyMs: null
+    };
+
+    stats.requests++;
+    if (error) {
+      stats.failures++;
+      stats.lastFailureAt = new Date().toISOString();
+      stats.lastError = error.message;
+    } else {
+      stats.lastSuccessAt = new Date().toISOString();
+      stats.lastLatencyMs = Date.now() - startedAt;
+    }
+    this.stats.set(provider.name, stats);
+  }
+
+  /**
+   * Build the message list sent to the provider
+   * @param {string} message - User's message
+   * @param {Array} conversationHistory - Previous messages in the conversation
+   * @param {string} systemPrompt - Rendered system prompt
+   * @param {Object} context - { continuity, summary }: notes from earlier sessions and
+   *   the running summary of earlier messages, each sent as a system message if present
+   * @returns {Array} Chat messages including the system prompt
+   * @private
+   */
+  _buildMessages(message, conversationHistory, systemPrompt, context = {}) {
+    const messages = [
+      {
+        role: 'system',
+        content: systemPrompt
+      }
+    ];
+
+    if (context.continuity) {
+      messages.push({
+        role: 'system',
+        content: context.continuity
+      });
+    }
+
+    if (context.summary) {
+      messages.push({
+        role: 'system',
+        content: `Summary of the earlier conversation, which is no longer shown:\n${context.summary}`
+      });
+    }
+
+    // Add conversation history (limit to last 10 messages to stay within context)
+    const recentHistory = conversationHistory.slice(-10);
+    messages.push(...recentHistory);
+
+    // Add current user message
+    messages.push({
+      role: 'user',
+      content: message
+    });
+
+    return messages;
+  }
+
+  /**
+   * Generate a crisis-specific response
+   * @param {string} message - User's message indicating crisis
+   * @param {string} severity - Crisis severity level
+   * @param {Object} options - { prompt, fallback }: rendered crisis and crisis_fallback
+   *   templates; default to the active versions with the default variables
+   * @returns {Promise<string>} Crisis response, or the fallback text when no provider answers
+   */
+  async generateCrisisResponse(message, severity = 'high', options = {}) {
+    const prompt = options.prompt || this.promptService.render('crisis', { variables: { severity } });
+
+    try {
+      const messages = [
+        {
+          role: 'system',
+          content: prompt.content
+        },
+        {
+          role: 'user',
+          content: message
+        }
+      ];
+
+      // The crisis policy keeps replies short and consistent (fewer tokens, lower temperature)
+      return await this._withFailover(provider => provider.complete(messages, this._requestOptions({}, prompt.policy)));
+
+    } catch (error) {
+      console.error('Crisis response generation failed:', error);
+      const fallback = options.fallback || this.promptService.render('crisis_fallback');
+      return fallback.content;
+    }
+  }
+
+  /**
+   * Fold conversation messages into a running summary
+   * @param {string|null} previousSummary - Summary so far, or null for the first one
+   * @param {Array} messages - { role, content } messages to add, oldest first
+   * @param {Object} options - { prompt }: rendered summary template; defaults to the active version
+   * @returns {Promise<string>} Updated summary
+   */
+  async summarizeConversation(previousSummary, messages, options = {}) {
+    const prompt = options.prompt || this.promptService.render('summary');
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'Student' : 'Assistant'}: ${message.content}`)
+      .join('\n');
+
+    const request = [
+      {
+        role: 'system',
+        content: prompt.content
+      },
+      {
+        role: 'user',
+        content: `CURRENT SUMMARY:\n${previousSummary || 'None yet.'}\n\nNEW MESSAGES:\n${transcript}`
+      }
+    ];
+
+    return this._withFailover(provider => provider.complete(request, this._requestOptions({}, prompt.policy)));
+  }
+
+  /**
+   * Send a short request to every configured provider
+   * @returns {Promise<Object>} Test result per provider
+   */
+  async testConnection() {
+    const providers = this.getAvailableProviders();
+    if (providers.length === 0) {
+      return {
+        success: false,
+        error: 'LLM service not configured - no provider available'
+      };
+    }
+
+    const results = [];
+    for (const provider of providers) {
+      try {
+        const response = await provider.complete(
+          this._buildMessages('Hello, this is a test message.', [], this.promptService.render('chat').content),
+          this._requestOptions({ maxTokens: 50 })
+        );
+        results.push({
+          provider: provider.name,
+          success: true,
+          model: provider.model,
+          testResponse: response.substring(0, 100) + '...'
+        });
+      } catch (error) {
+        results.push({
+          provider: provider.name,
+          success: false,
+          model: provider.model,
+          error: error.message
+        });
+      }
+    }
+
+    return {
+      success: results.some(result => result.success),
+      providers: results
+    };
+  }
+
+  /**
+   * Get service status and configuration
+   * The active provider is the first configured one; providers lists every
+   * provider in failover order with its configuration and request counters.
+   * @returns {Object} Service status
+   */
+  getServiceStatus() {
+    const active = this.getAvailableProviders()[0] || null;
+
+    return {
+      available: !!active,
+      provider: active ? active.name : null,
+      model: active ? active.model : null,
+      maxTokens: this.maxTokens,
+      temperature: this.temperature,
+      providers: this.providers.map(provider => ({
+        ...provider.getStatus(),
+        stats: this.stats.get(provider.name) || null
+      })),
+      features: [
+        'mental-health-support',
+        'crisis-detection',
+        'conversation-context',
+        'streaming',
+        'provider-failover',
+        'safety-prioritized'
+      ]
+    };
+  }
+
+  /**
+   * Sleep for specified milliseconds
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise<void>}
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Validate response for mental health appropriateness
+   * @param {string} response - AI response to validate
+   * @returns {Object} Validation result
+   */
+  validateResponse(response) {
+    if (!response || typeof response !== 'string') {
+      return {
+        isValid: false,
+        issues: ['Empty or invalid response']
+      };
+    }
+
+    const issues = [];
+    const lowerResponse = response.toLowerCase();
+
+    // Check for inappropriate content
+    const inappropriatePatterns = [
+      /\b(kill yourself|end it all|you should die)\b/i,
+      /\b(worthless|hopeless|no point)\b/i,
+      /\b(give up|it's over|nothing matters)\b/i
+    ];
+
+    for (const pattern of inappropriatePatterns) {
+      if (pattern.test(response)) {
+        issues.push('Contains potentially harmful language');
+        break;
+      }
+    }
+
+    // Check for medical advice (which we shouldn't provide)
+    const medicalPatterns = [
+      /\b(diagnose|diagnosis|medication|prescribe|medical condition)\b/i,
+      /\b(you have|you are|you suffer from)\s+(depression|anxiety|bipolar|adhd|ptsd)\b/i
+    ];
+
+    for (const pattern of medicalPatterns) {
+      if (pattern.test(response)) {
+        issues.push('Contains medical advice or diagnosis');
+        break;
+      }
+    }
+
+    // Check for supportive elements (should be present) - more flexible patterns
+    const supportivePatterns = [
+      // Direct supportive words
+      /\b(understand|support|here for you|not alone|valid|okay|help|listen|care|feel|sorry|empathy|compassion)\b/i,
+      // Professional guidance
+      /\b(reach out|talk to|contact|professional|counselor|therapist|friend|family)\b/i,
+      // Positive reinforcement
+      /\b(normal|common|natural|brave|courage|strength|strong|capable|good|great|well done)\b/i,
+      // Improvement and coping
+      /\b(better|improve|cope|manage|handle|deal with|work through|try|practice|breathe)\b/i,
+      // Emotional validation
+      /\b(feelings|emotions|experience|difficult|challenging|tough|hard|struggle)\b/i,
+      // Encouragement
+      /\b(can|will|able|possible|hope|future|tomorrow|healing|recovery|progress)\b/i,
+      // Questions showing engagement
+      /\b(how|what|when|where|would you|can you|have you|do you|tell me|share)\b/i,
+      // Gentle responses
+      /\b(sounds|seems|appears|might|could|perhaps|maybe|sometimes|often)\b/i
+    ];
+
+    const hasSupportiveLanguage = supportivePatterns.some(pattern => pattern.test(response));
+    
+    // Only flag as lacking supportive language if it's a longer response (>150 chars) 
+    // and has no supportive elements AND contains no questions or engagement
+    const hasEngagement = /[?]/.test(response) || /\b(tell me|share|how|what|would you)\b/i.test(response);
+    
+    if (!hasSupportiveLanguage && !hasEngagement && response.length > 150) {
+      issues.push('Lacks supportive language');
+    }
+
+    // Allow responses up to 1500 characters (more reasonable for mental health support)
+    if (response.length > 1500) {
+      issues.push('Response too long (over 1500 characters)');
+    }
+
+    return {
+      isValid: issues.length === 0,
+      issues: issues,
+      hasSupportiveLanguage: hasSupportiveLanguage,
+      length: response.length
+    };
+  }
+}
+
+module.exports = LlmService;
@@ -0,0 +1,294 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LoginEvent = require('../models/loginEvent');
+
+const MINUTE = 60 * 1000;
+
+// Outcomes that look like password or verification code guessing; they count towards lockouts
+const FAILED_OUTCOMES = ['invalid_password', 'unknown_user', 'disabled', 'invalid_mfa_code'];
+
+const DEFAULT_LIMITS = {
+  account: { maxFailures: 5, window: 15 * MINUTE, baseLock: 5 * MINUTE, maxLock: 60 * MINUTE },
+  ip: { maxFailures: 20, window: 15 * MINUTE, baseLock: 15 * MINUTE, maxLock: 24 * 60 * MINUTE },
+  // One address failing against many accounts, or many addresses failing together
+  stuffing: { usernamesPerIp: 10, window: 15 * MINUTE, globalFailures: 30, globalUsernames: 10, globalIps: 5, globalWindow: 5 * MINUTE },
+  alertCooldown: 15 * MINUTE
+};
+
+// Failure counters kept per map before the oldest unlocked ones are dropped; usernames and
+// addresses come from the request, so a flood of made-up ones must not grow memory forever
+const MAX_TRACKED = 10000;
+
+// In-memory history of users with no login attempts for this long is dropped
+const HISTORY_RETENTION = 7 * 24 * 60 * MINUTE;
+const CLEANUP_INTERVAL = 15 * MINUTE;
+
+/**
+ * Tracks failed logins per account and per client IP, locks either out for
+ * progressively longer after repeated failures, keeps a login history per user
+ * and emits 'anomaly' ({ type, severity, message, ... }) when a lockout or a
+ * credential-stuffing pattern is detected.
+ */
+class LoginSecurityService extends EventEmitter {
+  /**
+   * @param {Object} options - { limits, ipHashSecret, maxTracked, historyRetention, cleanupInterval }
+   */
+  constructor(options = {}) {
+    super();
+    this.limits = {
+      account: { ...DEFAULT_LIMITS.account, ...options.limits?.account },
+      ip: { ...DEFAULT_LIMITS.ip, ...options.limits?.ip },
+      stuffing: { ...DEFAULT_LIMITS.stuffing, ...options.limits?.stuffing },
+      alertCooldown: options.limits?.alertCooldown ?? DEFAULT_LIMITS.alertCooldown
+    };
+    this.ipHashSecret = options.ipHashSecret || process.env.IP_HASH_SECRET || process.env.JWT_SECRET || 'aarogyatech-ip-hash';
+    this.accounts = new Map(); // username -> { failures: [time], lockedUntil, lockouts }
+    this.ips = new Map(); // ipHash -> { failures: [{ at, username }], lockedUntil, lockouts }
+    this.recentFailures = []; // [{ at, username, ipHash }] across all addresses
+    this.lastAlerts = new Map(); // alert key -> time, so a pattern is reported once per cooldown
+    this.history = new Map(); // username -> recent events, used while MongoDB is unavailable
+    this.historyLimit = 50;
+    this.maxTracked = options.maxTracked || MAX_TRACKED;
+    this.historyRetention = options.historyRetention || HISTORY_RETENTION;
+    this.cleanupIntervalMs = options.cleanupInterval || CLEANUP_INTERVAL;
+    this.cleanupInterval = null;
+
+    if (process.env.NODE_ENV !== 'test') {
+      this.startCleanupTimer();
+    }
+  }
+
+  startCleanupTimer() {
+    if (this.cleanupInterval) return;
+
+    this.cleanupInterval = setInterval(() => this.cleanup(), this.cleanupIntervalMs);
+
+    // Cleanup should never keep the process alive on shutdown
+    this.cleanupInterval.unref();
+  }
+
+  stopCleanupTimer() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+
+  hashIp(ip) {
+    if (!ip) return null;
+    return crypto.createHmac('sha256', this.ipHashSecret).update(ip).digest('hex');
+  }
+
+  getEntry(map, key, now) {
+    if (!map.has(key)) {
+      if (map.size >= this.maxTracked) {
+        this.evictOldest(map, now);
+      }
+      map.set(key, { failures: [], lockedUntil: null, lockouts: 0 });
+    }
+    return map.get(key);
+  }
+
+  // Maps keep insertion order, so the first unlocked entries are the oldest; active lockouts stay
+  evictOldest(map, now) {
+    this.cleanup(now);
+    for (const [key, entry] of map.entries()) {
+      if (map.size < this.maxTracked) break;
+      if (!entry.lockedUntil || entry.lockedUntil <= now) {
+        map.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Active lockout for the account or the client address, if any
+   * @returns {Object|null} { scope: 'account'|'ip', retryAfter } with retryAfter in seconds
+   */
+  getLockout(username, ip, now = Date.now()) {
+    const candidates = [
+      ['account', this.accounts.get(username)],
+      ['ip', this.ips.get(this.hashIp(ip))]
+    ];
+
+    for (const [scope, entry] of candidates) {
+      if (entry?.lockedUntil && entry.lockedUntil > now) {
+        return { scope, retryAfter: Math.ceil((entry.lockedUntil - now) / 1000) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record a login attempt: updates lockout counters and the user's history
+   * @param {Object} attempt - { username, userId, ip, userAgent, outcome }
+   */
+  recordAttempt({ username, userId = null, ip, userAgent, outcome }, now = Date.now()) {
+    const ipHash = this.hashIp(ip);
+
+    if (FAILED_OUTCOMES.includes(outcome)) {
+      this.recordFailure(username, ipHash, now);
+    } else if (outcome === 'success') {
+      // The login completed; earlier failures on the account no longer count. A
+      // correct password alone does not reset them, or wrong MFA codes never would.
+      this.accounts.delete(username);
+    }
+
+    this.addHistory({
+      username,
+      userId,
+      ipHash,
+      userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+      outcome,
+      createdAt: new Date(now)
+    });
+  }
+
+  recordFailure(username, ipHash, now) {
+    const account = this.getEntry(this.accounts, username, now);
+    account.failures = account.failures.filter(at => now - at < this.limits.account.window);
+    account.failures.push(now);
+
+    if (account.failures.length >= this.limits.account.maxFailures) {
+      this.lock(account, this.limits.account, now);
+      this.raiseAnomaly(`account_locked:${username}:${account.lockouts}`, {
+        type: 'account_locked',
+        severity: account.lockouts > 1 ? 'high' : 'medium',
+        message: `Account "${username}" locked after ${this.limits.account.maxFailures} failed logins (lockout ${account.lockouts})`,
+        username,
+        lockedUntil: new Date(account.lockedUntil)
+      }, now);
+    }
+
+    if (!ipHash) return;
+
+    const address = this.getEntry(this.ips, ipHash, now);
+    const ipWindow = Math.max(this.limits.ip.window, this.limits.stuffing.window);
+    address.failures = address.failures.filter(failure => now - failure.at < ipWindow);
+    address.failures.push({ at: now, username });
+
+    const ipFailures = address.failures.filter(failure => now - failure.at < this.limits.ip.window);
+    if (ipFailures.length >= this.limits.ip.maxFailures) {
+      this.lock(address, this.limits.ip, now);
+      address.failures = [];
+    }
+
+    this.detectCredentialStuffing(ipHash, address, username, now);
+  }
+
+  // Each lockout lasts twice as long as the previous one, up to the maximum
+  lock(entry, limits, now) {
+    entry.lockedUntil = now + Math.min(limits.baseLock * 2 ** entry.lockouts, limits.maxLock);
+    entry.lockouts++;
+    entry.failures = [];
+  }
+
+  detectCredentialStuffing(ipHash, address, username, now) {
+    const { stuffing } = this.limits;
+
+    const targeted = new Set(address.failures
+      .filter(failure => now - failure.at < stuffing.window)
+      .map(failure => failure.username));
+    if (targeted.size >= stuffing.usernamesPerIp) {
+      this.raiseAnomaly(`credential_stuffing:${ipHash}`, {
+        type: 'credential_stuffing',
+        severity: 'high',
+        message: `Failed logins for ${targeted.size} different accounts from one address in ${stuffing.window / MINUTE} minutes`,
+        ipHash,
+        usernames: Array.from(targeted)
+      }, now);
+    }
+
+    this.recentFailures = this.recentFailures.filter(failure => now - failure.at < stuffing.globalWindow);
+    this.recentFailures.push({ at: now, username, ipHash });
+
+    const usernames = new Set(this.recentFailures.map(failure => failure.username));
+    const ipHashes = new Set(this.recentFailures.map(failure => failure.ipHash));
+    if (this.recentFailures.length >= stuffing.globalFailures &&
+        usernames.size >= stuffing.globalUsernames &&
+        ipHashes.size >= stuffing.globalIps) {
+      this.raiseAnomaly('distributed_credential_stuffing', {
+        type: 'distributed_credential_stuffing',
+        severity: 'critical',
+        message: `${this.recentFailures.length} failed logins against ${usernames.size} accounts from ${ipHashes.size} addresses in ${stuffing.globalWindow / MINUTE} minutes`,
+        usernames: Array.from(usernames)
+      }, now);
+    }
+  }
+
+  raiseAnomaly(key, anomaly, now) {
+    const lastAlert = this.lastAlerts.get(key);
+    if (lastAlert && now - lastAlert < this.limits.alertCooldown) {
+      return;
+    }
+
+    this.lastAlerts.set(key, now);
+    this.emit('anomaly', { ...anomaly, timestamp: new Date(now) });
+  }
+
+  // Admin unlock; also forgets earlier lockouts so the next one starts short again
+  unlockAccount(username) {
+    return this.accounts.delete(username);
+  }
+
+  addHistory(event) {
+    // Attempts on usernames with no account are only kept in MongoDB; they are whatever was typed
+    if (event.userId) {
+      const events = this.history.get(event.username) || [];
+      events.unshift(event);
+      this.history.set(event.username, events.slice(0, this.historyLimit));
+    }
+
+    if (this.isDatabaseConnected()) {
+      LoginEvent.create(event).catch(error => {
+        console.error('Failed to record login event:', error);
+      });
+    }
+  }
+
+  async getLoginHistory(username, { limit = 50 } = {}) {
+    if (this.isDatabaseConnected()) {
+      return LoginEvent.find({ username }).sort({ createdAt: -1 }).limit(limit).select('-_id -__v').lean();
+    }
+    return (this.history.get(username) || []).slice(0, limit);
+  }
+
+  getAccountStatus(username, now = Date.now()) {
+    const account = this.accounts.get(username);
+    return {
+      locked: !!(account?.lockedUntil && account.lockedUntil > now),
+      lockedUntil: account?.lockedUntil && account.lockedUntil > now ? new Date(account.lockedUntil) : null,
+      recentFailures: account ? account.failures.filter(at => now - at < this.limits.account.window).length : 0,
+      lockouts: account?.lockouts || 0
+    };
+  }
+
+  // Drop counters that can no longer lock anything out, and history nobody has added to lately
+  cleanup(now = Date.now()) {
+    const idle = 24 * 60 * MINUTE;
+    for (const map of [this.accounts, this.ips]) {
+      for (const [key, entry] of map.entries()) {
+        const lastFailure = entry.failures.length ? Math.max(...entry.failures.map(failure => failure.at ?? failure)) : 0;
+        if ((!entry.lockedUntil || now - entry.lockedUntil > idle) && now - lastFailure > idle) {
+          map.delete(key);
+        }
+      }
+    }
+    for (const [key, at] of this.lastAlerts.entries()) {
+      if (now - at > this.limits.alertCooldown) {
+        this.lastAlerts.delete(key);
+      }
+    }
+    for (const [username, events] of this.history.entries()) {
+      if (now - events[0].createdAt.getTime() > this.historyRetention) {
+        this.history.delete(username);
+      }
+    }
+  }
+
+  isDatabaseConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+}
+
+module.exports = LoginSecurityService;
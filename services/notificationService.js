@@ -0,0 +1,361 @@
+/*
+ * AarogyaTech - AI-powered Mental Health Assistant
+ * Notification Service - Booking confirmations, cancellations and reminders
+ *
+ * Copyright (c) 2025 Rajiv Magadum
+ * All rights reserved.
+ *
+ * This software is proprietary and confidential.
+ * Unauthorized copying or distribution is strictly prohibited.
+ *
+ * Author: Rajiv Magadum
+ * Email: rajiv.magadum@gmail.com
+ * Date: 2025
+ */
+
+const EventEmitter = require('events');
+const QueueManagementService = require('./queueManagementService');
+const LanguageService = require('./languageService');
+const CalendarService = require('./calendarService');
+const { createTransports } = require('./notificationTransports');
+
+const QUEUE_NAME = 'notifications';
+
+// Messages deliberately leave out the student's concerns: SMS and email are
+// often read on shared devices
+const TEMPLATES = {
+  en: {
+    sessionTypes: {
+      individual: 'individual counseling',
+      group: 'group session',
+      crisis: 'crisis intervention'
+    },
+    received: {
+      subject: 'We received your counseling request',
+      student: 'Your request for {{sessionType}} on {{date}} at {{time}} has been received (booking {{bookingId}}). We will confirm it soon.',
+      counselor: 'New {{sessionType}} booking {{bookingId}} on {{date}} at {{time}} is waiting for confirmation.'
+    },
+    confirmed: {
+      subject: 'Your counseling session is confirmed',
+      student: 'Your {{sessionType}} with {{counselor}} on {{date}} at {{time}} is confirmed (booking {{bookingId}}).',
+      counselor: 'Booking {{bookingId}} ({{sessionType}}) on {{date}} at {{time}} is confirmed.'
+    },
+    cancelled: {
+      subject: 'Your counseling session was cancelled',
+      student: 'Your {{sessionType}} on {{date}} at {{time}} has been cancelled (booking {{bookingId}}). You can book a new session at any time.',
+      counselor: 'Booking {{bookingId}} ({{sessionType}}) on {{date}} at {{time}} has been cancelled.'
+    },
+    rescheduled: {
+      subject: 'Your counseling session has a new time',
+      student: 'Your {{sessionType}} with {{counselor}} has moved to {{date}} at {{time}} (booking {{bookingId}}).',
+      counselor: 'Booking {{bookingId}} ({{sessionType}}) has moved to {{date}} at {{time}}.'
+    },
+    reminder: {
+      subject: 'Reminder: counseling session tomorrow',
+      student: 'Reminder: your {{sessionType}} with {{counselor}} is on {{date}} at {{time}} (booking {{bookingId}}).',
+      counselor: 'Reminder: booking {{bookingId}} ({{sessionType}}) is on {{date}} at {{time}}.'
+    },
+    anyCounselor: 'our counselor',
+    helpline: 'If you need help right now, call {{name}}: {{phone}} ({{availability}}).'
+  },
+  mr: {
+    sessionTypes: {
+      individual: 'वैयक्तिक समुपदेशन',
+      group: 'समूह सत्र',
+      crisis: 'संकट हस्तक्षेप'
+    },
+    received: {
+      subject: 'तुमची समुपदेशन विनंती मिळाली',
+      student: '{{date}} रोजी {{time}} वाजता {{sessionType}} साठी तुमची विनंती मिळाली आहे (भेट {{bookingId}}). आम्ही लवकरच पुष्टी करू.',
+      counselor: 'नवीन {{sessionType}} भेट {{bookingId}}, {{date}} रोजी {{time}} वाजता, पुष्टीच्या प्रतीक्षेत आहे.'
+    },
+    confirmed: {
+      subject: 'तुमचे समुपदेशन सत्र निश्चित झाले',
+      student: '{{counselor}} यांच्यासोबत तुमचे {{sessionType}} {{date}} रोजी {{time}} वाजता निश्चित झाले आहे (भेट {{bookingId}}).',
+      counselor: 'भेट {{bookingId}} ({{sessionType}}) {{date}} रोजी {{time}} वाजता निश्चित झाली आहे.'
+    },
+    cancelled: {
+      subject: 'तुमचे समुपदेशन सत्र रद्द झाले',
+      student: '{{date}} रोजी {{time}} वाजताचे तुमचे {{sessionType}} रद्द झाले आहे (भेट {{bookingId}}). तुम्ही कधीही नवीन सत्र बुक करू शकता.',
+      counselor: 'भेट {{bookingId}} ({{sessionType}}) {{date}} रोजी {{time}} वाजता रद्द झाली आहे.'
+    },
+    rescheduled: {
+      subject: 'तुमच्या समुपदेशन सत्राची वेळ बदलली',
+      student: '{{counselor}} यांच्यासोबतचे तुमचे {{sessionType}} आता {{date}} रोजी {{time}} वाजता आहे (भेट {{bookingId}}).',
+      counselor: 'भेट {{bookingId}} ({{sessionType}}) आता {{date}} रोजी {{time}} वाजता आहे.'
+    },
+    reminder: {
+      subject: 'आठवण: उद्या समुपदेशन सत्र',
+      student: 'आठवण: {{counselor}} यांच्यासोबत तुमचे {{sessionType}} {{date}} रोजी {{time}} वाजता आहे (भेट {{bookingId}}).',
+      counselor: 'आठवण: भेट {{bookingId}} ({{sessionType}}) {{date}} रोजी {{time}} वाजता आहे.'
+    },
+    anyCounselor: 'आमचे समुपदेशक',
+    helpline: 'तुम्हाला आत्ता मदत हवी असल्यास {{name}} ला कॉल करा: {{phone}} ({{availability}}).'
+  }
+};
+
+// Student contact methods that can be reached automatically
+const CONTACT_CHANNELS = {
+  email: 'email',
+  phone: 'sms'
+};
+
+class NotificationService extends EventEmitter {
+  /**
+   * @param {Object} options - { queueManager, languageService, calendarService, transports }
+   */
+  constructor(options = {}) {
+    super();
+    this.queueManager = options.queueManager || new QueueManagementService();
+    this.languageService = options.languageService || new LanguageService();
+    this.calendarService = options.calendarService || new CalendarService();
+    this.transports = options.transports || createTransports();
+    this.bookingService = null;
+    this.reminderInterval = null;
+
+    this.config = {
+      reminderLeadMs: 24 * 60 * 60 * 1000, // Remind a day ahead
+      reminderCheckIntervalMs: parseInt(process.env.REMINDER_CHECK_INTERVAL_MS) || 15 * 60 * 1000,
+      retries: 5,
+      retryDelay: 5000,
+      timeout: 30 * 60 * 1000 // Long enough for every retry
+    };
+
+    this.queueManager.registerHandler(QUEUE_NAME, (message) => this.deliver(message), {
+      maxRequestsPerMinute: 60,
+      maxConcurrentRequests: 2
+    });
+  }
+
+  /**
+   * Listen to booking lifecycle events
+   * @param {BookingService} bookingService - Booking service to follow
+   */
+  attach(bookingService) {
+    this.bookingService = bookingService;
+
+    bookingService.on('bookingCreated', (booking) => {
+      this.notify(booking, 'received').catch(error => {
+        console.error('Error sending booking notifications:', error);
+      });
+    });
+
+    bookingService.on('bookingUpdated', ({ booking, previous }) => {
+      const event = this.getUpdateEvent(booking, previous);
+      if (!event) return;
+
+      this.notify(booking, event).catch(error => {
+        console.error('Error sending booking notifications:', error);
+      });
+    });
+  }
+
+  /**
+   * Decide which notification, if any, a booking update warrants
+   * @returns {string|null} Event name
+   */
+  getUpdateEvent(booking, previous) {
+    if (!previous) return null;
+
+    if (booking.status !== previous.status) {
+      if (booking.status === 'confirmed') return 'confirmed';
+      if (booking.status === 'cancelled') return 'cancelled';
+      return null;
+    }
+
+    if (booking.status !== 'cancelled' && booking.scheduledDateTime &&
+        String(booking.scheduledDateTime) !== String(previous.scheduledDateTime)) {
+      return 'rescheduled';
+    }
+
+    return null;
+  }
+
+  /**
+   * Queue the student and counselor messages for a booking event
+   * @param {Object} booking - Booking record
+   * @param {string} event - received | confirmed | cancelled | rescheduled | reminder
+   * @returns {Promise<Array>} Queued messages
+   */
+  async notify(booking, event) {
+    const counselor = await this.getCounselor(booking);
+    const messages = [];
+
+    if (booking.notificationsOptOut) {
+      console.log(`Student notifications disabled for booking ${booking.id}`);
+    } else {
+      const channel = CONTACT_CHANNELS[booking.contactMethod];
+      if (channel && booking.contactInfo) {
+        messages.push(this.buildMessage(event, 'student', booking, {
+          channel,
+          to: booking.contactInfo,
+          language: booking.language,
+          counselorName: counselor ? counselor.name : booking.assignedCounselor
+        }));
+      }
+    }
+
+    if (counselor && counselor.email) {
+      messages.push(this.buildMessage(event, 'counselor', booking, {
+        channel: 'email',
+        to: counselor.email,
+        language: (counselor.languages || [])[0],
+        counselorName: counselor.name
+      }));
+    }
+
+    messages.forEach(message => this.enqueue(message));
+    return messages;
+  }
+
+  async getCounselor(booking) {
+    if (!booking.counselorId || !this.bookingService) {
+      return null;
+    }
+    return this.bookingService.counselorService.getCounselorById(booking.counselorId);
+  }
+
+  /**
+   * Render a message in the recipient's language, falling back to the
+   * default language when it has no templates
+   */
+  buildMessage(event, audience, booking, { channel, to, language, counselorName }) {
+    const lang = this.languageService.isLanguageSupported(language) && TEMPLATES[language]
+      ? language
+      : this.languageService.defaultLanguage;
+    const templates = TEMPLATES[lang];
+    const { date, time } = this.formatAppointmentTime(booking, lang);
+
+    const values = {
+      sessionType: templates.sessionTypes[booking.sessionType] || booking.sessionType,
+      counselor: counselorName || templates.anyCounselor,
+      date,
+      time,
+      bookingId: booking.id
+    };
+
+    let text = this.render(templates[event][audience], values);
+    if (audience === 'student') {
+      const [helpline] = this.languageService.getMentalHealthResourcesForLanguage(lang);
+      if (helpline) {
+        text += `\n\n${this.render(templates.helpline, helpline)}`;
+      }
+    }
+
+    return {
+      bookingId: booking.id,
+      event,
+      audience,
+      channel,
+      to,
+      language: lang,
+      subject: templates[event].subject,
+      text
+    };
+  }
+
+  formatAppointmentTime(booking, language) {
+    const start = this.calendarService.getStartTime(booking);
+    const locale = this.languageService.getLanguageConfig(language).locale;
+    const timeZone = this.calendarService.timeZone;
+
+    return {
+      date: start.toLocaleDateString(locale, { timeZone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }),
+      time: start.toLocaleTimeString(locale, { timeZone, hour: 'numeric', minute: '2-digit' })
+    };
+  }
+
+  render(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+  }
+
+  /**
+   * Hand a message to the queue, which retries failed deliveries with backoff
+   */
+  enqueue(message) {
+    return this.queueManager.enqueueRequest(QUEUE_NAME, message, {
+      retries: this.config.retries,
+      retryDelay: this.config.retryDelay,
+      timeout: this.config.timeout
+    }).then(result => {
+      this.emit('notificationSent', { ...message, messageId: result.messageId });
+      return result;
+    }).catch(error => {
+      console.error(`Notification for booking ${message.bookingId} failed:`, error.message);
+      this.emit('notificationFailed', { ...message, error: error.message });
+      return null;
+    });
+  }
+
+  async deliver(message) {
+    const transport = this.transports[message.channel];
+    if (!transport) {
+      throw new Error(`No transport for channel: ${message.channel}`);
+    }
+
+    return transport.send({
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      language: message.language
+    });
+  }
+
+  /**
+   * Send reminders for confirmed appointments starting within the lead time.
+   * The booking is marked first, so a crash cannot cause a second reminder.
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    if (!this.bookingService) return 0;
+
+    const until = new Date(now.getTime() + this.config.reminderLeadMs);
+    const bookings = await this.bookingService.loadBookings({
+      status: 'confirmed',
+      // Widened by a day on each side so time zone offsets cannot skip a booking
+      dateFrom: new Date(now.getTime() - 86400000).toISOString().slice(0, 10),
+      dateTo: new Date(until.getTime() + 86400000).toISOString().slice(0, 10)
+    });
+
+    let sent = 0;
+    for (const booking of bookings) {
+      if (booking.reminderSentAt) continue;
+
+      const start = this.calendarService.getStartTime(booking);
+      if (start <= now || start > until) continue;
+
+      try {
+        const marked = await this.bookingService.markReminderSent(booking.id);
+        await this.notify(marked || booking, 'reminder');
+        sent++;
+      } catch (error) {
+        console.error(`Error sending reminder for booking ${booking.id}:`, error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  startReminderScheduler() {
+    if (this.reminderInterval) return;
+
+    this.reminderInterval = setInterval(() => {
+      this.sendDueReminders().catch(error => {
+        console.error('Error checking appointment reminders:', error);
+      });
+    }, this.config.reminderCheckIntervalMs);
+
+    // Reminders should never keep the process alive on shutdown
+    this.reminderInterval.unref();
+  }
+
+  stopReminderScheduler() {
+    if (this.reminderInterval) {
+      clearInterval(this.reminderInterval);
+      this.reminderInterval = null;
+    }
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,150 @@
+/*
+ * AarogyaTech - AI-powered Mental Health Assistant
+ * Notification Transports - Delivery channels for booking notifications
+ *
+ * Copyright (c) 2025 Rajiv Magadum
+ * All rights reserved.
+ *
+ * This software is proprietary and confidential.
+ * Unauthorized copying or distribution is strictly prohibited.
+ *
+ * Author: Rajiv Magadum
+ * Email: rajiv.magadum@gmail.com
+ * Date: 2025
+ */
+
+/*
+ * Every transport implements:
+ *   name                                   -> string
+ *   isConfigured()                         -> boolean
+ *   send({ to, subject, text, language })  -> Promise<{ messageId }>
+ *
+ * send() rejects on failure; the notification queue retries it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Email through the SendGrid v3 HTTP API
+ */
+class EmailTransport {
+  constructor(options = {}) {
+    this.name = 'email';
+    this.apiKey = options.apiKey || process.env.SENDGRID_API_KEY;
+    this.from = options.from || process.env.NOTIFICATION_EMAIL_FROM;
+    this.endpoint = 'https://api.sendgrid.com/v3/mail/send';
+    this.timeout = 10000;
+  }
+
+  isConfigured() {
+    return !!(this.apiKey && this.from);
+  }
+
+  async send({ to, subject, text }) {
+    if (!this.isConfigured()) {
+      throw new Error('Email transport not configured');
+    }
+
+    const response = await axios.post(this.endpoint, {
+      personalizations: [{ to: [{ email: to }] }],
+      from: { email: this.from, name: 'AarogyaTech' },
+      subject,
+      content: [{ type: 'text/plain', value: text }]
+    }, {
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      timeout: this.timeout
+    });
+
+    return { messageId: response.headers['x-message-id'] || null };
+  }
+}
+
+/**
+ * SMS through the Twilio REST API
+ */
+class SmsTransport {
+  constructor(options = {}) {
+    this.name = 'sms';
+    this.accountSid = options.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = options.authToken || process.env.TWILIO_AUTH_TOKEN;
+    this.from = options.from || process.env.TWILIO_FROM_NUMBER;
+    this.timeout = 10000;
+  }
+
+  isConfigured() {
+    return !!(this.accountSid && this.authToken && this.from);
+  }
+
+  async send({ to, text }) {
+    if (!this.isConfigured()) {
+      throw new Error('SMS transport not configured');
+    }
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      new URLSearchParams({ To: to, From: this.from, Body: text }).toString(),
+      {
+        auth: { username: this.accountSid, password: this.authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      }
+    );
+
+    return { messageId: response.data.sid };
+  }
+}
+
+/**
+ * Local development transport: prints each message and appends it to a
+ * JSON-lines file instead of delivering it
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.name = options.name || 'file';
+    this.file = options.file || path.join(__dirname, '..', 'logs', 'notifications.log');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(message) {
+    const entry = {
+      messageId: `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      transport: this.name,
+      ...message,
+      sentAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.appendFile(this.file, JSON.stringify(entry) + '\n');
+    console.log(`📨 [${this.name}] to ${message.to}: ${message.subject || message.text}`);
+
+    return { messageId: entry.messageId };
+  }
+}
+
+/**
+ * Transports by channel. NOTIFICATION_TRANSPORT=file forces the file
+ * transport; otherwise each channel falls back to it until configured.
+ * @returns {Object} { email, sms }
+ */
+function createTransports() {
+  const forceFile = process.env.NOTIFICATION_TRANSPORT === 'file';
+  const email = new EmailTransport();
+  const sms = new SmsTransport();
+
+  return {
+    email: !forceFile && email.isConfigured() ? email : new FileTransport({ name: 'email' }),
+    sms: !forceFile && sms.isConfigured() ? sms : new FileTransport({ name: 'sms' })
+  };
+}
+
+module.exports = {
+  EmailTransport,
+  SmsTransport,
+  FileTransport,
+  createTransports
+};
@@ -13,11 +13,44 @@
  * Date: 2025
  */
 
+const crypto = require('crypto');
 const PeerSupportPost = require('../models/peerSupport');
-const { v4: uuidv4 } = require('uuid');
+const CrisisDetectionService = require('./crisisDetectionService');
+const LanguageService = require('./languageService');
+
+const MODERATION_ACTIONS = ['approve', 'hide', 'pin', 'unpin', 'lock', 'unlock'];
+const REPLY_MODERATION_ACTIONS = ['approve', 'hide'];
+const RISK_ORDER = { high: 3, medium: 2, low: 1 };
+// Review priority implied by each community report reason
+const REPORT_REASON_RISK = {
+  self_harm: 'high',
+  harassment: 'medium',
+  hate_speech: 'medium',
+  personal_info: 'medium',
+  misinformation: 'low',
+  spam: 'low',
+  other: 'low'
+};
+// Crisis detection severities that confirm a high-risk post, mapped to alert severity
+const CRISIS_ALERT_SEVERITY = {
+  immediate: 'critical',
+  selfHarm: 'high',
+  high: 'high'
+};
+// Shown to the author of high-risk content alongside helplines in their language
+const CRISIS_SUPPORT_MESSAGES = {
+  en: "It sounds like you're going through something really painful. You don't have to face it alone - please reach out to one of these helplines now. A counselor will see your post and may reach out to you.",
+  mr: 'तुम्ही खूप वेदनादायक काळातून जात आहात असे दिसते. तुम्ही एकटे नाही - कृपया आत्ताच यापैकी एका हेल्पलाइनशी संपर्क साधा. एक समुपदेशक तुमची पोस्ट पाहील आणि तुमच्याशी संपर्क साधू शकेल.'
+};
 
 class PeerSupportService {
-  constructor() {
+  constructor(options = {}) {
+    // Reports since the last moderator review that hide content until it is reviewed
+    this.reportHideThreshold = options.reportHideThreshold ||
+      parseInt(process.env.PEER_REPORT_HIDE_THRESHOLD) || 3;
+    this.crisisDetection = options.crisisDetection || new CrisisDetectionService();
+    this.languageService = options.languageService || new LanguageService();
+
     this.moderationKeywords = [
       'suicide', 'kill myself', 'end it all', 'self harm', 'cutting',
       'overdose', 'pills', 'jump', 'bridge', 'rope', 'gun'
@@ -38,6 +71,80 @@ class PeerSupportService {
     };
   }
 
+  // Initial moderation fields for a new post or reply; flagged content joins the queue
+  buildModerationState(moderationCheck) {
+    const state = {
+      isModerated: moderationCheck.needsModeration,
+      isHidden: moderationCheck.riskLevel === 'high', // Hide high-risk content immediately
+      moderationStatus: moderationCheck.needsModeration ? 'pending' : 'clear',
+      riskLevel: moderationCheck.riskLevel,
+      flaggedKeywords: moderationCheck.flaggedKeywords,
+      moderationHistory: []
+    };
+
+    if (moderationCheck.needsModeration) {
+      state.moderationHistory.push({
+        action: 'flagged',
+        moderatorId: 'system',
+        moderatorName: 'Keyword filter',
+        notes: `Flagged keywords: ${moderationCheck.flaggedKeywords.join(', ')}`,
+        status: 'pending',
+        at: new Date()
+      });
+    }
+
+    return state;
+  }
+
+  // Run high-risk content (the post, or one of its replies) through crisis detection.
+  // Confirmed crises raise a monitoring alert linking back to the post; the author
+  // always gets helplines in their language.
+  handleHighRiskContent(post, reply, language, monitoring) {
+    const item = reply || post;
+    const text = reply ? reply.content : `${post.title} ${post.content}`;
+    const analysis = this.crisisDetection.analyzeMessage(text, `peer_${item.authorId}`);
+    const alertSeverity = CRISIS_ALERT_SEVERITY[analysis.severity];
+    let alertId = null;
+
+    if (alertSeverity && monitoring) {
+      alertId = monitoring.createCrisisAlert({
+        userId: item.authorId,
+        sessionId: `peer_${item.authorId}`,
+        severity: alertSeverity,
+        message: `High-risk peer support ${reply ? 'reply' : 'post'}: "${text.substring(0, 100)}"`,
+        keywords: analysis.keywords,
+        source: 'peer-support',
+        link: {
+          postId: post.id,
+          replyId: reply ? reply.id : null,
+          url: `/api/peer-support/moderation/posts/${post.id}`
+        }
+      });
+
+      item.crisisAlertId = alertId;
+      item.moderationHistory.push({
+        action: 'crisis_alert',
+        moderatorId: 'system',
+        moderatorName: 'Crisis detection',
+        notes: `Crisis alert ${alertId} (${alertSeverity}): ${analysis.keywords.join(', ')}`,
+        status: item.moderationStatus,
+        at: new Date()
+      });
+    } else if (alertSeverity) {
+      console.warn('Monitoring unavailable, no crisis alert raised for peer support content:', item.id);
+    }
+
+    const supportLanguage = this.languageService.isLanguageSupported(language) ? language : 'en';
+
+    return {
+      confirmed: Boolean(alertSeverity),
+      severity: analysis.severity,
+      alertId,
+      message: CRISIS_SUPPORT_MESSAGES[supportLanguage],
+      resources: this.languageService.getMentalHealthResourcesForLanguage(supportLanguage)
+    };
+  }
+
   // Extract category from content
   extractCategory(title, content) {
     const text = (title + ' ' + content).toLowerCase();
@@ -64,8 +171,8 @@ class PeerSupportService {
     return 'general';
   }
 
-  // Create a new post
-  async createPost(postData) {
+  // Create a new post; monitoring receives crisis alerts for high-risk posts
+  async createPost(postData, { monitoring = null } = {}) {
     try {
       const { title, content, authorId, authorEmail, authorName, ipAddress, userAgent, language } = postData;
 
@@ -76,28 +183,32 @@ class PeerSupportService {
       const category = this.extractCategory(title, content);
 
       const newPost = new PeerSupportPost({
-        id: uuidv4(),
+        id: crypto.randomUUID(),
         title: title.trim(),
         content: content.trim(),
         authorId,
         authorEmail,
         authorName: authorName || 'Anonymous Student',
         category,
-        isModerated: moderationCheck.needsModeration,
-        isHidden: moderationCheck.riskLevel === 'high', // Hide high-risk posts immediately
+        ...this.buildModerationState(moderationCheck),
         ipAddress,
         userAgent,
         language: language || 'en',
         lastActivityAt: new Date()
       });
 
+      const crisisSupport = moderationCheck.riskLevel === 'high'
+        ? this.handleHighRiskContent(newPost, null, newPost.language, monitoring)
+        : null;
+
       await newPost.save();
       
       console.log('Peer support post created:', newPost.id, 'Category:', category, 'Moderation needed:', moderationCheck.needsModeration);
       
       return {
         post: newPost,
-        moderationInfo: moderationCheck
+        moderationInfo: moderationCheck,
+        crisisSupport
       };
     } catch (error) {
       console.error('Error creating peer support post:', error);
@@ -230,10 +341,10 @@ class PeerSupportService {
     }
   }
 
-  // Add a reply to a post
-  async addReply(postId, replyData) {
+  // Add a reply to a post; monitoring receives crisis alerts for high-risk replies
+  async addReply(postId, replyData, { monitoring = null } = {}) {
     try {
-      const { content, authorId, authorEmail, authorName } = replyData;
+      const { content, authorId, authorEmail, authorName, language } = replyData;
 
       const post = await PeerSupportPost.findOne({ id: postId, isHidden: false });
       
@@ -249,19 +360,23 @@ class PeerSupportService {
       const moderationCheck = this.checkContentForModeration(content);
 
       const newReply = {
-        id: uuidv4(),
+        id: crypto.randomUUID(),
         content: content.trim(),
         authorId,
         authorEmail,
         authorName: authorName || 'Anonymous Student',
-        isModerated: moderationCheck.needsModeration,
-        isHidden: moderationCheck.riskLevel === 'high',
+        ...this.buildModerationState(moderationCheck),
         createdAt: new Date(),
         updatedAt: new Date()
       };
 
       post.replies.push(newReply);
       post.lastActivityAt = new Date();
+
+      const crisisSupport = moderationCheck.riskLevel === 'high'
+        ? this.handleHighRiskContent(post, post.replies[post.replies.length - 1], language || post.language, monitoring)
+        : null;
+
       await post.save();
 
       console.log('Reply added to post:', postId, 'Reply ID:', newReply.id, 'Moderation needed:', moderationCheck.needsModeration);
@@ -276,7 +391,8 @@ class PeerSupportService {
           timeAgo: this.getTimeAgo(newReply.createdAt),
           isModerated: newReply.isModerated
         },
-        moderationInfo: moderationCheck
+        moderationInfo: moderationCheck,
+        crisisSupport
       };
     } catch (error) {
       console.error('Error adding reply:', error);
@@ -402,46 +518,307 @@ class PeerSupportService {
     }
   }
 
+  // Record a community report and queue the item; hides it once enough reports arrive
+  applyReport(item, { reporterId, reason, note }) {
+    if (item.reports.some(report => report.reporterId === reporterId)) {
+      throw new Error('Content already reported');
+    }
+
+    const at = new Date();
+    const previousStatus = item.moderationStatus;
+    item.reports.push({ reporterId, reason, note, createdAt: at });
+
+    if (item.moderationStatus !== 'hidden') {
+      item.moderationStatus = 'pending';
+    }
+    if (RISK_ORDER[REPORT_REASON_RISK[reason]] > (RISK_ORDER[item.riskLevel] || 0)) {
+      item.riskLevel = REPORT_REASON_RISK[reason];
+    }
+
+    item.moderationHistory.push({
+      action: 'reported',
+      moderatorId: reporterId,
+      moderatorName: 'Community report',
+      notes: note ? `${reason}: ${note}` : reason,
+      previousStatus,
+      status: item.moderationStatus,
+      at
+    });
+
+    // An approval resets the count, so only reports made after it are considered
+    const openReports = item.reports.filter(report => !item.moderatedAt || report.createdAt > item.moderatedAt).length;
+    const autoHidden = !item.isHidden && openReports >= this.reportHideThreshold;
+
+    if (autoHidden) {
+      item.isHidden = true;
+      item.moderationHistory.push({
+        action: 'auto_hide',
+        moderatorId: 'system',
+        moderatorName: 'Report threshold',
+        notes: `Hidden after ${openReports} reports`,
+        previousStatus: item.moderationStatus,
+        status: item.moderationStatus,
+        at
+      });
+    }
+
+    return { autoHidden, hidden: item.isHidden };
+  }
+
+  async reportPost(postId, report) {
+    try {
+      if (!REPORT_REASON_RISK[report.reason]) {
+        throw new Error('Invalid report reason');
+      }
+
+      const post = await PeerSupportPost.findOne({ id: postId, isHidden: false });
+
+      if (!post) {
+        throw new Error('Post not found');
+      }
+
+      const result = this.applyReport(post, report);
+      await post.save();
+
+      console.log('Peer support post reported:', postId, 'Reason:', report.reason, 'Auto-hidden:', result.autoHidden);
+
+      return result;
+    } catch (error) {
+      console.error('Error reporting post:', error);
+      throw error;
+    }
+  }
+
+  async reportReply(postId, replyId, report) {
+    try {
+      if (!REPORT_REASON_RISK[report.reason]) {
+        throw new Error('Invalid report reason');
+      }
+
+      const post = await PeerSupportPost.findOne({ id: postId, isHidden: false });
+
+      if (!post) {
+        throw new Error('Post not found');
+      }
+
+      const reply = post.replies.find(item => item.id === replyId);
+      if (!reply || reply.isHidden) {
+        throw new Error('Reply not found');
+      }
+
+      const result = this.applyReport(reply, report);
+      await post.save();
+
+      console.log('Peer support reply reported:', replyId, 'Reason:', report.reason, 'Auto-hidden:', result.autoHidden);
+
+      return result;
+    } catch (error) {
+      console.error('Error reporting reply:', error);
+      throw error;
+    }
+  }
+
   // Admin methods for moderation
-  async moderatePost(postId, moderatorId, action, notes = '') {
+
+  // Apply a moderation action to a post or reply and append it to the audit trail
+  applyModerationAction(item, moderator, action, notes) {
+    const previousStatus = item.moderationStatus;
+
+    switch (action) {
+      case 'approve':
+        item.isModerated = true;
+        item.isHidden = false;
+        item.moderationStatus = 'approved';
+        break;
+      case 'hide':
+        item.isHidden = true;
+        item.moderationStatus = 'hidden';
+        break;
+      case 'pin':
+        item.isPinned = true;
+        break;
+      case 'unpin':
+        item.isPinned = false;
+        break;
+      case 'lock':
+        item.isLocked = true;
+        break;
+      case 'unlock':
+        item.isLocked = false;
+        break;
+    }
+
+    const at = new Date();
+    item.moderatedBy = moderator.id;
+    item.moderatedAt = at;
+    item.moderationNotes = notes;
+    item.moderationHistory.push({
+      action,
+      moderatorId: moderator.id,
+      moderatorName: moderator.username,
+      notes,
+      previousStatus,
+      status: item.moderationStatus,
+      at
+    });
+  }
+
+  async moderatePost(postId, moderator, action, notes = '') {
     try {
+      if (!MODERATION_ACTIONS.includes(action)) {
+        throw new Error('Invalid moderation action');
+      }
+
       const post = await PeerSupportPost.findOne({ id: postId });
       
       if (!post) {
         throw new Error('Post not found');
       }
 
-      switch (action) {
-        case 'approve':
-          post.isModerated = true;
-          post.isHidden = false;
-          break;
-        case 'hide':
-          post.isHidden = true;
-          break;
-        case 'pin':
-          post.isPinned = true;
-          break;
-        case 'unpin':
-          post.isPinned = false;
-          break;
-        case 'lock':
-          post.isLocked = true;
-          break;
-        case 'unlock':
-          post.isLocked = false;
-          break;
+      this.applyModerationAction(post, moderator, action, notes);
+      await post.save();
+
+      console.log('Peer support post moderated:', postId, 'Action:', action, 'By:', moderator.id);
+
+      return post;
+    } catch (error) {
+      console.error('Error moderating post:', error);
+      throw error;
+    }
+  }
+
+  async moderateReply(postId, replyId, moderator, action, notes = '') {
+    try {
+      if (!REPLY_MODERATION_ACTIONS.includes(action)) {
+        throw new Error('Invalid moderation action');
+      }
+
+      const post = await PeerSupportPost.findOne({ id: postId });
+
+      if (!post) {
+        throw new Error('Post not found');
       }
 
-      post.moderatedBy = moderatorId;
-      post.moderatedAt = new Date();
-      post.moderationNotes = notes;
+      const reply = post.replies.find(item => item.id === replyId);
+      if (!reply) {
+        throw new Error('Reply not found');
+      }
 
+      this.applyModerationAction(reply, moderator, action, notes);
       await post.save();
 
-      return post;
+      console.log('Peer support reply moderated:', replyId, 'Action:', action, 'By:', moderator.id);
+
+      return reply;
     } catch (error) {
-      console.error('Error moderating post:', error);
+      console.error('Error moderating reply:', error);
+      throw error;
+    }
+  }
+
+  // Flagged posts and replies awaiting review, highest risk first, oldest first within a level
+  async getModerationQueue({ limit = 50 } = {}) {
+    try {
+      const posts = await PeerSupportPost.find({
+        $or: [
+          { moderationStatus: 'pending' },
+          { 'replies.moderationStatus': 'pending' }
+        ]
+      });
+
+      const items = [];
+      posts.forEach(post => {
+        if (post.moderationStatus === 'pending') {
+          items.push(this.toModerationItem(post));
+        }
+        post.replies
+          .filter(reply => reply.moderationStatus === 'pending')
+          .forEach(reply => items.push(this.toModerationItem(post, reply)));
+      });
+
+      items.sort((a, b) =>
+        (RISK_ORDER[b.riskLevel] || 0) - (RISK_ORDER[a.riskLevel] || 0) ||
+        new Date(a.createdAt) - new Date(b.createdAt)
+      );
+
+      return {
+        items: items.slice(0, limit),
+        total: items.length
+      };
+    } catch (error) {
+      console.error('Error getting moderation queue:', error);
+      throw error;
+    }
+  }
+
+  // Queue entry for a post, or for one of its replies when given
+  toModerationItem(post, reply = null) {
+    const item = reply || post;
+
+    return {
+      type: reply ? 'reply' : 'post',
+      postId: post.id,
+      replyId: reply ? reply.id : null,
+      postTitle: post.title,
+      content: item.content,
+      authorName: item.authorName,
+      category: post.category,
+      riskLevel: item.riskLevel,
+      flaggedKeywords: item.flaggedKeywords,
+      reportCount: item.reports.length,
+      reportReasons: [...new Set(item.reports.map(report => report.reason))],
+      crisisAlertId: item.crisisAlertId || null,
+      moderationStatus: item.moderationStatus,
+      isHidden: item.isHidden,
+      createdAt: item.createdAt,
+      timeAgo: this.getTimeAgo(item.createdAt)
+    };
+  }
+
+  // Full post with every reply (hidden included) and their moderation audit trails
+  async getModerationDetails(postId) {
+    try {
+      const post = await PeerSupportPost.findOne({ id: postId });
+
+      if (!post) {
+        return null;
+      }
+
+      const moderationInfo = (item) => ({
+        moderationStatus: item.moderationStatus,
+        riskLevel: item.riskLevel,
+        flaggedKeywords: item.flaggedKeywords,
+        isHidden: item.isHidden,
+        moderatedBy: item.moderatedBy,
+        moderatedAt: item.moderatedAt,
+        moderationNotes: item.moderationNotes,
+        moderationHistory: item.moderationHistory,
+        reports: item.reports,
+        crisisAlertId: item.crisisAlertId
+      });
+
+      return {
+        id: post.id,
+        title: post.title,
+        content: post.content,
+        authorId: post.authorId,
+        authorName: post.authorName,
+        category: post.category,
+        createdAt: post.createdAt,
+        isPinned: post.isPinned,
+        isLocked: post.isLocked,
+        ...moderationInfo(post),
+        replies: post.replies.map(reply => ({
+          id: reply.id,
+          content: reply.content,
+          authorId: reply.authorId,
+          authorName: reply.authorName,
+          createdAt: reply.createdAt,
+          ...moderationInfo(reply)
+        }))
+      };
+    } catch (error) {
+      console.error('Error getting moderation details:', error);
       throw error;
     }
   }
@@ -0,0 +1,412 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const PromptTemplate = require('../models/promptTemplate');
+const PromptVariables = require('../models/promptVariables');
+
+const DEFAULT_INSTITUTION = 'default';
+const BASE_LANGUAGE = 'en';
+const INSTITUTION_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const MAX_CONTENT_LENGTH = 8000;
+const POLICY_LIMITS = {
+  maxTokens: [1, 1000],
+  temperature: [0, 2],
+  topP: [0, 1]
+};
+
+let defaultService = null;
+
+/**
+ * Versioned prompt templates (chat, crisis, crisis_fallback, safety_resources, summary) and the
+ * variables substituted into them. Templates reference variables as
+ * {{name}}; values are set per institution and per language, and resolve
+ * from most to least specific: institution + language, institution + en,
+ * default + language, default + en. Built-in version 1 of each template and
+ * the default variables come from data/prompts/defaults.json; admins add
+ * versions and variable values, which are stored in MongoDB once connected.
+ * Versions are never edited in place, so a chat turn's recorded version
+ * always identifies the exact prompt text.
+ */
+class PromptService {
+  // Shared instance, so chat and admin routes see activations straight away
+  static getDefault() {
+    if (!defaultService) {
+      defaultService = new PromptService();
+    }
+    return defaultService;
+  }
+
+  /**
+   * @param {Object} options - { defaultsFile } to load built-in templates from,
+   *   { institution, institutionDomains } in place of INSTITUTION and INSTITUTION_EMAIL_DOMAINS
+   */
+  constructor(options = {}) {
+    const defaultsFile = options.defaultsFile || path.join(__dirname, '..', 'data', 'prompts', 'defaults.json');
+    const defaults = JSON.parse(fs.readFileSync(defaultsFile, 'utf8'));
+
+    this.languages = Object.keys(defaults.variables); // Chat languages, each with default variable values
+    this.templates = new Map(); // name -> { description, runtimeVariables, versions: Map(version -> definition), activeVersion }
+    this.variables = new Map(); // "institution:language" -> { variable: value }
+    // Institution for anonymous chats and for accounts whose email domain is not mapped
+    this.institution = options.institution || process.env.INSTITUTION || DEFAULT_INSTITUTION;
+    // Campus email domain -> institution, e.g. INSTITUTION_EMAIL_DOMAINS=college.edu:pune-college
+    this.institutionDomains = new Map(String(options.institutionDomains || process.env.INSTITUTION_EMAIL_DOMAINS || '')
+      .split(',')
+      .map(entry => entry.split(':').map(part => part.trim().toLowerCase()))
+      .filter(([domain, institution]) => domain && INSTITUTION_PATTERN.test(institution || '')));
+
+    for (const [name, template] of Object.entries(defaults.templates)) {
+      this.templates.set(name, {
+        description: template.description,
+        runtimeVariables: template.runtimeVariables || [],
+        versions: new Map([[1, {
+          version: 1,
+          content: template.content,
+          policy: template.policy || null,
+          notes: 'Built-in default',
+          createdBy: 'system',
+          createdAt: null
+        }]]),
+        activeVersion: 1
+      });
+    }
+
+    for (const [language, values] of Object.entries(defaults.variables)) {
+      this.variables.set(this._variablesKey(DEFAULT_INSTITUTION, language), { ...values });
+    }
+
+    if (this.isDatabaseConnected()) {
+      this.loadInBackground();
+    } else {
+      mongoose.connection.once('connected', () => this.loadInBackground());
+    }
+  }
+
+  isDatabaseConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  loadInBackground() {
+    this.load().catch(error => {
+      console.error('Failed to load prompt templates:', error);
+    });
+  }
+
+  async load() {
+    const [versions, variables] = await Promise.all([
+      PromptTemplate.find().lean(),
+      PromptVariables.find().lean()
+    ]);
+
+    for (const stored of versions) {
+      const template = this.templates.get(stored.name);
+      if (!template) continue;
+
+      template.versions.set(stored.version, {
+        version: stored.version,
+        content: stored.content,
+        policy: stored.policy || null,
+        notes: stored.notes,
+        createdBy: stored.createdBy,
+        createdAt: stored.createdAt
+      });
+      if (stored.active) {
+        template.activeVersion = stored.version;
+      }
+    }
+
+    for (const stored of variables) {
+      this.variables.set(this._variablesKey(stored.institution, stored.language), { ...stored.values });
+    }
+  }
+
+  /**
+   * Templates with their version history (without content)
+   * @returns {Array} Template summaries
+   */
+  listTemplates() {
+    return Array.from(this.templates.entries()).map(([name, template]) => ({
+      name,
+      description: template.description,
+      runtimeVariables: template.runtimeVariables,
+      activeVersion: template.activeVersion,
+      versions: Array.from(template.versions.values())
+        .sort((a, b) => b.version - a.version)
+        .map(({ content, ...summary }) => ({ ...summary, active: summary.version === template.activeVersion }))
+    }));
+  }
+
+  /**
+   * A template version including its content
+   * @param {string} name - Template name
+   * @param {number} version - Version number; defaults to the active version
+   * @returns {Object} { name, version, content, policy, notes, createdBy, createdAt, active }
+   */
+  getTemplate(name, version) {
+    const template = this._getTemplate(name);
+    const selected = version === undefined ? template.activeVersion : Number(version);
+    const definition = template.versions.get(selected);
+
+    if (!definition) {
+      throw new Error('Prompt version not found');
+    }
+    return { name, ...definition, active: selected === template.activeVersion };
+  }
+
+  /**
+   * Save a new version of a template. The new version is not used for chat
+   * until it is activated.
+   * @param {string} name - Template name
+   * @param {Object} definition - { content, policy, notes }
+   * @param {string} createdBy - Username of the admin making the change
+   * @returns {Promise<Object>} The saved version
+   */
+  async createVersion(name, definition, createdBy) {
+    const template = this._getTemplate(name);
+    const { content, notes, policy: requestedPolicy } = definition || {};
+
+    this._validateContent(name, content);
+    const policy = this._validatePolicy(name, requestedPolicy);
+
+    const version = Math.max(...template.versions.keys()) + 1;
+    const saved = {
+      version,
+      content,
+      policy,
+      notes: typeof notes === 'string' ? notes.trim().slice(0, 500) : undefined,
+      createdBy,
+      createdAt: new Date()
+    };
+
+    if (this.isDatabaseConnected()) {
+      await PromptTemplate.create({ name, ...saved });
+    }
+    template.versions.set(version, saved);
+
+    return { name, ...saved, active: false };
+  }
+
+  /**
+   * Make a version the one used for new chat turns
+   * @param {string} name - Template name
+   * @param {number} version - Version to activate
+   * @param {string} activatedBy - Username of the admin making the change
+   * @returns {Promise<Object>} The activated version
+   */
+  async activateVersion(name, version, activatedBy) {
+    const definition = this.getTemplate(name, version);
+
+    if (this.isDatabaseConnected()) {
+      await PromptTemplate.updateMany({ name, active: true }, { active: false });
+      // Built-in versions are only written to the database once they are activated
+      await PromptTemplate.findOneAndUpdate(
+        { name, version: definition.version },
+        {
+          name,
+          version: definition.version,
+          content: definition.content,
+          policy: definition.policy,
+          notes: definition.notes,
+          createdBy: definition.createdBy,
+          active: true,
+          activatedBy,
+          activatedAt: new Date()
+        },
+        { upsert: true }
+      );
+    }
+    this.templates.get(name).activeVersion = definition.version;
+
+    return { ...definition, active: true };
+  }
+
+  /**
+   * Variable values set for each institution and language
+   * @returns {Array} [{ institution, language, values }]
+   */
+  listVariables() {
+    return Array.from(this.variables.entries()).map(([key, values]) => {
+      const [institution, language] = key.split(':');
+      return { institution, language, values };
+    });
+  }
+
+  /**
+   * Replace the variable values of one institution and language
+   * @param {string} institution - Institution id, or "default" for every institution
+   * @param {string} language - Language code
+   * @param {Object} values - Variable name -> text
+   * @param {string} updatedBy - Username of the admin making the change
+   * @returns {Promise<Object>} { institution, language, values }
+   */
+  async updateVariables(institution, language, values, updatedBy) {
+    if (!INSTITUTION_PATTERN.test(institution || '')) {
+      throw new Error('Institution must be lowercase letters, numbers and dashes');
+    }
+    if (!this.languages.includes(language)) {
+      throw new Error(`Unsupported language: ${language}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('Values must be an object of variable names and text');
+    }
+
+    const cleaned = {};
+    for (const [name, value] of Object.entries(values)) {
+      if (!/^\w+$/.test(name) || typeof value !== 'string') {
+        throw new Error(`Invalid value for variable: ${name}`);
+      }
+      cleaned[name] = value.trim();
+    }
+
+    // Every template must still render for every institution and language
+    if (institution === DEFAULT_INSTITUTION && language === BASE_LANGUAGE) {
+      const missing = this._referencedVariables().filter(name => !cleaned[name]);
+      if (missing.length > 0) {
+        throw new Error(`Default English values are required for: ${missing.join(', ')}`);
+      }
+    }
+
+    if (this.isDatabaseConnected()) {
+      await PromptVariables.findOneAndUpdate(
+        { institution, language },
+        { institution, language, values: cleaned, updatedBy, updatedAt: new Date() },
+        { upsert: true }
+      );
+    }
+    this.variables.set(this._variablesKey(institution, language), cleaned);
+
+    return { institution, language, values: cleaned };
+  }
+
+  /**
+   * Institution whose variables apply to a user's chats: the one mapped to their
+   * email domain, otherwise this deployment's INSTITUTION. Never taken from the request.
+   * @param {Object} user - Decoded access token, or null for anonymous chats
+   * @returns {string} Institution id
+   */
+  institutionFor(user) {
+    const domain = user && typeof user.email === 'string' ? user.email.split('@').pop().toLowerCase() : null;
+    return (domain && this.institutionDomains.get(domain)) || this.institution;
+  }
+
+  /**
+   * Variable values for a chat in one language at one institution
+   * @param {string} language - Language code
+   * @param {string} institution - Institution id; unknown ids use the defaults
+   * @returns {Object} Variable name -> text
+   */
+  resolveVariables(language = BASE_LANGUAGE, institution = DEFAULT_INSTITUTION) {
+    const layers = [
+      [DEFAULT_INSTITUTION, BASE_LANGUAGE],
+      [DEFAULT_INSTITUTION, language],
+      [institution, BASE_LANGUAGE],
+      [institution, language]
+    ];
+
+    return layers.reduce((values, [layerInstitution, layerLanguage]) => ({
+      ...values,
+      ...this.variables.get(this._variablesKey(layerInstitution, layerLanguage))
+    }), {});
+  }
+
+  /**
+   * Fill in a template's variables
+   * @param {string} name - Template name
+   * @param {Object} options - { language, institution, version, content, variables }
+   *   content renders unsaved text (for previews); variables supplies runtime values such as severity
+   * @returns {Object} { name, version, content, policy, missingVariables }
+   */
+  render(name, options = {}) {
+    const definition = options.content === undefined
+      ? this.getTemplate(name, options.version)
+      : { version: null, content: options.content, policy: this._getTemplate(name).versions.get(1).policy };
+
+    const values = { ...this.resolveVariables(options.language, options.institution || this.institution), ...options.variables };
+    const missingVariables = [];
+
+    const content = definition.content.replace(VARIABLE_PATTERN, (placeholder, variable) => {
+      if (values[variable] === undefined || values[variable] === '') {
+        missingVariables.push(variable);
+        return '';
+      }
+      return String(values[variable]);
+    });
+
+    return {
+      name,
+      version: definition.version,
+      content,
+      policy: definition.policy,
+      missingVariables: Array.from(new Set(missingVariables))
+    };
+  }
+
+  _getTemplate(name) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new Error('Prompt template not found');
+    }
+    return template;
+  }
+
+  _validateContent(name, content) {
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      throw new Error('Prompt content is required');
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+      throw new Error(`Prompt content must be at most ${MAX_CONTENT_LENGTH} characters`);
+    }
+
+    const known = new Set([
+      ...Object.keys(this.resolveVariables(BASE_LANGUAGE, DEFAULT_INSTITUTION)),
+      ...this._getTemplate(name).runtimeVariables
+    ]);
+    const unknown = Array.from(content.matchAll(VARIABLE_PATTERN), match => match[1])
+      .filter(variable => !known.has(variable));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown variable: ${Array.from(new Set(unknown)).join(', ')}`);
+    }
+  }
+
+  // Fixed replies (no built-in policy) never reach a model, so they take no policy
+  _validatePolicy(name, policy) {
+    const builtIn = this._getTemplate(name).versions.get(1).policy;
+    if (!builtIn) {
+      return null;
+    }
+
+    const merged = { ...builtIn };
+    for (const [field, value] of Object.entries(policy || {})) {
+      const limits = POLICY_LIMITS[field];
+      if (!limits) {
+        throw new Error(`Unknown policy setting: ${field}`);
+      }
+      if (typeof value !== 'number' || value < limits[0] || value > limits[1]) {
+        throw new Error(`${field} must be a number from ${limits[0]} to ${limits[1]}`);
+      }
+      merged[field] = field === 'maxTokens' ? Math.round(value) : value;
+    }
+    return merged;
+  }
+
+  // Institution variables referenced by the active version of any template
+  _referencedVariables() {
+    const names = new Set();
+    for (const template of this.templates.values()) {
+      const { content } = template.versions.get(template.activeVersion);
+      for (const match of content.matchAll(VARIABLE_PATTERN)) {
+        if (!template.runtimeVariables.includes(match[1])) {
+          names.add(match[1]);
+        }
+      }
+    }
+    return Array.from(names);
+  }
+
+  _variablesKey(institution, language) {
+    return `${institution}:${language}`;
+  }
+}
+
+module.exports = PromptService;
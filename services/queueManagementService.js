@@ -17,6 +17,10 @@ class QueueManagementService extends EventEmitter {
     // Processing state
     this.processing = new Map();
     
+    // Request handlers registered by services that run work through the queue
+    this.handlers = new Map();
+    this.stopped = false;
+    
     // Queue statistics
     this.stats = {
       totalRequests: 0,
@@ -64,6 +68,26 @@ class QueueManagementService extends EventEmitter {
     });
   }
 
+  /**
+   * Route a service's queued requests to a handler, so they get the queue's
+   * rate limiting and retry with backoff
+   * @param {string} service - Service name
+   * @param {Function} handler - async (request, queueItem) => result
+   * @param {Object} rateLimit - Optional rate limit overrides
+   */
+  registerHandler(service, handler, rateLimit = {}) {
+    const isNewService = !this.queues.has(service);
+
+    this.handlers.set(service, handler);
+    this.getQueueStatus(service); // initializes queue state
+    this.updateRateLimit(service, rateLimit);
+
+    // Services created after startup need their own processing loop
+    if (isNewService && !this.stopped) {
+      this.processQueue(service);
+    }
+  }
+
   /**
    * Add request to queue
    * @param {string} service - Service name
@@ -167,6 +191,8 @@ class QueueManagementService extends EventEmitter {
    * Stop queue processing (for cleanup)
    */
   stopQueueProcessing() {
+    this.stopped = true;
+
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
       this.cleanupInterval = null;
@@ -183,6 +209,10 @@ class QueueManagementService extends EventEmitter {
    * @param {string} service - Service name
    */
   async processQueue(service) {
+    if (this.stopped) {
+      return;
+    }
+
     const processingState = this.processing.get(service);
     const rateLimit = this.rateLimits.get(service);
     const queue = this.queues.get(service);
@@ -291,6 +321,11 @@ class QueueManagementService extends EventEmitter {
    * @returns {Promise} Request result
    */
   async executeRequest(service, queueItem) {
+    const handler = this.handlers.get(service);
+    if (handler) {
+      return handler(queueItem.request, queueItem);
+    }
+
     // This is a placeholder - actual implementation would call the specific service
     // For now, simulate processing time and potential failures
     
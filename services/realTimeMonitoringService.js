@@ -1,10 +1,35 @@
 const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const { CrisisAlert } = require('../models/screeningSchemas');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const UserManagementService = require('./userManagementService');
+
+// Allowed moves between alert states; 'assigned' -> 'assigned' is a reassignment
+const ALERT_TRANSITIONS = {
+  open: ['acknowledged', 'assigned', 'resolved'],
+  acknowledged: ['assigned', 'in_progress', 'resolved'],
+  assigned: ['assigned', 'in_progress', 'resolved'],
+  in_progress: ['assigned', 'resolved'],
+  resolved: []
+};
+
+// Minutes from creation until an alert must be acknowledged or resolved
+const DEFAULT_ALERT_SLAS = {
+  acknowledgement: { critical: 5, high: 15, medium: 30, low: 60 },
+  resolution: { critical: 60, high: 240, medium: 720, low: 1440 }
+};
 
 class RealTimeMonitoringService {
-  constructor(server, analyticsService) {
+  constructor(server, analyticsService, options = {}) {
     this.analyticsService = analyticsService;
+    this.authMiddleware = options.authMiddleware || new AuthMiddleware();
+    this.userManagementService = options.userManagementService || UserManagementService.getDefault();
     this.connectedClients = new Map(); // Store connected admin/counselor clients
-    this.activeAlerts = new Map(); // Store active crisis alerts
+    this.activeAlerts = new Map(); // Open crisis alerts; every change is also written to MongoDB
+    this.alertSlas = {
+      acknowledgement: { ...DEFAULT_ALERT_SLAS.acknowledgement, ...options.alertSlas?.acknowledgement },
+      resolution: { ...DEFAULT_ALERT_SLAS.resolution, ...options.alertSlas?.resolution }
+    };
     this.systemMetrics = {
       apiResponseTimes: [],
       errorRates: {},
@@ -22,17 +47,34 @@ class RealTimeMonitoringService {
       path: '/socket.io/'
     });
 
+    // Close monitoring sockets as soon as their login session ends
+    this.handleSessionEnded = ({ sessionId, reason }) => this.disconnectSession(sessionId, reason);
+    this.userManagementService.on('session-ended', this.handleSessionEnded);
+
+    // Tell admins and counselors about lockouts and credential stuffing as they happen
+    this.handleLoginAnomaly = (anomaly) => this.broadcastSystemAlert({ category: 'security', ...anomaly });
+    this.userManagementService.on('login-anomaly', this.handleLoginAnomaly);
+
     this.setupSocketHandlers();
     this.startMonitoring();
+
+    this.loadOpenAlerts().catch(error => {
+      console.error('Failed to load open crisis alerts:', error);
+    });
   }
 
   setupSocketHandlers() {
+    // The JWT is checked during the handshake, before any event is accepted
+    this.io.use((socket, next) => this.authenticateHandshake(socket, next));
+
     this.io.on('connection', (socket) => {
       console.log('Client connected:', socket.id);
 
-      // Handle admin/counselor authentication
-      socket.on('authenticate', (data) => {
-        this.handleAuthentication(socket, data);
+      this.handleAuthentication(socket);
+
+      // Access tokens are short-lived; clients send the refreshed one to keep the socket open
+      socket.on('reauthenticate', (token) => {
+        this.handleReauthentication(socket, token);
       });
 
       // Handle subscription to monitoring updates
@@ -57,36 +99,102 @@ class RealTimeMonitoringService {
     });
   }
 
-  handleAuthentication(socket, data) {
+  // Verify a handshake token: valid JWT, live login session, monitoring:read permission
+  verifySocketUser(token) {
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const user = this.authMiddleware.verifyToken(token);
+
+    if (!this.userManagementService.validateSession(user.sessionId)) {
+      throw new Error('Session expired or invalid');
+    }
+
+    if (!this.authMiddleware.can(user, 'monitoring:read')) {
+      throw new Error('Insufficient permissions');
+    }
+
+    return user;
+  }
+
+  authenticateHandshake(socket, next) {
+    try {
+      socket.user = this.verifySocketUser(socket.handshake.auth?.token);
+      next();
+    } catch (error) {
+      console.warn(`Monitoring socket rejected: ${error.message}`);
+      next(new Error(error.message));
+    }
+  }
+
+  // Register a socket that passed the handshake; identity and role come from the token
+  handleAuthentication(socket) {
+    const { id: userId, username, role: userRole, sessionId, exp } = socket.user;
+
+    socket.authenticated = true;
+    socket.userRole = userRole;
+    socket.userId = username || userId;
+
+    this.connectedClients.set(socket.id, {
+      socket,
+      userRole,
+      userId: socket.userId,
+      sessionId,
+      tokenExpiresAt: exp ? new Date(exp * 1000) : null,
+      connectedAt: new Date(),
+      lastActivity: new Date()
+    });
+
+    socket.emit('authenticated', { success: true, userRole });
+
+    // Send initial monitoring data
+    this.sendInitialMonitoringData(socket);
+
+    console.log(`Admin/Counselor authenticated: ${socket.userId} (${userRole})`);
+  }
+
+  // Swap in a refreshed access token; it must belong to the same login session
+  handleReauthentication(socket, token) {
+    const client = this.connectedClients.get(socket.id);
+
     try {
-      const { token, userRole } = data;
-      
-      // Verify token and role (simplified - in production, use proper JWT verification)
-      if (token && ['admin', 'counselor'].includes(userRole)) {
-        socket.authenticated = true;
-        socket.userRole = userRole;
-        socket.userId = data.userId || socket.id;
-        
-        this.connectedClients.set(socket.id, {
-          socket,
-          userRole,
-          userId: socket.userId,
-          connectedAt: new Date(),
-          lastActivity: new Date()
-        });
-
-        socket.emit('authenticated', { success: true });
-        
-        // Send initial monitoring data
-        this.sendInitialMonitoringData(socket);
-        
-        console.log(`Admin/Counselor authenticated: ${socket.userId} (${userRole})`);
-      } else {
-        socket.emit('authentication-failed', { error: 'Invalid credentials or insufficient permissions' });
+      const user = this.verifySocketUser(token);
+      if (!client || user.sessionId !== client.sessionId) {
+        throw new Error('Token belongs to a different session');
       }
+
+      socket.user = user;
+      client.tokenExpiresAt = user.exp ? new Date(user.exp * 1000) : null;
+      socket.emit('reauthenticated', { success: true });
     } catch (error) {
-      console.error('Authentication error:', error);
-      socket.emit('authentication-failed', { error: 'Authentication failed' });
+      socket.emit('authentication-failed', { error: error.message });
+    }
+  }
+
+  // Disconnect every socket opened with the given login session
+  disconnectSession(sessionId, reason) {
+    for (const [socketId, client] of this.connectedClients.entries()) {
+      if (client.sessionId === sessionId) {
+        client.socket.emit('session-ended', { reason });
+        client.socket.disconnect(true);
+        this.connectedClients.delete(socketId);
+        console.log(`Monitoring socket closed for ${client.userId}: ${reason}`);
+      }
+    }
+  }
+
+  // Sessions can time out or tokens expire while a socket stays open
+  checkClientSessions() {
+    const now = new Date();
+
+    for (const client of Array.from(this.connectedClients.values())) {
+      if (client.tokenExpiresAt && client.tokenExpiresAt <= now) {
+        this.disconnectSession(client.sessionId, 'token_expired');
+      } else if (!this.userManagementService.validateSession(client.sessionId, { touch: false })) {
+        // validateSession emits 'session-ended' for timeouts; this covers sessions already gone
+        this.disconnectSession(client.sessionId, 'expired');
+      }
     }
   }
 
@@ -103,50 +211,39 @@ class RealTimeMonitoringService {
     this.sendMonitoringUpdate(socket);
   }
 
-  handleAlertAcknowledgment(socket, alertId) {
+  // Sockets only need monitoring:read, so alert actions check the permission the REST routes require
+  canRespondToAlerts(socket) {
     if (!socket.authenticated) {
       socket.emit('error', { message: 'Authentication required' });
-      return;
+      return false;
     }
+    if (!this.authMiddleware.can(socket.user, 'crisis:respond')) {
+      socket.emit('error', { message: 'Insufficient permissions' });
+      return false;
+    }
+    return true;
+  }
 
-    const alert = this.activeAlerts.get(alertId);
-    if (alert) {
-      alert.acknowledgedBy = socket.userId;
-      alert.acknowledgedAt = new Date();
-      alert.status = 'acknowledged';
-      
-      // Broadcast alert update to all monitoring clients
-      this.io.to('monitoring').emit('alert-updated', {
-        alertId,
-        alert,
-        acknowledgedBy: socket.userId
-      });
+  handleAlertAcknowledgment(socket, alertId) {
+    if (!this.canRespondToAlerts(socket)) {
+      return;
+    }
 
-      console.log(`Crisis alert ${alertId} acknowledged by ${socket.userId}`);
+    try {
+      this.acknowledgeAlert(alertId, socket.userId);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
     }
   }
 
   handleAlertEscalation(socket, alertId) {
-    if (!socket.authenticated) {
-      socket.emit('error', { message: 'Authentication required' });
+    if (!this.canRespondToAlerts(socket)) {
       return;
     }
 
     const alert = this.activeAlerts.get(alertId);
     if (alert) {
-      alert.escalatedBy = socket.userId;
-      alert.escalatedAt = new Date();
-      alert.status = 'escalated';
-      alert.severity = 'critical';
-      
-      // Broadcast escalation to all monitoring clients
-      this.io.to('monitoring').emit('alert-escalated', {
-        alertId,
-        alert,
-        escalatedBy: socket.userId
-      });
-
-      console.log(`Crisis alert ${alertId} escalated by ${socket.userId}`);
+      this.escalateAlert(alert, 'manual', socket.userId);
     }
   }
 
@@ -189,23 +286,40 @@ class RealTimeMonitoringService {
   // Crisis alert management
   createCrisisAlert(alertData) {
     const alertId = this.generateAlertId();
+    const severity = alertData.severity || 'medium';
+    const createdAt = new Date();
     const alert = {
       id: alertId,
+      type: alertData.type || (alertData.source === 'peer-support' ? 'peerSupport' : 'conversation'),
+      action: ['critical', 'high'].includes(severity) ? 'immediate_intervention' : 'urgent_referral',
       userId: alertData.userId,
       sessionId: alertData.sessionId,
-      severity: alertData.severity || 'medium',
+      severity,
       message: alertData.message || 'Crisis situation detected',
       keywords: alertData.keywords || [],
       sentiment: alertData.sentiment || null,
-      createdAt: new Date(),
-      status: 'active',
+      source: alertData.source || null,
+      link: alertData.link || null, // Where the triggering content lives, e.g. a peer support post
+      createdAt,
+      status: 'open',
       acknowledgedBy: null,
       acknowledgedAt: null,
+      assignedTo: null,
+      assignedBy: null,
+      assignedAt: null,
+      notes: [],
+      history: [{ status: 'open', by: 'system', at: createdAt }],
+      slaDeadlines: {
+        acknowledgement: this.getSlaDeadline('acknowledgement', severity, createdAt),
+        resolution: this.getSlaDeadline('resolution', severity, createdAt)
+      },
+      escalationLevel: 0,
       escalatedBy: null,
       escalatedAt: null
     };
 
     this.activeAlerts.set(alertId, alert);
+    this.persistInBackground(() => this.persistAlert(alert), `store crisis alert ${alertId}`);
 
     // Broadcast to all monitoring clients
     this.io.to('monitoring').emit('new-crisis-alert', alert);
@@ -219,27 +333,194 @@ class RealTimeMonitoringService {
     return alertId;
   }
 
-  resolveAlert(alertId, resolvedBy) {
+  getSlaDeadline(sla, severity, from) {
+    const minutes = this.alertSlas[sla][severity] ?? this.alertSlas[sla].medium;
+    return new Date(from.getTime() + minutes * 60000);
+  }
+
+  // Look up an open alert that is about to change
+  getOpenAlert(alertId) {
     const alert = this.activeAlerts.get(alertId);
-    if (alert) {
-      alert.status = 'resolved';
-      alert.resolvedBy = resolvedBy;
-      alert.resolvedAt = new Date();
-
-      // Broadcast resolution to all monitoring clients
-      this.io.to('monitoring').emit('alert-resolved', {
-        alertId,
-        alert,
-        resolvedBy
-      });
+    if (!alert) {
+      throw new Error('Alert not found');
+    }
+    return alert;
+  }
+
+  // Move an alert to a new state, recording who did it
+  transitionAlert(alert, status, by) {
+    if (!ALERT_TRANSITIONS[alert.status]?.includes(status)) {
+      throw new Error(`Cannot move alert from ${alert.status} to ${status}`);
+    }
+
+    const now = new Date();
+    alert.status = status;
+    alert.history.push({ status, by, at: now });
 
-      // Remove from active alerts after a delay
-      setTimeout(() => {
-        this.activeAlerts.delete(alertId);
-      }, 300000); // Keep for 5 minutes after resolution
+    // Any counselor action counts as acknowledging the alert
+    if (!alert.acknowledgedAt) {
+      alert.acknowledgedBy = by;
+      alert.acknowledgedAt = now;
+    }
+
+    return now;
+  }
+
+  // Persist and broadcast an alert after a lifecycle change
+  publishAlertUpdate(alert, event = 'alert-updated', details = {}) {
+    this.persistInBackground(() => this.persistAlert(alert), `update crisis alert ${alert.id}`);
+    this.io.to('monitoring').emit(event, { alertId: alert.id, alert, ...details });
+    return alert;
+  }
+
+  acknowledgeAlert(alertId, acknowledgedBy) {
+    const alert = this.getOpenAlert(alertId);
+    this.transitionAlert(alert, 'acknowledged', acknowledgedBy);
+
+    console.log(`Crisis alert ${alertId} acknowledged by ${acknowledgedBy}`);
+    return this.publishAlertUpdate(alert, 'alert-updated', { acknowledgedBy });
+  }
+
+  assignAlert(alertId, assignee, assignedBy) {
+    const alert = this.getOpenAlert(alertId);
+    const counselor = assignee ? this.userManagementService.getUserByUsername(assignee) : null;
+
+    if (!counselor || !counselor.isActive || !this.authMiddleware.can(counselor, 'crisis:respond')) {
+      throw new Error('Assignee must be an active user who can respond to crisis alerts');
+    }
+
+    alert.assignedAt = this.transitionAlert(alert, 'assigned', assignedBy);
+    alert.assignedTo = counselor.username;
+    alert.assignedBy = assignedBy;
+
+    console.log(`Crisis alert ${alertId} assigned to ${counselor.username} by ${assignedBy}`);
+    return this.publishAlertUpdate(alert, 'alert-updated', { assignedTo: counselor.username });
+  }
+
+  // Counselor starts working the alert; unassigned alerts go to whoever starts them
+  startAlert(alertId, startedBy) {
+    const alert = this.getOpenAlert(alertId);
+    const now = this.transitionAlert(alert, 'in_progress', startedBy);
+
+    if (!alert.assignedTo) {
+      alert.assignedTo = startedBy;
+      alert.assignedBy = startedBy;
+      alert.assignedAt = now;
+    }
+
+    return this.publishAlertUpdate(alert);
+  }
+
+  addAlertNote(alertId, author, text) {
+    const alert = this.getOpenAlert(alertId);
+    const noteText = typeof text === 'string' ? text.trim() : '';
+
+    if (!noteText) {
+      throw new Error('Note text is required');
+    }
+
+    alert.notes.push({ author, text: noteText, createdAt: new Date() });
+    return this.publishAlertUpdate(alert);
+  }
+
+  resolveAlert(alertId, resolvedBy, resolution = null) {
+    const alert = this.getOpenAlert(alertId);
+    alert.resolvedAt = this.transitionAlert(alert, 'resolved', resolvedBy);
+    alert.resolvedBy = resolvedBy;
+    alert.resolution = resolution;
+
+    this.publishAlertUpdate(alert, 'alert-resolved', { resolvedBy });
+
+    // The stored record is kept; only the in-memory copy is dropped
+    setTimeout(() => {
+      this.activeAlerts.delete(alertId);
+    }, 300000); // Keep for 5 minutes after resolution
+
+    console.log(`Crisis alert ${alertId} resolved by ${resolvedBy}`);
+    return alert;
+  }
+
+  // Raise severity and notify every monitoring client; the lifecycle state is unchanged
+  escalateAlert(alert, reason, escalatedBy) {
+    const now = new Date();
+    alert.escalationLevel += 1;
+    alert.severity = 'critical';
+    alert.escalatedBy = escalatedBy;
+    alert.escalatedAt = now;
+    alert.history.push({ status: alert.status, by: escalatedBy, reason, at: now });
+
+    if (escalatedBy === 'system') {
+      this.publishAlertUpdate(alert, 'alert-auto-escalated', { reason });
+    } else {
+      this.publishAlertUpdate(alert, 'alert-escalated', { escalatedBy });
+    }
+    this.io.to('monitoring').emit('critical-alert', alert);
 
-      console.log(`Crisis alert ${alertId} resolved by ${resolvedBy}`);
+    console.log(`Crisis alert ${alert.id} escalated by ${escalatedBy} (${reason})`);
+  }
+
+  hasEscalation(alert, reason) {
+    return alert.history.some(entry => entry.reason === reason);
+  }
+
+  // Alerts from MongoDB when it is connected, newest first; otherwise the in-memory alerts
+  async listAlerts({ status, limit = 100 } = {}) {
+    if (!this.isDatabaseConnected()) {
+      return Array.from(this.activeAlerts.values())
+        .filter(alert => !status || alert.status === status)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit);
+    }
+
+    const query = status ? { alertId: { $exists: true }, status } : { alertId: { $exists: true } };
+    const stored = await CrisisAlert.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+    return stored.map(alert => this.activeAlerts.get(alert.alertId) || this.fromStoredAlert(alert));
+  }
+
+  async getAlert(alertId) {
+    if (this.activeAlerts.has(alertId)) {
+      return this.activeAlerts.get(alertId);
     }
+    if (!this.isDatabaseConnected()) {
+      return null;
+    }
+
+    const stored = await CrisisAlert.findOne({ alertId }).lean();
+    return stored ? this.fromStoredAlert(stored) : null;
+  }
+
+  // Pick up unresolved alerts after a restart so SLAs keep running
+  async loadOpenAlerts() {
+    if (!this.isDatabaseConnected()) return;
+
+    const stored = await CrisisAlert.find({ alertId: { $exists: true }, status: { $ne: 'resolved' } }).lean();
+    for (const alert of stored) {
+      this.activeAlerts.set(alert.alertId, this.fromStoredAlert(alert));
+    }
+  }
+
+  fromStoredAlert({ _id, __v, alertId, ...alert }) {
+    return { id: alertId, ...alert };
+  }
+
+  async persistAlert(alert) {
+    if (!this.isDatabaseConnected()) return;
+
+    const { id, ...alertData } = alert;
+    await CrisisAlert.findOneAndUpdate({ alertId: id }, { alertId: id, ...alertData }, { upsert: true, setDefaultsOnInsert: true });
+  }
+
+  isDatabaseConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  // Fire-and-forget write; the in-memory alert stays authoritative for open alerts
+  persistInBackground(operation, description) {
+    if (!this.isDatabaseConnected()) return;
+
+    operation().catch(error => {
+      console.error(`Failed to ${description}:`, error);
+    });
   }
 
   // System monitoring
@@ -284,6 +565,11 @@ class RealTimeMonitoringService {
     setInterval(() => {
       this.checkStaleAlerts();
     }, 60000);
+
+    // Drop sockets whose session or token has expired every minute
+    setInterval(() => {
+      this.checkClientSessions();
+    }, 60000);
   }
 
   cleanupOldMetrics() {
@@ -302,21 +588,18 @@ class RealTimeMonitoringService {
     }
   }
 
-  checkStaleAlerts() {
-    const staleThreshold = new Date(Date.now() - 1800000); // 30 minutes ago
-    
-    for (const [alertId, alert] of this.activeAlerts.entries()) {
-      if (alert.createdAt < staleThreshold && alert.status === 'active') {
-        // Auto-escalate stale alerts
-        alert.status = 'auto-escalated';
-        alert.escalatedAt = new Date();
-        alert.escalatedBy = 'system';
-        
-        this.io.to('monitoring').emit('alert-auto-escalated', {
-          alertId,
-          alert,
-          reason: 'No response for 30 minutes'
-        });
+  // Escalate alerts that missed their acknowledgement or resolution SLA, once per SLA
+  checkStaleAlerts(now = new Date()) {
+    for (const alert of this.activeAlerts.values()) {
+      if (alert.status === 'resolved') continue;
+
+      if (!alert.acknowledgedAt && now > alert.slaDeadlines.acknowledgement &&
+          !this.hasEscalation(alert, 'acknowledgement_sla')) {
+        this.escalateAlert(alert, 'acknowledgement_sla', 'system');
+      }
+
+      if (now > alert.slaDeadlines.resolution && !this.hasEscalation(alert, 'resolution_sla')) {
+        this.escalateAlert(alert, 'resolution_sla', 'system');
       }
     }
   }
@@ -336,7 +619,7 @@ class RealTimeMonitoringService {
   }
 
   getActiveAlertsCount() {
-    return this.activeAlerts.size;
+    return Array.from(this.activeAlerts.values()).filter(alert => alert.status !== 'resolved').length;
   }
 
   getSystemHealth() {
@@ -358,7 +641,7 @@ class RealTimeMonitoringService {
       errorPercentage: Math.round(errorPercentage * 100) / 100,
       activeConnections: this.systemMetrics.activeConnections,
       connectedAdmins: this.connectedClients.size,
-      activeAlerts: this.activeAlerts.size,
+      activeAlerts: this.getActiveAlertsCount(),
       lastUpdated: this.systemMetrics.lastUpdated
     };
   }
@@ -378,6 +661,8 @@ class RealTimeMonitoringService {
 
   // Cleanup
   destroy() {
+    this.userManagementService.removeListener('session-ended', this.handleSessionEnded);
+    this.userManagementService.removeListener('login-anomaly', this.handleLoginAnomaly);
     if (this.io) {
       this.io.close();
     }
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Role = require('../models/role');
+
+// Every permission a route can require, with the description shown to admins
+const PERMISSIONS = {
+  'users:read': 'View user accounts, active sessions and login history',
+  'users:manage': 'Create, edit, disable, unlock and log out user accounts',
+  'roles:manage': 'Change the permissions granted to each role',
+  'analytics:read': 'View usage, sentiment, topic and crisis analytics',
+  'analytics:export': 'Export analytics data and generate reports',
+  'analytics:manage': 'Check analytics health and delete old analytics data',
+  'monitoring:read': 'View live system status and health',
+  'monitoring:manage': 'View connected clients, record API metrics and send notifications and system alerts',
+  'crisis:read': 'View crisis alerts',
+  'crisis:respond': 'Raise, acknowledge, assign, start and add notes to crisis alerts',
+  'crisis:resolve': 'Resolve crisis alerts',
+  'screening:submit': 'Submit screening questionnaires as a student',
+  'screening:read': 'View screening responses, screening analytics and instrument definitions',
+  'screening:review': 'Update the status and notes of screening responses',
+  'booking:create': 'Book counseling appointments as a student',
+  'booking:read': 'View appointments, booking statistics and the counselor roster',
+  'booking:manage': 'Change the status of appointments',
+  'booking:schedule': 'Block out counselor time and issue a counselor\'s own calendar feed',
+  'counselors:manage': 'Add, edit and remove counselors and manage any counselor\'s calendar feed',
+  'peer:post': 'Post, reply, support and report in the peer support forum as a student',
+  'peer:moderate': 'Review and moderate flagged peer support content',
+  'prompts:manage': 'Edit, preview and activate the assistant\'s prompt templates and helpline variables',
+  'continuity:manage': 'Opt in to, view, export and delete their own assistant continuity profile as a student',
+  'conversations:read': 'Read the running summary of any chat session'
+};
+
+// Student permissions record who the student is, so staff roles do not get them by default
+const STUDENT_PERMISSIONS = ['screening:submit', 'booking:create', 'peer:post', 'continuity:manage'];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS).filter(permission => !STUDENT_PERMISSIONS.includes(permission)),
+  counselor: [
+    'analytics:read', 'analytics:export',
+    'monitoring:read',
+    'crisis:read', 'crisis:respond', 'crisis:resolve',
+    'screening:read', 'screening:review',
+    'booking:read', 'booking:manage', 'booking:schedule',
+    'peer:moderate'
+  ],
+  student: STUDENT_PERMISSIONS
+};
+
+// Admins must always be able to undo a bad edit
+const ADMIN_REQUIRED_PERMISSIONS = ['roles:manage'];
+
+let defaultService = null;
+
+// Permission sets per role. Checked on every authorized request, so lookups stay in memory;
+// MongoDB holds admins' edits once it is connected.
+class RoleService {
+  // Shared instance, so every AuthMiddleware sees permission changes as soon as they are made
+  static getDefault() {
+    if (!defaultService) {
+      defaultService = new RoleService();
+    }
+    return defaultService;
+  }
+
+  constructor() {
+    this.roles = new Map(); // role name -> Set of permissions
+    for (const [name, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+      this.roles.set(name, new Set(permissions));
+    }
+
+    if (this.isDatabaseConnected()) {
+      this.loadInBackground();
+    } else {
+      mongoose.connection.once('connected', () => this.loadInBackground());
+    }
+  }
+
+  isDatabaseConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  loadInBackground() {
+    this.load().catch(error => {
+      console.error('Failed to load role permissions:', error);
+    });
+  }
+
+  async load() {
+    const stored = await Role.find().lean();
+    for (const { name, permissions } of stored) {
+      if (this.roles.has(name)) {
+        this.roles.set(name, new Set(permissions.filter(permission => PERMISSIONS[permission])));
+      }
+    }
+  }
+
+  hasPermission(role, permission) {
+    return !!this.roles.get(role)?.has(permission);
+  }
+
+  getPermissions(role) {
+    return Array.from(this.roles.get(role) || []);
+  }
+
+  getPermissionCatalog() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  getRoles() {
+    return Array.from(this.roles.keys()).map(name => ({
+      name,
+      permissions: this.getPermissions(name),
+      defaultPermissions: DEFAULT_ROLE_PERMISSIONS[name]
+    }));
+  }
+
+  /**
+   * Replace the permission set of a role
+   * @param {string} name - Role name
+   * @param {string[]} permissions - Permission names from the catalog
+   * @param {string} updatedBy - Username of the admin making the change
+   */
+  async updateRolePermissions(name, permissions, updatedBy) {
+    if (!this.roles.has(name)) {
+      throw new Error('Role not found');
+    }
+    if (!Array.isArray(permissions)) {
+      throw new Error('Permissions must be a list of permission names');
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+    }
+
+    if (name === 'admin') {
+      const missing = ADMIN_REQUIRED_PERMISSIONS.filter(permission => !permissions.includes(permission));
+      if (missing.length > 0) {
+        throw new Error(`The admin role must keep ${missing.join(', ')}`);
+      }
+    }
+
+    const unique = Array.from(new Set(permissions));
+    if (this.isDatabaseConnected()) {
+      await Role.findOneAndUpdate(
+        { name },
+        { name, permissions: unique, updatedBy, updatedAt: new Date() },
+        { upsert: true }
+      );
+    }
+    this.roles.set(name, new Set(unique));
+
+    return { name, permissions: unique, defaultPermissions: DEFAULT_ROLE_PERMISSIONS[name] };
+  }
+
+  resetRolePermissions(name, updatedBy) {
+    if (!this.roles.has(name)) {
+      throw new Error('Role not found');
+    }
+    return this.updateRolePermissions(name, DEFAULT_ROLE_PERMISSIONS[name], updatedBy);
+  }
+}
+
+module.exports = RoleService;
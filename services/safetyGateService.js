@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const SafetyEvent = require('../models/safetyEvent');
+const PromptService = require('./promptService');
+
+/*
+ * Violation types, keyed by the issue text LlmService.validateResponse
+ * reports, and what the gate does about each. Replies that could hurt a
+ * student are never sent; replies that break a rule the model can follow are
+ * regenerated once with a stricter instruction; replies that are only missing
+ * guidance get the support resources appended. `wholeReply` issues can only be
+ * judged once the reply is complete, so they do not hold back streamed text.
+ */
+const VIOLATIONS = {
+  'Empty or invalid response': { type: 'empty_reply', action: 'fallback', wholeReply: true },
+  'Contains potentially harmful language': { type: 'harmful_language', action: 'fallback' },
+  'Contains medical advice or diagnosis': {
+    type: 'medical_advice',
+    action: 'regenerate',
+    instruction: 'Do not diagnose, name a condition the student may have, or mention medication, dosages or treatment plans. Suggest talking to a counselor or doctor about those instead.'
+  },
+  'Response too long (over 1500 characters)': {
+    type: 'too_long',
+    action: 'regenerate',
+    instruction: 'Keep the reply under 80 words.',
+    wholeReply: true
+  },
+  'Lacks supportive language': { type: 'lacks_support', action: 'append_resources', wholeReply: true }
+};
+
+// Issues the validator adds later are treated as the most serious kind until mapped above
+const UNKNOWN_VIOLATION = { type: 'unclassified', action: 'fallback' };
+const ACTION_PRIORITY = ['append_resources', 'regenerate', 'fallback'];
+const SAFETY_PREAMBLE = 'SAFETY REQUIREMENTS - your previous reply was withheld for breaking these rules:';
+const MAX_RECENT_EVENTS = 500;
+const EXCERPT_LENGTH = 300;
+// End of the last complete sentence or line in streamed text
+const SENTENCE_END = /[\s\S]*(?:[.!?]+["')\]]*\s+|\n+)/;
+
+let defaultService = null;
+
+/**
+ * Post-generation safety gate: checks every AI reply (chat, streamed, voice
+ * and crisis) before it reaches a student, and blocks or rewrites unsafe
+ * ones. Interventions are kept in memory for the report and stored in
+ * MongoDB once connected.
+ */
+class SafetyGateService {
+  // Shared instance, so chat and voice interventions land in the same report
+  static getDefault() {
+    if (!defaultService) {
+      defaultService = new SafetyGateService();
+    }
+    return defaultService;
+  }
+
+  /**
+   * @param {Object} options - { promptService } rendering the safety_resources template
+   */
+  constructor(options = {}) {
+    this.promptService = options.promptService || PromptService.getDefault();
+    this.recentEvents = [];
+  }
+
+  isDatabaseConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Check a reply and apply the action its violations call for
+   * @param {string} reply - Reply produced by the model
+   * @param {Object} context - How to check and replace the reply, and what to log
+   * @param {Function} context.validate - (text) => { isValid, issues }
+   * @param {Function} context.regenerate - (instruction) => Promise<string>, a new reply with an extra system instruction
+   * @param {Function} context.fallback - () => string, a reply that does not come from the model
+   * @param {string} context.sessionId - Session identifier
+   * @param {string} context.channel - 'chat' or 'voice'
+   * @param {string} context.replyType - 'chat' or 'crisis'
+   * @param {string} context.language - Student's language, for the appended resources
+   * @param {string} context.institution - Institution, for the appended resources
+   * @param {Object} context.prompt - { name, version } of the prompt that produced the reply
+   * @returns {Promise<Object>} { reply, intervention } where intervention is null for safe replies
+   */
+  async review(reply, context) {
+    const validation = context.validate(reply);
+    if (validation.isValid) {
+      return { reply, intervention: null };
+    }
+
+    const violations = validation.issues.map(issue => VIOLATIONS[issue] || UNKNOWN_VIOLATION);
+    const planned = violations
+      .map(violation => violation.action)
+      .reduce((strongest, action) => ACTION_PRIORITY.indexOf(action) > ACTION_PRIORITY.indexOf(strongest) ? action : strongest);
+
+    let finalReply = null;
+    let action;
+    let regenerationFailed = false;
+
+    if (planned === 'regenerate') {
+      const instruction = [SAFETY_PREAMBLE, ...violations.map(violation => violation.instruction).filter(Boolean)]
+        .join('\n- ');
+
+      try {
+        const regenerated = await context.regenerate(instruction);
+        if (context.validate(regenerated).isValid) {
+          finalReply = regenerated;
+          action = 'regenerated';
+        }
+      } catch (error) {
+        console.warn('Safety regeneration failed:', error.message);
+      }
+      regenerationFailed = finalReply === null;
+    }
+
+    if (planned === 'append_resources') {
+      const resources = this.promptService.render('safety_resources', {
+        language: context.language,
+        institution: context.institution
+      });
+      finalReply = `${reply.trim()}\n\n${resources.content}`;
+      action = 'resources_appended';
+    }
+
+    if (finalReply === null) {
+      finalReply = context.fallback();
+      action = 'fallback';
+    }
+
+    const intervention = {
+      action,
+      violations: Array.from(new Set(violations.map(violation => violation.type))),
+      regenerationFailed
+    };
+
+    this._record({
+      sessionId: context.sessionId ? context.sessionId.substring(0, 8) + '...' : null,
+      channel: context.channel || 'chat',
+      replyType: context.replyType || 'chat',
+      violations: intervention.violations,
+      issues: validation.issues,
+      action,
+      regenerationFailed,
+      prompt: context.prompt || undefined,
+      language: context.language,
+      originalExcerpt: typeof reply === 'string' ? reply.substring(0, EXCERPT_LENGTH) : null,
+      createdAt: new Date()
+    });
+
+    return { reply: finalReply, intervention };
+  }
+
+  /**
+   * Pass streamed text on a sentence at a time, once the sentences so far show
+   * no violation that part of a reply can have (harmful language, medical
+   * advice). After a failing sentence nothing more is passed on. The complete
+   * reply still goes through review().
+   * @param {Function} validate - (text) => { isValid, issues }
+   * @param {Function} send - Receives each chunk of text that passed
+   * @returns {Object} { push(token), flush(), released } where flush() checks the last,
+   *   unfinished sentence once generation ends and released is the text passed on so far
+   */
+  createStreamFilter(validate, send) {
+    let pending = '';
+    let released = '';
+    let blocked = false;
+
+    const release = (text) => {
+      if (blocked || !text) {
+        return;
+      }
+
+      const { issues } = validate(released + text);
+      if (issues.some(issue => !(VIOLATIONS[issue] || UNKNOWN_VIOLATION).wholeReply)) {
+        blocked = true;
+        return;
+      }
+
+      released += text;
+      send(text);
+    };
+
+    return {
+      push(token) {
+        pending += token;
+        const complete = pending.match(SENTENCE_END);
+        if (complete) {
+          pending = pending.slice(complete[0].length);
+          release(complete[0]);
+        }
+      },
+      flush() {
+        release(pending);
+        pending = '';
+      },
+      get released() {
+        return released;
+      }
+    };
+  }
+
+  /**
+   * Interventions over a period, for the admin safety report
+   * @param {Object} options - { start, end } dates (default: the last 7 days) and limit of recent events (default 50)
+   * @returns {Promise<Object>} Totals by action, violation, channel and reply type, and recent events
+   */
+  async getReport(options = {}) {
+    const end = options.end ? new Date(options.end) : new Date();
+    // A date without a time (as the dashboard sends) includes the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(options.end || '')) {
+      end.setUTCHours(23, 59, 59, 999);
+    }
+    const start = options.start ? new Date(options.start) : new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const limit = Math.min(Number.isInteger(options.limit) ? options.limit : 50, 200);
+
+    let events;
+    if (this.isDatabaseConnected()) {
+      events = await SafetyEvent.find({ createdAt: { $gte: start, $lte: end } })
+        .sort({ createdAt: -1 })
+        .lean();
+    } else {
+      events = this.recentEvents.filter(event => event.createdAt >= start && event.createdAt <= end);
+    }
+
+    const count = (field) => events.reduce((totals, event) => {
+      for (const value of [].concat(event[field])) {
+        totals[value] = (totals[value] || 0) + 1;
+      }
+      return totals;
+    }, {});
+
+    return {
+      period: { start: start.toISOString(), end: end.toISOString() },
+      totalInterventions: events.length,
+      byAction: count('action'),
+      byViolation: count('violations'),
+      byChannel: count('channel'),
+      byReplyType: count('replyType'),
+      regenerationFailures: events.filter(event => event.regenerationFailed).length,
+      recentEvents: events.slice(0, limit).map(({ _id, __v, ...event }) => event)
+    };
+  }
+
+  _record(event) {
+    console.warn(`[SAFETY GATE] ${event.action} (${event.violations.join(', ')}) on ${event.channel} ${event.replyType} reply, session ${event.sessionId}`);
+
+    this.recentEvents.unshift(event);
+    if (this.recentEvents.length > MAX_RECENT_EVENTS) {
+      this.recentEvents.pop();
+    }
+
+    if (this.isDatabaseConnected()) {
+      SafetyEvent.create(event).catch(error => {
+        console.error('Failed to store safety event:', error);
+      });
+    }
+  }
+}
+
+module.exports = SafetyGateService;
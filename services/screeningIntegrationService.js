@@ -53,7 +53,10 @@ class ScreeningIntegrationService {
       specific: {
         'PHQ-9': "It sounds like you might benefit from the PHQ-9 depression screening. It's a brief, 9-question assessment that can help evaluate depression symptoms and their severity.",
         'GAD-7': "Based on what you're describing, the GAD-7 anxiety screening might be helpful. It's a short questionnaire that assesses anxiety symptoms over the past two weeks.",
-        'GHQ-12': "The GHQ-12 general health questionnaire might provide some insights into your overall psychological wellbeing. It's a comprehensive but brief screening tool."
+        'GHQ-12': "The GHQ-12 general health questionnaire might provide some insights into your overall psychological wellbeing. It's a comprehensive but brief screening tool.",
+        'PSS-10': "The PSS-10 perceived stress scale might help. It's a 10-question check on how stressed and in control you have felt over the last month.",
+        'DASS-21': "The DASS-21 could be useful here. It looks at depression, anxiety and stress together in 21 short questions.",
+        'PC-PTSD-5': "The PC-PTSD-5 is a short, 5-question screen for how a difficult or frightening experience may still be affecting you."
       },
       followUp: [
         "After completing a screening, we can discuss the results and explore appropriate next steps together.",
@@ -350,6 +353,15 @@ class ScreeningIntegrationService {
     if (lowercaseMessage.includes('ghq') || lowercaseMessage.includes('general')) {
       preferences.preferredTools.push('GHQ-12');
     }
+    if (lowercaseMessage.includes('pss') || lowercaseMessage.includes('stress')) {
+      preferences.preferredTools.push('PSS-10');
+    }
+    if (lowercaseMessage.includes('dass')) {
+      preferences.preferredTools.push('DASS-21');
+    }
+    if (lowercaseMessage.includes('ptsd') || lowercaseMessage.includes('trauma')) {
+      preferences.preferredTools.push('PC-PTSD-5');
+    }
     
     // Check urgency indicators
     const urgentPhrases = ['urgent', 'immediately', 'right now', 'asap', 'emergency'];
@@ -416,7 +428,10 @@ class ScreeningIntegrationService {
     const descriptions = {
       'PHQ-9': 'Assesses depression symptoms over the past 2 weeks',
       'GAD-7': 'Evaluates anxiety symptoms over the past 2 weeks', 
-      'GHQ-12': 'General psychological wellbeing and distress screening'
+      'GHQ-12': 'General psychological wellbeing and distress screening',
+      'PSS-10': 'Measures perceived stress over the last month',
+      'DASS-21': 'Depression, anxiety and stress subscales over the past week',
+      'PC-PTSD-5': 'Brief screen for probable PTSD after a traumatic event'
     };
     return descriptions[toolName] || 'Mental health screening tool';
   }
@@ -3,38 +3,42 @@
  * Handles screening logic, scoring, and result interpretation
  */
 
-const { PHQ9, GAD7, GHQ12, CRISIS_INDICATORS, SCREENING_RECOMMENDATIONS } = require('../models/screeningTools');
+const { registry: defaultRegistry, SCREENING_RECOMMENDATIONS } = require('../models/screeningTools');
+
+// Levels that call for counselor follow-up, across all tools
+const HIGH_SEVERITY_LEVELS = ['moderately_severe', 'severe', 'extremely_severe', 'high', 'positive'];
 
 class ScreeningService {
-  constructor() {
-    this.tools = {
-      'PHQ-9': PHQ9,
-      'GAD-7': GAD7,
-      'GHQ-12': GHQ12
-    };
+  constructor(registry = defaultRegistry) {
+    this.registry = registry;
   }
 
   /**
    * Get available screening tools
    */
   getAvailableTools() {
-    return Object.keys(this.tools).map(key => ({
-      name: key,
-      fullName: this.tools[key].fullName,
-      description: this.tools[key].description,
-      type: this.tools[key].type,
-      questionCount: this.tools[key].questions.length,
-      estimatedTime: this.calculateEstimatedTime(this.tools[key].questions.length)
+    return this.registry.getLatestInstruments().map(tool => ({
+      name: tool.name,
+      version: tool.version,
+      fullName: tool.fullName,
+      description: tool.description,
+      type: tool.type,
+      questionCount: tool.questions.length,
+      estimatedTime: this.calculateEstimatedTime(tool.questions.length)
     }));
   }
 
   /**
    * Get a specific screening tool
+   * @param {string} toolName - Tool name, e.g. 'PHQ-9'
+   * @param {string} version - Instrument version; defaults to the latest
    */
-  getTool(toolName) {
-    const tool = this.tools[toolName];
+  getTool(toolName, version = null) {
+    const tool = this.registry.getInstrument(toolName, version);
     if (!tool) {
-      throw new Error(`Screening tool '${toolName}' not found`);
+      throw new Error(version
+        ? `Screening tool '${toolName}' version '${version}' not found`
+        : `Screening tool '${toolName}' not found`);
     }
     return tool;
   }
@@ -42,10 +46,11 @@ class ScreeningService {
   /**
    * Get screening tool questions for presentation
    */
-  getToolQuestions(toolName) {
-    const tool = this.getTool(toolName);
+  getToolQuestions(toolName, language = 'en', version = null) {
+    const tool = this.registry.translate(this.getTool(toolName, version), language);
     return {
       name: tool.name,
+      version: tool.version,
       fullName: tool.fullName,
       description: tool.description,
       timeframe: tool.timeframe,
@@ -54,27 +59,38 @@ class ScreeningService {
         number: index + 1,
         text: q.text,
         category: q.category,
+        subscale: q.subscale,
+        scored: q.scored !== false,
+        dependsOn: q.dependsOn,
         requiresFollowUp: q.requiresFollowUp || false
       })),
       responseOptions: tool.responseOptions,
       alternativeResponseOptions: tool.alternativeResponseOptions,
-      instructions: this.getInstructions(toolName)
+      instructions: tool.instructions || this.getInstructions(toolName)
     };
   }
 
   /**
    * Calculate score for a screening tool
    */
-  calculateScore(toolName, responses, scoringMethod = 'standard') {
-    const tool = this.getTool(toolName);
+  calculateScore(toolName, responses, scoringMethod = 'standard', version = null) {
+    const tool = this.getTool(toolName, version);
+    const multiplier = tool.scoring.multiplier || 1;
+    const maxResponse = Math.max(...tool.responseOptions.map(opt => opt.value));
     let totalScore = 0;
+    const subscaleScores = {};
     const detailedScoring = [];
 
     // Validate responses
     this.validateResponses(tool, responses);
 
     tool.questions.forEach((question, index) => {
-      const responseValue = responses[question.id];
+      // Gate questions (PC-PTSD-5 trauma exposure) only decide whether the rest apply
+      if (question.scored === false) {
+        return;
+      }
+
+      const responseValue = this.isSkipped(question, responses) ? 0 : responses[question.id];
       let adjustedValue = responseValue;
 
       // Handle reversed scoring for GHQ-12
@@ -89,15 +105,25 @@ class ScreeningService {
       } else if (toolName === 'GHQ-12' && scoringMethod === 'binary') {
         // Binary scoring for non-reversed items
         adjustedValue = responseValue >= 2 ? 1 : 0;
+      } else if (question.reversed && tool.scoring.reverseScoring) {
+        // Positively worded items (PSS-10 items 4, 5, 7, 8)
+        adjustedValue = maxResponse - responseValue;
       }
 
+      adjustedValue *= multiplier;
       totalScore += adjustedValue;
+
+      if (question.subscale) {
+        subscaleScores[question.subscale] = (subscaleScores[question.subscale] || 0) + adjustedValue;
+      }
+
       detailedScoring.push({
         questionId: question.id,
         questionNumber: index + 1,
         responseValue: responseValue,
         adjustedValue: adjustedValue,
-        category: question.category
+        category: question.category,
+        subscale: question.subscale
       });
     });
 
@@ -111,15 +137,23 @@ class ScreeningService {
       maxScore: scoring.maxScore,
       scoringMethod,
       detailedScoring,
-      interpretation: this.interpretScore(toolName, totalScore, scoringMethod)
+      ...(tool.scoring.subscales ? { subscaleScores } : {}),
+      interpretation: this.interpretScore(toolName, totalScore, scoringMethod, subscaleScores, version)
     };
   }
 
   /**
    * Interpret the score and provide severity level and recommendations
+   * Tools scored by subscale (DASS-21) need subscaleScores, e.g.
+   * { depression: 14, anxiety: 8, stress: 20 }, and report the most severe one.
    */
-  interpretScore(toolName, score, scoringMethod = 'standard') {
-    const tool = this.getTool(toolName);
+  interpretScore(toolName, score, scoringMethod = 'standard', subscaleScores = null, version = null) {
+    const tool = this.getTool(toolName, version);
+
+    if (tool.scoring.subscales) {
+      return this.interpretSubscales(toolName, score, subscaleScores, version);
+    }
+
     const scoring = scoringMethod === 'binary' && tool.scoring.binaryScoring 
       ? tool.scoring.binaryScoring 
       : tool.scoring;
@@ -145,38 +179,96 @@ class ScreeningService {
     };
   }
 
+  /**
+   * Interpret each subscale; the overall level is the most severe subscale
+   */
+  interpretSubscales(toolName, score, subscaleScores, version = null) {
+    const tool = this.getTool(toolName, version);
+    const names = Object.keys(tool.scoring.subscales);
+
+    if (!subscaleScores || names.some(name => !Number.isInteger(subscaleScores[name]))) {
+      throw new Error(`${toolName} requires subscale scores for: ${names.join(', ')}`);
+    }
+
+    const subscales = {};
+    let primary = null;
+
+    names.forEach(name => {
+      const scoring = tool.scoring.subscales[name];
+      const subscaleScore = subscaleScores[name];
+      const rank = scoring.ranges.findIndex(r => subscaleScore >= r.min && subscaleScore <= r.max);
+
+      if (rank === -1) {
+        throw new Error(`Score ${subscaleScore} is outside valid range for ${toolName} ${name}`);
+      }
+
+      subscales[name] = {
+        score: subscaleScore,
+        maxScore: scoring.maxScore,
+        level: scoring.ranges[rank].level,
+        description: scoring.ranges[rank].description,
+        isAboveThreshold: subscaleScore >= scoring.clinicalCutoff,
+        clinicalCutoff: scoring.clinicalCutoff
+      };
+
+      if (!primary || rank > primary.rank) {
+        primary = { name, rank };
+      }
+    });
+
+    const { level, clinicalCutoff } = subscales[primary.name];
+
+    return {
+      score,
+      level,
+      description: Object.values(subscales).map(s => s.description).join('; '),
+      isAboveThreshold: Object.values(subscales).some(s => s.isAboveThreshold),
+      clinicalCutoff,
+      primarySubscale: primary.name,
+      subscales,
+      severity: this.getSeverityLevel(level),
+      recommendations: this.generateRecommendations(toolName, level, score),
+      clinicalNotes: this.generateClinicalNotes(toolName, level, score)
+    };
+  }
+
   /**
    * Check for crisis indicators in responses
    */
-  checkCrisisIndicators(toolName, responses, totalScore) {
+  checkCrisisIndicators(toolName, responses, totalScore, subscaleScores = {}, version = null) {
+    const tool = this.getTool(toolName, version);
     const crisisAlerts = [];
 
-    // Check for specific crisis indicators
-    Object.entries(CRISIS_INDICATORS).forEach(([indicatorType, indicator]) => {
-      if (indicator.tools.includes(toolName)) {
-        let isCrisis = false;
-
-        if (indicator.questions) {
-          // Check specific questions (e.g., suicidal ideation)
-          indicator.questions.forEach(questionId => {
-            if (responses[questionId] >= indicator.threshold) {
-              isCrisis = true;
-            }
-          });
-        } else if (indicator.threshold && totalScore >= indicator.threshold) {
-          // Check total score threshold
-          isCrisis = true;
-        }
+    // Check the crisis indicators defined by the instrument
+    (tool.crisisIndicators || []).forEach(indicator => {
+      let isCrisis = false;
+      let triggeringQuestion = null;
+
+      if (indicator.questions) {
+        // Check specific questions (e.g., suicidal ideation)
+        indicator.questions.forEach(questionId => {
+          if (responses[questionId] >= indicator.threshold) {
+            isCrisis = true;
+            triggeringQuestion = triggeringQuestion || questionId;
+          }
+        });
+      } else if (indicator.subscale) {
+        // Check a subscale threshold (DASS-21)
+        isCrisis = ((subscaleScores || {})[indicator.subscale] || 0) >= indicator.threshold;
+      } else if (indicator.threshold && totalScore >= indicator.threshold) {
+        // Check total score threshold
+        isCrisis = true;
+      }
 
-        if (isCrisis) {
-          crisisAlerts.push({
-            type: indicatorType,
-            severity: 'high',
-            action: indicator.action,
-            message: this.getCrisisMessage(indicatorType),
-            resources: this.getCrisisResources()
-          });
-        }
+      if (isCrisis) {
+        crisisAlerts.push({
+          type: indicator.type,
+          severity: 'high',
+          action: indicator.action,
+          message: this.getCrisisMessage(indicator.type),
+          resources: this.getCrisisResources(),
+          ...(triggeringQuestion ? { questionId: triggeringQuestion } : {})
+        });
       }
     });
 
@@ -188,18 +280,26 @@ class ScreeningService {
    */
   processScreening(toolName, responses, options = {}) {
     try {
-      const tool = this.getTool(toolName);
+      const version = options.version || null;
+      const tool = this.getTool(toolName, version);
       const scoringMethod = options.scoringMethod || 'standard';
       
       // Calculate score
-      const scoreResult = this.calculateScore(toolName, responses, scoringMethod);
+      const scoreResult = this.calculateScore(toolName, responses, scoringMethod, tool.version);
       
       // Check for crisis indicators
-      const crisisAlerts = this.checkCrisisIndicators(toolName, responses, scoreResult.totalScore);
+      const crisisAlerts = this.checkCrisisIndicators(
+        toolName,
+        responses,
+        scoreResult.totalScore,
+        scoreResult.subscaleScores,
+        tool.version
+      );
       
       // Generate comprehensive result
       const result = {
         toolName: tool.name,
+        toolVersion: tool.version,
         fullName: tool.fullName,
         timestamp: new Date().toISOString(),
         score: scoreResult,
@@ -225,6 +325,95 @@ class ScreeningService {
     }
   }
 
+  /**
+   * Score a submitted screening from its raw responses, in the shape stored
+   * on ScreeningResponse. The server result is authoritative; results sent by
+   * the client are only kept for comparison.
+   * @param {string} toolName - Tool name, e.g. 'PHQ-9'
+   * @param {Array|Object} responses - [{ questionId, response }] or { questionId: value }
+   * @param {string} version - Instrument version; defaults to the latest
+   * @returns {Object} { toolVersion, results, crisisIndicators, recommendations }
+   */
+  scoreSubmission(toolName, responses, version = null) {
+    const processed = this.processScreening(toolName, this.toResponseMap(responses), { version });
+    const { totalScore, maxScore, interpretation } = processed.score;
+
+    const crisisAlerts = processed.crisisAlerts.map(alert => ({
+      type: alert.type.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`),
+      severity: alert.action === 'immediate_intervention' ? 'critical' : 'high',
+      message: alert.message,
+      ...(alert.questionId ? { questionId: alert.questionId } : {})
+    }));
+
+    return {
+      toolVersion: processed.toolVersion,
+      results: {
+        totalScore,
+        maxScore,
+        percentage: Math.round((totalScore / maxScore) * 100),
+        severityLevel: interpretation.level,
+        description: interpretation.description,
+        isAboveThreshold: interpretation.isAboveThreshold,
+        clinicalThreshold: interpretation.clinicalCutoff,
+        ...(interpretation.subscales ? { subscales: interpretation.subscales } : {})
+      },
+      crisisIndicators: {
+        hasCrisisAlerts: crisisAlerts.length > 0,
+        crisisAlerts,
+        requiresImmediateAttention: processed.requiresImmediateAttention
+      },
+      recommendations: processed.crisisAlerts.length > 0
+        ? processed.followUpRecommendations
+        : interpretation.recommendations
+    };
+  }
+
+  /**
+   * List the fields where client-computed results disagree with the server
+   * @param {Object} scored - Result of scoreSubmission
+   * @param {Object} clientResults - results sent by the client
+   * @param {Object} clientCrisisIndicators - crisisIndicators sent by the client
+   * @returns {Array<string>} Mismatched field names
+   */
+  compareWithClientResults(scored, clientResults = {}, clientCrisisIndicators = {}) {
+    const mismatches = [];
+    const client = clientResults || {};
+    const clientCrisis = clientCrisisIndicators || {};
+
+    if (client.totalScore !== undefined && client.totalScore !== scored.results.totalScore) {
+      mismatches.push('totalScore');
+    }
+    if (client.severityLevel !== undefined && client.severityLevel !== scored.results.severityLevel) {
+      mismatches.push('severityLevel');
+    }
+    if (clientCrisis.hasCrisisAlerts !== undefined &&
+        !!clientCrisis.hasCrisisAlerts !== scored.crisisIndicators.hasCrisisAlerts) {
+      mismatches.push('hasCrisisAlerts');
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Whether a scored result calls for counselor follow-up
+   * @param {Object} scored - Result of scoreSubmission
+   * @returns {boolean}
+   */
+  requiresFollowUp(scored) {
+    return scored.crisisIndicators.hasCrisisAlerts ||
+           HIGH_SEVERITY_LEVELS.includes(scored.results.severityLevel);
+  }
+
+  toResponseMap(responses) {
+    if (Array.isArray(responses)) {
+      return responses.reduce((map, item) => {
+        map[item.questionId] = item.response;
+        return map;
+      }, {});
+    }
+    return responses || {};
+  }
+
   /**
    * Recommend appropriate screening tools based on symptoms or context
    */
@@ -244,11 +433,22 @@ class ScreeningService {
       if (symptoms.includes('anxiety') || symptoms.includes('worry') || symptoms.includes('nervousness')) {
         recommendations.push('GAD-7');
       }
+      if (symptoms.includes('stress') || symptoms.includes('pressure') || symptoms.includes('overwhelmed')) {
+        recommendations.push('PSS-10');
+      }
+      if (symptoms.includes('trauma') || symptoms.includes('nightmares') || symptoms.includes('flashbacks')) {
+        recommendations.push('PC-PTSD-5');
+      }
       if (symptoms.includes('stress') || symptoms.includes('general') || !symptoms.length) {
         recommendations.push('GHQ-12');
       }
     }
 
+    // Depression, anxiety and stress together are covered by one DASS-21
+    if (recommendations.includes('PHQ-9') && recommendations.includes('GAD-7') && recommendations.includes('PSS-10')) {
+      recommendations.push('DASS-21');
+    }
+
     // Default recommendation for comprehensive assessment
     if (!recommendations.length) {
       recommendations.push('GHQ-12', 'PHQ-9');
@@ -265,6 +465,10 @@ class ScreeningService {
 
     tool.questions.forEach(question => {
       const response = responses[question.id];
+
+      if (this.isSkipped(question, responses)) {
+        return;
+      }
       
       if (response === undefined || response === null) {
         errors.push(`Missing response for question: ${question.id}`);
@@ -287,6 +491,13 @@ class ScreeningService {
     }
   }
 
+  /**
+   * Follow-up items whose gate question was answered "No" are skipped
+   */
+  isSkipped(question, responses) {
+    return !!question.dependsOn && responses[question.dependsOn] === 0;
+  }
+
   /**
    * Assess validity of responses (detect patterns that might indicate invalid responses)
    */
@@ -321,12 +532,8 @@ class ScreeningService {
   }
 
   getInstructions(toolName) {
-    const instructions = {
-      'PHQ-9': 'Over the last 2 weeks, how often have you been bothered by any of the following problems? Please select the most appropriate response for each item.',
-      'GAD-7': 'Over the last 2 weeks, how often have you been bothered by the following problems? Please select the most appropriate response.',
-      'GHQ-12': 'We would like to know if you have had any medical complaints and how your health has been in general, over the past few weeks. Please answer ALL the questions by selecting the response that you think most nearly applies to you.'
-    };
-    return instructions[toolName] || 'Please answer all questions honestly based on your recent experiences.';
+    const tool = this.registry.getInstrument(toolName);
+    return (tool && tool.instructions) || 'Please answer all questions honestly based on your recent experiences.';
   }
 
   getSeverityLevel(level) {
@@ -334,9 +541,14 @@ class ScreeningService {
       minimal: 'low',
       mild: 'low',
       normal: 'low',
+      low: 'low',
+      negative: 'low',
       moderate: 'medium',
       moderately_severe: 'high',
       severe: 'high',
+      extremely_severe: 'high',
+      high: 'high',
+      positive: 'high',
       distressed: 'medium'
     };
     return severityMap[level] || 'unknown';
@@ -345,7 +557,11 @@ class ScreeningService {
   generateRecommendations(toolName, level, score) {
     const recommendations = [];
 
-    if (level === 'minimal' || level === 'normal') {
+    if (level === 'positive') {
+      recommendations.push('Discuss these results with a counselor experienced in trauma-focused care');
+      recommendations.push('Consider a full PTSD assessment with a mental health professional');
+      recommendations.push('Practice grounding techniques when memories of the event feel overwhelming');
+    } else if (level === 'minimal' || level === 'normal' || level === 'low' || level === 'negative') {
       recommendations.push('Continue with self-care and healthy lifestyle practices');
       recommendations.push('Consider periodic re-assessment if concerns arise');
     } else if (level === 'mild') {
@@ -355,7 +571,7 @@ class ScreeningService {
       recommendations.push('Consider consulting with a mental health professional');
       recommendations.push('Implement coping strategies and self-care practices');
       recommendations.push('Consider additional screening tools for comprehensive assessment');
-    } else if (level === 'moderately_severe' || level === 'severe') {
+    } else if (['moderately_severe', 'severe', 'extremely_severe', 'high'].includes(level)) {
       recommendations.push('Strongly recommend consulting with a mental health professional');
       recommendations.push('Consider immediate professional support');
       recommendations.push('Implement safety planning if applicable');
@@ -365,7 +581,7 @@ class ScreeningService {
   }
 
   generateClinicalNotes(toolName, level, score) {
-    if (level === 'minimal' || level === 'normal' || level === 'mild') {
+    if (['minimal', 'normal', 'mild', 'low', 'negative'].includes(level)) {
       return 'Scores suggest low clinical concern. Monitor for changes.';
     } else if (level === 'moderate') {
       return 'Scores suggest moderate symptoms warranting clinical attention and possible intervention.';
@@ -384,7 +600,7 @@ class ScreeningService {
     }
 
     const followUp = [];
-    if (level === 'moderate' || level === 'moderately_severe' || level === 'severe') {
+    if (level === 'moderate' || HIGH_SEVERITY_LEVELS.includes(level)) {
       followUp.push('Schedule follow-up screening in 2-4 weeks');
       followUp.push('Consider complementary screening tools');
       followUp.push('Monitor symptoms regularly');
@@ -396,7 +612,7 @@ class ScreeningService {
   }
 
   generateNextSteps(toolName, level) {
-    if (level === 'severe' || level === 'moderately_severe') {
+    if (HIGH_SEVERITY_LEVELS.includes(level)) {
       return [
         'Seek professional mental health evaluation',
         'Contact healthcare provider',
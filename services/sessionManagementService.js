@@ -39,11 +39,14 @@ class SessionManagementService {
     // Create session data
     const sessionData = {
       id: sessionId,
+      ownerId: options.ownerId || null, // Account that started the session; null for anonymous chats
       createdAt: new Date(),
       lastActivity: new Date(),
       context: {
         messages: [],
-        metadata: {}
+        metadata: {},
+        summary: null, // Running summary of older messages, encrypted (see setSessionSummary)
+        messageCount: 0 // Sequence number of the last message added
       },
       privacy: {
         dataRetention: options.dataRetention || 'session-only',
@@ -123,6 +126,7 @@ class SessionManagementService {
     if (contextUpdate.message) {
       session.context.messages.push({
         ...contextUpdate.message,
+        seq: ++session.context.messageCount,
         timestamp: new Date(),
         encrypted: session.privacy.encryptionEnabled
       });
@@ -153,9 +157,11 @@ class SessionManagementService {
       return false;
     }
 
-    // Clear conversation history
+    // Clear conversation history (sequence numbers keep counting, so a summary
+    // of the cleared messages that finishes later is discarded)
     session.context.messages = [];
     session.context.metadata = {};
+    session.context.summary = null;
     
     // Update activity timestamp
     session.lastActivity = new Date();
@@ -163,6 +169,72 @@ class SessionManagementService {
     return true;
   }
 
+  /**
+   * Get the running summary of messages that no longer fit in prompts
+   * Summaries are read and written in the background, so this does not count
+   * as session activity.
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} { text, throughSeq, summarizedMessages, prompt, updatedAt } or null if there is none yet
+   */
+  getSessionSummary(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.context || !session.context.summary) {
+      return null;
+    }
+
+    const { encrypted, ...summary } = session.context.summary;
+    return {
+      text: this._decrypt(encrypted),
+      ...summary
+    };
+  }
+
+  /**
+   * Replace the running summary; the text is kept encrypted in the session context
+   * @param {string} sessionId - Session identifier
+   * @param {Object} summary - { text, throughSeq, summarizedMessages, prompt } where
+   *   throughSeq is the sequence number of the last message the summary covers
+   * @returns {boolean} False if the session has gone or those messages were cleared meanwhile
+   */
+  setSessionSummary(sessionId, summary) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.context) {
+      return false;
+    }
+
+    if (!session.context.messages.some(message => message.seq === summary.throughSeq)) {
+      return false;
+    }
+
+    session.context.summary = {
+      encrypted: this._encrypt(summary.text),
+      throughSeq: summary.throughSeq,
+      summarizedMessages: summary.summarizedMessages,
+      prompt: summary.prompt || null,
+      updatedAt: new Date()
+    };
+
+    return true;
+  }
+
+  /**
+   * Messages added after the running summary, leaving out the most recent ones
+   * @param {string} sessionId - Session identifier
+   * @param {number} keepRecent - Number of latest messages that are still sent verbatim
+   * @returns {Array} Messages, oldest first
+   */
+  getUnsummarizedMessages(sessionId, keepRecent) {
+    const session = this.sessions.get(sessionId);
+    if (!session || !session.context) {
+      return [];
+    }
+
+    const throughSeq = session.context.summary ? session.context.summary.throughSeq : 0;
+    return session.context.messages
+      .slice(0, Math.max(session.context.messages.length - keepRecent, 0))
+      .filter(message => message.seq > throughSeq);
+  }
+
   /**
    * Destroy session and clean up all data
    * @param {string} sessionId - Session identifier
@@ -322,7 +394,8 @@ class SessionManagementService {
    */
   _trimSessionContext(session) {
     if (session.context.messages.length > this.config.maxContextSize) {
-      // Keep only the most recent messages
+      // Keep only the most recent messages; older ones have normally been
+      // folded into the running summary long before this point
       const messagesToKeep = this.config.maxContextSize;
       session.context.messages = session.context.messages.slice(-messagesToKeep);
     }
@@ -412,6 +485,11 @@ class SessionManagementService {
       });
     }
 
+    if (session.context && session.context.summary) {
+      const { encrypted } = session.context.summary;
+      encrypted.data = crypto.randomBytes(encrypted.data.length / 2).toString('hex');
+    }
+
     // Clear references
     session.context = null;
     session.security = null;
@@ -459,6 +537,46 @@ class SessionManagementService {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  /**
+   * Encrypt text with AES-256-GCM under the session encryption key
+   * @param {string} text - Plain text
+   * @returns {Object} { iv, tag, data } as hex strings
+   * @private
+   */
+  _encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._getCipherKey(), iv);
+    const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      data: data.toString('hex')
+    };
+  }
+
+  /**
+   * Decrypt text produced by _encrypt
+   * @param {Object} encrypted - { iv, tag, data } as hex strings
+   * @returns {string} Plain text
+   * @private
+   */
+  _decrypt(encrypted) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this._getCipherKey(), Buffer.from(encrypted.iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'hex'));
+
+    return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * 32-byte cipher key derived from the configured encryption key, which may be any string
+   * @returns {Buffer} Cipher key
+   * @private
+   */
+  _getCipherKey() {
+    return crypto.createHash('sha256').update(this.config.encryptionKey).digest();
+  }
+
   /**
    * Get memory usage statistics
    * @returns {Object} Memory usage info
@@ -0,0 +1,175 @@
+/*
+ * AarogyaTech - AI-powered Mental Health Assistant
+ * SSO Service - Campus single sign-on for student accounts
+ *
+ * Copyright (c) 2025 Rajiv Magadum
+ * All rights reserved.
+ *
+ * This software is proprietary and confidential.
+ * Unauthorized copying or distribution is strictly prohibited.
+ *
+ * Author: Rajiv Magadum
+ * Email: rajiv.magadum@gmail.com
+ * Date: 2025
+ */
+
+/*
+ * Every identity provider adapter implements:
+ *   name                                          -> string
+ *   isConfigured()                                -> boolean
+ *   getAuthorizationUrl({ state, nonce, loginHint }) -> Promise<string>
+ *   handleCallback({ code, nonce })               -> Promise<profile>
+ *
+ * where profile is { provider, subject, email, fullName, emailVerified }.
+ * A SAML adapter fits the same shape: the authorization URL carries the
+ * AuthnRequest and handleCallback validates the posted assertion.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const STATE_TTL = 10 * 60 * 1000; // Login attempts expire after 10 minutes
+
+/**
+ * OpenID Connect authorization code flow against a discovery-enabled issuer
+ */
+class OidcProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'oidc';
+    this.issuer = (options.issuer || process.env.SSO_ISSUER || '').replace(/\/$/, '');
+    this.clientId = options.clientId || process.env.SSO_CLIENT_ID;
+    this.clientSecret = options.clientSecret || process.env.SSO_CLIENT_SECRET;
+    this.redirectUri = options.redirectUri || process.env.SSO_REDIRECT_URI;
+    this.scope = options.scope || 'openid email profile';
+    this.timeout = 10000;
+    this.metadata = null;
+  }
+
+  isConfigured() {
+    return !!(this.issuer && this.clientId && this.clientSecret && this.redirectUri);
+  }
+
+  async discover() {
+    if (!this.metadata) {
+      const response = await axios.get(`${this.issuer}/.well-known/openid-configuration`, { timeout: this.timeout });
+      this.metadata = response.data;
+    }
+    return this.metadata;
+  }
+
+  async getAuthorizationUrl({ state, nonce, loginHint }) {
+    const { authorization_endpoint: endpoint } = await this.discover();
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scope,
+      state,
+      nonce
+    });
+    if (loginHint) {
+      params.set('login_hint', loginHint);
+    }
+
+    return `${endpoint}?${params}`;
+  }
+
+  async handleCallback({ code, nonce }) {
+    const { token_endpoint: tokenEndpoint } = await this.discover();
+    const response = await axios.post(tokenEndpoint, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      client_secret: this.clientSecret
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: this.timeout
+    });
+
+    const claims = await this.verifyIdToken(response.data.id_token);
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    return {
+      provider: this.name,
+      subject: claims.sub,
+      email: claims.email,
+      fullName: claims.name,
+      emailVerified: claims.email_verified === true
+    };
+  }
+
+  // Check the ID token signature against the issuer's published keys
+  async verifyIdToken(idToken) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('Identity provider returned no valid ID token');
+    }
+
+    const { jwks_uri: jwksUri } = await this.discover();
+    const { data } = await axios.get(jwksUri, { timeout: this.timeout });
+    const jwk = data.keys.find(key => key.kid === decoded.header.kid);
+    if (!jwk) {
+      throw new Error('ID token signing key not found');
+    }
+
+    return jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: ['RS256'],
+      issuer: this.issuer,
+      audience: this.clientId
+    });
+  }
+}
+
+class SsoService {
+  /**
+   * @param {Object} options - { provider }
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || new OidcProvider();
+    this.pendingLogins = new Map(); // state -> { nonce, createdAt }
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  // Begin a login; state ties the callback to this attempt and nonce to its ID token
+  async startLogin({ loginHint } = {}) {
+    this.cleanupPendingLogins();
+
+    const state = crypto.randomBytes(16).toString('hex');
+    const nonce = crypto.randomBytes(16).toString('hex');
+    this.pendingLogins.set(state, { nonce, createdAt: Date.now() });
+
+    return this.provider.getAuthorizationUrl({ state, nonce, loginHint });
+  }
+
+  async completeLogin({ code, state }) {
+    const pending = this.pendingLogins.get(state);
+    this.pendingLogins.delete(state);
+
+    if (!code || !pending || Date.now() - pending.createdAt > STATE_TTL) {
+      throw new Error('Invalid or expired SSO login');
+    }
+
+    return this.provider.handleCallback({ code, nonce: pending.nonce });
+  }
+
+  cleanupPendingLogins() {
+    const cutoff = Date.now() - STATE_TTL;
+    for (const [state, pending] of this.pendingLogins.entries()) {
+      if (pending.createdAt < cutoff) {
+        this.pendingLogins.delete(state);
+      }
+    }
+  }
+}
+
+module.exports = {
+  SsoService,
+  OidcProvider
+};
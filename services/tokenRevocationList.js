@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const RevokedSession = require('../models/revokedSession');
+
+let defaultList = null;
+
+// Sessions whose access tokens are refused even though the JWT itself is still valid.
+// Consulted on every authenticated request, so lookups stay in memory.
+class TokenRevocationList {
+  // Shared instance, so every AuthMiddleware sees revocations made by the user service
+  static getDefault() {
+    if (!defaultList) {
+      defaultList = new TokenRevocationList();
+    }
+    return defaultList;
+  }
+
+  constructor() {
+    this.revokedSessions = new Map(); // sessionId -> expiresAt
+
+    if (this.isDatabaseConnected()) {
+      this.loadInBackground();
+    } else {
+      mongoose.connection.once('connected', () => this.loadInBackground());
+    }
+  }
+
+  isDatabaseConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  loadInBackground() {
+    this.load().catch(error => {
+      console.error('Failed to load revoked sessions:', error);
+    });
+  }
+
+  async load() {
+    const stored = await RevokedSession.find({ expiresAt: { $gt: new Date() } }).lean();
+    for (const { sessionId, expiresAt } of stored) {
+      this.revokedSessions.set(sessionId, new Date(expiresAt));
+    }
+  }
+
+  /**
+   * Refuse every access token issued for a session
+   * @param {string} sessionId
+   * @param {number} ttl - How long tokens for the session can still be valid, in ms
+   * @param {string} reason
+   */
+  revokeSession(sessionId, ttl, reason) {
+    if (!sessionId) return;
+
+    const expiresAt = new Date(Date.now() + ttl);
+    this.revokedSessions.set(sessionId, expiresAt);
+
+    if (this.isDatabaseConnected()) {
+      RevokedSession.findOneAndUpdate(
+        { sessionId },
+        { sessionId, reason, revokedAt: new Date(), expiresAt },
+        { upsert: true }
+      ).catch(error => {
+        console.error('Failed to persist revoked session:', error);
+      });
+    }
+  }
+
+  // payload is a decoded access token
+  isRevoked(payload) {
+    const expiresAt = payload && this.revokedSessions.get(payload.sessionId);
+    if (!expiresAt) {
+      return false;
+    }
+
+    if (expiresAt <= new Date()) {
+      this.revokedSessions.delete(payload.sessionId);
+      return false;
+    }
+    return true;
+  }
+
+  cleanup() {
+    const now = new Date();
+    for (const [sessionId, expiresAt] of this.revokedSessions.entries()) {
+      if (expiresAt <= now) {
+        this.revokedSessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+module.exports = TokenRevocationList;
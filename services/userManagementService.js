@@ -1,129 +1,754 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const AuthMiddleware = require('../middleware/authMiddleware');
+const User = require('../models/user');
+const UserSession = require('../models/userSession');
+const TotpService = require('./totpService');
+const LoginSecurityService = require('./loginSecurityService');
+const { createTransports } = require('./notificationTransports');
 
-class UserManagementService {
-  constructor() {
+const VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const MFA_CHALLENGE_TTL = 5 * 60 * 1000; // Second login step must follow within 5 minutes
+const MFA_MAX_ATTEMPTS = 5;
+const MFA_ROLES = ['admin', 'counselor'];
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 12 * 60 * 60 * 1000; // Log in again after 12 hours
+
+let defaultService = null;
+
+// Emits 'session-ended' ({ sessionId, username, reason }) when a session is logged out,
+// expires, is force-logged-out, replays a refresh token or belongs to a deleted user,
+// and 'login-anomaly' ({ type, severity, message, ... }) for lockouts and credential stuffing
+class UserManagementService extends EventEmitter {
+  // Shared instance, so HTTP routes and the monitoring socket see the same sessions
+  static getDefault() {
+    if (!defaultService) {
+      defaultService = new UserManagementService();
+    }
+    return defaultService;
+  }
+
+  /**
+   * @param {Object} options - { emailTransport, studentEmailDomains, totpService, loginSecurity }
+   */
+  constructor(options = {}) {
+    super();
     this.authMiddleware = new AuthMiddleware();
-    this.users = new Map(); // In-memory storage for demo - replace with database in production
+    this.totpService = options.totpService || new TotpService();
+    this.loginSecurity = options.loginSecurity || new LoginSecurityService();
+    this.loginSecurity.on('anomaly', anomaly => this.emit('login-anomaly', anomaly));
+    this.mfaChallenges = new Map(); // hash of mfaToken -> { username, expiresAt, attempts }
+    this.emailTransport = options.emailTransport || createTransports().email;
+    // Student self-registration and SSO are limited to campus email domains
+    this.studentEmailDomains = (options.studentEmailDomains || process.env.STUDENT_EMAIL_DOMAINS || '')
+      .split(',')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean);
+    // In-memory cache; MongoDB is the source of truth whenever it is connected
+    this.users = new Map();
     this.sessions = new Map(); // Active sessions
+    this.demoUsernames = new Set();
+    this.bootstrapUsername = null;
+    this.syncPromise = null;
+    this.sessionPersistInterval = 60000; // Throttle lastActivity writes to once a minute
     this.initialized = false;
-    this.initializeDefaultAdmin();
+    this.initialize();
   }
 
-  // Initialize default admin user
-  async initializeDefaultAdmin() {
+  // Load stored users and make sure an admin can log in
+  async initialize() {
     try {
-      const defaultAdmin = {
+      if (this.shouldSeedDemoUsers()) {
+        await this.seedDemoUsers();
+      }
+
+      if (this.isDatabaseConnected()) {
+        this.syncPromise = this.syncWithDatabase();
+        await this.syncPromise;
+      } else {
+        // Routes are constructed before server.js connects to MongoDB
+        mongoose.connection.once('connected', () => {
+          this.syncPromise = this.syncWithDatabase().catch(error => {
+            console.error('Failed to load users from database:', error);
+          });
+        });
+      }
+
+      await this.bootstrapFirstAdmin();
+      this.initialized = true;
+    } catch (error) {
+      console.error('Failed to initialize user store:', error);
+      this.initialized = false;
+    }
+  }
+
+  // Demo accounts are only for tests and local demos, never production
+  shouldSeedDemoUsers() {
+    return process.env.NODE_ENV === 'test' || process.env.SEED_DEMO_USERS === 'true';
+  }
+
+  async seedDemoUsers() {
+    const demoUsers = [
+      {
         id: 'admin-001',
         username: 'admin',
         email: 'admin@mindcare.edu',
         fullName: 'System Administrator',
         role: 'admin',
-        password: await this.authMiddleware.hashPassword('admin123!'),
-        createdAt: new Date(),
-        isActive: true,
-        lastLogin: null
-      };
-
-      this.users.set('admin', defaultAdmin);
-
-      // Create a default counselor for testing
-      const defaultCounselor = {
+        password: 'admin123!'
+      },
+      {
         id: 'counselor-001',
         username: 'counselor',
         email: 'counselor@mindcare.edu',
         fullName: 'Mental Health Counselor',
         role: 'counselor',
-        password: await this.authMiddleware.hashPassword('counselor123!'),
+        password: 'counselor123!'
+      }
+    ];
+
+    for (const demoUser of demoUsers) {
+      this.users.set(demoUser.username, {
+        ...demoUser,
+        password: await this.authMiddleware.hashPassword(demoUser.password),
         createdAt: new Date(),
         isActive: true,
         lastLogin: null
-      };
+      });
+      this.demoUsernames.add(demoUser.username);
+    }
+  }
 
-      this.users.set('counselor', defaultCounselor);
-      this.initialized = true;
-    } catch (error) {
-      console.error('Failed to initialize default users:', error);
-      this.initialized = false;
+  // Create the first admin from BOOTSTRAP_ADMIN_* when no admin exists yet
+  async bootstrapFirstAdmin() {
+    if (this.hasActiveAdmin()) {
+      return null;
     }
+
+    const {
+      BOOTSTRAP_ADMIN_USERNAME: username,
+      BOOTSTRAP_ADMIN_EMAIL: email,
+      BOOTSTRAP_ADMIN_PASSWORD: password,
+      BOOTSTRAP_ADMIN_FULL_NAME: fullName
+    } = process.env;
+
+    if (!username || !email || !password) {
+      console.warn('No admin account exists. Set BOOTSTRAP_ADMIN_USERNAME, BOOTSTRAP_ADMIN_EMAIL and BOOTSTRAP_ADMIN_PASSWORD, or run `npm run create-admin`.');
+      return null;
+    }
+
+    const admin = await this.createUser({
+      username,
+      email,
+      password,
+      fullName: fullName || 'System Administrator',
+      role: 'admin'
+    });
+
+    this.bootstrapUsername = admin.username;
+    console.log(`Created first admin account '${admin.username}' from environment`);
+    return admin;
+  }
+
+  // Replace the cache with stored users and sessions, then persist anything
+  // that was created before the connection was ready
+  async syncWithDatabase() {
+    const [storedUsers, storedSessions] = await Promise.all([
+      User.find().lean(),
+      UserSession.find({ isActive: true }).lean()
+    ]);
+
+    const storedUsernames = new Set(storedUsers.map(user => user.username));
+    const hasStoredAdmin = storedUsers.some(user => user.role === 'admin' && user.isActive);
+
+    for (const user of Array.from(this.users.values())) {
+      if (storedUsernames.has(user.username) || this.demoUsernames.has(user.username)) {
+        continue;
+      }
+
+      // An env bootstrap admin is only needed when the database has none
+      if (user.username === this.bootstrapUsername && hasStoredAdmin) {
+        this.users.delete(user.username);
+        continue;
+      }
+
+      await this.persistUser(user);
+    }
+
+    for (const { _id, __v, ...user } of storedUsers) {
+      this.users.set(user.username, user);
+    }
+
+    for (const { _id, __v, sessionId, ...session } of storedSessions) {
+      session.lastPersistedActivity = session.lastActivity;
+      this.sessions.set(sessionId, session);
+    }
+
+    await this.bootstrapFirstAdmin();
+  }
+
+  isDatabaseConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  hasActiveAdmin() {
+    return this.countActiveAdmins() > 0;
+  }
+
+  countActiveAdmins() {
+    return Array.from(this.users.values()).filter(user => user.role === 'admin' && user.isActive).length;
+  }
+
+  async persistUser(user) {
+    if (!this.isDatabaseConnected()) return;
+
+    await User.findOneAndUpdate({ id: user.id }, user, { upsert: true, setDefaultsOnInsert: true });
+  }
+
+  async persistSession(sessionId, session) {
+    if (!this.isDatabaseConnected()) return;
+
+    const { lastPersistedActivity, ...sessionData } = session;
+    await UserSession.findOneAndUpdate({ sessionId }, { sessionId, ...sessionData }, { upsert: true });
+  }
+
+  // Fire-and-forget write for the synchronous session and delete methods
+  persistInBackground(operation, description) {
+    if (!this.isDatabaseConnected()) return;
+
+    operation().catch(error => {
+      console.error(`Failed to ${description}:`, error);
+    });
   }
 
   // Wait for initialization to complete
   async waitForInitialization() {
-    if (this.initialized) return;
-    
-    // Wait for initialization with timeout
-    const timeout = 5000; // 5 seconds
-    const start = Date.now();
-    
-    while (!this.initialized && (Date.now() - start) < timeout) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-    
     if (!this.initialized) {
-      throw new Error('UserManagementService initialization timeout');
+      // Wait for initialization with timeout
+      const timeout = 5000; // 5 seconds
+      const start = Date.now();
+      
+      while (!this.initialized && (Date.now() - start) < timeout) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      
+      if (!this.initialized) {
+        throw new Error('UserManagementService initialization timeout');
+      }
+    }
+
+    if (this.syncPromise) {
+      await this.syncPromise;
     }
   }
 
-  // Authenticate user
-  async authenticateUser(username, password) {
+  /**
+   * Authenticate user
+   * @param {string} username
+   * @param {string} password
+   * @param {Object} context - { ip, userAgent } of the request, for lockouts and login history
+   */
+  async authenticateUser(username, password, context = {}) {
+    const user = this.users.get(username);
+    let outcome = 'invalid_password';
+
     try {
-      const user = this.users.get(username);
-      
+      const lockout = this.loginSecurity.getLockout(username, context.ip);
+      if (lockout) {
+        outcome = 'locked';
+        const error = new Error(`Too many failed attempts. Try again in ${Math.ceil(lockout.retryAfter / 60)} minute(s)`);
+        error.retryAfter = lockout.retryAfter;
+        throw error;
+      }
+
       if (!user || !user.isActive) {
+        outcome = user ? 'disabled' : 'unknown_user';
         throw new Error('Invalid credentials or account disabled');
       }
 
+      // SSO-only accounts have no password to check
+      if (!user.password) {
+        throw new Error('Invalid credentials');
+      }
+
       const isValidPassword = await this.authMiddleware.comparePassword(password, user.password);
       
       if (!isValidPassword) {
         throw new Error('Invalid credentials');
       }
 
-      // Generate session
-      const sessionId = this.authMiddleware.generateSessionId();
-      const sessionData = {
-        userId: user.id,
-        username: user.username,
-        role: user.role,
-        loginTime: new Date(),
-        lastActivity: new Date(),
-        isActive: true
-      };
+      // Accounts from before verification existed have no flag and count as verified
+      if (user.emailVerified === false) {
+        outcome = 'unverified';
+        throw new Error('Email address not verified');
+      }
+
+      // Staff with MFA, or told by an admin to enrol, finish logging in with a code
+      if (user.mfa?.enabled || (user.mfaRequired && MFA_ROLES.includes(user.role))) {
+        outcome = 'mfa_challenge';
+        return this.createMfaChallenge(user);
+      }
+
+      outcome = 'success';
+      return await this.createSession(user);
+    } catch (error) {
+      error.message = `Authentication failed: ${error.message}`;
+      throw error;
+    } finally {
+      this.loginSecurity.recordAttempt({ username, userId: user?.id, outcome, ...context });
+    }
+  }
 
-      this.sessions.set(sessionId, sessionData);
+  // Admin unlock for an account locked out by failed logins
+  unlockAccount(username) {
+    if (!this.users.has(username)) {
+      throw new Error('User not found');
+    }
+    this.loginSecurity.unlockAccount(username);
+    return this.loginSecurity.getAccountStatus(username);
+  }
+
+  async getLoginHistory(username, options) {
+    if (!this.users.has(username)) {
+      throw new Error('User not found');
+    }
+    return this.loginSecurity.getLoginHistory(username, options);
+  }
+
+  // Start a login session for an authenticated user and issue its access and refresh tokens
+  async createSession(user) {
+    const sessionId = this.authMiddleware.generateSessionId();
+    const sessionData = {
+      userId: user.id,
+      username: user.username,
+      role: user.role,
+      loginTime: new Date(),
+      lastActivity: new Date(),
+      refreshExpiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+      isActive: true
+    };
+    const refreshToken = this.issueRefreshToken(sessionId, sessionData);
+
+    this.sessions.set(sessionId, sessionData);
 
-      // Update last login
-      user.lastLogin = new Date();
+    // Update last login
+    user.lastLogin = new Date();
 
-      // Generate JWT token
-      const tokenUser = {
+    await this.persistUser(user);
+    await this.persistSession(sessionId, sessionData);
+
+    return {
+      token: this.generateAccessToken(user, sessionId),
+      refreshToken,
+      expiresIn: Math.floor(this.authMiddleware.ACCESS_TOKEN_TTL / 1000),
+      user: {
         id: user.id,
         username: user.username,
+        email: user.email,
+        fullName: user.fullName,
         role: user.role,
-        sessionId: sessionId
-      };
+        permissions: this.authMiddleware.getPermissions(user.role),
+        lastLogin: user.lastLogin
+      },
+      sessionId
+    };
+  }
 
-      const token = this.authMiddleware.generateToken(tokenUser);
-
-      return {
-        token,
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          fullName: user.fullName,
-          role: user.role,
-          lastLogin: user.lastLogin
-        },
-        sessionId
-      };
+  generateAccessToken(user, sessionId) {
+    return this.authMiddleware.generateToken({
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      email: user.email,
+      sessionId
+    });
+  }
+
+  // Refresh tokens are "<sessionId>.<secret>"; only the hash of the latest secret is kept
+  issueRefreshToken(sessionId, session) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    session.refreshTokenHash = this.hashToken(secret);
+    return `${sessionId}.${secret}`;
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a new refresh token.
+   * Presenting a refresh token that was already rotated means it was copied,
+   * so the whole session is ended.
+   * @param {string} refreshToken
+   */
+  async refreshSession(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    const session = this.sessions.get(sessionId);
+
+    if (!session || !secret || !session.refreshTokenHash) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const presented = Buffer.from(this.hashToken(secret), 'hex');
+    if (!crypto.timingSafeEqual(presented, Buffer.from(session.refreshTokenHash, 'hex'))) {
+      this.revokeSession(sessionId, 'refresh_token_reuse');
+      throw new Error('Refresh token reuse detected');
+    }
+
+    if (new Date(session.refreshExpiresAt) <= new Date()) {
+      this.revokeSession(sessionId, 'expired');
+      throw new Error('Refresh token expired');
+    }
+
+    if (!this.validateSession(sessionId)) {
+      throw new Error('Session expired or invalid');
+    }
+
+    const user = this.users.get(session.username);
+    if (!user || !user.isActive) {
+      this.revokeSession(sessionId, 'account_disabled');
+      throw new Error('Account disabled');
+    }
+
+    const nextRefreshToken = this.issueRefreshToken(sessionId, session);
+    await this.persistSession(sessionId, session);
+
+    return {
+      token: this.generateAccessToken(user, sessionId),
+      refreshToken: nextRefreshToken,
+      expiresIn: Math.floor(this.authMiddleware.ACCESS_TOKEN_TTL / 1000)
+    };
+  }
+
+  // Password checked; hand out a short-lived token for the second step instead of a session
+  createMfaChallenge(user) {
+    const now = Date.now();
+    for (const [tokenHash, challenge] of this.mfaChallenges.entries()) {
+      if (challenge.expiresAt <= now) {
+        this.mfaChallenges.delete(tokenHash);
+      }
+    }
+
+    const mfaToken = crypto.randomBytes(32).toString('hex');
+    this.mfaChallenges.set(this.hashToken(mfaToken), {
+      username: user.username,
+      expiresAt: now + MFA_CHALLENGE_TTL,
+      attempts: 0
+    });
+
+    return {
+      mfaRequired: true,
+      enrollmentRequired: !user.mfa?.enabled,
+      mfaToken
+    };
+  }
+
+  getMfaChallenge(mfaToken) {
+    const tokenHash = this.hashToken(String(mfaToken || ''));
+    const challenge = this.mfaChallenges.get(tokenHash);
+    const user = challenge && this.users.get(challenge.username);
+
+    if (!challenge || challenge.expiresAt <= Date.now() || !user || !user.isActive) {
+      this.mfaChallenges.delete(tokenHash);
+      throw new Error('Invalid or expired MFA challenge');
+    }
+    return { tokenHash, challenge, user };
+  }
+
+  // Enrolment for users an admin required to use MFA, before they have a session
+  async startMfaEnrollmentForChallenge(mfaToken) {
+    const { user } = this.getMfaChallenge(mfaToken);
+    if (user.mfa?.enabled) {
+      throw new Error('MFA is already enabled');
+    }
+    return this.startMfaEnrollment(user.username);
+  }
+
+  /**
+   * Second login step: a code from the authenticator app or an unused recovery code.
+   * Users still enrolling confirm their new authenticator with the same call.
+   * @param {string} mfaToken - From the password step
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @param {Object} context - { ip, userAgent } of the request, for lockouts and login history
+   */
+  async completeMfaLogin(mfaToken, { code, recoveryCode } = {}, context = {}) {
+    const { tokenHash, challenge, user } = this.getMfaChallenge(mfaToken);
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockout = this.loginSecurity.getLockout(user.username, context.ip);
+    if (lockout) {
+      this.loginSecurity.recordAttempt({ username: user.username, userId: user.id, outcome: 'locked', ...context });
+      const error = new Error(`Too many failed attempts. Try again in ${Math.ceil(lockout.retryAfter / 60)} minute(s)`);
+      error.retryAfter = lockout.retryAfter;
+      throw error;
+    }
+
+    let recoveryCodes;
+    try {
+      if (user.mfa?.enabled) {
+        if (!this.verifySecondFactor(user, { code, recoveryCode })) {
+          throw new Error('Invalid verification code');
+        }
+        await this.persistUser(user);
+      } else {
+        ({ recoveryCodes } = await this.confirmMfaEnrollment(user.username, code));
+      }
     } catch (error) {
-      throw new Error(`Authentication failed: ${error.message}`);
+      challenge.attempts++;
+      if (challenge.attempts >= MFA_MAX_ATTEMPTS) {
+        this.mfaChallenges.delete(tokenHash);
+      }
+      this.loginSecurity.recordAttempt({ username: user.username, userId: user.id, outcome: 'invalid_mfa_code', ...context });
+      throw error;
+    }
+
+    this.mfaChallenges.delete(tokenHash);
+    this.loginSecurity.recordAttempt({ username: user.username, userId: user.id, outcome: 'success', ...context });
+    const session = await this.createSession(user);
+    return recoveryCodes ? { ...session, recoveryCodes } : session;
+  }
+
+  // Check a TOTP code (each time step only once) or spend a recovery code
+  verifySecondFactor(user, { code, recoveryCode }) {
+    if (recoveryCode) {
+      const index = user.mfa.recoveryCodes.indexOf(this.hashToken(String(recoveryCode).trim().toLowerCase()));
+      if (index === -1) {
+        return false;
+      }
+      user.mfa.recoveryCodes.splice(index, 1);
+      return true;
+    }
+
+    const step = this.totpService.verifyCode(user.mfa.secret, code);
+    if (step === null || step <= (user.mfa.lastUsedStep ?? -1)) {
+      return false;
+    }
+    user.mfa.lastUsedStep = step;
+    return true;
+  }
+
+  // Generate a secret for the authenticator app; MFA stays off until a code confirms it
+  async startMfaEnrollment(username) {
+    const user = this.users.get(username);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (!MFA_ROLES.includes(user.role)) {
+      throw new Error('MFA is only available for admin and counselor accounts');
+    }
+    if (user.mfa?.enabled) {
+      throw new Error('MFA is already enabled');
+    }
+
+    const secret = this.totpService.generateSecret();
+    user.mfa = { ...user.mfa, enabled: false, pendingSecret: secret };
+    await this.persistUser(user);
+
+    return {
+      secret,
+      otpauthUri: this.totpService.getProvisioningUri(secret, user.username)
+    };
+  }
+
+  // Turn MFA on once the authenticator produces a valid code; returns the recovery codes once
+  async confirmMfaEnrollment(username, code) {
+    const user = this.users.get(username);
+    if (!user?.mfa?.pendingSecret) {
+      throw new Error('Start MFA setup first');
+    }
+
+    const step = this.totpService.verifyCode(user.mfa.pendingSecret, code);
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this.totpService.generateRecoveryCodes();
+    user.mfa = {
+      enabled: true,
+      secret: user.mfa.pendingSecret,
+      recoveryCodes: recoveryCodes.map(recoveryCode => this.hashToken(recoveryCode)),
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await this.persistUser(user);
+
+    return { recoveryCodes };
+  }
+
+  async regenerateRecoveryCodes(username, code) {
+    const user = this.users.get(username);
+    if (!user?.mfa?.enabled) {
+      throw new Error('MFA is not enabled');
+    }
+    if (!this.verifySecondFactor(user, { code })) {
+      throw new Error('Invalid verification code');
+    }
+
+    const recoveryCodes = this.totpService.generateRecoveryCodes();
+    user.mfa.recoveryCodes = recoveryCodes.map(recoveryCode => this.hashToken(recoveryCode));
+    await this.persistUser(user);
+
+    return { recoveryCodes };
+  }
+
+  // Users turn MFA off themselves with their password and a current code
+  async disableMfa(username, password, code) {
+    const user = this.users.get(username);
+    if (!user?.mfa?.enabled) {
+      throw new Error('MFA is not enabled');
+    }
+    if (user.mfaRequired) {
+      throw new Error('An admin requires MFA for this account');
+    }
+    if (!user.password || !await this.authMiddleware.comparePassword(password || '', user.password)) {
+      throw new Error('Password is incorrect');
+    }
+    if (!this.verifySecondFactor(user, { code })) {
+      throw new Error('Invalid verification code');
+    }
+
+    user.mfa = { enabled: false };
+    await this.persistUser(user);
+    return true;
+  }
+
+  // Admin reset for a lost authenticator; the user enrols again if MFA is required
+  async resetMfa(username) {
+    const user = this.users.get(username);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    user.mfa = { enabled: false };
+    await this.persistUser(user);
+    return this.getUserByUsername(username);
+  }
+
+  getMfaStatus(username) {
+    const user = this.users.get(username);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      enabled: !!user.mfa?.enabled,
+      required: !!user.mfaRequired,
+      recoveryCodesRemaining: user.mfa?.enabled ? user.mfa.recoveryCodes.length : 0
+    };
+  }
+
+  isAllowedStudentEmail(email) {
+    const domain = String(email || '').toLowerCase().split('@')[1];
+    return !!domain && this.studentEmailDomains.includes(domain);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Self-registration for students; the account can log in once the emailed link is opened
+  async registerStudent({ email, password, fullName }) {
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+
+    if (!this.isAllowedStudentEmail(normalizedEmail)) {
+      throw new Error('Registration requires a campus email address');
+    }
+
+    const student = await this.createUser({
+      username: normalizedEmail,
+      email: normalizedEmail,
+      password,
+      fullName,
+      role: 'student'
+    }, { emailVerified: false });
+
+    await this.sendVerificationEmail(student.username);
+    return this.getUserByUsername(student.username);
+  }
+
+  async sendVerificationEmail(username) {
+    const user = this.users.get(username);
+    const token = crypto.randomBytes(32).toString('hex');
+
+    user.emailVerification = {
+      tokenHash: this.hashToken(token),
+      expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL)
+    };
+    await this.persistUser(user);
+
+    const baseUrl = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    await this.emailTransport.send({
+      to: user.email,
+      subject: 'Verify your AarogyaTech account',
+      text: `Hi ${user.fullName},\n\nOpen this link within 24 hours to verify your email and activate your account:\n${baseUrl}/?verify_email=${token}`
+    });
+  }
+
+  async verifyEmail(token) {
+    const tokenHash = this.hashToken(String(token || ''));
+    const user = Array.from(this.users.values()).find(candidate =>
+      candidate.emailVerification?.tokenHash === tokenHash
+    );
+
+    if (!user || new Date(user.emailVerification.expiresAt) < new Date()) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    user.emailVerified = true;
+    user.emailVerification = null;
+    await this.persistUser(user);
+
+    return this.getUserByUsername(user.username);
+  }
+
+  /**
+   * Log in a student whose identity was asserted by the campus identity provider.
+   * Creates the account on first login and links it to an existing registration by email.
+   * @param {Object} profile - { provider, subject, email, fullName, emailVerified }
+   */
+  async loginWithSso(profile) {
+    const email = String(profile.email || '').trim().toLowerCase();
+
+    if (!profile.subject || !email || !profile.emailVerified) {
+      throw new Error('Identity provider did not return a verified email');
+    }
+    if (!this.isAllowedStudentEmail(email)) {
+      throw new Error('Email domain is not allowed for student login');
+    }
+
+    let user = Array.from(this.users.values()).find(candidate =>
+      candidate.ssoProvider === profile.provider && candidate.ssoSubject === profile.subject
+    ) || this.users.get(email);
+
+    if (user && user.role !== 'student') {
+      throw new Error('Single sign-on is only available for student accounts');
     }
+    if (user && !user.isActive) {
+      throw new Error('Account disabled');
+    }
+
+    if (!user) {
+      user = {
+        id: `student-${Date.now()}`,
+        username: email,
+        email,
+        fullName: profile.fullName || email.split('@')[0],
+        role: 'student',
+        password: null,
+        createdAt: new Date(),
+        isActive: true,
+        lastLogin: null
+      };
+      this.users.set(email, user);
+    }
+
+    // The identity provider has verified the address
+    user.emailVerified = true;
+    user.emailVerification = null;
+    user.ssoProvider = profile.provider;
+    user.ssoSubject = profile.subject;
+
+    return this.createSession(user);
   }
 
-  // Create new user (admin only)
-  async createUser(userData) {
+  // Create new user (admin only); students who register themselves start unverified
+  async createUser(userData, { emailVerified = true } = {}) {
     try {
       // Validate input
       const validationErrors = this.authMiddleware.validateUserInput(userData, true);
@@ -153,11 +778,13 @@ class UserManagementService {
         fullName: userData.fullName,
         role: userData.role,
         password: hashedPassword,
+        emailVerified,
         createdAt: new Date(),
         isActive: true,
         lastLogin: null
       };
 
+      await this.persistUser(newUser);
       this.users.set(userData.username, newUser);
 
       // Return user without password
@@ -168,12 +795,18 @@ class UserManagementService {
     }
   }
 
+  // Strip secrets before a user leaves the service
+  toPublicUser(user) {
+    const { password, emailVerification, mfa, ...publicUser } = user;
+    return { ...publicUser, mfaEnabled: !!mfa?.enabled };
+  }
+
   // Get all users (admin only)
   getAllUsers() {
-    return Array.from(this.users.values()).map(user => {
-      const { password, ...userWithoutPassword } = user;
-      return userWithoutPassword;
-    });
+    return Array.from(this.users.values()).map(user => ({
+      ...this.toPublicUser(user),
+      locked: this.loginSecurity.getAccountStatus(user.username).locked
+    }));
   }
 
   // Get user by username
@@ -182,8 +815,7 @@ class UserManagementService {
     if (!user) {
       return null;
     }
-    const { password, ...userWithoutPassword } = user;
-    return userWithoutPassword;
+    return this.toPublicUser(user);
   }
 
   // Update user (admin only)
@@ -195,7 +827,7 @@ class UserManagementService {
       }
 
       // Validate update data
-      const allowedFields = ['email', 'fullName', 'role', 'isActive'];
+      const allowedFields = ['email', 'fullName', 'role', 'isActive', 'mfaRequired'];
       const updates = {};
 
       for (const [key, value] of Object.entries(updateData)) {
@@ -204,12 +836,32 @@ class UserManagementService {
         }
       }
 
+      // Never leave the system without an active admin
+      const losesAdmin = user.role === 'admin' && (
+        (updates.role && updates.role !== 'admin') || updates.isActive === false
+      );
+      if (losesAdmin && this.countActiveAdmins() <= 1) {
+        throw new Error('Cannot demote or disable the last active admin');
+      }
+
       // Update user
-      Object.assign(user, updates);
-      this.users.set(username, user);
+      const updatedUser = { ...user, ...updates };
+      await this.persistUser(updatedUser);
+      this.users.set(username, updatedUser);
 
-      const { password, ...userWithoutPassword } = user;
-      return userWithoutPassword;
+      // Tokens carry the role and active flag, so a disabled or re-roled account signs in again
+      const disabled = updates.isActive === false && user.isActive !== false;
+      const roleChanged = updates.role !== undefined && updates.role !== user.role;
+      if (disabled || roleChanged) {
+        for (const [sessionId, session] of this.sessions.entries()) {
+          if (session.username === username) {
+            this.endSession(sessionId, disabled ? 'user_disabled' : 'role_changed');
+          }
+        }
+        this.persistInBackground(() => UserSession.deleteMany({ username }), `end sessions for ${username}`);
+      }
+
+      return this.toPublicUser(updatedUser);
     } catch (error) {
       throw new Error(`User update failed: ${error.message}`);
     }
@@ -217,22 +869,29 @@ class UserManagementService {
 
   // Delete user (admin only)
   deleteUser(username) {
-    if (username === 'admin') {
-      throw new Error('Cannot delete default admin user');
+    const user = this.users.get(username);
+    if (!user) {
+      throw new Error('User not found');
     }
 
-    const deleted = this.users.delete(username);
-    if (!deleted) {
-      throw new Error('User not found');
+    if (user.role === 'admin' && user.isActive && this.countActiveAdmins() <= 1) {
+      throw new Error('Cannot delete the last active admin');
     }
 
+    this.users.delete(username);
+
     // Clean up any active sessions for this user
     for (const [sessionId, session] of this.sessions.entries()) {
       if (session.username === username) {
-        this.sessions.delete(sessionId);
+        this.endSession(sessionId, 'user_deleted');
       }
     }
 
+    this.persistInBackground(async () => {
+      await User.deleteOne({ username });
+      await UserSession.deleteMany({ username });
+    }, `delete user ${username}`);
+
     return true;
   }
 
@@ -257,6 +916,7 @@ class UserManagementService {
 
       // Hash and update password
       user.password = await this.authMiddleware.hashPassword(newPassword);
+      await this.persistUser(user);
       this.users.set(username, user);
 
       return true;
@@ -265,17 +925,54 @@ class UserManagementService {
     }
   }
 
+  // Drop a session from the cache and tell listeners (e.g. open monitoring sockets)
+  endSession(sessionId, reason) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    session.isActive = false;
+    this.sessions.delete(sessionId);
+    // Access tokens already handed out for the session stop working immediately
+    this.authMiddleware.revokeSession(sessionId, reason);
+    this.emit('session-ended', { sessionId, username: session.username, reason });
+  }
+
+  // End a session and remove its stored copy
+  revokeSession(sessionId, reason) {
+    this.endSession(sessionId, reason);
+    this.persistInBackground(() => UserSession.deleteOne({ sessionId }), 'delete session');
+  }
+
   // Logout user
   logout(sessionId) {
     const session = this.sessions.get(sessionId);
     if (session) {
-      session.isActive = false;
-      this.sessions.delete(sessionId);
+      this.revokeSession(sessionId, 'logout');
       return true;
     }
     return false;
   }
 
+  // Log a user out everywhere (admin only); returns the number of sessions ended
+  forceLogout(username) {
+    if (!this.users.has(username)) {
+      throw new Error('User not found');
+    }
+
+    let endedSessions = 0;
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (session.username === username) {
+        this.endSession(sessionId, 'forced_logout');
+        endedSessions++;
+      }
+    }
+
+    this.persistInBackground(() => UserSession.deleteMany({ username }), `end sessions for ${username}`);
+    return endedSessions;
+  }
+
   // Get active sessions
   getActiveSessions() {
     return Array.from(this.sessions.entries()).map(([sessionId, session]) => ({
@@ -288,8 +985,8 @@ class UserManagementService {
     }));
   }
 
-  // Validate session
-  validateSession(sessionId) {
+  // Validate session; touch: false checks it without extending its lifetime
+  validateSession(sessionId, { touch = true } = {}) {
     const session = this.sessions.get(sessionId);
     if (!session || !session.isActive) {
       return false;
@@ -301,13 +998,23 @@ class UserManagementService {
     const timeout = parseInt(process.env.ADMIN_SESSION_TIMEOUT) || 3600000; // 1 hour
 
     if (sessionAge > timeout) {
-      session.isActive = false;
-      this.sessions.delete(sessionId);
+      this.revokeSession(sessionId, 'expired');
       return false;
     }
 
+    if (!touch) {
+      return true;
+    }
+
     // Update last activity
     session.lastActivity = now;
+    if (!session.lastPersistedActivity || now - session.lastPersistedActivity > this.sessionPersistInterval) {
+      session.lastPersistedActivity = now;
+      this.persistInBackground(
+        () => UserSession.updateOne({ sessionId }, { lastActivity: now }),
+        'update session activity'
+      );
+    }
     return true;
   }
 
@@ -319,9 +1026,17 @@ class UserManagementService {
     for (const [sessionId, session] of this.sessions.entries()) {
       const sessionAge = now - session.lastActivity;
       if (sessionAge > timeout) {
-        this.sessions.delete(sessionId);
+        this.endSession(sessionId, 'expired');
       }
     }
+
+    this.authMiddleware.revocationList.cleanup();
+    this.loginSecurity.cleanup();
+
+    this.persistInBackground(
+      () => UserSession.deleteMany({ lastActivity: { $lt: new Date(now - timeout) } }),
+      'clean up expired sessions'
+    );
   }
 
   // Get user statistics
@@ -334,6 +1049,7 @@ class UserManagementService {
       activeUsers: users.filter(u => u.isActive).length,
       adminUsers: users.filter(u => u.role === 'admin').length,
       counselorUsers: users.filter(u => u.role === 'counselor').length,
+      studentUsers: users.filter(u => u.role === 'student').length,
       activeSessions: activeSessions.length,
       recentLogins: users.filter(u => u.lastLogin && (new Date() - u.lastLogin) < 86400000).length // Last 24 hours
     };
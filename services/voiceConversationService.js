@@ -135,6 +135,7 @@ class VoiceConversationService extends EventEmitter {
    * @param {Buffer} audioBuffer - Audio input buffer
    * @param {string} contentType - Audio content type
    * @param {Object} options - Processing options
+   * @param {AbortSignal} options.signal - Cancels the interaction between stages (barge-in)
    * @returns {Promise<Object>} Complete voice interaction result
    */
   async processVoiceInput(sessionId, audioBuffer, contentType, options = {}) {
@@ -172,6 +173,10 @@ class VoiceConversationService extends EventEmitter {
         transcription: transcriptionResult.text
       });
 
+      if (options.signal && options.signal.aborted) {
+        return this.generateCancelledResponse(sessionId, processingId, 'conversational-ai');
+      }
+
       // Step 2: Conversational AI Processing
       const aiStart = Date.now();
       const aiResponse = await this.conversationalAIService.processMessage(
@@ -182,7 +187,8 @@ class VoiceConversationService extends EventEmitter {
           userAgent: options.userAgent,
           timestamp: new Date().toISOString()
         },
-        conversation.language
+        conversation.language,
+        { channel: 'voice' }
       );
       const aiTime = Date.now() - aiStart;
 
@@ -231,6 +237,10 @@ class VoiceConversationService extends EventEmitter {
         await this.sleep(this.config.voiceResponseDelay);
       }
 
+      if (options.signal && options.signal.aborted) {
+        return this.generateCancelledResponse(sessionId, processingId, 'text-to-speech');
+      }
+
       // Step 4: Text-to-Speech
       const ttsStart = Date.now();
       const speechResult = await this.textToSpeechService.synthesizeSpeech(
@@ -480,6 +490,18 @@ class VoiceConversationService extends EventEmitter {
     }
   }
 
+  generateCancelledResponse(sessionId, processingId, stage) {
+    this.emit('processingCancelled', { sessionId, processingId, stage });
+
+    return {
+      success: false,
+      cancelled: true,
+      sessionId,
+      processingId,
+      stage
+    };
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
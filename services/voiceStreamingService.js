@@ -0,0 +1,369 @@
+/**
+ * Voice Streaming Service
+ * Real-time voice conversations over a socket.io namespace: microphone chunks
+ * stream in, partial transcripts and synthesized replies stream back, and a
+ * reply that is still being prepared or played can be interrupted (barge-in).
+ */
+
+const VoiceConversationService = require('./voiceConversationService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+
+class VoiceStreamingService {
+  /**
+   * @param {Object} io - socket.io server (shared with RealTimeMonitoringService)
+   * @param {VoiceConversationService} voiceConversationService - Conversation pipeline
+   * @param {AuthMiddleware} authMiddleware - Identifies students who send a token
+   */
+  constructor(io, voiceConversationService = new VoiceConversationService(), authMiddleware = new AuthMiddleware()) {
+    this.voiceConversationService = voiceConversationService;
+    this.authMiddleware = authMiddleware;
+    this.namespace = io.of('/voice');
+
+    this.config = {
+      partialIntervalMs: 1500, // Minimum time between partial transcriptions
+      minPartialBytes: 16 * 1024, // Skip partials until there is enough audio
+      // Partials re-transcribe the utterance from its start, so longer
+      // utterances only get the final transcript
+      maxPartialBytes: 512 * 1024,
+      maxUtteranceBytes: 5 * 1024 * 1024, // Well above the client's 60 second recording limit
+      maxConnectionsPerClient: 3,
+      defaultContentType: 'audio/webm'
+    };
+
+    // socket.id -> stream state
+    this.streams = new Map();
+    // user id or IP address -> open sockets
+    this.clientConnections = new Map();
+    // conversation sessionId -> socket.id, to route pipeline events
+    this.sessionSockets = new Map();
+
+    this.handlePipelineProgress = this.handlePipelineProgress.bind(this);
+    this.voiceConversationService.on('processingProgress', this.handlePipelineProgress);
+
+    this.setupSocketHandlers();
+  }
+
+  setupSocketHandlers() {
+    // Identity and the connection limit are settled during the handshake
+    this.namespace.use((socket, next) => this.authenticateHandshake(socket, next));
+
+    this.namespace.on('connection', (socket) => {
+      this.clientConnections.set(socket.clientKey, (this.clientConnections.get(socket.clientKey) || 0) + 1);
+
+      socket.on('start-stream', (data) => {
+        this.handleStartStream(socket, data || {});
+      });
+
+      socket.on('audio-chunk', (chunk) => {
+        this.handleAudioChunk(socket, chunk);
+      });
+
+      socket.on('end-utterance', () => {
+        this.handleEndUtterance(socket);
+      });
+
+      socket.on('barge-in', () => {
+        this.handleBargeIn(socket);
+      });
+
+      socket.on('end-stream', () => {
+        this.handleEndStream(socket, 'user');
+      });
+
+      socket.on('disconnect', () => {
+        this.handleEndStream(socket, 'disconnect');
+        this.releaseConnection(socket);
+      });
+    });
+  }
+
+  /**
+   * Voice is open to anonymous students like the chat; a valid token from
+   * handshake.auth identifies the student. Each student, or each address for
+   * anonymous sockets, may hold a few connections at once.
+   */
+  authenticateHandshake(socket, next) {
+    const token = socket.handshake.auth?.token;
+    const req = { headers: { authorization: token ? `Bearer ${token}` : socket.handshake.headers.authorization } };
+
+    this.authMiddleware.identify(req, null, () => {
+      socket.user = req.user || null;
+      socket.clientKey = socket.user ? `user:${socket.user.id}` : `ip:${socket.handshake.address}`;
+
+      if ((this.clientConnections.get(socket.clientKey) || 0) >= this.config.maxConnectionsPerClient) {
+        console.warn(`Voice socket rejected: too many connections for ${socket.clientKey}`);
+        next(new Error('Too many voice connections'));
+        return;
+      }
+      next();
+    });
+  }
+
+  releaseConnection(socket) {
+    const remaining = (this.clientConnections.get(socket.clientKey) || 1) - 1;
+    if (remaining > 0) {
+      this.clientConnections.set(socket.clientKey, remaining);
+    } else {
+      this.clientConnections.delete(socket.clientKey);
+    }
+  }
+
+  handleStartStream(socket, data) {
+    try {
+      if (this.streams.has(socket.id)) {
+        this.handleEndStream(socket, 'restart');
+      }
+
+      const session = this.voiceConversationService.startConversation({
+        language: data.language || 'en',
+        voiceProfile: data.voiceProfile || 'supportive',
+        user: socket.user ? { id: socket.user.id, role: socket.user.role } : { anonymous: true }
+      });
+
+      this.streams.set(socket.id, {
+        socket,
+        sessionId: session.sessionId,
+        contentType: data.contentType || this.config.defaultContentType,
+        language: data.language || 'en',
+        chunks: [],
+        bufferedBytes: 0,
+        utteranceId: null,
+        utteranceCount: 0,
+        lastPartialAt: 0,
+        partialInFlight: false,
+        activeTurn: null
+      });
+      this.sessionSockets.set(session.sessionId, socket.id);
+
+      socket.emit('stream-started', {
+        sessionId: session.sessionId,
+        voiceProfiles: Object.keys(session.voiceProfiles)
+      });
+    } catch (error) {
+      console.error('Error starting voice stream:', error);
+      socket.emit('stream-error', { message: 'Failed to start voice stream' });
+    }
+  }
+
+  handleAudioChunk(socket, chunk) {
+    const stream = this.streams.get(socket.id);
+    if (!stream) {
+      socket.emit('stream-error', { message: 'Voice stream not started' });
+      return;
+    }
+
+    if (!chunk || !chunk.length) return;
+
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+
+    if (stream.bufferedBytes + buffer.length > this.config.maxUtteranceBytes) {
+      socket.emit('stream-error', { message: 'Utterance exceeds the maximum audio size' });
+      this.resetUtterance(stream);
+      return;
+    }
+
+    // First chunk of a new utterance
+    if (!stream.utteranceId) {
+      stream.utteranceCount++;
+      stream.utteranceId = `${stream.sessionId}_u${stream.utteranceCount}`;
+    }
+
+    stream.chunks.push(buffer);
+    stream.bufferedBytes += buffer.length;
+
+    this.maybeTranscribePartial(stream);
+  }
+
+  /**
+   * Transcribe the audio received so far, throttled so at most one partial
+   * request is in flight per stream
+   */
+  async maybeTranscribePartial(stream) {
+    const now = Date.now();
+    if (stream.partialInFlight ||
+        stream.bufferedBytes < this.config.minPartialBytes ||
+        stream.bufferedBytes > this.config.maxPartialBytes ||
+        now - stream.lastPartialAt < this.config.partialIntervalMs) {
+      return;
+    }
+
+    stream.partialInFlight = true;
+    stream.lastPartialAt = now;
+    const utteranceId = stream.utteranceId;
+
+    try {
+      // Container formats such as webm only carry headers in the first chunk,
+      // so partials always transcribe the utterance from its start
+      const transcription = await this.voiceConversationService.speechToTextService.transcribeAudio(
+        Buffer.concat(stream.chunks),
+        stream.contentType,
+        stream.language
+      );
+
+      if (stream.utteranceId === utteranceId && transcription.text) {
+        stream.socket.emit('partial-transcript', {
+          utteranceId,
+          text: transcription.text
+        });
+      }
+    } catch (error) {
+      // Partials are best effort; the final transcription still runs
+      console.warn('Partial transcription failed:', error.message);
+    } finally {
+      stream.partialInFlight = false;
+    }
+  }
+
+  async handleEndUtterance(socket) {
+    const stream = this.streams.get(socket.id);
+    if (!stream || !stream.chunks.length) return;
+
+    // A new utterance replaces any reply that is still in progress
+    if (stream.activeTurn) {
+      this.cancelTurn(stream);
+    }
+
+    const audioBuffer = Buffer.concat(stream.chunks);
+    const turn = {
+      utteranceId: stream.utteranceId,
+      abortController: new AbortController()
+    };
+    stream.activeTurn = turn;
+    this.resetUtterance(stream);
+
+    try {
+      const result = await this.voiceConversationService.processVoiceInput(
+        stream.sessionId,
+        audioBuffer,
+        stream.contentType,
+        {
+          ipAddress: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent'],
+          signal: turn.abortController.signal
+        }
+      );
+
+      if (turn.abortController.signal.aborted || result.cancelled) return;
+
+      if (!result.success) {
+        socket.emit('stream-error', {
+          utteranceId: turn.utteranceId,
+          message: 'Failed to process your message',
+          fallbackResponse: result.fallbackResponse || null
+        });
+        return;
+      }
+
+      const { userInput, aiResponse, screeningRecommendation } = result.interaction;
+
+      socket.emit('ai-response', {
+        utteranceId: turn.utteranceId,
+        transcript: userInput.text,
+        text: aiResponse.text,
+        crisis: aiResponse.crisis,
+        crisisData: aiResponse.crisisData,
+        screeningRecommendation
+      });
+
+      socket.emit('tts-audio', {
+        utteranceId: turn.utteranceId,
+        audio: aiResponse.audio.buffer,
+        contentType: aiResponse.audio.contentType,
+        duration: aiResponse.audio.duration
+      });
+    } catch (error) {
+      console.error('Error processing streamed utterance:', error);
+      socket.emit('stream-error', {
+        utteranceId: turn.utteranceId,
+        message: 'Failed to process your message'
+      });
+    } finally {
+      if (stream.activeTurn === turn) {
+        stream.activeTurn = null;
+      }
+    }
+  }
+
+  handleBargeIn(socket) {
+    const stream = this.streams.get(socket.id);
+    if (!stream) return;
+
+    if (stream.activeTurn) {
+      this.cancelTurn(stream);
+    } else {
+      // Nothing pending on the server; the client stops its own playback
+      socket.emit('response-cancelled', { utteranceId: null });
+    }
+  }
+
+  handleEndStream(socket, reason) {
+    const stream = this.streams.get(socket.id);
+    if (!stream) return;
+
+    if (stream.activeTurn) {
+      stream.activeTurn.abortController.abort();
+    }
+
+    this.streams.delete(socket.id);
+    this.sessionSockets.delete(stream.sessionId);
+
+    try {
+      const summary = this.voiceConversationService.endConversation(stream.sessionId, reason);
+      if (reason !== 'disconnect') {
+        socket.emit('stream-ended', { sessionId: stream.sessionId, summary });
+      }
+    } catch (error) {
+      // Conversation may already have timed out
+    }
+  }
+
+  /**
+   * Forward the final transcript as soon as speech-to-text finishes, before
+   * the AI reply and synthesis are ready
+   */
+  handlePipelineProgress({ sessionId, stage, transcription }) {
+    if (stage !== 'conversational-ai') return;
+
+    const socketId = this.sessionSockets.get(sessionId);
+    const stream = socketId && this.streams.get(socketId);
+    if (!stream || !stream.activeTurn) return;
+
+    stream.socket.emit('final-transcript', {
+      utteranceId: stream.activeTurn.utteranceId,
+      text: transcription
+    });
+  }
+
+  cancelTurn(stream) {
+    const turn = stream.activeTurn;
+    turn.abortController.abort();
+    stream.activeTurn = null;
+    stream.socket.emit('response-cancelled', { utteranceId: turn.utteranceId });
+  }
+
+  resetUtterance(stream) {
+    stream.chunks = [];
+    stream.bufferedBytes = 0;
+    stream.utteranceId = null;
+    stream.lastPartialAt = 0;
+  }
+
+  getActiveStreams() {
+    return Array.from(this.streams.values()).map(stream => ({
+      sessionId: stream.sessionId,
+      utteranceCount: stream.utteranceCount,
+      processing: !!stream.activeTurn
+    }));
+  }
+
+  destroy() {
+    for (const stream of this.streams.values()) {
+      this.handleEndStream(stream.socket, 'shutdown');
+    }
+    this.voiceConversationService.removeListener('processingProgress', this.handlePipelineProgress);
+    this.namespace.removeAllListeners('connection');
+    this.clientConnections.clear();
+  }
+}
+
+module.exports = VoiceStreamingService;
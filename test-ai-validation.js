@@ -5,14 +5,14 @@
  * Tests the AI response validation to ensure it's not too strict
  */
 
-const GroqService = require('./services/groqService');
+const LlmService = require('./services/llmService');
 const MentalHealthContextService = require('./services/mentalHealthContextService');
 
 async function testValidation() {
     console.log('🧪 Testing AI Response Validation');
     console.log('='.repeat(50));
 
-    const groqService = new GroqService();
+    const llmService = new LlmService();
     const mentalHealthService = new MentalHealthContextService();
 
     // Test responses that should be valid
@@ -29,9 +29,9 @@ async function testValidation() {
         "It's natural to feel this way given what you're experiencing. How long have you been feeling like this?"
     ];
 
-    console.log('\n📝 Testing Groq Service Validation:');
+    console.log('\n📝 Testing LLM Service Validation:');
     testResponses.forEach((response, index) => {
-        const validation = groqService.validateResponse(response);
+        const validation = llmService.validateResponse(response);
         const status = validation.isValid ? '✅' : '❌';
         console.log(`${status} Response ${index + 1}: ${validation.isValid ? 'VALID' : 'INVALID'}`);
         if (!validation.isValid) {
@@ -50,21 +50,21 @@ async function testValidation() {
     });
 
     // Test actual AI generation if API key is available
-    if (groqService.isServiceAvailable()) {
+    if (llmService.isServiceAvailable()) {
         console.log('\n🤖 Testing Live AI Generation:');
         try {
             const testMessage = "I'm feeling really stressed about my upcoming exams and can't sleep.";
             console.log(`Input: "${testMessage}"`);
             
-            const aiResponse = await groqService.generateResponse(testMessage);
+            const aiResponse = await llmService.generateResponse(testMessage);
             console.log(`AI Response: "${aiResponse}"`);
             
-            const groqValidation = groqService.validateResponse(aiResponse);
+            const llmValidation = llmService.validateResponse(aiResponse);
             const mhValidation = mentalHealthService.validateMentalHealthResponse(aiResponse);
             
-            console.log(`Groq Validation: ${groqValidation.isValid ? '✅ VALID' : '❌ INVALID'}`);
-            if (!groqValidation.isValid) {
-                console.log(`   Issues: ${groqValidation.issues.join(', ')}`);
+            console.log(`LLM Validation: ${llmValidation.isValid ? '✅ VALID' : '❌ INVALID'}`);
+            if (!llmValidation.isValid) {
+                console.log(`   Issues: ${llmValidation.issues.join(', ')}`);
             }
             
             console.log(`MH Validation: ${mhValidation.isAppropriate ? '✅ APPROPRIATE' : '❌ INAPPROPRIATE'}`);
@@ -76,18 +76,18 @@ async function testValidation() {
             console.log(`❌ AI Generation failed: ${error.message}`);
         }
     } else {
-        console.log('\n⚠️  Groq API not configured - skipping live AI test');
+        console.log('\n⚠️  No LLM provider configured - skipping live AI test');
         console.log('   Set GROQ_API_KEY in .env to test live AI generation');
     }
 
     console.log('\n📊 Summary:');
-    const groqValidCount = testResponses.filter(r => groqService.validateResponse(r).isValid).length;
+    const llmValidCount = testResponses.filter(r => llmService.validateResponse(r).isValid).length;
     const mhValidCount = testResponses.filter(r => mentalHealthService.validateMentalHealthResponse(r).isAppropriate).length;
     
-    console.log(`Groq Service: ${groqValidCount}/${testResponses.length} responses passed validation`);
+    console.log(`LLM Service: ${llmValidCount}/${testResponses.length} responses passed validation`);
     console.log(`Mental Health Service: ${mhValidCount}/${testResponses.length} responses passed validation`);
     
-    if (groqValidCount === testResponses.length && mhValidCount === testResponses.length) {
+    if (llmValidCount === testResponses.length && mhValidCount === testResponses.length) {
         console.log('✅ All validation tests passed! AI should work properly now.');
     } else {
         console.log('❌ Some validation tests failed. AI responses may be rejected.');
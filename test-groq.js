@@ -1,33 +1,33 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const GroqService = require('./services/groqService');
+const LlmService = require('./services/llmService');
 
-async function testGroqService() {
-    console.log('Testing Groq Service...');
+async function testLlmService() {
+    console.log('Testing LLM Service...');
     console.log('='.repeat(50));
     
-    const groqService = new GroqService();
+    const llmService = new LlmService();
     
     // Test 1: Check service availability
     console.log('\n1. Checking service availability...');
-    const isAvailable = groqService.isServiceAvailable();
+    const isAvailable = llmService.isServiceAvailable();
     console.log(`Service available: ${isAvailable}`);
     
     if (!isAvailable) {
-        console.log('❌ Groq service not available. Please check your GROQ_API_KEY in .env file');
+        console.log('❌ No LLM provider available. Please check GROQ_API_KEY or LLM_BASE_URL/LLM_MODELS in your .env file');
         return;
     }
     
     // Test 2: Get service status
     console.log('\n2. Getting service status...');
-    const status = groqService.getServiceStatus();
+    const status = llmService.getServiceStatus();
     console.log('Status:', JSON.stringify(status, null, 2));
     
     // Test 3: Test connection
     console.log('\n3. Testing API connection...');
     try {
-        const connectionTest = await groqService.testConnection();
+        const connectionTest = await llmService.testConnection();
         console.log('Connection test:', JSON.stringify(connectionTest, null, 2));
     } catch (error) {
         console.log('❌ Connection test failed:', error.message);
@@ -40,11 +40,11 @@ async function testGroqService() {
         const testMessage = "I'm feeling a bit stressed about my upcoming exams. Any advice?";
         console.log(`User: ${testMessage}`);
         
-        const response = await groqService.generateResponse(testMessage);
+        const response = await llmService.generateResponse(testMessage);
         console.log(`AI: ${response}`);
         
         // Validate the response
-        const validation = groqService.validateResponse(response);
+        const validation = llmService.validateResponse(response);
         console.log('Validation:', JSON.stringify(validation, null, 2));
         
     } catch (error) {
@@ -57,11 +57,11 @@ async function testGroqService() {
         const crisisMessage = "I'm having thoughts of hurting myself and don't know what to do";
         console.log(`User: ${crisisMessage}`);
         
-        const crisisResponse = await groqService.generateCrisisResponse(crisisMessage, 'high');
+        const crisisResponse = await llmService.generateCrisisResponse(crisisMessage, 'high');
         console.log(`AI (Crisis): ${crisisResponse}`);
         
         // Validate the crisis response
-        const validation = groqService.validateResponse(crisisResponse);
+        const validation = llmService.validateResponse(crisisResponse);
         console.log('Crisis validation:', JSON.stringify(validation, null, 2));
         
     } catch (error) {
@@ -80,7 +80,7 @@ async function testGroqService() {
         const followUpMessage = "I keep worrying that I'm not good enough";
         console.log(`User: ${followUpMessage}`);
         
-        const contextualResponse = await groqService.generateResponse(followUpMessage, conversationHistory);
+        const contextualResponse = await llmService.generateResponse(followUpMessage, conversationHistory);
         console.log(`AI (with context): ${contextualResponse}`);
         
     } catch (error) {
@@ -88,11 +88,11 @@ async function testGroqService() {
     }
     
     console.log('\n' + '='.repeat(50));
-    console.log('✅ Groq service testing completed!');
+    console.log('✅ LLM service testing completed!');
 }
 
 // Run the test
-testGroqService().catch(error => {
+testLlmService().catch(error => {
     console.error('Test failed with error:', error);
     process.exit(1);
 });
\ No newline at end of file
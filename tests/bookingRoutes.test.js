@@ -0,0 +1,100 @@
+const express = require('express');
+const request = require('supertest');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const BookingService = require('../services/bookingService');
+const CounselorService = require('../services/counselorService');
+const bookingRoutes = require('../routes/booking');
+
+const COUNSELOR = { id: 'counselor-a', name: 'Dr. Asha Patil', username: 'asha', slotMinutes: 60 };
+const BOOKING = {
+  id: 'booking-a',
+  userId: 'meera-id',
+  counselorId: COUNSELOR.id,
+  preferredDate: '2030-01-07',
+  preferredTime: '10:00',
+  sessionType: 'individual',
+  status: 'confirmed'
+};
+
+describe('Booking routes', () => {
+  const authMiddleware = new AuthMiddleware();
+  const as = (role, username = role) => ({
+    Authorization: `Bearer ${authMiddleware.generateToken({ id: `${username}-id`, username, role })}`
+  });
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/booking', bookingRoutes);
+
+    // Keep the roster and booking files in data/ untouched
+    jest.spyOn(BookingService.prototype, 'getBookingById')
+      .mockImplementation(async (id) => (id === BOOKING.id ? { ...BOOKING } : null));
+    jest.spyOn(BookingService.prototype, 'setNotificationPreference')
+      .mockImplementation(async (id, enabled) => ({ ...BOOKING, notificationsOptOut: !enabled }));
+    jest.spyOn(BookingService.prototype, 'cancelBooking')
+      .mockImplementation(async () => ({ ...BOOKING, status: 'cancelled', cancelledAt: new Date() }));
+    jest.spyOn(CounselorService.prototype, 'getCounselorById')
+      .mockImplementation(async (id) => (id === COUNSELOR.id ? COUNSELOR : null));
+    jest.spyOn(CounselorService.prototype, 'addBlockedTime').mockResolvedValue({ id: 'block-1' });
+    jest.spyOn(CounselorService.prototype, 'removeBlockedTime').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only let counselors block and unblock their own time', async () => {
+    const block = { date: '2030-01-07', start: '10:00', end: '11:00' };
+
+    await request(app).post(`/api/booking/counselors/${COUNSELOR.id}/blocked-time`).send(block).expect(401);
+    await request(app).post(`/api/booking/counselors/${COUNSELOR.id}/blocked-time`).set(as('student')).send(block).expect(403);
+
+    const denied = await request(app)
+      .post(`/api/booking/counselors/${COUNSELOR.id}/blocked-time`)
+      .set(as('counselor', 'ravi'))
+      .send(block)
+      .expect(403);
+    expect(denied.body.message).toBe('You can only block your own time');
+    await request(app).delete(`/api/booking/counselors/${COUNSELOR.id}/blocked-time/block-1`).set(as('counselor', 'ravi')).expect(403);
+    expect(CounselorService.prototype.addBlockedTime).not.toHaveBeenCalled();
+    expect(CounselorService.prototype.removeBlockedTime).not.toHaveBeenCalled();
+
+    await request(app).post(`/api/booking/counselors/${COUNSELOR.id}/blocked-time`).set(as('counselor', 'asha')).send(block).expect(201);
+    await request(app).delete(`/api/booking/counselors/${COUNSELOR.id}/blocked-time/block-1`).set(as('counselor', 'asha')).expect(200);
+    await request(app).post(`/api/booking/counselors/${COUNSELOR.id}/blocked-time`).set(as('admin')).send(block).expect(201);
+    await request(app).post('/api/booking/counselors/missing/blocked-time').set(as('admin')).send(block).expect(404);
+  });
+
+  test('should only give the calendar file to the student who booked and to staff', async () => {
+    const url = `/api/booking/appointments/${BOOKING.id}/calendar.ics`;
+
+    await request(app).get(url).expect(401);
+    const denied = await request(app).get(url).set(as('student', 'kabir')).expect(403);
+    expect(denied.body.message).toBe('You can only access your own bookings');
+    await request(app).get('/api/booking/appointments/missing/calendar.ics').set(as('student', 'meera')).expect(404);
+
+    const own = await request(app).get(url).set(as('student', 'meera')).expect(200);
+    expect(own.headers['content-type']).toContain('text/calendar');
+    expect(own.headers['content-disposition']).toBe(`attachment; filename="booking-${BOOKING.id}.ics"`);
+    await request(app).get(url).set(as('counselor', 'asha')).expect(200);
+  });
+
+  test('should only let the student who booked or staff change notifications and cancel', async () => {
+    const url = `/api/booking/appointments/${BOOKING.id}`;
+
+    await request(app).put(`${url}/notifications`).send({ enabled: false }).expect(401);
+    await request(app).put(`${url}/notifications`).set(as('student', 'kabir')).send({ enabled: false }).expect(403);
+    await request(app).delete(url).expect(401);
+    await request(app).delete(url).set(as('student', 'kabir')).expect(403);
+    expect(BookingService.prototype.setNotificationPreference).not.toHaveBeenCalled();
+    expect(BookingService.prototype.cancelBooking).not.toHaveBeenCalled();
+
+    const muted = await request(app).put(`${url}/notifications`).set(as('student', 'meera')).send({ enabled: false }).expect(200);
+    expect(muted.body.notificationsEnabled).toBe(false);
+    const cancelled = await request(app).delete(url).set(as('counselor', 'ravi')).send({ reason: 'Counselor unwell' }).expect(200);
+    expect(cancelled.body.booking.status).toBe('cancelled');
+    await request(app).delete('/api/booking/appointments/missing').set(as('admin')).expect(404);
+  });
+});
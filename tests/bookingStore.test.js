@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  JsonBookingStore,
+  MongoBookingStore,
+  createBookingStore,
+  SLOT_TAKEN_MESSAGE,
+  VERSION_CONFLICT_MESSAGE
+} = require('../services/bookingStore');
+const BookingService = require('../services/bookingService');
+
+const booking = (overrides = {}) => ({
+  id: `booking-${Math.random().toString(36).slice(2)}`,
+  preferredDate: '2030-01-07',
+  preferredTime: '10:00',
+  sessionType: 'individual',
+  status: 'pending',
+  counselorId: 'counselor-1',
+  createdAt: new Date().toISOString(),
+  ...overrides
+});
+
+describe('JsonBookingStore', () => {
+  let dataDir;
+  let store;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookings-'));
+    store = new JsonBookingStore(dataDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should not lose bookings created concurrently', async () => {
+    await Promise.all(Array.from({ length: 10 }, (_, i) =>
+      store.insert(booking({ counselorId: null, preferredTime: `1${i}:00` }))
+    ));
+
+    expect(await store.find()).toHaveLength(10);
+  });
+
+  test('should reject a second booking for the same counselor slot until it is cancelled', async () => {
+    const first = await store.insert(booking());
+    await expect(store.insert(booking())).rejects.toThrow(SLOT_TAKEN_MESSAGE);
+
+    await store.update(first.id, { status: 'cancelled' });
+    await expect(store.insert(booking())).resolves.toMatchObject({ status: 'pending' });
+  });
+
+  test('should reject status updates made against a stale version', async () => {
+    const created = await store.insert(booking());
+    expect(created.version).toBe(0);
+
+    const confirmed = await store.update(created.id, { status: 'confirmed' }, 0);
+    expect(confirmed.version).toBe(1);
+
+    await expect(store.update(created.id, { status: 'cancelled' }, 0)).rejects.toThrow(VERSION_CONFLICT_MESSAGE);
+    expect((await store.findById(created.id)).status).toBe('confirmed');
+  });
+});
+
+describe('MongoBookingStore', () => {
+  let model;
+  let store;
+
+  beforeEach(() => {
+    model = {
+      init: jest.fn().mockResolvedValue(),
+      create: jest.fn(),
+      findOne: jest.fn(),
+      findOneAndUpdate: jest.fn(),
+      updateOne: jest.fn()
+    };
+    store = new MongoBookingStore(model);
+  });
+
+  test('should translate duplicate key errors into slot conflicts', async () => {
+    model.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(store.insert(booking())).rejects.toThrow(SLOT_TAKEN_MESSAGE);
+    expect(model.create).toHaveBeenCalledWith(expect.objectContaining({ holdsSlot: true, version: 0 }));
+  });
+
+  test('should make updates conditional on the expected version', async () => {
+    model.findOne.mockReturnValue({ lean: () => Promise.resolve({ id: 'b1', counselorId: 'counselor-1', status: 'pending', version: 3 }) });
+    model.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(store.update('b1', { status: 'cancelled' }, 2)).rejects.toThrow(VERSION_CONFLICT_MESSAGE);
+
+    const [filter, update] = model.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ id: 'b1', version: 2 });
+    expect(update.$set).toMatchObject({ status: 'cancelled', holdsSlot: false });
+    expect(update.$inc).toEqual({ version: 1 });
+  });
+
+  test('should import double-booked slots without holding them', async () => {
+    model.updateOne
+      .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+      .mockResolvedValueOnce({ upsertedCount: 1 });
+
+    await expect(store.importBooking(booking({ id: 'legacy-1' }))).resolves.toBe('conflict');
+    expect(model.updateOne.mock.calls[1][1].$setOnInsert.holdsSlot).toBe(false);
+  });
+});
+
+describe('createBookingStore', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('should refuse the JSON store in production', () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(createBookingStore()).toBeInstanceOf(MongoBookingStore);
+    expect(() => createBookingStore({ type: 'json' })).toThrow('development only');
+  });
+});
+
+describe('BookingService with a storage adapter', () => {
+  test('should retry automatic assignment when another instance takes the slot first', async () => {
+    const store = {
+      initialize: jest.fn().mockResolvedValue(),
+      find: jest.fn().mockResolvedValue([]),
+      insert: jest.fn()
+        .mockRejectedValueOnce(new Error(SLOT_TAKEN_MESSAGE))
+        .mockImplementation(async (record) => record)
+    };
+    const counselorService = {
+      getCounselors: jest.fn().mockResolvedValue([{ id: 'counselor-1' }, { id: 'counselor-2' }]),
+      findAvailableCounselor: jest.fn()
+        .mockResolvedValueOnce({ id: 'counselor-1', name: 'Dr. Asha Patil' })
+        .mockResolvedValueOnce({ id: 'counselor-2', name: 'Dr. Ravi Kulkarni' })
+    };
+    const bookingService = new BookingService(store, counselorService);
+
+    const created = await bookingService.createBooking(booking({ counselorId: undefined }));
+
+    expect(store.insert).toHaveBeenCalledTimes(2);
+    expect(created).toMatchObject({ counselorId: 'counselor-2', counselorSelection: 'auto' });
+  });
+});
@@ -0,0 +1,72 @@
+const CalendarService = require('../services/calendarService');
+
+describe('CalendarService', () => {
+  let calendarService;
+
+  const booking = (overrides = {}) => ({
+    id: 'b1',
+    preferredDate: '2030-01-07',
+    preferredTime: '10:00',
+    sessionType: 'individual',
+    status: 'pending',
+    studentId: null,
+    version: 0,
+    createdAt: '2029-12-30T08:00:00.000Z',
+    updatedAt: '2029-12-30T08:00:00.000Z',
+    ...overrides
+  });
+
+  const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+  beforeEach(() => {
+    calendarService = new CalendarService({ timeZone: 'Asia/Kolkata' });
+  });
+
+  test('should produce a calendar with CRLF line endings', () => {
+    const ics = calendarService.buildCalendar([booking()], { name: 'Dr. Asha Patil' });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('X-WR-CALNAME:Dr. Asha Patil');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+  });
+
+  test('should convert the requested time from the campus time zone', () => {
+    const ics = calendarService.buildCalendar([booking()], { durationMinutes: 45 });
+
+    expect(ics).toContain('DTSTART:20300107T043000Z');
+    expect(ics).toContain('DTEND:20300107T051500Z');
+  });
+
+  test('should keep the UID stable and bump SEQUENCE when a booking changes', () => {
+    const original = calendarService.buildCalendar([booking()]);
+    const cancelled = calendarService.buildCalendar([booking({ status: 'cancelled', version: 2 })]);
+
+    expect(original).toContain('UID:booking-b1@aarogyatech');
+    expect(cancelled).toContain('UID:booking-b1@aarogyatech');
+    expect(original).toContain('SEQUENCE:0');
+    expect(original).toContain('STATUS:TENTATIVE');
+    expect(cancelled).toContain('SEQUENCE:2');
+    expect(cancelled).toContain('STATUS:CANCELLED');
+  });
+
+  test('should leave concerns and contact details out of the event', () => {
+    const ics = unfold(calendarService.buildCalendar([booking({
+      concerns: 'panic attacks',
+      contactInfo: '9890000000',
+      studentId: 'S-42'
+    })]));
+
+    expect(ics).not.toContain('panic attacks');
+    expect(ics).not.toContain('9890000000');
+    expect(ics).toContain('Student ID: S-42');
+  });
+
+  test('should escape text and fold long lines', () => {
+    const ics = calendarService.buildCalendar([booking()], { name: 'Counseling; Room 4, Block B '.repeat(4) });
+    const lines = ics.split('\r\n');
+
+    expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(unfold(ics)).toContain('X-WR-CALNAME:Counseling\\; Room 4\\, Block B');
+  });
+});
@@ -0,0 +1,245 @@
+process.env.LLM_PROVIDERS = 'scripted';
+
+const request = require('supertest');
+const ContinuityService = require('../services/continuityService');
+const conversationalAIRoutes = require('../routes/conversationalAI');
+const screeningRoutes = require('../routes/screeningResponses');
+const ScreeningResponse = require('../models/screeningResponse');
+const { requestInfo, createChatService, createApp, as: asRole } = require('./helpers/chat');
+
+const { version: CONSENT_VERSION } = new ContinuityService().getConsentStatement();
+
+const phq9Responses = (value) => Array.from({ length: 9 }, (_, index) => ({
+  questionId: `phq9_${index + 1}`,
+  response: index === 8 ? 0 : value
+}));
+
+describe('ContinuityService', () => {
+  let continuity;
+
+  beforeEach(() => {
+    continuity = new ContinuityService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should only keep a profile once the student consents to the current statement', async () => {
+    await expect(continuity.updateProfile('student-a', { goals: ['Sleep before midnight'] }))
+      .rejects.toThrow('Continuity consent required');
+    await expect(continuity.giveConsent('student-a', '2020-01')).rejects.toThrow('Consent must be given to the current statement');
+    expect((await continuity.getProfile('student-a')).profile).toBeNull();
+
+    await continuity.giveConsent('student-a', CONSENT_VERSION);
+    const view = await continuity.updateProfile('student-a', {
+      goals: ['Stay calm before exams', '  '],
+      copingStrategies: ['Box breathing before the paper']
+    });
+
+    expect(view.consent).toMatchObject({ given: true, version: CONSENT_VERSION });
+    expect(view.profile).toEqual({
+      goals: ['Stay calm before exams'],
+      copingStrategies: ['Box breathing before the paper'],
+      screenings: []
+    });
+
+    const stored = continuity.records.get('student-a').profile;
+    expect(stored.algorithm).not.toBe('none');
+    expect(JSON.stringify(stored)).not.toContain('exams');
+
+    await expect(continuity.updateProfile('student-a', { goals: 'Stay calm' })).rejects.toThrow('goals must be a list of texts');
+  });
+
+  test('should record screenings only with consent and describe the profile for prompts', async () => {
+    const scored = { toolVersion: '1.0', results: { totalScore: 12, maxScore: 27, severityLevel: 'moderate' } };
+
+    await continuity.recordScreening('student-b', 'PHQ-9', scored);
+    expect(continuity.records.has('student-b')).toBe(false);
+    expect(await continuity.getPromptContext('student-b')).toBeNull();
+
+    await continuity.giveConsent('student-b', CONSENT_VERSION);
+    expect(await continuity.getPromptContext('student-b')).toBeNull();
+
+    await continuity.recordScreening('student-b', 'PHQ-9', scored);
+    await continuity.updateProfile('student-b', { copingStrategies: ['Walking after dinner'] });
+
+    const context = await continuity.getPromptContext('student-b');
+    expect(context).toContain('- Walking after dinner');
+    expect(context).toMatch(/- PHQ-9 on \d{4}-\d{2}-\d{2}: moderate \(12\/27\)/);
+    expect(context).not.toContain('Goals');
+  });
+
+  test('should ask again for consent once the statement changes', async () => {
+    await continuity.giveConsent('student-e', CONSENT_VERSION);
+    await continuity.updateProfile('student-e', { goals: ['Join the chess club'] });
+    continuity.records.get('student-e').consent.version = '2020-01';
+
+    expect((await continuity.getProfile('student-e')).consent.given).toBe(false);
+    expect(await continuity.getPromptContext('student-e')).toBeNull();
+    await expect(continuity.updateProfile('student-e', { goals: [] })).rejects.toThrow('Continuity consent required');
+
+    const view = await continuity.giveConsent('student-e', CONSENT_VERSION);
+    expect(view.consent.version).toBe(CONSENT_VERSION);
+    expect(view.profile.goals).toEqual(['Join the chess club']);
+  });
+
+  test('should not overwrite a profile it cannot decrypt', async () => {
+    await continuity.giveConsent('student-f', CONSENT_VERSION);
+    await continuity.updateProfile('student-f', { goals: ['Run every morning'] });
+    const stored = continuity.records.get('student-f').profile;
+    jest.spyOn(continuity.privacyService, 'decryptData').mockImplementation(() => {
+      throw new Error('bad decrypt');
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(continuity.updateProfile('student-f', { goals: [] })).rejects.toThrow('Continuity profile could not be decrypted');
+    await continuity.recordScreening('student-f', 'PHQ-9', { toolVersion: '1.0', results: { totalScore: 3, maxScore: 27, severityLevel: 'minimal' } });
+    expect(continuity.records.get('student-f').profile).toBe(stored);
+  });
+
+  test('should delete the profile but keep the consent history', async () => {
+    expect(await continuity.deleteProfile('student-c')).toBe(false);
+
+    await continuity.giveConsent('student-c', CONSENT_VERSION);
+    await continuity.updateProfile('student-c', { goals: ['Call home on Sundays'] });
+    expect(await continuity.deleteProfile('student-c')).toBe(true);
+
+    const exported = await continuity.exportProfile('student-c');
+    expect(exported.profile).toBeNull();
+    expect(exported.consent).toMatchObject({ given: false, withdrawnAt: expect.any(Date) });
+    expect(exported.consentHistory.map(entry => entry.action)).toEqual(['granted', 'withdrawn']);
+    expect(continuity.records.get('student-c').profile).toBeNull();
+    expect(await continuity.getPromptContext('student-c')).toBeNull();
+  });
+});
+
+describe('Continuity in conversations', () => {
+  let continuity;
+  let provider;
+  let service;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    continuity = new ContinuityService();
+    ({ service, provider } = createChatService({ continuityService: continuity }));
+
+    await continuity.giveConsent('student-d', CONSENT_VERSION);
+    await continuity.updateProfile('student-d', { goals: ['Finish the thesis draft'] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should draw on the profile only for the student who opted in', async () => {
+    const own = await service.processMessage('My roommate plays loud music every night', null, requestInfo, 'en', { userId: 'student-d' });
+    expect(own.continuity).toBe(true);
+    expect(provider.calls[0][1]).toMatchObject({ role: 'system', content: expect.stringContaining('- Finish the thesis draft') });
+
+    const anonymous = await service.processMessage('My group project partner ignores me', null, requestInfo, 'en');
+    expect(anonymous.continuity).toBe(false);
+    expect(provider.calls[1].filter(message => message.role === 'system')).toHaveLength(1);
+
+    await continuity.deleteProfile('student-d');
+    await service.processMessage('My lab partner never replies to messages', null, requestInfo, 'en', { userId: 'student-d' });
+    expect(JSON.stringify(provider.calls[2])).not.toContain('thesis');
+  });
+
+  test('should neither cache nor serve cached replies when the profile is in the prompt', async () => {
+    const message = 'I am nervous about the hostel allotment list';
+    const options = { userId: 'student-d', institution: 'coep' };
+
+    const own = await service.processMessage(message, null, requestInfo, 'en', options);
+    expect(own.continuity).toBe(true);
+
+    const anonymous = await service.processMessage(message, null, requestInfo, 'en', { institution: 'coep' });
+    expect(anonymous.cached).toBeFalsy();
+    expect(provider.calls).toHaveLength(2);
+
+    const ownAgain = await service.processMessage(message, null, requestInfo, 'en', options);
+    expect(ownAgain.cached).toBeFalsy();
+    expect(ownAgain.continuity).toBe(true);
+    expect(provider.calls).toHaveLength(3);
+  });
+});
+
+describe('Continuity routes', () => {
+  const as = (role, id = `${role}-1`) => asRole(role, { id, username: id, email: `${id}@college.edu` });
+  let app;
+
+  beforeEach(() => {
+    app = createApp({
+      '/api/conversational-ai': conversationalAIRoutes,
+      '/api/screening-responses': screeningRoutes
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should let students opt in, view, export and delete their own profile', async () => {
+    const student = as('student', 'student-routes');
+
+    await request(app).get('/api/conversational-ai/continuity').expect(401);
+    await request(app).get('/api/conversational-ai/continuity').set(as('counselor')).expect(403);
+
+    const before = await request(app).get('/api/conversational-ai/continuity').set(student).expect(200);
+    expect(before.body).toMatchObject({ consent: { given: false }, profile: null });
+    expect(before.body.consentStatement.text).toContain('not shown to counselors');
+
+    await request(app).put('/api/conversational-ai/continuity').set(student).send({ goals: ['Sleep more'] }).expect(403);
+    await request(app).post('/api/conversational-ai/continuity/consent').set(student).send({ version: CONSENT_VERSION }).expect(400);
+    await request(app)
+      .post('/api/conversational-ai/continuity/consent')
+      .set(student)
+      .send({ agree: true, version: before.body.consentStatement.version })
+      .expect(200);
+
+    const submit = (value) => request(app)
+      .post('/api/screening-responses/submit')
+      .set(student)
+      .send({ toolName: 'PHQ-9', responses: phq9Responses(value) })
+      .expect(201);
+
+    // Results that were not saved are not on record, so the assistant does not hear about them
+    await submit(2);
+    jest.replaceProperty(ScreeningResponse, 'db', { readyState: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const save = jest.spyOn(ScreeningResponse.prototype, 'save').mockRejectedValueOnce(new Error('write failed'));
+    await submit(3);
+    save.mockImplementation(async function () { return this; });
+    await submit(1);
+
+    const updated = await request(app)
+      .put('/api/conversational-ai/continuity')
+      .set(student)
+      .send({ goals: ['Sleep more'], copingStrategies: ['Journaling'] })
+      .expect(200);
+    expect(updated.body.profile).toMatchObject({
+      goals: ['Sleep more'],
+      copingStrategies: ['Journaling'],
+      screenings: [{ toolName: 'PHQ-9', totalScore: 8, severityLevel: 'mild' }]
+    });
+
+    const chat = await request(app)
+      .post('/api/conversational-ai/chat')
+      .set(student)
+      .send({ message: 'The hostel mess changed its timings again' })
+      .expect(200);
+    expect(chat.body.metadata.continuity).toBe(true);
+
+    const exported = await request(app).get('/api/conversational-ai/continuity/export').set(student).expect(200);
+    expect(exported.headers['content-disposition']).toContain('attachment');
+    expect(exported.body).toMatchObject({ userId: 'student-routes', profile: { goals: ['Sleep more'] } });
+
+    const deleted = await request(app).delete('/api/conversational-ai/continuity').set(student).expect(200);
+    expect(deleted.body.deleted).toBe(true);
+
+    const after = await request(app).get('/api/conversational-ai/continuity').set(student).expect(200);
+    expect(after.body).toMatchObject({ consent: { given: false }, profile: null });
+  });
+});
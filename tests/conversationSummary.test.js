@@ -0,0 +1,171 @@
+process.env.LLM_PROVIDERS = 'scripted';
+
+const request = require('supertest');
+const SessionManagementService = require('../services/sessionManagementService');
+const conversationalAIRoutes = require('../routes/conversationalAI');
+const { REPLY, requestInfo, createChatService, createApp, as } = require('./helpers/chat');
+
+const SUMMARY = 'The student is finding shared housing and group coursework frustrating.';
+
+// Neutral, distinct messages so replies come from the model rather than the cache or crisis detection
+const MESSAGES = [
+  'My roommate plays loud music every night',
+  'My group project partner ignores me',
+  'The hostel mess changed its timings again',
+  'My lab partner never replies to messages',
+  'The bus to campus keeps running late',
+  'My cousin is visiting for the whole week',
+  'The library printer has been broken since Monday',
+  'Our class representative forgot to share the notes'
+];
+
+const isSummaryRequest = (messages) => messages[0].content.startsWith('You keep a private running summary');
+
+describe('Session summary storage', () => {
+  let sessionManager;
+
+  beforeEach(() => {
+    sessionManager = new SessionManagementService();
+  });
+
+  test('should keep the summary encrypted and discard summaries of cleared messages', () => {
+    const { sessionId } = sessionManager.createSession();
+    sessionManager.updateSessionContext(sessionId, { message: { role: 'user', content: 'First' } });
+    sessionManager.updateSessionContext(sessionId, { message: { role: 'assistant', content: 'Reply' } });
+
+    expect(sessionManager.getUnsummarizedMessages(sessionId, 1).map(message => message.seq)).toEqual([1]);
+    expect(sessionManager.setSessionSummary(sessionId, { text: SUMMARY, throughSeq: 1, summarizedMessages: 1 })).toBe(true);
+    expect(JSON.stringify(sessionManager.sessions.get(sessionId).context)).not.toContain('shared housing');
+    expect(sessionManager.getSessionSummary(sessionId)).toMatchObject({ text: SUMMARY, throughSeq: 1, summarizedMessages: 1 });
+    expect(sessionManager.getUnsummarizedMessages(sessionId, 0).map(message => message.seq)).toEqual([2]);
+
+    sessionManager.clearSessionContext(sessionId);
+    sessionManager.updateSessionContext(sessionId, { message: { role: 'user', content: 'After clearing' } });
+
+    expect(sessionManager.getSessionSummary(sessionId)).toBeNull();
+    expect(sessionManager.setSessionSummary(sessionId, { text: SUMMARY, throughSeq: 2, summarizedMessages: 2 })).toBe(false);
+  });
+});
+
+describe('Conversation summarisation', () => {
+  let provider;
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    ({ service, provider } = createChatService({
+      script: [(messages) => isSummaryRequest(messages) ? SUMMARY : REPLY]
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const converse = async (messages) => {
+    let sessionId = null;
+    for (const message of messages) {
+      ({ sessionId } = await service.processMessage(message, sessionId, requestInfo, 'en'));
+    }
+    return sessionId;
+  };
+
+  test('should fold messages that leave the history window into the summary', async () => {
+    const sessionId = await converse(MESSAGES.slice(0, 5));
+    expect(await service.summarizeSession(sessionId)).toBeNull();
+
+    await service.processMessage(MESSAGES[5], sessionId, requestInfo, 'en');
+    await service.processMessage(MESSAGES[6], sessionId, requestInfo, 'en');
+    await service.processMessage(MESSAGES[7], sessionId, requestInfo, 'en');
+    const summary = await service.summarizeSession(sessionId);
+
+    expect(summary).toMatchObject({ text: SUMMARY, summarizedMessages: 6, prompt: { name: 'summary', version: 1 } });
+    const summaryRequest = provider.calls.find(isSummaryRequest);
+    expect(summaryRequest[1].content).toContain(`Student: ${MESSAGES[0]}`);
+    expect(summaryRequest[1].content).toContain(`Assistant: ${REPLY}`);
+    expect(summaryRequest[1].content).not.toContain(MESSAGES[3]);
+  });
+
+  test('should send the summary with later chat requests', async () => {
+    const sessionId = await converse(MESSAGES);
+    await service.summarizeSession(sessionId);
+
+    await service.processMessage('The canteen ran out of tea today', sessionId, requestInfo, 'en');
+
+    const chatRequest = provider.calls[provider.calls.length - 1];
+    expect(chatRequest[1]).toEqual({
+      role: 'system',
+      content: `Summary of the earlier conversation, which is no longer shown:\n${SUMMARY}`
+    });
+    expect(chatRequest).toHaveLength(13);
+    expect(chatRequest[2].content).toBe(MESSAGES[3]);
+  });
+
+  test('should neither cache nor serve cached replies once the summary is in the prompt', async () => {
+    const sessionId = await converse(MESSAGES);
+    await service.summarizeSession(sessionId);
+    const cacheResponse = jest.spyOn(service.cachingService, 'cacheResponse');
+
+    const result = await service.processMessage('I am nervous about the hostel allotment list', sessionId, requestInfo, 'en');
+
+    expect(result.cached).toBeFalsy();
+    expect(provider.calls[provider.calls.length - 1][1].content).toContain(SUMMARY);
+    expect(cacheResponse).not.toHaveBeenCalled();
+  });
+
+  test('should keep messages for the next turn when summarising fails', async () => {
+    provider.script = [(messages) => {
+      if (isSummaryRequest(messages)) {
+        throw new Error('Provider down');
+      }
+      return REPLY;
+    }];
+
+    const sessionId = await converse(MESSAGES);
+
+    expect(await service.summarizeSession(sessionId)).toBeNull();
+    expect(service.getSessionReport(sessionId).memory).toEqual({
+      historyWindow: 10,
+      unsummarizedMessages: 6,
+      summary: null
+    });
+  });
+});
+
+describe('Session report memory', () => {
+  test('should show the summary text only to the student who started the session and to staff', async () => {
+    const app = createApp({ '/api/conversational-ai': conversationalAIRoutes });
+    const student = as('student', { id: 'student-meera', username: 'meera' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    let sessionId;
+    for (const message of MESSAGES) {
+      ({ body: { metadata: { sessionId } } } = await request(app)
+        .post('/api/conversational-ai/chat')
+        .set(student)
+        .send({ message, sessionId })
+        .expect(200));
+    }
+
+    const report = async (headers = {}) => {
+      const { body } = await request(app).get(`/api/conversational-ai/session-report/${sessionId}`).set(headers).expect(200);
+      return body.report.memory;
+    };
+
+    const anonymous = await report();
+    jest.restoreAllMocks();
+
+    expect(anonymous).toMatchObject({
+      historyWindow: 10,
+      unsummarizedMessages: 0,
+      summary: { summarizedMessages: 6, prompt: { name: 'summary', version: 1 } }
+    });
+    expect(anonymous.summary).not.toHaveProperty('text');
+    expect((await report(as('student', { id: 'student-kabir' }))).summary).not.toHaveProperty('text');
+    expect((await report(as('counselor'))).summary).not.toHaveProperty('text');
+
+    expect(typeof (await report(student)).summary.text).toBe('string');
+    expect(typeof (await report(as('admin'))).summary.text).toBe('string');
+  });
+});
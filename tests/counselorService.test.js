@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CounselorService = require('../services/counselorService');
+
+// 2030-01-07 is a Monday
+const MONDAY = '2030-01-07';
+const TUESDAY = '2030-01-08';
+
+describe('CounselorService', () => {
+  let dataDir;
+  let counselorService;
+
+  const createCounselor = (overrides = {}) => counselorService.createCounselor({
+    name: 'Dr. Asha Patil',
+    email: 'asha@college.edu',
+    sessionTypes: ['individual', 'crisis'],
+    weeklyHours: { monday: [{ start: '09:00', end: '12:00' }] },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'counselors-'));
+    counselorService = new CounselorService(dataDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should only write the roster file once a counselor is saved', async () => {
+    const rosterFile = path.join(dataDir, 'roster', 'counselors.json');
+    counselorService = new CounselorService(path.dirname(rosterFile));
+
+    expect(await counselorService.getCounselors()).toEqual([]);
+    expect(fs.existsSync(rosterFile)).toBe(false);
+
+    await createCounselor();
+    expect(JSON.parse(fs.readFileSync(rosterFile, 'utf8'))).toHaveLength(1);
+  });
+
+  test('should generate slots from weekly hours', async () => {
+    const counselor = await createCounselor();
+
+    expect(counselorService.getCounselorSlots(counselor, MONDAY).availableSlots)
+      .toEqual(['09:00', '10:00', '11:00']);
+    expect(counselorService.getCounselorSlots(counselor, TUESDAY).availableSlots).toEqual([]);
+  });
+
+  test('should exclude holidays, blocked time and booked slots', async () => {
+    const counselor = await createCounselor({ holidays: [TUESDAY] });
+    await counselorService.addBlockedTime(counselor.id, { date: MONDAY, start: '10:30', end: '11:00' });
+    const updated = await counselorService.getCounselorById(counselor.id);
+
+    const bookings = [
+      { counselorId: counselor.id, preferredDate: MONDAY, preferredTime: '09:00', status: 'pending' },
+      { counselorId: counselor.id, preferredDate: MONDAY, preferredTime: '11:00', status: 'cancelled' }
+    ];
+
+    const slots = counselorService.getCounselorSlots(updated, MONDAY, bookings);
+    expect(slots.workingSlots).toEqual(['09:00', '10:00', '11:00']);
+    expect(slots.availableSlots).toEqual(['11:00']);
+
+    await counselorService.updateCounselor(counselor.id, {
+      weeklyHours: { monday: [{ start: '09:00', end: '12:00' }], tuesday: [{ start: '09:00', end: '12:00' }] }
+    });
+    const withTuesday = await counselorService.getCounselorById(counselor.id);
+    expect(counselorService.getCounselorSlots(withTuesday, TUESDAY).availableSlots).toEqual([]);
+  });
+
+  test('should auto-assign the least loaded free counselor', async () => {
+    const asha = await createCounselor();
+    const ravi = await createCounselor({ name: 'Dr. Ravi Kulkarni', email: 'ravi@college.edu' });
+
+    const bookings = [
+      { counselorId: asha.id, preferredDate: MONDAY, preferredTime: '09:00', status: 'confirmed' }
+    ];
+
+    const assigned = await counselorService.findAvailableCounselor(MONDAY, '10:00', 'individual', bookings);
+    expect(assigned.id).toBe(ravi.id);
+  });
+
+  test('should honour a requested counselor only when they are free', async () => {
+    const asha = await createCounselor();
+    await createCounselor({ name: 'Dr. Ravi Kulkarni', email: 'ravi@college.edu' });
+
+    const bookings = [
+      { counselorId: asha.id, preferredDate: MONDAY, preferredTime: '09:00', status: 'pending' }
+    ];
+
+    const chosen = await counselorService.findAvailableCounselor(MONDAY, '10:00', 'individual', bookings, asha.id);
+    expect(chosen.id).toBe(asha.id);
+
+    const busy = await counselorService.findAvailableCounselor(MONDAY, '09:00', 'individual', bookings, asha.id);
+    expect(busy).toBeNull();
+  });
+
+  test('should filter by session type and skip inactive counselors', async () => {
+    const asha = await createCounselor();
+    await createCounselor({ name: 'Dr. Ravi Kulkarni', email: 'ravi@college.edu', sessionTypes: ['group'] });
+
+    expect(await counselorService.findAvailableCounselor(MONDAY, '09:00', 'group')).toMatchObject({ name: 'Dr. Ravi Kulkarni' });
+
+    await counselorService.deactivateCounselor(asha.id);
+    expect(await counselorService.findAvailableCounselor(MONDAY, '09:00', 'individual')).toBeNull();
+    expect(await counselorService.getCounselors({ includeInactive: true })).toHaveLength(2);
+  });
+
+  test('should verify calendar feed tokens and invalidate rotated ones', async () => {
+    const counselor = await createCounselor();
+
+    const firstToken = await counselorService.generateCalendarToken(counselor.id);
+    expect(await counselorService.verifyCalendarToken(counselor.id, firstToken)).toBe(true);
+    expect((await counselorService.getCounselorById(counselor.id)).calendarTokenHash).not.toBe(firstToken);
+
+    const secondToken = await counselorService.generateCalendarToken(counselor.id);
+    expect(await counselorService.verifyCalendarToken(counselor.id, firstToken)).toBe(false);
+    expect(await counselorService.verifyCalendarToken(counselor.id, secondToken)).toBe(true);
+    expect(await counselorService.verifyCalendarToken(counselor.id, undefined)).toBe(false);
+  });
+
+  test('should validate counselor data', async () => {
+    await expect(createCounselor({ email: 'not-an-email' })).rejects.toThrow('Validation failed');
+    await expect(createCounselor({ weeklyHours: { funday: [] } })).rejects.toThrow("unknown weekday 'funday'");
+    await expect(createCounselor({ weeklyHours: { monday: [{ start: '12:00', end: '09:00' }] } }))
+      .rejects.toThrow('Validation failed');
+
+    await createCounselor();
+    await expect(createCounselor()).rejects.toThrow('Counselor email already exists');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Shared setup for the chat tests: a ConversationalAIService answered by a
+ * ScriptedProvider, an express app with the routes under test, and
+ * Authorization headers for any role.
+ */
+
+const express = require('express');
+const AuthMiddleware = require('../../middleware/authMiddleware');
+const PromptService = require('../../services/promptService');
+const LlmService = require('../../services/llmService');
+const ConversationalAIService = require('../../services/conversationalAIService');
+const { ScriptedProvider } = require('../../services/llmProviders');
+
+// Long and supportive enough to pass the safety gate unchanged
+const REPLY = 'I understand that sounds really difficult. It makes sense to feel this way. What would help most right now?';
+const requestInfo = { ipAddress: '127.0.0.1', userAgent: 'jest' };
+
+const authMiddleware = new AuthMiddleware();
+
+/**
+ * @param {Object} options - { script } for the provider (default: always REPLY); the
+ *   rest (safetyGate, continuityService) is passed on to ConversationalAIService
+ * @returns {Object} { service, provider, promptService }
+ */
+function createChatService({ script = [REPLY], ...serviceOptions } = {}) {
+  const promptService = new PromptService();
+  const provider = new ScriptedProvider({ script });
+  const service = new ConversationalAIService({
+    llmService: new LlmService({ providers: [provider], promptService }),
+    promptService,
+    ...serviceOptions
+  });
+
+  return { service, provider, promptService };
+}
+
+/**
+ * @param {Object} routes - Mount path -> router, e.g. { '/api/conversational-ai': conversationalAIRoutes }
+ * @returns {Object} Express app parsing JSON bodies
+ */
+function createApp(routes) {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+  return app;
+}
+
+/**
+ * Authorization header for a user of the given role
+ * @param {string} role - Role name
+ * @param {Object} fields - Token fields to override, e.g. { id, email }; username defaults to the role
+ * @returns {Object} Headers for supertest's set()
+ */
+function as(role, fields = {}) {
+  return { Authorization: `Bearer ${authMiddleware.generateToken({ id: `${role}-1`, username: role, role, ...fields })}` };
+}
+
+module.exports = {
+  REPLY,
+  requestInfo,
+  createChatService,
+  createApp,
+  as
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InstrumentRegistry = require('../services/instrumentRegistry');
+const ScreeningService = require('../services/screeningService');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'data', 'instruments');
+
+describe('InstrumentRegistry', () => {
+  let dataDir;
+
+  const readDefinition = (file) => JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8'));
+  const writeDefinition = (file, definition) => {
+    fs.writeFileSync(path.join(dataDir, file), JSON.stringify(definition));
+  };
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'instruments-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('should load and validate the bundled instruments', () => {
+    const registry = new InstrumentRegistry(SOURCE_DIR).load();
+
+    expect(registry.getToolNames()).toEqual(
+      expect.arrayContaining(['PHQ-9', 'GAD-7', 'GHQ-12', 'PSS-10', 'DASS-21', 'PC-PTSD-5'])
+    );
+    expect(registry.getInstrument('PHQ-9').crisisIndicators[0]).toMatchObject({
+      type: 'suicidalIdeation',
+      questions: ['phq9_9']
+    });
+  });
+
+  test('should use the latest version unless one is requested', () => {
+    const phq9 = readDefinition('phq-9.json');
+    writeDefinition('phq-9.json', phq9);
+    writeDefinition('phq-9-1.1.json', {
+      ...phq9,
+      version: '1.1',
+      questions: phq9.questions.map(q => (q.id === 'phq9_1' ? { ...q, text: 'Little interest in doing things' } : q))
+    });
+
+    const registry = new InstrumentRegistry(dataDir).load();
+    const screeningService = new ScreeningService(registry);
+
+    expect(registry.getInstrument('PHQ-9').version).toBe('1.1');
+    expect(registry.getInstrument('PHQ-9', '1.0').questions[0].text).toBe('Little interest or pleasure in doing things');
+    expect(registry.listInstruments().filter(i => i.latest).map(i => i.version)).toEqual(['1.1']);
+
+    const responses = Object.fromEntries(phq9.questions.map(q => [q.id, 0]));
+    expect(screeningService.scoreSubmission('PHQ-9', responses).toolVersion).toBe('1.1');
+    expect(screeningService.scoreSubmission('PHQ-9', responses, '1.0').toolVersion).toBe('1.0');
+    expect(() => screeningService.scoreSubmission('PHQ-9', responses, '9.9')).toThrow("version '9.9' not found");
+  });
+
+  test('should reject definitions with gaps, bad references or wrong maxima', () => {
+    const gad7 = readDefinition('gad-7.json');
+    const broken = {
+      ...gad7,
+      scoring: {
+        ...gad7.scoring,
+        ranges: gad7.scoring.ranges.filter(range => range.level !== 'mild')
+      },
+      crisisIndicators: [{ type: 'severeAnxiety', questions: ['gad7_99'], threshold: 1, action: 'urgent_referral' }]
+    };
+
+    const errors = new InstrumentRegistry(dataDir).validateDefinition(broken);
+    expect(errors).toEqual(expect.arrayContaining([
+      'scoring.ranges[1] must start at 5 and end at or after it',
+      "crisisIndicators[0] references unknown question 'gad7_99'"
+    ]));
+
+    writeDefinition('gad-7.json', { ...gad7, scoring: { ...gad7.scoring, maxScore: 20 } });
+    expect(() => new InstrumentRegistry(dataDir).load()).toThrow('Invalid instrument definitions: gad-7.json');
+  });
+
+  test('should translate questions, options and bands', () => {
+    const registry = new InstrumentRegistry(SOURCE_DIR).load();
+    const marathi = registry.translate(registry.getInstrument('GAD-7'), 'mr');
+
+    expect(marathi.questions[3].text).toBe('आराम करण्यात अडचण');
+    expect(marathi.responseOptions[0].text).toBe('अजिबात नाही');
+    expect(marathi.scoring.ranges[3].description).toBe('तीव्र चिंता');
+    expect(registry.translate(registry.getInstrument('PSS-10'), 'mr').questions[0].text)
+      .toBe('Been upset because of something that happened unexpectedly');
+  });
+});
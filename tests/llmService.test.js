@@ -0,0 +1,224 @@
+const { Readable } = require('stream');
+const axios = require('axios');
+const LlmService = require('../services/llmService');
+const {
+  GroqProvider,
+  OpenAICompatibleProvider,
+  ScriptedProvider,
+  createProviders
+} = require('../services/llmProviders');
+
+jest.mock('groq-sdk');
+jest.mock('axios');
+
+/**
+ * Build an async iterable that mimics a Groq streaming completion
+ */
+function mockStream(tokens, failAfter = null) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (let i = 0; i < tokens.length; i++) {
+        if (failAfter !== null && i === failAfter) {
+          throw new Error('Connection reset');
+        }
+        yield { choices: [{ delta: { content: tokens[i] } }] };
+      }
+    }
+  };
+}
+
+// The streaming cases from the former GroqService tests, now run through the Groq provider
+describe('LlmService streaming', () => {
+  let llmService;
+  let create;
+
+  beforeEach(() => {
+    create = jest.fn();
+    const groq = new GroqProvider({ apiKey: 'test-groq-key', client: { chat: { completions: { create } } } });
+    llmService = new LlmService({ providers: [groq] });
+    llmService.retryDelay = 0;
+  });
+
+  test('should emit tokens in order and return the complete response', async () => {
+    create.mockResolvedValue(mockStream(['I hear ', 'you. ', 'That sounds hard.']));
+    const tokens = [];
+
+    const response = await llmService.generateResponseStream('I feel stressed', [], (token) => tokens.push(token));
+
+    expect(tokens).toEqual(['I hear ', 'you. ', 'That sounds hard.']);
+    expect(response).toBe('I hear you. That sounds hard.');
+    expect(create.mock.calls[0][0].stream).toBe(true);
+  });
+
+  test('should include system prompt and recent history', async () => {
+    create.mockResolvedValue(mockStream(['Okay.']));
+    const history = Array.from({ length: 12 }, (_, i) => ({ role: 'user', content: `m${i}` }));
+
+    await llmService.generateResponseStream('hello', history);
+
+    const messages = create.mock.calls[0][0].messages;
+    expect(messages[0].role).toBe('system');
+    expect(messages).toHaveLength(12);
+    expect(messages[messages.length - 1]).toEqual({ role: 'user', content: 'hello' });
+  });
+
+  test('should retry when the request fails before any token is sent', async () => {
+    create
+      .mockRejectedValueOnce(Object.assign(new Error('Server error'), { status: 503 }))
+      .mockResolvedValueOnce(mockStream(['Recovered.']));
+
+    const response = await llmService.generateResponseStream('hello');
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(response).toBe('Recovered.');
+  });
+
+  test('should not retry once tokens have been emitted', async () => {
+    create.mockResolvedValue(mockStream(['Partial ', 'reply'], 1));
+    const onToken = jest.fn();
+
+    await expect(llmService.generateResponseStream('hello', [], onToken)).rejects.toThrow('Connection reset');
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(onToken).toHaveBeenCalledTimes(1);
+  });
+
+  test('should throw when not configured', async () => {
+    llmService = new LlmService({ providers: [new GroqProvider({ apiKey: '' })] });
+
+    await expect(llmService.generateResponseStream('hello')).rejects.toThrow('LLM service not configured');
+  });
+});
+
+describe('LlmService failover', () => {
+  test('should move to the next provider once retries are used up', async () => {
+    const busy = new ScriptedProvider({
+      name: 'busy',
+      script: [Object.assign(new Error('Rate limit exceeded'), { retryable: true })]
+    });
+    const backup = new ScriptedProvider({ name: 'backup', script: ['Backup reply.'] });
+    const llmService = new LlmService({ providers: [busy, backup] });
+    llmService.retryDelay = 0;
+
+    const response = await llmService.generateResponse('hello');
+
+    expect(response).toBe('Backup reply.');
+    expect(busy.calls).toHaveLength(3);
+    expect(backup.calls).toHaveLength(1);
+
+    const status = llmService.getServiceStatus();
+    expect(status.providers.map(provider => provider.name)).toEqual(['busy', 'backup']);
+    expect(status.providers[0].stats).toMatchObject({ requests: 3, failures: 3, lastError: 'Rate limit exceeded' });
+    expect(status.providers[1].stats).toMatchObject({ requests: 1, failures: 0 });
+  });
+
+  test('should not retry errors that will not clear up and report every provider failing', async () => {
+    const rejected = new ScriptedProvider({ name: 'first', script: [new Error('Invalid API key')] });
+    const broken = new ScriptedProvider({ name: 'second', script: [new Error('Invalid request format')] });
+    const llmService = new LlmService({ providers: [rejected, broken] });
+
+    await expect(llmService.generateResponse('hello')).rejects
+      .toThrow('All LLM providers failed - first: Invalid API key; second: Invalid request format');
+    expect(rejected.calls).toHaveLength(1);
+  });
+
+  test('should skip providers that are not configured', async () => {
+    const local = new OpenAICompatibleProvider({ baseUrl: '', models: [] });
+    const scripted = new ScriptedProvider();
+    const llmService = new LlmService({ providers: [local, scripted] });
+
+    expect(llmService.getAvailableProviders()).toEqual([scripted]);
+    expect(llmService.getServiceStatus()).toMatchObject({ available: true, provider: 'scripted', model: 'scripted' });
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('should parse server-sent event chunks split across reads', async () => {
+    axios.post.mockResolvedValue({
+      data: Readable.from([
+        'data: {"choices":[{"delta":{"content":"Take "}}]}\n\ndata: {"choices":[{"del',
+        'ta":{"content":"a breath."}}]}\n\n',
+        'data: [DONE]\n\n'
+      ])
+    });
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/', models: ['llama3.1:8b'] });
+    const tokens = [];
+
+    const response = await provider.stream([{ role: 'user', content: 'hi' }], token => tokens.push(token), { maxTokens: 50 });
+
+    expect(tokens).toEqual(['Take ', 'a breath.']);
+    expect(response).toBe('Take a breath.');
+    expect(axios.post.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions');
+    expect(axios.post.mock.calls[0][1]).toMatchObject({ model: 'llama3.1:8b', max_tokens: 50, stream: true });
+    expect(axios.post.mock.calls[0][2].headers.Authorization).toBeUndefined();
+  });
+
+  test('should skip stream data that is not JSON', async () => {
+    axios.post.mockResolvedValue({
+      data: Readable.from([
+        'data: keep-alive\n\n: comment\n\n',
+        'data: {"choices":[{"delta":{"content":"Still here."}}]}\n\n',
+        'data: {"choices":[{"del'
+      ])
+    });
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://llm.local/v1', models: ['m'] });
+
+    await expect(provider.stream([], () => {})).resolves.toBe('Still here.');
+  });
+
+  test('should fail over when the server reports an error in the stream', async () => {
+    axios.post.mockImplementation(async () => ({
+      data: Readable.from(['data: {"error":{"message":"model overloaded"}}\n\n'])
+    }));
+    const provider = new OpenAICompatibleProvider({ name: 'local', baseUrl: 'http://llm.local/v1', models: ['m'] });
+    const backup = new ScriptedProvider({ name: 'backup', script: ['Backup reply.'] });
+    const llmService = new LlmService({ providers: [provider, backup] });
+    llmService.retryDelay = 0;
+
+    await expect(provider.stream([], () => {})).rejects.toMatchObject({ message: 'local stream error: model overloaded', retryable: true });
+    await expect(llmService.generateResponseStream('hello')).resolves.toBe('Backup reply.');
+    expect(axios.post).toHaveBeenCalledTimes(1 + llmService.maxRetries);
+  });
+
+  test('should mark server errors retryable and auth errors not', async () => {
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://llm.local/v1', models: ['m'], apiKey: 'k' });
+
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('boom'), { response: { status: 502 } }));
+    await expect(provider.complete([])).rejects.toMatchObject({ status: 502, retryable: true });
+
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('nope'), { response: { status: 401 } }));
+    await expect(provider.complete([])).rejects.toMatchObject({ message: 'Invalid openai API key', retryable: false });
+  });
+});
+
+describe('createProviders', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  test('should prefer per-environment settings', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.LLM_PROVIDERS = 'groq';
+    process.env.LLM_PROVIDERS_PRODUCTION = 'openai,scripted';
+    process.env.LLM_BASE_URL = 'http://localhost:8080/v1';
+    process.env.LLM_MODELS = 'dev-model';
+    process.env.LLM_MODELS_PRODUCTION = 'prod-model, backup-model';
+
+    const providers = createProviders();
+
+    expect(providers.map(provider => provider.name)).toEqual(['openai', 'scripted']);
+    expect(providers[0].models).toEqual(['prod-model', 'backup-model']);
+    expect(providers[0].isConfigured()).toBe(true);
+  });
+
+  test('should reject unknown provider names', () => {
+    process.env.LLM_PROVIDERS = 'groq,mystery';
+
+    expect(() => createProviders()).toThrow('Unknown LLM provider: mystery');
+  });
+});
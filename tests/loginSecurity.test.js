@@ -0,0 +1,183 @@
+const express = require('express');
+const request = require('supertest');
+const UserManagementService = require('../services/userManagementService');
+const LoginSecurityService = require('../services/loginSecurityService');
+const authRoutes = require('../routes/auth');
+
+const MINUTE = 60 * 1000;
+
+describe('LoginSecurityService', () => {
+  let security;
+  let anomalies;
+  const start = Date.parse('2025-03-01T10:00:00Z');
+
+  const fail = (username, ip, at, outcome = 'invalid_password') =>
+    security.recordAttempt({ username, ip, userAgent: 'jest', outcome }, at);
+
+  beforeEach(() => {
+    security = new LoginSecurityService({ ipHashSecret: 'test-secret' });
+    anomalies = [];
+    security.on('anomaly', anomaly => anomalies.push(anomaly));
+  });
+
+  test('should lock an account for longer after each lockout', () => {
+    for (let i = 0; i < 5; i++) fail('dr_patil', '10.0.0.1', start);
+
+    expect(security.getLockout('dr_patil', '10.0.0.9', start + MINUTE)).toEqual({ scope: 'account', retryAfter: 4 * 60 });
+    expect(security.getLockout('dr_patil', '10.0.0.9', start + 5 * MINUTE)).toBeNull();
+
+    const later = start + 6 * MINUTE;
+    for (let i = 0; i < 5; i++) fail('dr_patil', '10.0.0.1', later + i);
+    expect(security.getLockout('dr_patil', null, later + 9 * MINUTE)).not.toBeNull();
+    expect(security.getLockout('dr_patil', null, later + 11 * MINUTE)).toBeNull();
+
+    expect(anomalies.map(anomaly => [anomaly.type, anomaly.severity])).toEqual([
+      ['account_locked', 'medium'],
+      ['account_locked', 'high']
+    ]);
+  });
+
+  test('should forget failures after a correct password', () => {
+    for (let i = 0; i < 4; i++) fail('dr_patil', '10.0.0.1', start + i);
+    fail('dr_patil', '10.0.0.1', start + 10, 'success');
+    fail('dr_patil', '10.0.0.1', start + 20);
+
+    expect(security.getAccountStatus('dr_patil', start + 30)).toMatchObject({ locked: false, recentFailures: 1 });
+  });
+
+  test('should lock an address and report credential stuffing once per cooldown', () => {
+    for (let i = 0; i < 20; i++) fail(`student${i}@college.edu`, '203.0.113.7', start + i, 'unknown_user');
+
+    expect(security.getLockout('someone-else', '203.0.113.7', start + MINUTE)).toMatchObject({ scope: 'ip' });
+    expect(security.getLockout('someone-else', '203.0.113.8', start + MINUTE)).toBeNull();
+
+    const stuffing = anomalies.filter(anomaly => anomaly.type === 'credential_stuffing');
+    expect(stuffing).toHaveLength(1);
+    expect(stuffing[0].usernames).toHaveLength(10);
+    expect(stuffing[0].ipHash).toBe(security.hashIp('203.0.113.7'));
+  });
+
+  test('should detect failures spread across many addresses', () => {
+    for (let i = 0; i < 30; i++) fail(`student${i % 12}@college.edu`, `198.51.100.${i % 6}`, start + i * 1000);
+
+    expect(anomalies.map(anomaly => anomaly.type)).toContain('distributed_credential_stuffing');
+    expect(anomalies.find(anomaly => anomaly.type === 'distributed_credential_stuffing').severity).toBe('critical');
+  });
+
+  test('should cap tracked counters without dropping active lockouts', () => {
+    security = new LoginSecurityService({ ipHashSecret: 'test-secret', maxTracked: 3 });
+    for (let i = 0; i < 5; i++) fail('dr_patil', null, start);
+    for (let i = 0; i < 5; i++) fail(`made-up-${i}`, null, start + MINUTE, 'unknown_user');
+
+    expect(security.accounts.size).toBe(3);
+    expect(security.accounts.has('dr_patil')).toBe(true);
+    expect(security.accounts.has('made-up-0')).toBe(false);
+    expect(security.getLockout('dr_patil', null, start + 2 * MINUTE)).toMatchObject({ scope: 'account' });
+  });
+
+  test('should keep in-memory history only for real accounts and prune it in cleanup', async () => {
+    security.recordAttempt({ username: 'dr_patil', userId: 'user-1', ip: '10.0.0.1', outcome: 'success' }, start);
+    security.recordAttempt({ username: 'dr_rao', userId: 'user-2', ip: '10.0.0.1', outcome: 'success' }, start + 8 * 24 * 60 * MINUTE);
+    fail('nobody', '10.0.0.1', start, 'unknown_user');
+    fail('nobody', '10.0.0.1', start, 'locked');
+
+    expect(Array.from(security.history.keys())).toEqual(['dr_patil', 'dr_rao']);
+
+    security.cleanup(start + 8 * 24 * 60 * MINUTE + MINUTE);
+
+    expect(await security.getLoginHistory('dr_patil')).toEqual([]);
+    expect(await security.getLoginHistory('dr_rao')).toHaveLength(1);
+  });
+
+  test('should run cleanup on an unref\'d timer outside tests', () => {
+    jest.useFakeTimers();
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      security = new LoginSecurityService({ ipHashSecret: 'test-secret', cleanupInterval: MINUTE });
+      const cleanup = jest.spyOn(security, 'cleanup');
+
+      expect(security.cleanupInterval.hasRef()).toBe(false);
+      jest.advanceTimersByTime(MINUTE);
+      expect(cleanup).toHaveBeenCalledTimes(1);
+
+      security.stopCleanupTimer();
+      jest.advanceTimersByTime(MINUTE);
+      expect(cleanup).toHaveBeenCalledTimes(1);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('Login lockout API', () => {
+  const userManagementService = UserManagementService.getDefault();
+  let app;
+  let adminToken;
+
+  const login = (username, password) => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', 'Mozilla/5.0 (jest)')
+    .send({ username, password });
+
+  beforeAll(async () => {
+    await userManagementService.waitForInitialization();
+    await userManagementService.createUser({
+      username: 'locked_counselor',
+      email: 'locked_counselor@mindcare.edu',
+      fullName: 'Dr Locked',
+      role: 'counselor',
+      password: 'counselor123!'
+    });
+    adminToken = (await userManagementService.authenticateUser('admin', 'admin123!')).token;
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+  });
+
+  test('should lock the account, alert admins and let an admin unlock it', async () => {
+    const anomaly = jest.fn();
+    userManagementService.on('login-anomaly', anomaly);
+
+    for (let i = 0; i < 5; i++) {
+      await login('locked_counselor', 'wrong-password').expect(401);
+    }
+
+    // Even the right password is refused while locked
+    const locked = await login('locked_counselor', 'counselor123!').expect(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(anomaly).toHaveBeenCalledWith(expect.objectContaining({ type: 'account_locked', username: 'locked_counselor' }));
+    userManagementService.removeListener('login-anomaly', anomaly);
+
+    const users = await request(app).get('/api/auth/users').set('Authorization', `Bearer ${adminToken}`).expect(200);
+    expect(users.body.users.find(user => user.username === 'locked_counselor').locked).toBe(true);
+
+    await request(app)
+      .post('/api/auth/users/locked_counselor/unlock')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    await login('locked_counselor', 'counselor123!').expect(200);
+
+    const { body } = await request(app)
+      .get('/api/auth/users/locked_counselor/login-history')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(body.history.map(event => event.outcome)).toEqual([
+      'success', 'locked', 'invalid_password', 'invalid_password', 'invalid_password', 'invalid_password', 'invalid_password'
+    ]);
+    expect(body.history[0]).toMatchObject({ userAgent: 'Mozilla/5.0 (jest)', ipHash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(JSON.stringify(body.history)).not.toContain('127.0.0.1');
+  });
+
+  test('should keep login history and unlock for admins only', async () => {
+    const { token } = await userManagementService.authenticateUser('counselor', 'counselor123!');
+
+    await request(app).get('/api/auth/users/admin/login-history').set('Authorization', `Bearer ${token}`).expect(403);
+    await request(app).post('/api/auth/users/nobody/unlock').set('Authorization', `Bearer ${adminToken}`).expect(404);
+  });
+});
@@ -0,0 +1,160 @@
+const express = require('express');
+const request = require('supertest');
+const UserManagementService = require('../services/userManagementService');
+const TotpService = require('../services/totpService');
+const authRoutes = require('../routes/auth');
+
+describe('TOTP multi-factor authentication', () => {
+  const userManagementService = UserManagementService.getDefault();
+  const totp = new TotpService();
+  let app;
+  let adminToken;
+
+  // Codes from the next time step, so they are never refused as already used
+  const nextCode = (secret) => totp.generateCode(secret, totp.getTimeStep() + 1);
+  const codeAt = (secret, offset) => totp.generateCode(secret, totp.getTimeStep() + offset);
+
+  const createCounselor = (username) => userManagementService.createUser({
+    username,
+    email: `${username}@mindcare.edu`,
+    fullName: 'Dr Test',
+    role: 'counselor',
+    password: 'counselor123!'
+  });
+
+  const login = (username) => request(app)
+    .post('/api/auth/login')
+    .send({ username, password: 'counselor123!' })
+    .expect(200);
+
+  beforeAll(async () => {
+    await userManagementService.waitForInitialization();
+    adminToken = (await userManagementService.authenticateUser('admin', 'admin123!')).token;
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+  });
+
+  test('should verify codes against the RFC 6238 test vector', () => {
+    const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+    expect(totp.generateCode(secret, Math.floor(59 / 30))).toBe('287082');
+    expect(totp.generateCode(secret, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(totp.verifyCode(secret, '081804', 1111111109 * 1000)).toBe(Math.floor(1111111109 / 30));
+    expect(totp.verifyCode(secret, '000000', 1111111109 * 1000)).toBeNull();
+  });
+
+  test('should enrol, then require a code and accept each recovery code once', async () => {
+    await createCounselor('mfa_counselor');
+    const { token } = (await login('mfa_counselor')).body;
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const setup = await request(app).post('/api/auth/mfa/setup').set(auth).expect(200);
+    expect(setup.body.otpauthUri).toBe(`otpauth://totp/AarogyaTech%3Amfa_counselor?secret=${setup.body.secret}&issuer=AarogyaTech&algorithm=SHA1&digits=6&period=30`);
+
+    await request(app).post('/api/auth/mfa/enable').set(auth).send({ code: '000000' }).expect(400);
+    const enabled = await request(app).post('/api/auth/mfa/enable').set(auth).send({ code: codeAt(setup.body.secret, 0) }).expect(200);
+    expect(enabled.body.recoveryCodes).toHaveLength(10);
+    expect(userManagementService.getUserByUsername('mfa_counselor')).toMatchObject({ mfaEnabled: true });
+    expect(userManagementService.getUserByUsername('mfa_counselor')).not.toHaveProperty('mfa');
+
+    const challenge = (await login('mfa_counselor')).body;
+    expect(challenge).toMatchObject({ mfaRequired: true, enrollmentRequired: false });
+    expect(challenge).not.toHaveProperty('token');
+
+    const code = nextCode(setup.body.secret);
+    const verified = await request(app).post('/api/auth/login/mfa').send({ mfaToken: challenge.mfaToken, code }).expect(200);
+    expect(verified.body.user.username).toBe('mfa_counselor');
+
+    // The same code cannot be replayed, and the challenge is single use
+    const second = (await login('mfa_counselor')).body;
+    await request(app).post('/api/auth/login/mfa').send({ mfaToken: second.mfaToken, code }).expect(401);
+    await request(app).post('/api/auth/login/mfa').send({ mfaToken: challenge.mfaToken, code }).expect(401);
+
+    const [recoveryCode] = enabled.body.recoveryCodes;
+    await request(app).post('/api/auth/login/mfa').send({ mfaToken: second.mfaToken, recoveryCode }).expect(200);
+    const third = (await login('mfa_counselor')).body;
+    await request(app).post('/api/auth/login/mfa').send({ mfaToken: third.mfaToken, recoveryCode }).expect(401);
+    expect(userManagementService.getMfaStatus('mfa_counselor').recoveryCodesRemaining).toBe(9);
+  });
+
+  test('should give up on a challenge after five wrong codes', async () => {
+    await createCounselor('mfa_guessed');
+    const { secret } = await userManagementService.startMfaEnrollment('mfa_guessed');
+    await userManagementService.confirmMfaEnrollment('mfa_guessed', codeAt(secret, 0));
+
+    const { mfaToken } = (await login('mfa_guessed')).body;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await request(app).post('/api/auth/login/mfa').send({ mfaToken, code: '000000' }).expect(401);
+    }
+
+    const response = await request(app).post('/api/auth/login/mfa').send({ mfaToken, code: nextCode(secret) }).expect(401);
+    expect(response.body.message).toBe('Invalid or expired MFA challenge');
+  });
+
+  test('should count wrong codes towards the account lockout', async () => {
+    await createCounselor('mfa_locked');
+    const { secret } = await userManagementService.startMfaEnrollment('mfa_locked');
+    await userManagementService.confirmMfaEnrollment('mfa_locked', codeAt(secret, 0));
+
+    // A fresh challenge does not reset the count
+    const first = (await login('mfa_locked')).body;
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await request(app).post('/api/auth/login/mfa').send({ mfaToken: first.mfaToken, code: '000000' }).expect(401);
+    }
+    const second = (await login('mfa_locked')).body;
+    await request(app).post('/api/auth/login/mfa').send({ mfaToken: second.mfaToken, code: '000000' }).expect(401);
+
+    const locked = await request(app).post('/api/auth/login/mfa').send({ mfaToken: second.mfaToken, code: nextCode(secret) }).expect(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    await request(app).post('/api/auth/login').send({ username: 'mfa_locked', password: 'counselor123!' }).expect(429);
+
+    const history = await userManagementService.getLoginHistory('mfa_locked');
+    expect(history.map(event => event.outcome).slice(0, 4)).toEqual(['locked', 'locked', 'invalid_mfa_code', 'mfa_challenge']);
+
+    userManagementService.unlockAccount('mfa_locked');
+    await request(app).post('/api/auth/login/mfa').send({ mfaToken: second.mfaToken, code: nextCode(secret) }).expect(200);
+  });
+
+  test('should make admin-required users enrol during login', async () => {
+    await createCounselor('mfa_required');
+
+    await request(app)
+      .put('/api/auth/users/mfa_required')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ mfaRequired: true })
+      .expect(200);
+
+    const challenge = (await login('mfa_required')).body;
+    expect(challenge).toMatchObject({ mfaRequired: true, enrollmentRequired: true });
+
+    const { body: enrollment } = await request(app)
+      .post('/api/auth/login/mfa/setup')
+      .send({ mfaToken: challenge.mfaToken })
+      .expect(200);
+
+    const { body } = await request(app)
+      .post('/api/auth/login/mfa')
+      .send({ mfaToken: challenge.mfaToken, code: codeAt(enrollment.secret, 0) })
+      .expect(200);
+
+    expect(body.token).toBeDefined();
+    expect(body.recoveryCodes).toHaveLength(10);
+
+    // Required MFA cannot be switched off by the user, only reset by an admin
+    await request(app)
+      .post('/api/auth/mfa/disable')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ password: 'counselor123!', code: nextCode(enrollment.secret) })
+      .expect(400);
+
+    await request(app)
+      .post('/api/auth/users/mfa_required/mfa/reset')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect((await login('mfa_required')).body.enrollmentRequired).toBe(true);
+  });
+});
@@ -0,0 +1,149 @@
+const EventEmitter = require('events');
+const NotificationService = require('../services/notificationService');
+const QueueManagementService = require('../services/queueManagementService');
+
+const flush = () => new Promise(setImmediate);
+
+describe('NotificationService', () => {
+  let bookingService;
+  let queueManager;
+  let transports;
+  let notificationService;
+
+  const counselor = { id: 'c1', name: 'Dr. Asha Patil', email: 'asha@college.edu', languages: ['en'] };
+
+  const booking = (overrides = {}) => ({
+    id: 'b1',
+    preferredDate: '2030-01-07',
+    preferredTime: '10:00',
+    sessionType: 'individual',
+    status: 'pending',
+    contactMethod: 'email',
+    contactInfo: 'student@college.edu',
+    concerns: 'exam anxiety',
+    language: 'en',
+    counselorId: 'c1',
+    assignedCounselor: 'Dr. Asha Patil',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    transports = {
+      email: { send: jest.fn().mockResolvedValue({ messageId: 'email-1' }) },
+      sms: { send: jest.fn().mockResolvedValue({ messageId: 'sms-1' }) }
+    };
+
+    // Runs each queued message straight through the registered handler
+    queueManager = {
+      handler: null,
+      registerHandler: jest.fn((service, handler) => { queueManager.handler = handler; }),
+      enqueueRequest: jest.fn((service, message) => queueManager.handler(message))
+    };
+
+    bookingService = new EventEmitter();
+    bookingService.counselorService = { getCounselorById: jest.fn().mockResolvedValue(counselor) };
+    bookingService.loadBookings = jest.fn().mockResolvedValue([]);
+    bookingService.markReminderSent = jest.fn(async (id) => ({ id, reminderSentAt: new Date().toISOString() }));
+
+    notificationService = new NotificationService({ queueManager, transports });
+    notificationService.calendarService.timeZone = 'Asia/Kolkata';
+    notificationService.attach(bookingService);
+  });
+
+  test('should notify the student and counselor when a booking is created', async () => {
+    bookingService.emit('bookingCreated', booking());
+    await flush();
+
+    expect(queueManager.enqueueRequest).toHaveBeenCalledWith('notifications', expect.any(Object), expect.objectContaining({ retries: 5 }));
+    expect(transports.email.send).toHaveBeenCalledTimes(2);
+
+    const [studentMessage] = transports.email.send.mock.calls[0];
+    expect(studentMessage.to).toBe('student@college.edu');
+    expect(studentMessage.subject).toBe('We received your counseling request');
+    expect(studentMessage.text).toContain('b1');
+    expect(studentMessage.text).toContain('988');
+    expect(studentMessage.text).not.toContain('exam anxiety');
+
+    expect(transports.email.send.mock.calls[1][0].to).toBe('asha@college.edu');
+  });
+
+  test('should use the booking language and SMS for phone contacts', async () => {
+    await notificationService.notify(booking({ language: 'mr', contactMethod: 'phone', contactInfo: '+919890000000' }), 'confirmed');
+    await flush();
+
+    const [smsMessage] = transports.sms.send.mock.calls[0];
+    expect(smsMessage.to).toBe('+919890000000');
+    expect(smsMessage.language).toBe('mr');
+    expect(smsMessage.text).toContain('निश्चित');
+  });
+
+  test('should respect the per-booking opt-out for student messages', async () => {
+    const messages = await notificationService.notify(booking({ notificationsOptOut: true }), 'confirmed');
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].audience).toBe('counselor');
+  });
+
+  test('should only notify on meaningful status changes', async () => {
+    const notify = jest.spyOn(notificationService, 'notify');
+
+    bookingService.emit('bookingUpdated', { booking: booking({ status: 'cancelled' }), previous: booking() });
+    bookingService.emit('bookingUpdated', { booking: booking({ notes: 'called student' }), previous: booking() });
+    await flush();
+
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith(expect.objectContaining({ status: 'cancelled' }), 'cancelled');
+  });
+
+  test('should send reminders once for confirmed appointments within a day', async () => {
+    const now = new Date('2030-01-06T06:00:00Z');
+    bookingService.loadBookings.mockResolvedValue([
+      booking({ id: 'tomorrow', status: 'confirmed' }),
+      booking({ id: 'already', status: 'confirmed', reminderSentAt: '2030-01-06T05:00:00Z' }),
+      booking({ id: 'later', status: 'confirmed', preferredDate: '2030-01-09' })
+    ]);
+
+    const sent = await notificationService.sendDueReminders(now);
+
+    expect(sent).toBe(1);
+    expect(bookingService.markReminderSent).toHaveBeenCalledWith('tomorrow');
+    expect(bookingService.loadBookings).toHaveBeenCalledWith(expect.objectContaining({ status: 'confirmed' }));
+  });
+
+  test('should report deliveries that fail after all retries', async () => {
+    transports.email.send.mockRejectedValue(new Error('SMTP down'));
+    const failed = jest.fn();
+    notificationService.on('notificationFailed', failed);
+
+    await notificationService.notify(booking(), 'reminder');
+    await flush();
+
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({ bookingId: 'b1', error: 'SMTP down' }));
+  });
+});
+
+describe('QueueManagementService handlers', () => {
+  let queueManager;
+
+  beforeEach(() => {
+    queueManager = new QueueManagementService();
+  });
+
+  afterEach(() => {
+    queueManager.stopQueueProcessing();
+  });
+
+  test('should run registered handlers and retry failures', async () => {
+    const handler = jest.fn()
+      .mockRejectedValueOnce(new Error('Temporary failure'))
+      .mockResolvedValueOnce({ messageId: 'm1' });
+    queueManager.registerHandler('notifications-test', handler);
+    jest.spyOn(queueManager, 'calculateRetryDelay').mockReturnValue(0);
+
+    const result = await queueManager.enqueueRequest('notifications-test', { to: 'a@b.c' }, { retries: 3, timeout: 5000 });
+
+    expect(result).toEqual({ messageId: 'm1' });
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(handler.mock.calls[0][0]).toEqual({ to: 'a@b.c' });
+  });
+});
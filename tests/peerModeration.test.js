@@ -0,0 +1,245 @@
+const express = require('express');
+const request = require('supertest');
+const PeerSupportPost = require('../models/peerSupport');
+const PeerSupportService = require('../services/peerSupportService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const peerSupportRoutes = require('../routes/peerSupport');
+
+describe('Peer support moderation', () => {
+  const peerSupportService = new PeerSupportService();
+  const authMiddleware = new AuthMiddleware();
+  const counselorToken = authMiddleware.generateToken({ id: 'counselor-1', username: 'dr_patil', role: 'counselor' });
+  const studentToken = (id = 'student-1') =>
+    authMiddleware.generateToken({ id, username: `${id}@college.edu`, email: `${id}@college.edu`, role: 'student' });
+  let app;
+  let posts;
+
+  const createPost = async (title, content, createdAt) => {
+    const { post } = await peerSupportService.createPost({
+      title, content, authorId: 'student-2', authorEmail: 'student2@college.edu'
+    });
+    post.createdAt = createdAt;
+    posts.push(post);
+    return post;
+  };
+
+  const addReply = async (post, content, createdAt) => {
+    const { reply } = await peerSupportService.addReply(post.id, {
+      content, authorId: 'student-3', authorEmail: 'student3@college.edu'
+    });
+    post.replies.find(item => item.id === reply.id).createdAt = createdAt;
+    return reply;
+  };
+
+  beforeEach(() => {
+    posts = [];
+    jest.spyOn(PeerSupportPost.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(PeerSupportPost, 'findOne').mockImplementation(async (query) =>
+      posts.find(post => post.id === query.id && (query.isHidden === undefined || post.isHidden === query.isHidden)) || null
+    );
+    jest.spyOn(PeerSupportPost, 'find').mockImplementation(async () =>
+      posts.filter(post => post.moderationStatus === 'pending' ||
+        post.replies.some(reply => reply.moderationStatus === 'pending'))
+    );
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/peer-support', peerSupportRoutes);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should queue flagged posts and replies by risk, oldest first', async () => {
+    const medium = await createPost('Rough week', 'I keep thinking about self harm', new Date('2025-01-02'));
+    const high = await createPost('Done', 'suicide, pills, overdose tonight', new Date('2025-01-03'));
+    const clean = await createPost('Exams', 'Any tips for the exam?', new Date('2025-01-01'));
+    await addReply(clean, 'Sometimes I think about cutting', new Date('2025-01-01T12:00:00Z'));
+
+    expect(high.isHidden).toBe(true);
+    expect(clean.moderationStatus).toBe('clear');
+    expect(medium.moderationHistory[0]).toMatchObject({ action: 'flagged', moderatorId: 'system', status: 'pending' });
+
+    const response = await request(app)
+      .get('/api/peer-support/moderation/queue')
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .expect(200);
+
+    expect(response.body.total).toBe(3);
+    expect(response.body.items.map(item => [item.type, item.postId, item.riskLevel])).toEqual([
+      ['post', high.id, 'high'],
+      ['reply', clean.id, 'medium'],
+      ['post', medium.id, 'medium']
+    ]);
+    expect(response.body.items[1].flaggedKeywords).toEqual(['cutting']);
+  });
+
+  test('should restrict moderation to counselors and admins', async () => {
+    await request(app).get('/api/peer-support/moderation/queue').expect(401);
+    await request(app)
+      .get('/api/peer-support/moderation/queue')
+      .set('Authorization', `Bearer ${studentToken()}`)
+      .expect(403);
+  });
+
+  test('should record post and reply actions in the audit trail', async () => {
+    const post = await createPost('Rough week', 'I keep thinking about self harm', new Date('2025-01-02'));
+    const reply = await addReply(post, 'I still have the pills', new Date('2025-01-03'));
+
+    await request(app)
+      .post(`/api/peer-support/moderation/posts/${post.id}`)
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .send({ action: 'approve', notes: 'Reached out to the student' })
+      .expect(200);
+
+    await request(app)
+      .post(`/api/peer-support/moderation/posts/${post.id}/replies/${reply.id}`)
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .send({ action: 'hide' })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/peer-support/moderation/posts/${post.id}`)
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .expect(200);
+
+    expect(response.body.post).toMatchObject({ moderationStatus: 'approved', isHidden: false });
+    expect(response.body.post.moderationHistory.map(entry => entry.action)).toEqual(['flagged', 'approve']);
+    expect(response.body.post.moderationHistory[1]).toMatchObject({
+      moderatorId: 'counselor-1',
+      moderatorName: 'dr_patil',
+      notes: 'Reached out to the student',
+      previousStatus: 'pending',
+      status: 'approved'
+    });
+    expect(response.body.post.replies[0]).toMatchObject({ moderationStatus: 'hidden', isHidden: true });
+    expect(response.body.post.replies[0].moderationHistory[1]).toMatchObject({ action: 'hide', previousStatus: 'pending' });
+    expect((await peerSupportService.getModerationQueue()).total).toBe(0);
+  });
+
+  test('should reject unknown actions and missing items', async () => {
+    const post = await createPost('Rough week', 'I keep thinking about self harm', new Date('2025-01-02'));
+    const reply = await addReply(post, 'Same here, self harm thoughts', new Date('2025-01-03'));
+
+    await request(app)
+      .post(`/api/peer-support/moderation/posts/${post.id}`)
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .send({ action: 'delete' })
+      .expect(400);
+    await request(app)
+      .post(`/api/peer-support/moderation/posts/${post.id}/replies/${reply.id}`)
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .send({ action: 'pin' })
+      .expect(400);
+    await request(app)
+      .post(`/api/peer-support/moderation/posts/${post.id}/replies/missing`)
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .send({ action: 'hide' })
+      .expect(404);
+    await request(app)
+      .get('/api/peer-support/moderation/posts/missing')
+      .set('Authorization', `Bearer ${counselorToken}`)
+      .expect(404);
+
+    expect(post.moderationHistory).toHaveLength(1);
+  });
+
+  describe('community reports', () => {
+    const report = (path, userId, reason = 'harassment', note) => request(app)
+      .post(`/api/peer-support/posts/${path}/report`)
+      .set('Authorization', `Bearer ${studentToken(userId)}`)
+      .send({ userId: 'someone-else', reason, note });
+
+    test('should queue reported content once per reporter', async () => {
+      const post = await createPost('Exams', 'Any tips for the exam?', new Date('2025-01-01'));
+
+      await report(post.id, 'student-4', 'self_harm', 'Mentioned this in DMs').expect(201);
+      await report(post.id, 'student-4', 'spam').expect(409);
+      await report(post.id, 'student-5', 'cheating').expect(400);
+      await request(app).post(`/api/peer-support/posts/${post.id}/report`).send({ reason: 'spam' }).expect(401);
+
+      expect(post.reports).toHaveLength(1);
+      expect(post.reports[0].reporterId).toBe('student-4');
+      expect(post).toMatchObject({ moderationStatus: 'pending', riskLevel: 'high', isHidden: false });
+      expect(post.moderationHistory[0]).toMatchObject({
+        action: 'reported',
+        notes: 'self_harm: Mentioned this in DMs',
+        previousStatus: 'clear'
+      });
+
+      const { items } = await peerSupportService.getModerationQueue();
+      expect(items[0]).toMatchObject({ postId: post.id, reportCount: 1, reportReasons: ['self_harm'] });
+    });
+
+    test('should hide content at the report threshold until a moderator reviews it', async () => {
+      const post = await createPost('Exams', 'Any tips for the exam?', new Date('2025-01-01'));
+      const reply = await addReply(post, 'You are all idiots', new Date('2025-01-02'));
+      const replyPath = `${post.id}/replies/${reply.id}`;
+
+      await report(replyPath, 'student-4').expect(201);
+      await report(replyPath, 'student-5').expect(201);
+      const response = await report(replyPath, 'student-6').expect(201);
+
+      const stored = post.replies[0];
+      expect(response.body.hidden).toBe(true);
+      expect(stored.isHidden).toBe(true);
+      expect(stored.moderationHistory.map(entry => entry.action))
+        .toEqual(['reported', 'reported', 'reported', 'auto_hide']);
+      await report(replyPath, 'student-7').expect(404);
+
+      // Approval restores the reply and restarts the count
+      await peerSupportService.moderateReply(post.id, reply.id, { id: 'counselor-1', username: 'dr_patil' }, 'approve');
+      await report(replyPath, 'student-7').expect(201);
+      expect(stored).toMatchObject({ isHidden: false, moderationStatus: 'pending' });
+    });
+  });
+
+  describe('crisis escalation', () => {
+    test('should alert counselors about a confirmed high-risk post and support the author in Marathi', async () => {
+      const monitoring = { createCrisisAlert: jest.fn().mockReturnValue('alert_1') };
+      app.locals.realTimeMonitoring = monitoring;
+      PeerSupportPost.prototype.save.mockImplementation(function () {
+        posts.push(this);
+        return Promise.resolve(this);
+      });
+
+      const response = await request(app)
+        .post('/api/peer-support/posts')
+        .set('Authorization', `Bearer ${studentToken('student-9')}`)
+        .send({ authorId: 'student-2', title: 'Tonight', content: 'I have the pills, suicide feels like the only way, overdose', language: 'mr' })
+        .expect(202);
+
+      const [post] = posts;
+      expect(post).toMatchObject({ authorId: 'student-9', authorEmail: 'student-9@college.edu' });
+      expect(monitoring.createCrisisAlert).toHaveBeenCalledWith(expect.objectContaining({
+        severity: 'critical',
+        source: 'peer-support',
+        link: { postId: post.id, replyId: null, url: `/api/peer-support/moderation/posts/${post.id}` }
+      }));
+      expect(post.crisisAlertId).toBe('alert_1');
+      expect(post.moderationHistory.map(entry => entry.action)).toEqual(['flagged', 'crisis_alert']);
+      expect(response.body.crisisSupport.resources[0].name).toBe('राष्ट्रीय आत्महत्या प्रतिबंध हेल्पलाइन');
+      expect(response.body.crisisSupport).not.toHaveProperty('alertId');
+    });
+
+    test('should still show resources on a high-risk reply when monitoring is down', async () => {
+      const post = await createPost('Exams', 'Any tips for the exam?', new Date('2025-01-01'));
+
+      const result = await peerSupportService.addReply(post.id, {
+        content: 'Thinking about cutting, the rope, the bridge',
+        authorId: 'student-3',
+        authorEmail: 'student3@college.edu'
+      });
+
+      expect(result.crisisSupport).toMatchObject({ confirmed: true, alertId: null });
+      expect(result.crisisSupport.resources[0].phone).toBe('988');
+      expect(post.replies[0].moderationHistory.map(entry => entry.action)).toEqual(['flagged']);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const express = require('express');
+const request = require('supertest');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const UserManagementService = require('../services/userManagementService');
+const authRoutes = require('../routes/auth');
+const screeningResponseRoutes = require('../routes/screeningResponses');
+
+describe('Role permissions', () => {
+  const authMiddleware = new AuthMiddleware();
+  const roleService = authMiddleware.roleService;
+  const token = (role, username = role) => authMiddleware.generateToken({ id: `${role}-1`, username, role });
+  let app;
+
+  const as = (role) => ({ Authorization: `Bearer ${token(role)}` });
+
+  beforeAll(async () => {
+    await UserManagementService.getDefault().waitForInitialization();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use('/api/screening-responses', screeningResponseRoutes);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    for (const { name } of roleService.getRoles()) {
+      await roleService.resetRolePermissions(name, 'test');
+    }
+  });
+
+  test('should require screening:read for the screening response admin routes', async () => {
+    await request(app).get('/api/screening-responses/admin/overview').expect(401);
+
+    const denied = await request(app).get('/api/screening-responses/admin/overview').set(as('student')).expect(403);
+    expect(denied.body.message).toBe('Insufficient permissions. Required permission: screening:read');
+
+    await request(app).get('/api/screening-responses/admin/overview').set(as('counselor')).expect(200);
+    await request(app).put('/api/screening-responses/admin/response/abc').set(as('student')).send({ status: 'reviewed' }).expect(403);
+  });
+
+  test('should apply role edits to existing tokens straight away', async () => {
+    const counselorToken = token('counselor');
+    const overview = () => request(app)
+      .get('/api/screening-responses/admin/overview')
+      .set('Authorization', `Bearer ${counselorToken}`);
+
+    await request(app).get('/api/auth/roles').set(as('counselor')).expect(403);
+    const { body } = await request(app).get('/api/auth/roles').set(as('admin')).expect(200);
+    const counselor = body.roles.find(role => role.name === 'counselor');
+    expect(counselor.permissions).toContain('screening:read');
+    expect(body.permissions.map(permission => permission.name)).toContain('analytics:export');
+
+    await request(app)
+      .put('/api/auth/roles/counselor')
+      .set(as('admin'))
+      .send({ permissions: counselor.permissions.filter(permission => permission !== 'screening:read') })
+      .expect(200);
+    await overview().expect(403);
+
+    await request(app).post('/api/auth/roles/counselor/reset').set(as('admin')).expect(200);
+    await overview().expect(200);
+  });
+
+  test('should reject unknown roles and permissions and keep admins able to edit roles', async () => {
+    const update = (role, permissions) => request(app).put(`/api/auth/roles/${role}`).set(as('admin')).send({ permissions });
+
+    await update('janitor', []).expect(404);
+    expect((await update('counselor', ['crisis:read', 'crisis:delete']).expect(400)).body.message)
+      .toBe('Unknown permission: crisis:delete');
+    expect((await update('admin', ['users:manage']).expect(400)).body.message)
+      .toBe('The admin role must keep roles:manage');
+    expect(roleService.hasPermission('admin', 'roles:manage')).toBe(true);
+  });
+
+  test('should not let users:manage be used to reach more privileged roles', async () => {
+    await roleService.updateRolePermissions('counselor', [
+      ...roleService.getPermissions('counselor'), 'users:read', 'users:manage'
+    ], 'test');
+
+    const createAdmin = await request(app)
+      .post('/api/auth/users')
+      .set(as('counselor'))
+      .send({ username: 'sneaky', password: 'password123!', role: 'admin', email: 'sneaky@college.edu', fullName: 'Sneaky' })
+      .expect(403);
+    expect(createAdmin.body.message).toBe('You cannot manage users with the admin role');
+
+    await request(app).post('/api/auth/users/admin/logout').set(as('counselor')).expect(403);
+    await request(app).put('/api/auth/users/counselor').set(as('counselor')).send({ role: 'admin' }).expect(403);
+    await request(app).get('/api/auth/users').set(as('counselor')).expect(200);
+  });
+});
@@ -0,0 +1,203 @@
+process.env.LLM_PROVIDERS = 'scripted';
+
+const request = require('supertest');
+const PromptService = require('../services/promptService');
+const conversationalAIRoutes = require('../routes/conversationalAI');
+const { requestInfo, createChatService, createApp, as } = require('./helpers/chat');
+
+describe('PromptService', () => {
+  let promptService;
+
+  beforeEach(() => {
+    promptService = new PromptService();
+  });
+
+  test('should resolve variables from the most specific institution and language', async () => {
+    await promptService.updateVariables('coep', 'en', { counselingCentre: 'the COEP Wellness Centre' }, 'admin');
+    await promptService.updateVariables('coep', 'mr', { emergencyNumber: '108' }, 'admin');
+
+    const marathiAtCoep = promptService.resolveVariables('mr', 'coep');
+    expect(marathiAtCoep.counselingCentre).toBe('the COEP Wellness Centre');
+    expect(marathiAtCoep.emergencyNumber).toBe('108');
+    expect(marathiAtCoep.crisisHelpline).toContain('Marathi');
+
+    const englishElsewhere = promptService.resolveVariables('en', 'unknown-college');
+    expect(englishElsewhere.counselingCentre).toBe('the campus counseling centre');
+    expect(englishElsewhere.crisisHelpline).not.toContain('Marathi');
+
+    const crisis = promptService.render('crisis', { language: 'en', institution: 'coep', variables: { severity: 'high' } });
+    expect(crisis.content).toContain('Detected risk level: high');
+    expect(crisis.content).toContain('the COEP Wellness Centre');
+    expect(crisis.missingVariables).toEqual([]);
+  });
+
+  test('should not ship US crisis numbers in the built-in prompts', () => {
+    for (const name of ['chat', 'crisis', 'crisis_fallback', 'safety_resources']) {
+      const { content } = promptService.render(name, { language: 'mr', variables: { severity: 'high' } });
+      expect(content).not.toMatch(/988|741741|911/);
+    }
+    expect(promptService.render('crisis_fallback').content).toContain('14416');
+  });
+
+  test('should validate new versions and only use them once activated', async () => {
+    await expect(promptService.createVersion('chat', { content: 'Call {{hotline}}' }, 'admin'))
+      .rejects.toThrow('Unknown variable: hotline');
+    await expect(promptService.createVersion('chat', { content: 'Be kind.', policy: { temperature: 3 } }, 'admin'))
+      .rejects.toThrow('temperature must be a number from 0 to 2');
+    await expect(promptService.createVersion('triage', { content: 'Hi' }, 'admin'))
+      .rejects.toThrow('Prompt template not found');
+
+    const saved = await promptService.createVersion('chat', {
+      content: 'Be brief. Helpline: {{crisisHelpline}}',
+      policy: { maxTokens: 120 },
+      notes: 'Shorter replies'
+    }, 'admin');
+    expect(saved).toMatchObject({ version: 2, active: false, policy: { maxTokens: 120, temperature: 0.7 } });
+    expect(promptService.render('chat').version).toBe(1);
+
+    await promptService.activateVersion('chat', 2, 'admin');
+    expect(promptService.render('chat')).toMatchObject({ version: 2, content: expect.stringContaining('Tele-MANAS') });
+    expect(promptService.listTemplates().find(template => template.name === 'chat').versions[0])
+      .toMatchObject({ version: 2, active: true, createdBy: 'admin' });
+  });
+
+  test('should take the institution from the account email domain or the server config', () => {
+    const mapped = new PromptService({ institution: 'pune-college', institutionDomains: 'coep.ac.in:coep, bad:Not Valid' });
+
+    expect(mapped.institutionFor({ id: 'student-1', email: 'meera@COEP.ac.in' })).toBe('coep');
+    expect(mapped.institutionFor({ id: 'student-2', email: 'kabir@gmail.com' })).toBe('pune-college');
+    expect(mapped.institutionFor(null)).toBe('pune-college');
+    expect(mapped.institutionDomains.has('bad')).toBe(false);
+    expect(promptService.institutionFor({ email: 'meera@coep.ac.in' })).toBe('default');
+  });
+
+  test('should keep default English values for every variable the active prompts use', async () => {
+    await expect(promptService.updateVariables('default', 'en', { institutionName: 'COEP' }, 'admin'))
+      .rejects.toThrow('Default English values are required for:');
+    await expect(promptService.updateVariables('default', 'fr', {}, 'admin'))
+      .rejects.toThrow('Unsupported language: fr');
+  });
+});
+
+describe('Chat turns and prompt versions', () => {
+  let promptService;
+  let provider;
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ({ service, provider, promptService } = createChatService());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should send the active chat prompt and record its version with the turn', async () => {
+    await promptService.updateVariables('coep', 'en', { institutionName: 'COEP Technological University' }, 'admin');
+
+    const first = await service.processMessage('My roommate keeps borrowing my notes', null, requestInfo, 'en', { institution: 'coep' });
+    expect(first.prompt).toEqual({ name: 'chat', version: 1 });
+    expect(provider.calls[0][0]).toMatchObject({ role: 'system', content: expect.stringContaining('COEP Technological University') });
+
+    await promptService.createVersion('chat', { content: 'Reply warmly for {{institutionName}} students.' }, 'admin');
+    await promptService.activateVersion('chat', 2, 'admin');
+
+    const second = await service.processMessage('My lab partner never replies to messages', first.sessionId, requestInfo, 'en');
+    expect(second.prompt).toEqual({ name: 'chat', version: 2 });
+    expect(provider.calls[1][0].content).toBe('Reply warmly for your college students.');
+
+    const turns = service.sessionManager.getSession(first.sessionId).context.messages
+      .filter(message => message.role === 'assistant');
+    expect(turns.map(turn => turn.prompt)).toEqual([{ name: 'chat', version: 1 }, { name: 'chat', version: 2 }]);
+  });
+
+  test('should not serve one institution a reply cached for another', async () => {
+    const message = 'I am nervous about the hostel allotment list';
+
+    const coep = await service.processMessage(message, null, requestInfo, 'en', { institution: 'coep' });
+    expect(coep.cached).toBeFalsy();
+    expect(provider.calls).toHaveLength(1);
+
+    const coepAgain = await service.processMessage(message, null, requestInfo, 'en', { institution: 'coep' });
+    expect(coepAgain.cached).toBe(true);
+
+    const pict = await service.processMessage(message, null, requestInfo, 'en', { institution: 'pict' });
+    expect(pict.cached).toBeFalsy();
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  test('should record the crisis fallback when no provider answers a crisis message', async () => {
+    provider.script = [new Error('Provider down')];
+
+    const result = await service.processMessage('I want to end my life', null, requestInfo, 'en');
+
+    expect(result.isCrisis).toBe(true);
+    expect(result.prompt).toEqual({ name: 'crisis_fallback', version: 1 });
+    expect(result.message).toContain('14416');
+  });
+});
+
+describe('Prompt admin routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApp({ '/api/conversational-ai': conversationalAIRoutes });
+  });
+
+  test('should require prompts:manage', async () => {
+    await request(app).get('/api/conversational-ai/prompts').expect(401);
+    const denied = await request(app).get('/api/conversational-ai/prompts').set(as('counselor')).expect(403);
+    expect(denied.body.message).toBe('Insufficient permissions. Required permission: prompts:manage');
+
+    const { body } = await request(app).get('/api/conversational-ai/prompts').set(as('admin')).expect(200);
+    expect(body.templates.map(template => template.name)).toEqual(['chat', 'crisis', 'crisis_fallback', 'safety_resources', 'summary']);
+    expect(body.languages).toEqual(['en', 'mr']);
+  });
+
+  test('should preview unsaved text and test it against the model', async () => {
+    const { body } = await request(app)
+      .post('/api/conversational-ai/prompts/chat/preview')
+      .set(as('admin'))
+      .send({ content: 'Helpline: {{crisisHelpline}} {{unknownThing}}', language: 'mr', message: 'Hello' })
+      .expect(200);
+
+    expect(body.prompt).toMatchObject({ version: null, missingVariables: ['unknownThing'] });
+    expect(body.prompt.content).toContain('Marathi-speaking');
+    expect(typeof body.test.reply).toBe('string');
+
+    await request(app).post('/api/conversational-ai/prompts/chat/preview').set(as('admin')).send({ version: 99 }).expect(404);
+  });
+
+  test('should ignore an institution sent with a chat message', async () => {
+    const render = jest.spyOn(PromptService.prototype, 'render');
+
+    await request(app)
+      .post('/api/conversational-ai/chat')
+      .set(as('student'))
+      .send({ message: 'The library closes too early on weekdays', institution: 'other-college' })
+      .expect(200);
+
+    expect(render).toHaveBeenCalledWith('chat', expect.objectContaining({ institution: 'default' }));
+    expect(render.mock.calls.every(([, options]) => options.institution !== 'other-college')).toBe(true);
+    render.mockRestore();
+  });
+
+  test('should save, activate and report versions', async () => {
+    const saved = await request(app)
+      .post('/api/conversational-ai/prompts/crisis/versions')
+      .set(as('admin'))
+      .send({ content: 'Urgent ({{severity}}): share {{crisisHelpline}}.', notes: 'Shorter' })
+      .expect(201);
+    const { version } = saved.body.template;
+
+    await request(app).post('/api/conversational-ai/prompts/crisis/versions').set(as('admin')).send({ content: '' }).expect(400);
+    await request(app).post(`/api/conversational-ai/prompts/crisis/versions/${version}/activate`).set(as('admin')).expect(200);
+
+    const { body } = await request(app).get(`/api/conversational-ai/prompts/crisis/versions/${version}`).set(as('admin')).expect(200);
+    expect(body.template).toMatchObject({ version, active: true, createdBy: 'admin' });
+
+    await request(app).post('/api/conversational-ai/prompts/crisis/versions/1/activate').set(as('admin')).expect(200);
+  });
+});
@@ -1,11 +1,18 @@
 const RealTimeMonitoringService = require('../services/realTimeMonitoringService');
 const AnalyticsService = require('../services/analyticsService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+const RoleService = require('../services/roleService');
+const EventEmitter = require('events');
 const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const monitoringRoutes = require('../routes/monitoring');
 
 // Mock Socket.IO
 jest.mock('socket.io', () => {
   return {
     Server: jest.fn().mockImplementation(() => ({
+      use: jest.fn(),
       on: jest.fn(),
       to: jest.fn().mockReturnThis(),
       emit: jest.fn(),
@@ -71,7 +78,8 @@ describe('RealTimeMonitoringService', () => {
       expect(alert).toBeDefined();
       expect(alert.userId).toBe(alertData.userId);
       expect(alert.severity).toBe(alertData.severity);
-      expect(alert.status).toBe('active');
+      expect(alert.status).toBe('open');
+      expect(alert.history).toEqual([expect.objectContaining({ status: 'open', by: 'system' })]);
     });
 
     test('should resolve crisis alert', () => {
@@ -262,13 +270,16 @@ describe('RealTimeMonitoringService', () => {
       const alertId = monitoringService.createCrisisAlert(alertData);
       const alert = monitoringService.activeAlerts.get(alertId);
       
-      // Make it stale (older than 30 minutes)
-      alert.createdAt = new Date(Date.now() - 35 * 60 * 1000);
-      
-      monitoringService.checkStaleAlerts();
+      // Medium alerts must be acknowledged within 30 minutes
+      monitoringService.checkStaleAlerts(new Date(Date.now() - 60 * 1000));
+      expect(alert.escalationLevel).toBe(0);
+
+      monitoringService.checkStaleAlerts(new Date(Date.now() + 35 * 60 * 1000));
       
-      // Should be auto-escalated
-      expect(alert.status).toBe('auto-escalated');
+      // Should be auto-escalated without changing its lifecycle state
+      expect(alert.status).toBe('open');
+      expect(alert.severity).toBe('critical');
+      expect(alert.escalationLevel).toBe(1);
       expect(alert.escalatedBy).toBe('system');
       expect(alert.escalatedAt).toBeInstanceOf(Date);
     });
@@ -284,4 +295,269 @@ describe('RealTimeMonitoringService', () => {
       expect(mockClose).toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+
+  describe('Socket Authentication', () => {
+    const authMiddleware = new AuthMiddleware();
+    let sessions;
+    let service;
+
+    const token = (role, sessionId = 'session-1') =>
+      authMiddleware.generateToken({ id: 'user-1', username: 'dr_patil', role, sessionId });
+
+    const connect = (authToken) => {
+      const socket = {
+        id: `socket-${Math.random()}`,
+        handshake: { auth: { token: authToken } },
+        emit: jest.fn(),
+        disconnect: jest.fn()
+      };
+      const next = jest.fn();
+      service.authenticateHandshake(socket, next);
+      if (next.mock.calls[0][0] === undefined) {
+        service.handleAuthentication(socket);
+      }
+      return { socket, error: next.mock.calls[0][0] };
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      sessions = new EventEmitter();
+      sessions.validateSession = jest.fn().mockReturnValue(true);
+      service = new RealTimeMonitoringService(server, analyticsService, { userManagementService: sessions });
+    });
+
+    afterEach(() => {
+      service.destroy();
+      jest.restoreAllMocks();
+    });
+
+    test('should take the role from a verified token', () => {
+      const { socket, error } = connect(token('counselor'));
+
+      expect(error).toBeUndefined();
+      expect(sessions.validateSession).toHaveBeenCalledWith('session-1');
+      expect(socket.userRole).toBe('counselor');
+      expect(service.getConnectedClients()).toEqual([
+        expect.objectContaining({ userId: 'dr_patil', userRole: 'counselor' })
+      ]);
+    });
+
+    test('should reject missing, forged or student tokens and ended sessions', () => {
+      expect(connect(undefined).error.message).toBe('Authentication required');
+      expect(connect('not-a-jwt').error.message).toBe('Invalid or expired token');
+      expect(connect(token('user')).error.message).toBe('Insufficient permissions');
+
+      sessions.validateSession.mockReturnValue(false);
+      expect(connect(token('admin')).error.message).toBe('Session expired or invalid');
+      expect(service.connectedClients.size).toBe(0);
+    });
+
+    test('should disconnect sockets when their session ends', () => {
+      const { socket } = connect(token('admin', 'session-1'));
+      const other = connect(token('counselor', 'session-2')).socket;
+
+      sessions.emit('session-ended', { sessionId: 'session-1', reason: 'logout' });
+
+      expect(socket.emit).toHaveBeenCalledWith('session-ended', { reason: 'logout' });
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+      expect(other.disconnect).not.toHaveBeenCalled();
+
+      sessions.validateSession.mockReturnValue(false);
+      service.checkClientSessions();
+
+      expect(sessions.validateSession).toHaveBeenLastCalledWith('session-2', { touch: false });
+      expect(other.disconnect).toHaveBeenCalledWith(true);
+      expect(service.connectedClients.size).toBe(0);
+    });
+
+    test('should accept a refreshed token only from the same session', () => {
+      const { socket } = connect(token('admin', 'session-1'));
+      const client = service.connectedClients.get(socket.id);
+      client.tokenExpiresAt = new Date(Date.now() - 1000);
+
+      service.handleReauthentication(socket, token('admin', 'session-2'));
+      expect(socket.emit).toHaveBeenLastCalledWith('authentication-failed', { error: 'Token belongs to a different session' });
+
+      service.handleReauthentication(socket, token('admin', 'session-1'));
+      expect(socket.emit).toHaveBeenLastCalledWith('reauthenticated', { success: true });
+      expect(client.tokenExpiresAt.getTime()).toBeGreaterThan(Date.now());
+
+      service.checkClientSessions();
+      expect(socket.disconnect).not.toHaveBeenCalled();
+    });
+
+    test('should broadcast login anomalies to monitoring clients', () => {
+      sessions.emit('login-anomaly', { type: 'credential_stuffing', severity: 'high', message: 'Failed logins for 10 accounts' });
+
+      expect(service.io.to).toHaveBeenCalledWith('monitoring');
+      expect(service.io.emit).toHaveBeenCalledWith('system-alert', expect.objectContaining({
+        category: 'security',
+        type: 'credential_stuffing'
+      }));
+    });
+
+    test('should refuse tokens from revoked sessions', () => {
+      authMiddleware.revokeSession('session-3', 'forced_logout');
+
+      expect(connect(token('admin', 'session-3')).error.message).toBe('Token has been revoked');
+    });
+
+    test('should only let crisis responders acknowledge or escalate alerts over the socket', async () => {
+      const roleService = new RoleService();
+      await roleService.updateRolePermissions('counselor', ['monitoring:read'], 'admin');
+      service.destroy();
+      service = new RealTimeMonitoringService(server, analyticsService, {
+        userManagementService: sessions,
+        authMiddleware: new AuthMiddleware({ roleService })
+      });
+      jest.spyOn(service, 'acknowledgeAlert').mockImplementation(() => {});
+      jest.spyOn(service, 'escalateAlert').mockImplementation(() => {});
+      const alertId = service.createCrisisAlert({ userId: 'student1', severity: 'high' });
+
+      const { socket: observer } = connect(token('counselor'));
+      service.handleAlertAcknowledgment(observer, alertId);
+      service.handleAlertEscalation(observer, alertId);
+
+      expect(observer.emit).toHaveBeenCalledWith('error', { message: 'Insufficient permissions' });
+      expect(service.acknowledgeAlert).not.toHaveBeenCalled();
+      expect(service.escalateAlert).not.toHaveBeenCalled();
+
+      const { socket: responder } = connect(token('admin'));
+      service.handleAlertAcknowledgment(responder, alertId);
+      service.handleAlertEscalation(responder, alertId);
+
+      expect(service.acknowledgeAlert).toHaveBeenCalledWith(alertId, 'dr_patil');
+      expect(service.escalateAlert).toHaveBeenCalledWith(expect.objectContaining({ id: alertId }), 'manual', 'dr_patil');
+    });
+  });
+
+  describe('Crisis Alert Lifecycle', () => {
+    const authMiddleware = new AuthMiddleware();
+    const counselorToken = authMiddleware.generateToken({ id: 'counselor-1', username: 'dr_patil', role: 'counselor' });
+    const users = {
+      dr_patil: { username: 'dr_patil', role: 'counselor', isActive: true },
+      dr_rao: { username: 'dr_rao', role: 'counselor', isActive: true },
+      student1: { username: 'student1', role: 'user', isActive: true }
+    };
+    let service;
+    let app;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const userManagementService = new EventEmitter();
+      userManagementService.getUserByUsername = (username) => users[username] || null;
+      service = new RealTimeMonitoringService(server, analyticsService, {
+        userManagementService,
+        alertSlas: { acknowledgement: { high: 10 }, resolution: { high: 60 } }
+      });
+
+      app = express();
+      app.use(express.json());
+      app.locals.realTimeMonitoring = service;
+      app.use('/api/monitoring', monitoringRoutes);
+    });
+
+    afterEach(() => {
+      service.destroy();
+      jest.restoreAllMocks();
+    });
+
+    test('should move an alert through assignment, notes and resolution', async () => {
+      const alertId = service.createCrisisAlert({ userId: 'student1', severity: 'high', source: 'peer-support' });
+      const post = (action, body = {}) => request(app)
+        .post(`/api/monitoring/alert/${alertId}/${action}`)
+        .set('Authorization', `Bearer ${counselorToken}`)
+        .send(body);
+
+      await post('acknowledge').expect(200);
+      await post('assign', { assignee: 'student1' }).expect(400);
+      await post('assign', { assignee: 'dr_rao' }).expect(200);
+      await post('notes', { text: '  ' }).expect(400);
+      await post('notes', { text: 'Called the student, safe at home' }).expect(200);
+      await post('start').expect(200);
+      const response = await post('resolve', { resolution: 'Referred to campus counselling' }).expect(200);
+      await post('start').expect(409);
+
+      expect(response.body.alert).toMatchObject({
+        type: 'peerSupport',
+        status: 'resolved',
+        acknowledgedBy: 'dr_patil',
+        assignedTo: 'dr_rao',
+        resolvedBy: 'dr_patil',
+        resolution: 'Referred to campus counselling',
+        notes: [expect.objectContaining({ author: 'dr_patil', text: 'Called the student, safe at home' })]
+      });
+      expect(response.body.alert.history.map(entry => entry.status))
+        .toEqual(['open', 'acknowledged', 'assigned', 'in_progress', 'resolved']);
+      expect(service.getActiveAlertsCount()).toBe(0);
+
+      await post('../missing/acknowledge').expect(404);
+    });
+
+    test('should reject skipped states and list alerts by status', async () => {
+      const first = service.createCrisisAlert({ userId: 'student1', severity: 'high' });
+      service.createCrisisAlert({ userId: 'student2', severity: 'low' });
+
+      expect(() => service.startAlert(first, 'dr_patil')).toThrow('Cannot move alert from open to in_progress');
+      service.acknowledgeAlert(first, 'dr_patil');
+      service.startAlert(first, 'dr_patil');
+      expect(() => service.acknowledgeAlert(first, 'dr_patil')).toThrow('Cannot move alert from in_progress to acknowledged');
+      expect(service.activeAlerts.get(first).assignedTo).toBe('dr_patil');
+
+      const response = await request(app)
+        .get('/api/monitoring/alerts?status=open')
+        .set('Authorization', `Bearer ${counselorToken}`)
+        .expect(200);
+      expect(response.body.data.alerts.map(alert => alert.userId)).toEqual(['student2']);
+
+      await request(app)
+        .get('/api/monitoring/alerts?status=escalated')
+        .set('Authorization', `Bearer ${counselorToken}`)
+        .expect(400);
+    });
+
+    test('should escalate missed acknowledgement and resolution SLAs once each', () => {
+      const alertId = service.createCrisisAlert({ userId: 'student1', severity: 'high' });
+      const alert = service.activeAlerts.get(alertId);
+      const minutesLater = (minutes) => new Date(alert.createdAt.getTime() + minutes * 60000);
+
+      service.checkStaleAlerts(minutesLater(11));
+      service.checkStaleAlerts(minutesLater(12));
+      expect(alert.escalationLevel).toBe(1);
+      expect(service.io.emit).toHaveBeenCalledWith('alert-auto-escalated', expect.objectContaining({
+        alertId,
+        reason: 'acknowledgement_sla'
+      }));
+
+      // Acknowledging late does not stop the resolution clock
+      service.assignAlert(alertId, 'dr_rao', 'dr_patil');
+      service.checkStaleAlerts(minutesLater(61));
+      service.checkStaleAlerts(minutesLater(90));
+
+      expect(alert).toMatchObject({ status: 'assigned', severity: 'critical', escalationLevel: 2 });
+      expect(alert.history.filter(entry => entry.reason).map(entry => entry.reason))
+        .toEqual(['acknowledgement_sla', 'resolution_sla']);
+    });
+
+    test('should only let monitoring managers record API metrics', async () => {
+      const adminToken = authMiddleware.generateToken({ id: 'admin-1', username: 'admin', role: 'admin' });
+      const metric = { endpoint: '/api/test', responseTime: 120, statusCode: 200 };
+
+      await request(app).post('/api/monitoring/metric').send(metric).expect(401);
+      await request(app)
+        .post('/api/monitoring/metric')
+        .set('Authorization', `Bearer ${counselorToken}`)
+        .send(metric)
+        .expect(403);
+      expect(service.systemMetrics.apiResponseTimes).toHaveLength(0);
+
+      await request(app)
+        .post('/api/monitoring/metric')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(metric)
+        .expect(200);
+      expect(service.systemMetrics.apiResponseTimes).toEqual([expect.objectContaining({ endpoint: '/api/test' })]);
+    });
+  });
+});
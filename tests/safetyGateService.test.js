@@ -0,0 +1,208 @@
+process.env.LLM_PROVIDERS = 'scripted';
+
+const request = require('supertest');
+const PromptService = require('../services/promptService');
+const SafetyGateService = require('../services/safetyGateService');
+const LlmService = require('../services/llmService');
+const analyticsRoutes = require('../routes/analytics');
+const { REPLY: SAFE_REPLY, requestInfo, createChatService, createApp, as } = require('./helpers/chat');
+
+const MEDICAL_REPLY = 'I hear you. It sounds like you have depression, and medication could help you feel better.';
+const HARMFUL_REPLY = 'Honestly there is no point in trying, so maybe just give up on the course.';
+const BARE_REPLY = 'The library closes at nine on weekdays and at six on Sundays, and the reading room on the second floor stays quiet through the semester for study groups during exams.';
+describe('SafetyGateService', () => {
+  const validate = (text) => new LlmService({ providers: [] }).validateResponse(text);
+  let gate;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    gate = new SafetyGateService({ promptService: new PromptService() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should pass safe replies through untouched', async () => {
+    const regenerate = jest.fn();
+
+    const result = await gate.review(SAFE_REPLY, { validate, regenerate, fallback: jest.fn() });
+
+    expect(result).toEqual({ reply: SAFE_REPLY, intervention: null });
+    expect(regenerate).not.toHaveBeenCalled();
+    expect((await gate.getReport()).totalInterventions).toBe(0);
+  });
+
+  test('should regenerate medical advice with a stricter instruction', async () => {
+    const regenerate = jest.fn().mockResolvedValue(SAFE_REPLY);
+
+    const result = await gate.review(MEDICAL_REPLY, { validate, regenerate, fallback: jest.fn(), sessionId: 'sess_abcdefgh123' });
+
+    expect(result.reply).toBe(SAFE_REPLY);
+    expect(result.intervention).toEqual({ action: 'regenerated', violations: ['medical_advice'], regenerationFailed: false });
+    expect(regenerate.mock.calls[0][0]).toContain('Do not diagnose');
+  });
+
+  test('should fall back when the regenerated reply is still unsafe', async () => {
+    const result = await gate.review(MEDICAL_REPLY, {
+      validate,
+      regenerate: jest.fn().mockResolvedValue(MEDICAL_REPLY),
+      fallback: () => 'Fallback reply'
+    });
+
+    expect(result.reply).toBe('Fallback reply');
+    expect(result.intervention).toMatchObject({ action: 'fallback', regenerationFailed: true });
+  });
+
+  test('should not regenerate harmful language and should append resources to bare replies', async () => {
+    const regenerate = jest.fn();
+
+    const harmful = await gate.review(HARMFUL_REPLY, { validate, regenerate, fallback: () => 'Fallback reply' });
+    expect(harmful.reply).toBe('Fallback reply');
+    expect(harmful.intervention.violations).toEqual(['harmful_language']);
+    expect(regenerate).not.toHaveBeenCalled();
+
+    const bare = await gate.review(BARE_REPLY, { validate, regenerate, fallback: jest.fn(), language: 'mr' });
+    expect(bare.intervention.action).toBe('resources_appended');
+    expect(bare.reply.startsWith(BARE_REPLY)).toBe(true);
+    expect(bare.reply).toContain('Marathi-speaking counselors');
+  });
+
+  test('should pass streamed text on as each sentence is checked', () => {
+    const sent = [];
+    const filter = gate.createStreamFilter(validate, (text) => sent.push(text));
+
+    'It sounds like a hard week. Maybe you have depression and need medication. Rest well.'
+      .match(/\S+\s*/g)
+      .forEach((token, index) => {
+        filter.push(token);
+        if (index === 5) {
+          expect(sent).toEqual(['It sounds like a hard week. ']);
+        }
+      });
+    filter.flush();
+
+    expect(sent).toEqual(['It sounds like a hard week. ']);
+    expect(filter.released).toBe('It sounds like a hard week. ');
+  });
+
+  test('should report interventions for a period', async () => {
+    await gate.review(HARMFUL_REPLY, { validate, regenerate: jest.fn(), fallback: () => 'x', channel: 'voice', sessionId: 'sess_12345678abc' });
+    await gate.review(BARE_REPLY, { validate, regenerate: jest.fn(), fallback: () => 'x' });
+
+    const report = await gate.getReport({ start: new Date(Date.now() - 60000).toISOString(), limit: 1 });
+
+    expect(report).toMatchObject({
+      totalInterventions: 2,
+      byAction: { fallback: 1, resources_appended: 1 },
+      byViolation: { harmful_language: 1, lacks_support: 1 },
+      byChannel: { voice: 1, chat: 1 }
+    });
+    expect(report.recentEvents).toHaveLength(1);
+    expect(report.recentEvents[0]).toMatchObject({ action: 'resources_appended', sessionId: null });
+    expect(gate.recentEvents[1]).toMatchObject({ channel: 'voice', sessionId: 'sess_123...' });
+
+    const past = await gate.getReport({ start: '2020-01-01', end: '2020-01-31' });
+    expect(past.totalInterventions).toBe(0);
+  });
+});
+
+describe('Safety gate in conversations', () => {
+  let provider;
+  let gate;
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    gate = new SafetyGateService({ promptService: new PromptService() });
+    ({ service, provider } = createChatService({ safetyGate: gate }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should regenerate unsafe chat replies and record the intervention with the turn', async () => {
+    provider.script = [MEDICAL_REPLY, SAFE_REPLY];
+
+    const result = await service.processMessage('My roommate plays loud music every night', null, requestInfo, 'en', { channel: 'voice' });
+
+    expect(result.message).not.toMatch(/medication/i);
+    expect(result.safety).toMatchObject({ action: 'regenerated', violations: ['medical_advice'] });
+    expect(result.prompt).toEqual({ name: 'chat', version: 1 });
+    expect(provider.calls[1][0].content).toContain('SAFETY REQUIREMENTS');
+
+    const turn = service.sessionManager.getSession(result.sessionId).context.messages.pop();
+    expect(turn.safetyAction).toBe('regenerated');
+    expect((await gate.getReport()).byChannel).toEqual({ voice: 1 });
+  });
+
+  test('should use the fallback service for harmful chat replies', async () => {
+    provider.script = [HARMFUL_REPLY];
+    const fallback = jest.spyOn(service.fallbackService, 'generateFallbackResponse');
+
+    const result = await service.processMessage('My group project partner ignores me', null, requestInfo, 'en');
+
+    expect(fallback).toHaveBeenCalled();
+    expect(result.message).not.toContain(HARMFUL_REPLY);
+    expect(result.safety.action).toBe('fallback');
+    expect(result.prompt).toBeNull();
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  test('should stream safe sentences as they arrive and stop at an unsafe one', async () => {
+    provider.script = [`${SAFE_REPLY} ${HARMFUL_REPLY} Take care.`];
+    const chunks = [];
+
+    const result = await service.processMessage('My group project partner ignores me', null, requestInfo, 'en', {
+      onToken: (token) => chunks.push(token)
+    });
+
+    expect(chunks).toEqual([
+      'I understand that sounds really difficult. ',
+      'It makes sense to feel this way. ',
+      'What would help most right now? '
+    ]);
+    expect(result.streamed).toBe(true);
+    expect(result.safety.action).toBe('fallback');
+    expect(result.message).not.toContain('give up');
+  });
+
+  test('should replace unsafe crisis replies with the crisis fallback', async () => {
+    provider.script = [HARMFUL_REPLY];
+
+    const result = await service.processMessage('I want to end my life', null, requestInfo, 'en');
+
+    expect(result.isCrisis).toBe(true);
+    expect(result.safety).toMatchObject({ action: 'fallback', violations: ['harmful_language'] });
+    expect(result.prompt).toEqual({ name: 'crisis_fallback', version: 1 });
+    expect(result.message).toContain('14416');
+  });
+});
+
+describe('Safety report', () => {
+  test('should be available as an analytics report', async () => {
+    const app = createApp({ '/api/analytics': analyticsRoutes });
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await SafetyGateService.getDefault().review(HARMFUL_REPLY, {
+      validate: (text) => new LlmService({ providers: [] }).validateResponse(text),
+      regenerate: jest.fn(),
+      fallback: () => 'x'
+    });
+    jest.restoreAllMocks();
+
+    await request(app).post('/api/analytics/report').set(as('student')).send({ reportType: 'safety' }).expect(403);
+    const { body } = await request(app)
+      .post('/api/analytics/report')
+      .set(as('admin'))
+      .send({ reportType: 'safety', includeDetails: true })
+      .expect(200);
+
+    expect(body.report.type).toBe('AI Safety Interventions Report');
+    expect(body.report.safety.totalInterventions).toBeGreaterThanOrEqual(1);
+    expect(body.report.safety.recentEvents[0]).toMatchObject({ action: 'fallback', originalExcerpt: HARMFUL_REPLY });
+  });
+});
@@ -0,0 +1,188 @@
+const express = require('express');
+const request = require('supertest');
+const ScreeningService = require('../services/screeningService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+
+jest.mock('../models/screeningResponse', () => {
+  const ScreeningResponse = jest.fn().mockImplementation(function (doc) {
+    Object.assign(this, doc);
+    this.save = jest.fn().mockResolvedValue({ _id: 'response-1', riskLevel: 'critical', ...doc });
+    ScreeningResponse.saved.push(this);
+  });
+  ScreeningResponse.db = { readyState: 1 };
+  ScreeningResponse.saved = [];
+  return ScreeningResponse;
+});
+
+const ScreeningResponse = require('../models/screeningResponse');
+const screeningRoutes = require('../routes/screeningResponses');
+
+// Every PHQ-9 item answered with the same value, optionally overriding item 9
+const phq9Responses = (value, item9 = value) => Array.from({ length: 9 }, (_, index) => ({
+  questionId: `phq9_${index + 1}`,
+  response: index === 8 ? item9 : value
+}));
+
+describe('Screening scoring', () => {
+  const screeningService = new ScreeningService();
+
+  test('should score from raw responses and flag item 9 as critical', () => {
+    const scored = screeningService.scoreSubmission('PHQ-9', phq9Responses(1, 2));
+
+    expect(scored.results).toMatchObject({ totalScore: 10, maxScore: 27, severityLevel: 'moderate', isAboveThreshold: true });
+    expect(scored.crisisIndicators.hasCrisisAlerts).toBe(true);
+    expect(scored.crisisIndicators.crisisAlerts[0]).toMatchObject({
+      type: 'suicidal_ideation',
+      severity: 'critical',
+      questionId: 'phq9_9'
+    });
+  });
+
+  test('should list fields where the client disagrees', () => {
+    const scored = screeningService.scoreSubmission('PHQ-9', phq9Responses(0, 2));
+
+    expect(screeningService.compareWithClientResults(
+      scored,
+      { totalScore: 2, severityLevel: 'minimal' },
+      { hasCrisisAlerts: true }
+    )).toEqual([]);
+
+    expect(screeningService.compareWithClientResults(
+      scored,
+      { totalScore: 0, severityLevel: 'minimal' },
+      { hasCrisisAlerts: false }
+    )).toEqual(['totalScore', 'hasCrisisAlerts']);
+  });
+
+  test('should reverse score positively worded PSS-10 items', () => {
+    // "Very often" everywhere: 6 stress items x 4, 4 reversed items x 0
+    const responses = Object.fromEntries(Array.from({ length: 10 }, (_, index) => [`pss10_${index + 1}`, 4]));
+    const result = screeningService.calculateScore('PSS-10', responses);
+
+    expect(result.totalScore).toBe(24);
+    expect(result.interpretation.level).toBe('moderate');
+  });
+
+  test('should score DASS-21 subscales with the x2 multiplier', () => {
+    const responses = Object.fromEntries(Array.from({ length: 21 }, (_, index) => [`dass21_${index + 1}`, 0]));
+    // Depression items 3, 5, 10, 13, 16, 17, 21 answered 2 -> 14 x 2 = 28
+    ['dass21_3', 'dass21_5', 'dass21_10', 'dass21_13', 'dass21_16', 'dass21_17', 'dass21_21']
+      .forEach(id => { responses[id] = 2; });
+    responses.dass21_2 = 1;
+
+    const scored = screeningService.scoreSubmission('DASS-21', responses);
+
+    expect(scored.results.totalScore).toBe(30);
+    expect(scored.results.severityLevel).toBe('extremely_severe');
+    expect(scored.results.subscales).toMatchObject({
+      depression: { score: 28, level: 'extremely_severe' },
+      anxiety: { score: 2, level: 'normal' },
+      stress: { score: 0, level: 'normal' }
+    });
+    expect(scored.crisisIndicators.crisisAlerts).toEqual([
+      expect.objectContaining({ type: 'severe_depression', severity: 'high' })
+    ]);
+    expect(() => screeningService.interpretScore('DASS-21', 30)).toThrow('requires subscale scores');
+  });
+
+  test('should end PC-PTSD-5 after a "No" to trauma exposure', () => {
+    const noExposure = screeningService.scoreSubmission('PC-PTSD-5', { pcptsd5_exposure: 0 });
+    expect(noExposure.results).toMatchObject({ totalScore: 0, severityLevel: 'negative' });
+
+    const positive = screeningService.scoreSubmission('PC-PTSD-5', {
+      pcptsd5_exposure: 1, pcptsd5_1: 1, pcptsd5_2: 1, pcptsd5_3: 1, pcptsd5_4: 0, pcptsd5_5: 0
+    });
+    expect(positive.results).toMatchObject({ totalScore: 3, severityLevel: 'positive', isAboveThreshold: true });
+    expect(screeningService.requiresFollowUp(positive)).toBe(true);
+
+    expect(() => screeningService.scoreSubmission('PC-PTSD-5', { pcptsd5_exposure: 1, pcptsd5_1: 1 }))
+      .toThrow('Missing response for question: pcptsd5_2');
+  });
+
+  test('should recommend the new instruments', () => {
+    expect(screeningService.recommendTools({ purpose: 'trauma' })).toEqual(['PC-PTSD-5']);
+    expect(screeningService.recommendTools({ symptoms: ['depression', 'anxiety', 'stress'] }))
+      .toEqual(expect.arrayContaining(['PSS-10', 'DASS-21']));
+  });
+});
+
+describe('POST /api/screening-responses/submit', () => {
+  const studentToken = new AuthMiddleware().generateToken({
+    id: 'student-1', username: 'student1@college.edu', email: 'student1@college.edu', role: 'student'
+  });
+  let app;
+
+  const submit = (body) => request(app)
+    .post('/api/screening-responses/submit')
+    .set('Authorization', `Bearer ${studentToken}`)
+    .send({ toolName: 'PHQ-9', ...body });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/screening-responses', screeningRoutes);
+    ScreeningResponse.saved = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should store server results when the client agrees', async () => {
+    const response = await submit({
+      responses: phq9Responses(1, 0),
+      results: { totalScore: 8, severityLevel: 'mild' }
+    }).expect(201);
+
+    expect(response.body.results).toMatchObject({ totalScore: 8, severityLevel: 'mild' });
+
+    const [saved] = ScreeningResponse.saved;
+    expect(saved).toMatchObject({ userId: 'student-1', userEmail: 'student1@college.edu' });
+    expect(saved.responses[0].questionText).toBe('Little interest or pleasure in doing things');
+    expect(saved.scoringAudit).toMatchObject({ mismatch: false, clientResults: { totalScore: 8 } });
+    expect(saved.toolVersion).toBe('1.0');
+  });
+
+  test('should reject tampered results but keep the server-scored crisis', async () => {
+    const response = await submit({
+      responses: phq9Responses(0, 3),
+      results: { totalScore: 0, severityLevel: 'minimal' },
+      crisisIndicators: { hasCrisisAlerts: false, crisisAlerts: [] }
+    }).expect(422);
+
+    expect(response.body).toMatchObject({
+      success: false,
+      mismatchFields: ['totalScore', 'hasCrisisAlerts'],
+      responseId: 'response-1',
+      requiresFollowUp: true
+    });
+
+    const [saved] = ScreeningResponse.saved;
+    expect(saved.results.totalScore).toBe(3);
+    expect(saved.crisisIndicators.hasCrisisAlerts).toBe(true);
+    expect(saved.scoringAudit).toMatchObject({ mismatch: true, clientResults: { totalScore: 0 } });
+  });
+
+  test('should store only the PC-PTSD-5 questions that were asked', async () => {
+    const response = await submit({ toolName: 'PC-PTSD-5', responses: { pcptsd5_exposure: 0 } }).expect(201);
+
+    expect(response.body.results.severityLevel).toBe('negative');
+    expect(ScreeningResponse.saved[0].responses.map(r => r.questionId)).toEqual(['pcptsd5_exposure']);
+  });
+
+  test('should only accept submissions from a logged-in student', async () => {
+    await request(app)
+      .post('/api/screening-responses/submit')
+      .send({ userId: 'student1', userEmail: 'student1@college.edu', toolName: 'PHQ-9', responses: phq9Responses(0) })
+      .expect(401);
+    expect(ScreeningResponse.saved).toHaveLength(0);
+  });
+
+  test('should reject incomplete or out-of-range responses', async () => {
+    await submit({ responses: phq9Responses(1).slice(0, 5) }).expect(400);
+    await submit({ responses: phq9Responses(4) }).expect(400);
+    expect(ScreeningResponse.saved).toHaveLength(0);
+  });
+});
@@ -0,0 +1,125 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { createMockIdp } = require('../mock-idp');
+
+describe('Student accounts', () => {
+  const originalEnv = { ...process.env };
+  let UserManagementService;
+  let userManagementService;
+  let emailTransport;
+  let idpServer;
+  let app;
+
+  const verificationToken = () => emailTransport.send.mock.calls.at(-1)[0].text.match(/verify_email=(\w+)/)[1];
+
+  beforeAll(async () => {
+    const idp = createMockIdp({
+      users: [
+        { sub: 'idp-42', email: 'priya@college.edu', name: 'Priya S', email_verified: true },
+        { sub: 'idp-43', email: 'rahul@gmail.com', name: 'Rahul K', email_verified: true }
+      ]
+    });
+    idpServer = await new Promise(resolve => {
+      const server = idp.listen(0, '127.0.0.1', () => resolve(server));
+    });
+    idp.locals.issuer = `http://127.0.0.1:${idpServer.address().port}`;
+
+    Object.assign(process.env, {
+      STUDENT_EMAIL_DOMAINS: 'college.edu, students.college.edu',
+      SSO_ISSUER: idp.locals.issuer,
+      SSO_CLIENT_ID: 'aarogyatech',
+      SSO_CLIENT_SECRET: 'mock-secret',
+      SSO_REDIRECT_URI: 'http://localhost:3000/api/auth/sso/callback'
+    });
+
+    // Load after the environment is set; the routes share the default service
+    jest.isolateModules(() => {
+      UserManagementService = require('../services/userManagementService');
+      app = express();
+      app.use(express.json());
+      app.use('/api/auth', require('../routes/auth'));
+    });
+    userManagementService = UserManagementService.getDefault();
+    await userManagementService.waitForInitialization();
+  });
+
+  afterAll(async () => {
+    process.env = originalEnv;
+    await new Promise(resolve => idpServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    emailTransport = { send: jest.fn().mockResolvedValue({ messageId: 'test' }) };
+    userManagementService.emailTransport = emailTransport;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should register campus emails and require verification before login', async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'someone@gmail.com', password: 'password123', fullName: 'Someone' })
+      .expect(400);
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'Meera@Students.College.edu', password: 'password123', fullName: 'Meera J' })
+      .expect(201);
+
+    expect(response.body.user).toMatchObject({ username: 'meera@students.college.edu', role: 'student', emailVerified: false });
+    expect(response.body.user).not.toHaveProperty('emailVerification');
+    expect(emailTransport.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'meera@students.college.edu' }));
+
+    const login = () => request(app)
+      .post('/api/auth/login')
+      .send({ username: 'meera@students.college.edu', password: 'password123' });
+
+    expect((await login().expect(401)).body.message).toContain('Email address not verified');
+
+    await request(app).post('/api/auth/verify-email').send({ token: 'not-a-token' }).expect(400);
+    await request(app).post('/api/auth/verify-email').send({ token: verificationToken() }).expect(200);
+
+    const { body } = await login().expect(200);
+    expect(jwt.decode(body.token)).toMatchObject({ role: 'student', email: 'meera@students.college.edu' });
+  });
+
+  test('should log students in through the identity provider', async () => {
+    const start = await request(app).get('/api/auth/sso/login?login_hint=priya@college.edu').expect(302);
+    const authorize = new URL(start.headers.location);
+    expect(authorize.searchParams.get('client_id')).toBe('aarogyatech');
+
+    const approved = await request(idpServer).get(`${authorize.pathname}${authorize.search}`).expect(302);
+    const callback = new URL(approved.headers.location);
+
+    const finished = await request(app).get(`/api/auth/sso/callback${callback.search}`).expect(302);
+    const fragment = new URLSearchParams(finished.headers.location.split('#')[1]);
+    const token = fragment.get('sso_token');
+    expect(fragment.get('refresh_token')).toBeTruthy();
+
+    expect(jwt.decode(token)).toMatchObject({ role: 'student', email: 'priya@college.edu' });
+    expect(userManagementService.getUserByUsername('priya@college.edu')).toMatchObject({
+      fullName: 'Priya S',
+      emailVerified: true,
+      ssoSubject: 'idp-42'
+    });
+
+    // The same state cannot be used twice
+    const replay = await request(app).get(`/api/auth/sso/callback${callback.search}`).expect(302);
+    expect(replay.headers.location).toBe(`/#sso_error=${encodeURIComponent('Invalid or expired SSO login')}`);
+  });
+
+  test('should refuse SSO identities outside the campus domains', async () => {
+    const start = await request(app).get('/api/auth/sso/login?login_hint=rahul@gmail.com').expect(302);
+    const authorize = new URL(start.headers.location);
+    const approved = await request(idpServer).get(`${authorize.pathname}${authorize.search}`).expect(302);
+
+    const finished = await request(app).get(`/api/auth/sso/callback${new URL(approved.headers.location).search}`).expect(302);
+
+    expect(finished.headers.location).toContain('#sso_error=');
+    expect(userManagementService.getUserByUsername('rahul@gmail.com')).toBeNull();
+  });
+});
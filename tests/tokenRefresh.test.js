@@ -0,0 +1,130 @@
+const express = require('express');
+const request = require('supertest');
+const UserManagementService = require('../services/userManagementService');
+const authRoutes = require('../routes/auth');
+
+describe('Refresh tokens and revocation', () => {
+  const userManagementService = UserManagementService.getDefault();
+  let app;
+
+  const login = async (username = 'counselor', password = 'counselor123!') =>
+    (await request(app).post('/api/auth/login').send({ username, password }).expect(200)).body;
+
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+  const profile = (token) => request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await userManagementService.waitForInitialization();
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+  });
+
+  test('should issue short-lived access tokens and rotate refresh tokens', async () => {
+    const session = await login();
+    expect(session.expiresIn).toBe(900);
+
+    const { body } = await refresh(session.refreshToken).expect(200);
+
+    expect(body.refreshToken).not.toBe(session.refreshToken);
+    expect(body.refreshToken.split('.')[0]).toBe(session.sessionId);
+    await profile(body.token).expect(200);
+    await refresh('not-a-token').expect(401);
+  });
+
+  test('should end the whole session when a rotated refresh token is replayed', async () => {
+    const session = await login();
+    const rotated = (await refresh(session.refreshToken).expect(200)).body;
+    const ended = jest.fn();
+    userManagementService.once('session-ended', ended);
+
+    const replay = await refresh(session.refreshToken).expect(401);
+
+    expect(replay.body.message).toBe('Refresh token reuse detected');
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ sessionId: session.sessionId, reason: 'refresh_token_reuse' }));
+    await refresh(rotated.refreshToken).expect(401);
+    expect((await profile(rotated.token).expect(401)).body.message).toBe('Token has been revoked');
+  });
+
+  test('should refuse access tokens after logout', async () => {
+    const session = await login();
+
+    await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${session.token}`).expect(200);
+
+    expect((await profile(session.token).expect(401)).body.message).toBe('Token has been revoked');
+    await refresh(session.refreshToken).expect(401);
+  });
+
+  test('should let admins log a user out everywhere', async () => {
+    const admin = await login('admin', 'admin123!');
+    const laptop = await login();
+    const phone = await login();
+    const ended = jest.fn();
+    userManagementService.on('session-ended', ended);
+
+    await request(app)
+      .post('/api/auth/users/admin/logout')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(403);
+
+    const { body } = await request(app)
+      .post('/api/auth/users/counselor/logout')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+
+    userManagementService.removeListener('session-ended', ended);
+    expect(body.endedSessions).toBeGreaterThanOrEqual(2);
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ sessionId: phone.sessionId, reason: 'forced_logout' }));
+    await profile(laptop.token).expect(401);
+    await profile(phone.token).expect(401);
+    await refresh(phone.refreshToken).expect(401);
+    await profile(admin.token).expect(200);
+
+    await request(app)
+      .post('/api/auth/users/nobody/logout')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(404);
+  });
+
+  test('should end a user\'s sessions when the account is disabled or its role changes', async () => {
+    const admin = await login('admin', 'admin123!');
+    const updateUser = (username, body) => request(app)
+      .put(`/api/auth/users/${username}`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send(body)
+      .expect(200);
+    const ended = jest.fn();
+    userManagementService.on('session-ended', ended);
+
+    for (const username of ['counselor-disabled', 'counselor-promoted']) {
+      await userManagementService.createUser({
+        username,
+        email: `${username}@mindcare.edu`,
+        fullName: 'Dr Test',
+        role: 'counselor',
+        password: 'counselor123!'
+      });
+    }
+    const disabled = await login('counselor-disabled');
+    const promoted = await login('counselor-promoted');
+
+    await updateUser('counselor-disabled', { fullName: 'Dr Renamed' });
+    await profile(disabled.token).expect(200);
+
+    await updateUser('counselor-disabled', { isActive: false });
+    await updateUser('counselor-promoted', { role: 'admin' });
+
+    userManagementService.removeListener('session-ended', ended);
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ sessionId: disabled.sessionId, reason: 'user_disabled' }));
+    expect(ended).toHaveBeenCalledWith(expect.objectContaining({ sessionId: promoted.sessionId, reason: 'role_changed' }));
+    await profile(disabled.token).expect(401);
+    await refresh(disabled.refreshToken).expect(401);
+    await profile(promoted.token).expect(401);
+    await refresh(promoted.refreshToken).expect(401);
+    await profile(admin.token).expect(200);
+  });
+});
@@ -0,0 +1,134 @@
+const UserManagementService = require('../services/userManagementService');
+const User = require('../models/user');
+const UserSession = require('../models/userSession');
+
+jest.mock('../models/user', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  deleteOne: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+jest.mock('../models/userSession', () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(),
+  deleteMany: jest.fn()
+}));
+
+describe('UserManagementService persistence and bootstrap', () => {
+  const originalEnv = { ...process.env };
+  let connected;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connected = false;
+    jest.spyOn(UserManagementService.prototype, 'isDatabaseConnected').mockImplementation(() => connected);
+
+    User.find.mockReturnValue({ lean: () => Promise.resolve([]) });
+    UserSession.find.mockReturnValue({ lean: () => Promise.resolve([]) });
+    User.findOneAndUpdate.mockResolvedValue({});
+    UserSession.findOneAndUpdate.mockResolvedValue({});
+    User.deleteOne.mockResolvedValue({});
+    UserSession.deleteMany.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  test('should not seed demo users outside test mode', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const service = new UserManagementService();
+    await service.waitForInitialization();
+
+    expect(service.getAllUsers()).toHaveLength(0);
+    expect(service.getUserByUsername('admin')).toBeNull();
+  });
+
+  test('should create the first admin from bootstrap environment variables', async () => {
+    process.env.NODE_ENV = 'production';
+    process.env.BOOTSTRAP_ADMIN_USERNAME = 'headadmin';
+    process.env.BOOTSTRAP_ADMIN_EMAIL = 'head@college.edu';
+    process.env.BOOTSTRAP_ADMIN_PASSWORD = 'a-strong-password';
+
+    const service = new UserManagementService();
+    await service.waitForInitialization();
+
+    const admin = service.getUserByUsername('headadmin');
+    expect(admin.role).toBe('admin');
+    expect(admin.password).toBeUndefined();
+
+    const authResult = await service.authenticateUser('headadmin', 'a-strong-password');
+    expect(authResult.token).toBeDefined();
+  });
+
+  test('should load stored users instead of bootstrapping when the database has an admin', async () => {
+    process.env.NODE_ENV = 'production';
+    process.env.BOOTSTRAP_ADMIN_USERNAME = 'headadmin';
+    process.env.BOOTSTRAP_ADMIN_EMAIL = 'head@college.edu';
+    process.env.BOOTSTRAP_ADMIN_PASSWORD = 'a-strong-password';
+    connected = true;
+
+    User.find.mockReturnValue({
+      lean: () => Promise.resolve([{
+        _id: 'object-id',
+        id: 'admin-1',
+        username: 'storedadmin',
+        email: 'stored@college.edu',
+        fullName: 'Stored Admin',
+        role: 'admin',
+        password: 'hash',
+        isActive: true
+      }])
+    });
+
+    const service = new UserManagementService();
+    await service.waitForInitialization();
+
+    expect(service.getUserByUsername('storedadmin')).toMatchObject({ role: 'admin' });
+    expect(service.getUserByUsername('storedadmin')._id).toBeUndefined();
+    expect(service.getUserByUsername('headadmin')).toBeNull();
+  });
+
+  test('should write users and sessions through to MongoDB when connected', async () => {
+    const service = new UserManagementService();
+    await service.waitForInitialization();
+    connected = true;
+
+    await service.createUser({
+      username: 'newcounselor',
+      password: 'testpass123!',
+      email: 'new@mindcare.edu',
+      fullName: 'New Counselor',
+      role: 'counselor'
+    });
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ id: expect.stringMatching(/^counselor-/) }),
+      expect.objectContaining({ username: 'newcounselor' }),
+      expect.objectContaining({ upsert: true })
+    );
+
+    const { sessionId } = await service.authenticateUser('newcounselor', 'testpass123!');
+    expect(UserSession.findOneAndUpdate).toHaveBeenCalledWith(
+      { sessionId },
+      expect.objectContaining({ username: 'newcounselor' }),
+      { upsert: true }
+    );
+
+    service.deleteUser('newcounselor');
+    expect(User.deleteOne).toHaveBeenCalledWith({ username: 'newcounselor' });
+  });
+
+  test('should refuse to remove the last active admin', async () => {
+    const service = new UserManagementService();
+    await service.waitForInitialization();
+
+    expect(() => service.deleteUser('admin')).toThrow('Cannot delete the last active admin');
+    await expect(service.updateUser('admin', { isActive: false }))
+      .rejects.toThrow('Cannot demote or disable the last active admin');
+  });
+});
@@ -0,0 +1,204 @@
+const EventEmitter = require('events');
+
+jest.mock('../services/voiceConversationService', () => jest.fn());
+
+const VoiceStreamingService = require('../services/voiceStreamingService');
+const AuthMiddleware = require('../middleware/authMiddleware');
+
+/**
+ * Minimal socket double: handlers registered with `on` can be triggered with `trigger`
+ */
+function createSocket(id = 'socket-1', auth = {}, address = '127.0.0.1') {
+  const handlers = {};
+  return {
+    id,
+    handshake: { address, auth, headers: { 'user-agent': 'jest' } },
+    on: jest.fn((event, handler) => { handlers[event] = handler; }),
+    emit: jest.fn(),
+    trigger: (event, data) => handlers[event](data)
+  };
+}
+
+function emitted(socket, event) {
+  return socket.emit.mock.calls.filter(([name]) => name === event).map(([, data]) => data);
+}
+
+describe('VoiceStreamingService', () => {
+  const authMiddleware = new AuthMiddleware();
+  let namespace;
+  let handshake;
+  let io;
+  let voiceService;
+  let streamingService;
+  let socket;
+
+  beforeEach(() => {
+    namespace = new EventEmitter();
+    namespace.use = jest.fn((middleware) => { handshake = middleware; });
+    io = { of: jest.fn().mockReturnValue(namespace) };
+
+    voiceService = new EventEmitter();
+    voiceService.startConversation = jest.fn().mockReturnValue({
+      sessionId: 'voice_1',
+      voiceProfiles: { supportive: {}, crisis: {} }
+    });
+    voiceService.endConversation = jest.fn().mockReturnValue({ messageCount: 2 });
+    voiceService.speechToTextService = {
+      transcribeAudio: jest.fn().mockResolvedValue({ text: 'I feel' })
+    };
+    voiceService.processVoiceInput = jest.fn().mockResolvedValue({
+      success: true,
+      interaction: {
+        userInput: { text: 'I feel anxious' },
+        aiResponse: {
+          text: 'I hear you.',
+          audio: { buffer: Buffer.from('audio'), contentType: 'audio/mpeg', duration: 1 },
+          crisis: false,
+          crisisData: null
+        },
+        screeningRecommendation: null
+      }
+    });
+
+    streamingService = new VoiceStreamingService(io, voiceService, authMiddleware);
+    streamingService.config.minPartialBytes = 1;
+    streamingService.config.partialIntervalMs = 0;
+
+    socket = createSocket();
+    connect(socket);
+    socket.trigger('start-stream', { language: 'en', voiceProfile: 'supportive' });
+  });
+
+  // Run the handshake middleware and connect the socket if it passes
+  function connect(client) {
+    let handshakeError = null;
+    handshake(client, (error) => { handshakeError = error || null; });
+    if (!handshakeError) {
+      namespace.emit('connection', client);
+    }
+    return handshakeError;
+  }
+
+  afterEach(() => {
+    streamingService.destroy();
+  });
+
+  test('should use the /voice namespace and start a conversation', () => {
+    expect(io.of).toHaveBeenCalledWith('/voice');
+    expect(voiceService.startConversation).toHaveBeenCalledWith(expect.objectContaining({ language: 'en' }));
+    expect(emitted(socket, 'stream-started')[0].sessionId).toBe('voice_1');
+  });
+
+  test('should reject audio before a stream is started', () => {
+    const other = createSocket('socket-2');
+    connect(other);
+
+    other.trigger('audio-chunk', Buffer.from('abc'));
+
+    expect(emitted(other, 'stream-error')[0].message).toBe('Voice stream not started');
+  });
+
+  test('should emit partial transcripts while audio is streaming', async () => {
+    socket.trigger('audio-chunk', Buffer.from('chunk-1'));
+    await new Promise(setImmediate);
+
+    expect(voiceService.speechToTextService.transcribeAudio).toHaveBeenCalled();
+    expect(emitted(socket, 'partial-transcript')[0]).toEqual({ utteranceId: 'voice_1_u1', text: 'I feel' });
+  });
+
+  test('should stop partial transcripts once the utterance is too long to re-transcribe', async () => {
+    streamingService.config.maxPartialBytes = 8;
+
+    socket.trigger('audio-chunk', Buffer.from('chunk-1'));
+    await new Promise(setImmediate);
+    socket.trigger('audio-chunk', Buffer.from('chunk-2'));
+    await new Promise(setImmediate);
+
+    expect(voiceService.speechToTextService.transcribeAudio).toHaveBeenCalledTimes(1);
+  });
+
+  test('should process the full utterance and return the reply with audio', async () => {
+    socket.trigger('audio-chunk', Buffer.from('chunk-1'));
+    socket.trigger('audio-chunk', Buffer.from('chunk-2'));
+    await socket.trigger('end-utterance');
+
+    const [sessionId, audio, contentType, options] = voiceService.processVoiceInput.mock.calls[0];
+    expect(sessionId).toBe('voice_1');
+    expect(audio.toString()).toBe('chunk-1chunk-2');
+    expect(contentType).toBe('audio/webm');
+    expect(options.signal).toBeDefined();
+
+    expect(emitted(socket, 'ai-response')[0]).toMatchObject({ transcript: 'I feel anxious', text: 'I hear you.' });
+    expect(emitted(socket, 'tts-audio')[0]).toMatchObject({ contentType: 'audio/mpeg' });
+  });
+
+  test('should forward the final transcript from pipeline progress', async () => {
+    voiceService.processVoiceInput.mockImplementation(async (sessionId) => {
+      voiceService.emit('processingProgress', { sessionId, stage: 'conversational-ai', transcription: 'I feel anxious' });
+      return { success: false, cancelled: true };
+    });
+
+    socket.trigger('audio-chunk', Buffer.from('chunk-1'));
+    await socket.trigger('end-utterance');
+
+    expect(emitted(socket, 'final-transcript')[0]).toEqual({ utteranceId: 'voice_1_u1', text: 'I feel anxious' });
+  });
+
+  test('should cancel an in-progress reply on barge-in', async () => {
+    let capturedSignal;
+    let finish;
+    voiceService.processVoiceInput.mockImplementation((sessionId, audio, type, options) => {
+      capturedSignal = options.signal;
+      return new Promise(resolve => { finish = resolve; });
+    });
+
+    socket.trigger('audio-chunk', Buffer.from('chunk-1'));
+    const pending = socket.trigger('end-utterance');
+    socket.trigger('barge-in');
+
+    expect(capturedSignal.aborted).toBe(true);
+    expect(emitted(socket, 'response-cancelled')[0]).toEqual({ utteranceId: 'voice_1_u1' });
+
+    finish({ success: true, interaction: {} });
+    await pending;
+
+    expect(emitted(socket, 'ai-response')).toHaveLength(0);
+    expect(emitted(socket, 'tts-audio')).toHaveLength(0);
+  });
+
+  test('should identify students who send a token and stay open to anonymous use', () => {
+    const token = authMiddleware.generateToken({ id: 'student-7', username: 'student-7', role: 'student' });
+    const student = createSocket('socket-2', { token }, '10.0.0.2');
+
+    expect(connect(student)).toBeNull();
+    student.trigger('start-stream', {});
+
+    expect(student.user).toMatchObject({ id: 'student-7', role: 'student' });
+    expect(voiceService.startConversation).toHaveBeenLastCalledWith(expect.objectContaining({
+      user: { id: 'student-7', role: 'student' }
+    }));
+    expect(socket.user).toBeNull();
+    expect(voiceService.startConversation).toHaveBeenCalledWith(expect.objectContaining({ user: { anonymous: true } }));
+  });
+
+  test('should limit open connections per client', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const extra = [createSocket('socket-2'), createSocket('socket-3')];
+    extra.forEach(client => expect(connect(client)).toBeNull());
+
+    const refused = createSocket('socket-4');
+    expect(connect(refused).message).toBe('Too many voice connections');
+    expect(connect(createSocket('socket-5', {}, '10.0.0.9'))).toBeNull();
+
+    extra[0].trigger('disconnect');
+    expect(connect(refused)).toBeNull();
+    console.warn.mockRestore();
+  });
+
+  test('should end the conversation on disconnect', () => {
+    socket.trigger('disconnect');
+
+    expect(voiceService.endConversation).toHaveBeenCalledWith('voice_1', 'disconnect');
+    expect(streamingService.getActiveStreams()).toHaveLength(0);
+  });
+});